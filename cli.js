@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+/**
+ * Command-line session summary.
+ *
+ * Runs the telemetry core on one or more data logs (AiM CSV, RaceChrono CSV,
+ * VBOX, GPX or NMEA) and prints the lap table, sector splits, best lap,
+ * theoretical best and rolling best, as text or JSON. With --export it also writes
+ * the lap table and telemetry as CSV and the sector geometry as JSON for each log.
+ *
+ *   node cli.js [--json] [--verbose] [--tracks tracks.json] [--gps-laps] [--export dir] <session.csv> [more.csv ...]
+ */
+const fs = require('fs');
+const path = require('path');
+const {
+    TelemetrySession,
+    formatTime,
+    formatSectorTime,
+    formatDiffTime,
+    silentLogger
+} = require('./telemetry-core');
+const { TrackLibrary } = require('./track-library');
+
+const USAGE = `Usage: node cli.js [--json] [--verbose] [--tracks tracks.json] [--gps-laps] [--export dir] <session.csv> [more.csv ...]
+
+Options:
+  --json           Print the summaries as a JSON array instead of text
+  --verbose        Write the analysis log to stderr
+  --tracks <file>  Use sectors from a track library exported by the web app
+  --gps-laps       Split laps at GPS crossings of the start/finish line instead of
+                   the logger's lap markers
+  --export <dir>   Also write <log>-laps.csv, <log>-telemetry.csv (with lap number,
+                   lap distance and delta to best) and <log>-geometry.json (start/finish
+                   line, sector borders, corners) for each log into <dir>
+  -h, --help       Show this help`;
+
+function parseArgs(argv) {
+    const options = { json: false, verbose: false, help: false, tracks: null, gpsLaps: false, exportDir: null, files: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--json') {
+            options.json = true;
+        } else if (arg === '--verbose') {
+            options.verbose = true;
+        } else if (arg === '--gps-laps') {
+            options.gpsLaps = true;
+        } else if (arg === '--tracks') {
+            if (i + 1 >= argv.length) {
+                throw new Error('--tracks needs a file name');
+            }
+            options.tracks = argv[++i];
+        } else if (arg === '--export') {
+            if (i + 1 >= argv.length) {
+                throw new Error('--export needs a directory');
+            }
+            options.exportDir = argv[++i];
+        } else if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            options.files.push(arg);
+        }
+    }
+
+    return options;
+}
+
+// Route the core's log output to stderr so stdout stays clean for piping
+const stderrLogger = {
+    log: (...args) => console.error(...args),
+    warn: (...args) => console.error(...args),
+    error: (...args) => console.error(...args)
+};
+
+function summarizeFile(file, options, trackLibrary) {
+    const session = new TelemetrySession({ logger: options.verbose ? stderrLogger : silentLogger });
+    session.loadFile(fs.readFileSync(file, 'utf8'), file);
+
+    const track = trackLibrary ? trackLibrary.findMatchingTrack(session.getGpsBounds()) : null;
+    if (track) {
+        session.applyTrack(track);
+    }
+    if (options.gpsLaps && session.lapSource !== 'gps') {
+        session.setLapSource('gps');
+    }
+
+    if (options.exportDir) {
+        exportResults(session, file, options.exportDir);
+    }
+
+    return { file: file, ...session.getSummary() };
+}
+
+// Lap table, telemetry with derived channels and sector geometry next to each other in `dir`
+function exportResults(session, file, dir) {
+    const baseName = path.join(dir, path.basename(file).replace(/\.[^.]+$/, ''));
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(`${baseName}-laps.csv`, session.getLapTableCsv());
+    fs.writeFileSync(`${baseName}-telemetry.csv`, session.getTelemetryCsv());
+    fs.writeFileSync(`${baseName}-geometry.json`, JSON.stringify(session.getTrackGeometry(), null, 2) + '\n');
+}
+
+function formatSummaryText(summary) {
+    const lines = [];
+    lines.push(path.basename(summary.file) + (summary.track ? ` (${summary.track})` : ''));
+    lines.push(`  Laps: ${summary.laps.length}   Data points: ${summary.dataPoints}   Duration: ${formatTime(summary.duration)}`);
+    lines.push('');
+
+    // Build the lap table as rows of cells, then pad every column to its widest cell
+    const header = ['Lap', 'Lap Time'];
+    for (let i = 0; i < summary.numSectors; i++) {
+        header.push(`S${i + 1}`);
+    }
+
+    const rows = summary.laps.map(lap => {
+        const row = [lap.name, formatTime(lap.lapTime) + (lap.isBest ? '*' : ' ')];
+        for (let i = 0; i < summary.numSectors; i++) {
+            const sectorTime = lap.sectorTimes[i];
+            if (sectorTime === undefined || sectorTime === null) {
+                row.push('--');
+            } else {
+                const isBestSector = lap.valid && summary.bestSectorTimes[i] !== undefined &&
+                    Math.abs(sectorTime - summary.bestSectorTimes[i]) < 0.001;
+                row.push(formatSectorTime(sectorTime) + (isBestSector ? '*' : ' '));
+            }
+        }
+        row.push(lap.flags.join(' ') + (lap.valid ? '' : ' (invalid)'));
+        return row;
+    });
+    header.push('Flags');
+
+    const widths = header.map((cell, i) => Math.max(cell.length, ...rows.map(row => row[i].length)));
+    const formatRow = row => '  ' + row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+
+    lines.push(formatRow(header));
+    rows.forEach(row => lines.push(formatRow(row)));
+    lines.push('');
+
+    if (summary.bestLapIndex !== -1) {
+        lines.push(`  Best lap: ${summary.laps[summary.bestLapIndex].name} (${formatTime(summary.bestLapTime)})`);
+    }
+    if (summary.theoreticalBest !== null) {
+        const gain = Math.round((summary.theoreticalBest - summary.bestLapTime) * 1000) / 1000;
+        lines.push(`  Theoretical best: ${formatTime(summary.theoreticalBest)} (${formatDiffTime(gain)})`);
+        const sources = summary.idealLapSectors.map((sector, i) => `S${i + 1} ${sector.lapName}`);
+        lines.push(`    from ${sources.join(', ')}`);
+    }
+    if (summary.rollingBest) {
+        const rolling = summary.rollingBest;
+        const gain = Math.round((rolling.time - summary.bestLapTime) * 1000) / 1000;
+        const offset = rolling.startTime - summary.laps[rolling.lapIndex].startTime;
+        lines.push(`  Rolling best: ${formatTime(rolling.time)} (${formatDiffTime(gain)}), starting ${formatSectorTime(offset)}s into ${rolling.lapName}`);
+    }
+    summary.warnings.forEach(warning => lines.push(`  Warning: ${warning}`));
+    lines.push('  * best lap / best sector; invalid laps do not count');
+
+    return lines.join('\n');
+}
+
+function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        console.error(error.message);
+        console.error(USAGE);
+        return 2;
+    }
+
+    if (options.help || !options.files.length) {
+        console.log(USAGE);
+        return options.help ? 0 : 2;
+    }
+
+    let trackLibrary = null;
+    if (options.tracks) {
+        try {
+            trackLibrary = new TrackLibrary({ storage: null });
+            trackLibrary.importJson(fs.readFileSync(options.tracks, 'utf8'));
+        } catch (error) {
+            console.error(`${options.tracks}: ${error.message}`);
+            return 2;
+        }
+    }
+
+    // Keep going after a bad file so one broken log doesn't stop a whole batch
+    const summaries = [];
+    let failed = false;
+    for (const file of options.files) {
+        try {
+            summaries.push(summarizeFile(file, options, trackLibrary));
+        } catch (error) {
+            console.error(`${file}: ${error.message}`);
+            failed = true;
+        }
+    }
+
+    if (options.json) {
+        console.log(JSON.stringify(summaries, null, 2));
+    } else {
+        console.log(summaries.map(formatSummaryText).join('\n\n'));
+    }
+
+    return failed ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
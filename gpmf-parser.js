@@ -0,0 +1,178 @@
+/**
+ * GoPro GPMF GPS extraction.
+ *
+ * GoPro cameras record telemetry in a timed metadata track (`gpmd`) of the
+ * MP4. Each sample is a tree of KLV entries (4-character key, type, struct
+ * size, repeat count); GPS positions are in GPS5 entries (HERO5-HERO10) or
+ * GPS9 entries (HERO11 and later), scaled by the SCAL entry of the same
+ * stream. This module reads those samples through the MP4 parser and returns
+ * GPS points on the video timeline:
+ *
+ *   { time, lat, lon, altitude, speed }
+ *
+ * with time in seconds of video, altitude in metres and speed in km/h.
+ * Loaded as a plain <script> it exposes a global `GpmfParser`; under Node it
+ * is a CommonJS module.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./mp4-parser'));
+    } else {
+        root.GpmfParser = factory(root.Mp4Parser);
+    }
+}(typeof self !== 'undefined' ? self : this, function (Mp4Parser) {
+    'use strict';
+
+    const MS_TO_KMH = 3.6;
+
+    // Byte size of the GPMF value types used by GPS streams
+    const TYPE_SIZES = { b: 1, B: 1, s: 2, S: 2, l: 4, L: 4, f: 4, d: 8, j: 8, J: 8 };
+
+    // GPS9: lat, lon, alt, 2D speed, 3D speed, days, seconds, DOP, fix
+    const GPS9_TYPE = 'lllllllSS';
+
+    function readNumber(view, offset, type) {
+        switch (type) {
+            case 'b': return view.getInt8(offset);
+            case 'B': return view.getUint8(offset);
+            case 's': return view.getInt16(offset);
+            case 'S': return view.getUint16(offset);
+            case 'l': return view.getInt32(offset);
+            case 'L': return view.getUint32(offset);
+            case 'f': return view.getFloat32(offset);
+            case 'd': return view.getFloat64(offset);
+            case 'j': return view.getInt32(offset) * 0x100000000 + view.getUint32(offset + 4);
+            case 'J': return view.getUint32(offset) * 0x100000000 + view.getUint32(offset + 4);
+            default: return NaN;
+        }
+    }
+
+    // All values of an entry, flattened (structs of several values follow each other)
+    function readNumbers(view, entry) {
+        const typeSize = TYPE_SIZES[entry.type];
+        if (!typeSize) return [];
+
+        const count = entry.structSize * entry.repeat / typeSize;
+        const values = [];
+        for (let i = 0; i < count; i++) {
+            values.push(readNumber(view, entry.dataStart + i * typeSize, entry.type));
+        }
+        return values;
+    }
+
+    function readString(view, entry) {
+        let text = '';
+        for (let i = 0; i < entry.structSize * entry.repeat; i++) {
+            text += String.fromCharCode(view.getUint8(entry.dataStart + i));
+        }
+        return text.replace(/\0+$/, '');
+    }
+
+    // Call visit(entry) for every KLV entry between start and end; data is padded to 4 bytes
+    function forEachEntry(view, start, end, visit) {
+        let offset = start;
+        while (offset + 8 <= end) {
+            const entry = {
+                key: String.fromCharCode(view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3)),
+                type: view.getUint8(offset + 4) === 0 ? '' : String.fromCharCode(view.getUint8(offset + 4)),
+                structSize: view.getUint8(offset + 5),
+                repeat: view.getUint16(offset + 6),
+                dataStart: offset + 8
+            };
+            const dataLength = entry.structSize * entry.repeat;
+            if (entry.key === '\0\0\0\0' || entry.dataStart + dataLength > end) break;
+
+            visit(entry);
+            offset = entry.dataStart + Math.ceil(dataLength / 4) * 4;
+        }
+    }
+
+    // GPS points of one STRM entry, if it is a GPS stream with a usable fix
+    function parseGpsStream(view, stream) {
+        const points = [];
+        let scale = [1];
+        let fix = 3; // Older firmware without GPSF is assumed to have a fix
+        let typeDefinition = '';
+
+        forEachEntry(view, stream.dataStart, stream.dataStart + stream.structSize * stream.repeat, entry => {
+            switch (entry.key) {
+                case 'SCAL':
+                    scale = readNumbers(view, entry);
+                    break;
+                case 'GPSF':
+                    fix = readNumbers(view, entry)[0];
+                    break;
+                case 'TYPE':
+                    typeDefinition = readString(view, entry);
+                    break;
+                case 'GPS5': {
+                    if (fix < 2) break; // No 2D/3D lock
+                    const values = readNumbers(view, entry);
+                    const fields = entry.structSize / TYPE_SIZES[entry.type];
+                    for (let i = 0; i + fields <= values.length; i += fields) {
+                        const scaled = values.slice(i, i + fields).map((value, field) => value / (scale[field] || scale[0] || 1));
+                        points.push({ lat: scaled[0], lon: scaled[1], altitude: scaled[2], speed: scaled[3] * MS_TO_KMH });
+                    }
+                    break;
+                }
+                case 'GPS9': {
+                    if (typeDefinition !== GPS9_TYPE) break;
+                    for (let i = 0; i < entry.repeat; i++) {
+                        const offset = entry.dataStart + i * entry.structSize;
+                        const pointFix = view.getUint16(offset + 30);
+                        if (pointFix < 2) continue;
+                        const value = field => view.getInt32(offset + field * 4) / (scale[field] || scale[0] || 1);
+                        points.push({ lat: value(0), lon: value(1), altitude: value(2), speed: value(3) * MS_TO_KMH });
+                    }
+                    break;
+                }
+            }
+        });
+
+        return points.filter(point => point.lat !== 0 || point.lon !== 0);
+    }
+
+    // GPS points of one GPMF sample, in recording order
+    function parseGpmfSample(view) {
+        const points = [];
+        forEachEntry(view, 0, view.byteLength, device => {
+            if (device.key !== 'DEVC') return;
+            forEachEntry(view, device.dataStart, device.dataStart + device.structSize * device.repeat, stream => {
+                if (stream.key === 'STRM') {
+                    points.push(...parseGpsStream(view, stream));
+                }
+            });
+        });
+        return points;
+    }
+
+    function getGpmfTrack(movie) {
+        return movie.tracks.find(track => track.codec === 'gpmd' && track.sampleCount > 0) || null;
+    }
+
+    // GPS recorded by a GoPro, timed on the video timeline; empty when the file has no GPMF track
+    async function readGoProGps(read, movie) {
+        const track = getGpmfTrack(movie);
+        if (!track) return [];
+
+        const points = [];
+        for (const sample of Mp4Parser.getSampleTable(track, movie.timescale)) {
+            const data = await read(sample.offset, sample.size);
+            const view = data instanceof ArrayBuffer ? new DataView(data) : new DataView(data.buffer, data.byteOffset, data.byteLength);
+            const samplePoints = parseGpmfSample(view);
+
+            // A sample holds about one second of GPS; spread its points evenly over the sample
+            samplePoints.forEach((point, i) => {
+                points.push({ time: sample.time + i * sample.duration / samplePoints.length, ...point });
+            });
+        }
+
+        return points;
+    }
+
+    return {
+        getGpmfTrack,
+        parseGpmfSample,
+        readGoProGps
+    };
+}));
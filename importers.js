@@ -0,0 +1,750 @@
+/**
+ * Telemetry importers.
+ *
+ * Each importer recognises one logger's file format and maps it to the common
+ * telemetry point shape used by the rest of the app:
+ *
+ *   { time, speed, latAcc, lonAcc, altitude, lat, lon, heading }
+ *
+ * with time in seconds, speed in km/h, accelerations in g, altitude in metres
+ * and heading in degrees. Any other numeric column the logger recorded (RPM,
+ * throttle, brake pressure, ...) is kept on the point as
+ * `point.channels[name]`, in the logger's own units. An importer's parse()
+ * returns `{ telemetryData, lapTimes, headers, channels }`, where channels
+ * lists those extra columns as `{ name, unit }`; lapTimes may be empty when the
+ * format carries no lap markers.
+ *
+ * New formats are added with registerImporter(); detection tries importers in
+ * registration order, so more specific formats must be registered first.
+ * Loaded as a plain <script> this exposes a global `TelemetryImporters`;
+ * under Node it is a CommonJS module.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TelemetryImporters = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const GRAVITY = 9.81; // m/s² per g
+    const KNOTS_TO_KMH = 1.852;
+    const MS_TO_KMH = 3.6;
+    const MPH_TO_KMH = 1.609344;
+
+    const importers = [];
+
+    function registerImporter(importer) {
+        importers.push(importer);
+    }
+
+    function getImporters() {
+        return importers.slice();
+    }
+
+    function getSupportedExtensions() {
+        const extensions = new Set();
+        importers.forEach(importer => importer.extensions.forEach(ext => extensions.add(ext)));
+        return Array.from(extensions);
+    }
+
+    function detectImporter(text, fileName = '') {
+        return importers.find(importer => importer.detect(text, fileName.toLowerCase())) || null;
+    }
+
+    // Detect the format of a log file and convert it to telemetry points
+    function importTelemetry(text, fileName = '') {
+        const importer = detectImporter(text, fileName);
+        if (!importer) {
+            throw new Error('Unrecognised telemetry format. Supported: ' + importers.map(i => i.name).join(', '));
+        }
+
+        const result = importer.parse(text);
+        if (!result.telemetryData.length) {
+            throw new Error(`No telemetry data points found in ${importer.name} file`);
+        }
+
+        return {
+            format: importer.id,
+            formatName: importer.name,
+            lapTimes: [],
+            headers: [],
+            channels: [],
+            ...result
+        };
+    }
+
+    // --- Shared parsing helpers ---
+
+    function parseCsvLine(line) {
+        const result = [];
+        let current = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+
+            if (char === '"') {
+                inQuotes = !inQuotes;
+            } else if (char === ',' && !inQuotes) {
+                result.push(current.trim());
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+
+        result.push(current.trim());
+        return result;
+    }
+
+    function parseTimeString(timeStr) {
+        // Parse time strings like "1:03.608" to seconds
+        const parts = timeStr.split(':');
+        if (parts.length === 2) {
+            const minutes = parseInt(parts[0]);
+            const seconds = parseFloat(parts[1]);
+            return minutes * 60 + seconds;
+        }
+        return parseFloat(timeStr);
+    }
+
+    // Index of the first of `candidates` (in order of preference) among the column names, or -1
+    function findColumn(names, candidates) {
+        for (const candidate of candidates) {
+            const index = names.indexOf(candidate);
+            if (index !== -1) return index;
+        }
+        return -1;
+    }
+
+    function toNumber(value, fallback = 0) {
+        const number = parseFloat(value);
+        return isNaN(number) ? fallback : number;
+    }
+
+    function calculateGpsDistance(lat1, lon1, lat2, lon2) {
+        // Haversine formula to calculate distance between two GPS points
+        const R = 6371; // Earth's radius in kilometers
+        const dLat = (lat2 - lat1) * Math.PI / 180;
+        const dLon = (lon2 - lon1) * Math.PI / 180;
+        const a =
+            Math.sin(dLat/2) * Math.sin(dLat/2) +
+            Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+            Math.sin(dLon/2) * Math.sin(dLon/2);
+        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+        return R * c; // Distance in kilometers
+    }
+
+    function calculateBearing(lat1, lon1, lat2, lon2) {
+        const phi1 = lat1 * Math.PI / 180;
+        const phi2 = lat2 * Math.PI / 180;
+        const dLon = (lon2 - lon1) * Math.PI / 180;
+        const y = Math.sin(dLon) * Math.cos(phi2);
+        const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLon);
+        return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+    }
+
+    function createPoint(values) {
+        return {
+            time: values.time,
+            speed: values.speed || 0,
+            latAcc: values.latAcc || 0,
+            lonAcc: values.lonAcc || 0,
+            altitude: values.altitude || 0,
+            lat: values.lat || 0,
+            lon: values.lon || 0,
+            heading: values.heading || 0,
+            channels: values.channels || {}
+        };
+    }
+
+    // Reads every column not mapped to a standard point field as a named channel. Empty cells
+    // (mixed-rate logs) carry the previous value; columns that never hold a number are dropped.
+    function createChannelReader(names, units, mappedIndices) {
+        const seen = new Map();
+        const columns = [];
+        names.forEach((name, index) => {
+            if (!name || mappedIndices.includes(index)) return;
+            const count = (seen.get(name) || 0) + 1;
+            seen.set(name, count);
+            columns.push({ name: count > 1 ? `${name} ${count}` : name, unit: units[index] || '', index });
+        });
+        const lastValues = columns.map(() => null);
+
+        return {
+            read(values) {
+                const channels = {};
+                columns.forEach((column, i) => {
+                    const number = parseFloat(values[column.index]);
+                    if (!isNaN(number)) lastValues[i] = number;
+                    if (lastValues[i] !== null) channels[column.name] = lastValues[i];
+                });
+                return channels;
+            },
+
+            // Channel list once all rows have been read
+            getChannels() {
+                return columns
+                    .filter((column, i) => lastValues[i] !== null)
+                    .map(({ name, unit }) => ({ name, unit }));
+            }
+        };
+    }
+
+    // Shift times so the log starts at zero, for formats that record wall-clock time
+    function normalizeTimes(points) {
+        if (!points.length) return points;
+        const startTime = points[0].time;
+        points.forEach(point => { point.time -= startTime; });
+        return points;
+    }
+
+    // Fill in speed and heading from consecutive positions, for logs that only record a track
+    function deriveSpeedAndHeading(points, { speed = true, heading = true } = {}) {
+        for (let i = 0; i < points.length; i++) {
+            const before = points[Math.max(0, i - 1)];
+            const after = points[Math.min(points.length - 1, i + 1)];
+            const timeDiff = after.time - before.time;
+            if (timeDiff <= 0) continue;
+
+            if (speed) {
+                const distanceKm = calculateGpsDistance(before.lat, before.lon, after.lat, after.lon);
+                points[i].speed = distanceKm / timeDiff * 3600;
+            }
+            if (heading && (before.lat !== after.lat || before.lon !== after.lon)) {
+                points[i].heading = calculateBearing(before.lat, before.lon, after.lat, after.lon);
+            }
+        }
+        return points;
+    }
+
+    // Estimate lateral and longitudinal g from speed and heading changes, for loggers without
+    // accelerometers; a channel the logger did record is left as it is
+    function deriveAccelerations(points, { lateral = true, longitudinal = true } = {}) {
+        for (let i = 0; i < points.length; i++) {
+            const before = points[Math.max(0, i - 1)];
+            const after = points[Math.min(points.length - 1, i + 1)];
+            const timeDiff = after.time - before.time;
+            if (timeDiff <= 0) continue;
+
+            const speedMs = points[i].speed / MS_TO_KMH;
+            const speedChange = (after.speed - before.speed) / MS_TO_KMH;
+            let headingChange = after.heading - before.heading;
+            if (headingChange > 180) headingChange -= 360;
+            if (headingChange < -180) headingChange += 360;
+
+            if (longitudinal) {
+                points[i].lonAcc = speedChange / timeDiff / GRAVITY;
+            }
+            if (lateral) {
+                points[i].latAcc = speedMs * (headingChange * Math.PI / 180) / timeDiff / GRAVITY;
+            }
+        }
+        return points;
+    }
+
+    // Convert lap-number changes into lap durations (the first entry is the out lap)
+    function lapTimesFromLapNumbers(points, lapNumbers) {
+        const lapTimes = [];
+        let lapStartTime = points[0].time;
+        for (let i = 1; i < points.length; i++) {
+            if (lapNumbers[i] !== lapNumbers[i - 1]) {
+                lapTimes.push(points[i].time - lapStartTime);
+                lapStartTime = points[i].time;
+            }
+        }
+        if (lapTimes.length) {
+            lapTimes.push(points[points.length - 1].time - lapStartTime);
+        }
+        return lapTimes;
+    }
+
+    // --- AiM Race Studio CSV export ---
+
+    const aimImporter = {
+        id: 'aim',
+        name: 'AiM CSV',
+        extensions: ['.csv'],
+
+        detect(text) {
+            const head = text.slice(0, 20000);
+            return head.includes('"Time"') && head.includes('"GPS Speed"');
+        },
+
+        parse(csvText) {
+            const lines = csvText.split('\n');
+            let lapTimes = [];
+            let headerIndex = -1;
+            let dataStartIndex = -1;
+
+            // Find the header line and segment times
+            for (let i = 0; i < lines.length; i++) {
+                const line = lines[i].trim();
+
+                // Parse segment times (lap times)
+                if (line.startsWith('"Segment Times"')) {
+                    const timesStr = line.substring(line.indexOf(',') + 1);
+                    const timeMatches = timesStr.match(/"([^"]+)"/g);
+                    if (timeMatches) {
+                        lapTimes = timeMatches.map(match => {
+                            const timeStr = match.replace(/"/g, '');
+                            return parseTimeString(timeStr);
+                        });
+                    }
+                    continue;
+                }
+
+                // Find the data header
+                if (line.includes('"Time"') && line.includes('"GPS Speed"')) {
+                    headerIndex = i;
+                    dataStartIndex = i + 2; // Skip header and units line
+                    break;
+                }
+            }
+
+            if (headerIndex === -1 || dataStartIndex === -1) {
+                throw new Error('Could not find data header in CSV file');
+            }
+
+            // Parse header to find column indices
+            const headers = parseCsvLine(lines[headerIndex]);
+            const timeIndex = headers.indexOf('Time');
+            const speedIndex = headers.indexOf('GPS Speed');
+            const latAccIndex = headers.indexOf('GPS LatAcc');
+            const lonAccIndex = headers.indexOf('GPS LonAcc');
+            const altitudeIndex = headers.indexOf('Altitude');
+            const latIndex = headers.indexOf('GPS Latitude');
+            const lonIndex = headers.indexOf('GPS Longitude');
+            const headingIndex = headers.indexOf('GPS Heading');
+
+            if (timeIndex === -1 || speedIndex === -1) {
+                throw new Error('Could not find Time or GPS Speed columns');
+            }
+
+            // The line after the header holds each column's unit
+            const units = parseCsvLine(lines[headerIndex + 1] || '');
+            const channelReader = createChannelReader(headers, units,
+                [timeIndex, speedIndex, latAccIndex, lonAccIndex, altitudeIndex, latIndex, lonIndex, headingIndex]);
+
+            // Parse data rows
+            const telemetryData = [];
+            const maxIndex = Math.max(timeIndex, speedIndex, latAccIndex, lonAccIndex, altitudeIndex, latIndex, lonIndex, headingIndex);
+
+            for (let i = dataStartIndex; i < lines.length; i++) {
+                const line = lines[i].trim();
+                if (!line) continue;
+
+                const values = parseCsvLine(line);
+                if (values.length > maxIndex) {
+                    const time = parseFloat(values[timeIndex]);
+                    const speed = parseFloat(values[speedIndex]);
+
+                    if (!isNaN(time) && !isNaN(speed)) {
+                        telemetryData.push(createPoint({
+                            time: time,
+                            speed: speed,
+                            latAcc: latAccIndex !== -1 ? toNumber(values[latAccIndex]) : 0,
+                            lonAcc: lonAccIndex !== -1 ? toNumber(values[lonAccIndex]) : 0,
+                            altitude: altitudeIndex !== -1 ? toNumber(values[altitudeIndex]) : 0,
+                            lat: latIndex !== -1 ? toNumber(values[latIndex]) : 0,
+                            lon: lonIndex !== -1 ? toNumber(values[lonIndex]) : 0,
+                            heading: headingIndex !== -1 ? toNumber(values[headingIndex]) : 0,
+                            channels: channelReader.read(values)
+                        }));
+                    }
+                }
+            }
+
+            return { telemetryData, lapTimes, headers, channels: channelReader.getChannels() };
+        }
+    };
+
+    // --- Racelogic VBOX .vbo ---
+
+    const vboxImporter = {
+        id: 'vbox',
+        name: 'Racelogic VBOX',
+        extensions: ['.vbo'],
+
+        detect(text, fileName) {
+            return fileName.endsWith('.vbo') ||
+                (text.includes('[column names]') && text.includes('[data]'));
+        },
+
+        // VBOX writes latitude/longitude in minutes, with longitude positive to the west
+        parseMinutes(value, negate) {
+            const minutes = parseFloat(value);
+            if (isNaN(minutes)) return 0;
+            return (negate ? -minutes : minutes) / 60;
+        },
+
+        // UTC time of day as HHMMSS.SS
+        parseUtcTime(value) {
+            const number = parseFloat(value);
+            if (isNaN(number)) return NaN;
+            const hours = Math.floor(number / 10000);
+            const minutes = Math.floor((number % 10000) / 100);
+            const seconds = number % 100;
+            return hours * 3600 + minutes * 60 + seconds;
+        },
+
+        parse(text) {
+            const lines = text.split(/\r?\n/);
+            let section = '';
+            let columns = [];
+            let columnNames = [];
+            const rows = [];
+
+            for (const rawLine of lines) {
+                const line = rawLine.trim();
+                if (!line) continue;
+
+                const sectionMatch = line.match(/^\[(.+)\]$/);
+                if (sectionMatch) {
+                    section = sectionMatch[1].toLowerCase();
+                    continue;
+                }
+
+                if (section === 'column names') {
+                    columnNames = line.split(/\s+/);
+                    columns = columnNames.map(name => name.toLowerCase());
+                } else if (section === 'data') {
+                    rows.push(line.split(/\s+/));
+                }
+            }
+
+            if (!columns.length) {
+                throw new Error('Could not find [column names] section in VBOX file');
+            }
+
+            const column = (...candidates) => findColumn(columns, candidates);
+            const timeIndex = column('time');
+            const latIndex = column('lat');
+            const lonIndex = column('long');
+            const speedIndex = column('velocity');
+            const headingIndex = column('heading');
+            const altitudeIndex = column('height');
+            const latAccIndex = column('latacc', 'lat_acc', 'lateral_acceleration');
+            const lonAccIndex = column('longacc', 'long_acc', 'longitudinal_acceleration');
+
+            if (timeIndex === -1 || latIndex === -1 || lonIndex === -1) {
+                throw new Error('Could not find time, lat or long columns in VBOX file');
+            }
+
+            // VBOX files carry no units, so the extra channels are unitless
+            const channelReader = createChannelReader(columnNames, [],
+                [timeIndex, latIndex, lonIndex, speedIndex, headingIndex, altitudeIndex, latAccIndex, lonAccIndex]);
+
+            const telemetryData = [];
+            let previousTime = -Infinity;
+            let dayOffset = 0;
+
+            for (const values of rows) {
+                let time = this.parseUtcTime(values[timeIndex]);
+                if (isNaN(time)) continue;
+
+                // Handle logs that run past midnight UTC
+                if (time + dayOffset < previousTime - 43200) {
+                    dayOffset += 86400;
+                }
+                time += dayOffset;
+                previousTime = time;
+
+                telemetryData.push(createPoint({
+                    time: time,
+                    speed: speedIndex !== -1 ? toNumber(values[speedIndex]) : 0,
+                    latAcc: latAccIndex !== -1 ? toNumber(values[latAccIndex]) : 0,
+                    lonAcc: lonAccIndex !== -1 ? toNumber(values[lonAccIndex]) : 0,
+                    altitude: altitudeIndex !== -1 ? toNumber(values[altitudeIndex]) : 0,
+                    lat: this.parseMinutes(values[latIndex], false),
+                    lon: this.parseMinutes(values[lonIndex], true),
+                    heading: headingIndex !== -1 ? toNumber(values[headingIndex]) : 0,
+                    channels: channelReader.read(values)
+                }));
+            }
+
+            normalizeTimes(telemetryData);
+            if (speedIndex === -1 || headingIndex === -1) {
+                deriveSpeedAndHeading(telemetryData, { speed: speedIndex === -1, heading: headingIndex === -1 });
+            }
+            if (latAccIndex === -1 || lonAccIndex === -1) {
+                deriveAccelerations(telemetryData, { lateral: latAccIndex === -1, longitudinal: lonAccIndex === -1 });
+            }
+
+            return { telemetryData, lapTimes: [], headers: columns, channels: channelReader.getChannels() };
+        }
+    };
+
+    // --- GPX track (phone apps, handheld GPS) ---
+
+    const gpxImporter = {
+        id: 'gpx',
+        name: 'GPX',
+        extensions: ['.gpx'],
+
+        detect(text, fileName) {
+            return fileName.endsWith('.gpx') || /<gpx[\s>]/.test(text.slice(0, 2000));
+        },
+
+        readTag(content, tag) {
+            // Match the tag with or without a namespace prefix, e.g. <speed> or <gpxtpx:speed>
+            const match = content.match(new RegExp(`<(?:\\w+:)?${tag}>([^<]*)</(?:\\w+:)?${tag}>`));
+            return match ? match[1].trim() : null;
+        },
+
+        readAttribute(attributes, name) {
+            const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']+)["']`));
+            return match ? parseFloat(match[1]) : NaN;
+        },
+
+        parse(text) {
+            const telemetryData = [];
+            let hasSpeed = true;
+            let hasHeading = true;
+            const pointPattern = /<trkpt\b([^>]*?)(?:\/>|>([\s\S]*?)<\/trkpt>)/g;
+            let match;
+
+            while ((match = pointPattern.exec(text)) !== null) {
+                const attributes = match[1];
+                const content = match[2] || '';
+                const timeStr = this.readTag(content, 'time');
+                const time = timeStr ? Date.parse(timeStr) / 1000 : NaN;
+                if (isNaN(time)) continue;
+
+                const speedStr = this.readTag(content, 'speed');
+                const courseStr = this.readTag(content, 'course');
+                if (speedStr === null) hasSpeed = false;
+                if (courseStr === null) hasHeading = false;
+
+                telemetryData.push(createPoint({
+                    time: time,
+                    speed: speedStr !== null ? toNumber(speedStr) * MS_TO_KMH : 0, // GPX speed is m/s
+                    altitude: toNumber(this.readTag(content, 'ele')),
+                    lat: toNumber(this.readAttribute(attributes, 'lat')),
+                    lon: toNumber(this.readAttribute(attributes, 'lon')),
+                    heading: courseStr !== null ? toNumber(courseStr) : 0
+                }));
+            }
+
+            normalizeTimes(telemetryData);
+            deriveSpeedAndHeading(telemetryData, { speed: !hasSpeed, heading: !hasHeading });
+            deriveAccelerations(telemetryData);
+
+            return { telemetryData, lapTimes: [], headers: [] };
+        }
+    };
+
+    // --- NMEA 0183 sentence log (RMC for position/speed/course, GGA for altitude) ---
+
+    const nmeaImporter = {
+        id: 'nmea',
+        name: 'NMEA',
+        extensions: ['.nmea', '.nme', '.log', '.txt'],
+
+        detect(text) {
+            return /^\$G[PNLA](RMC|GGA),/m.test(text.slice(0, 5000));
+        },
+
+        // ddmm.mmmm / dddmm.mmmm with hemisphere letter
+        parseCoordinate(value, hemisphere) {
+            const number = parseFloat(value);
+            if (isNaN(number)) return 0;
+            const degrees = Math.floor(number / 100);
+            const decimal = degrees + (number - degrees * 100) / 60;
+            return hemisphere === 'S' || hemisphere === 'W' ? -decimal : decimal;
+        },
+
+        parseTimeOfDay(value) {
+            const number = parseFloat(value);
+            if (isNaN(number)) return NaN;
+            return Math.floor(number / 10000) * 3600 + Math.floor((number % 10000) / 100) * 60 + number % 100;
+        },
+
+        parse(text) {
+            const telemetryData = [];
+            const altitudes = new Map(); // GGA altitude by time-of-day string
+            let previousTime = -Infinity;
+            let dayOffset = 0;
+
+            const lines = text.split(/\r?\n/);
+            for (const rawLine of lines) {
+                const line = rawLine.trim().replace(/\*[0-9A-F]{2}$/i, '');
+                const fields = line.split(',');
+                const type = fields[0].slice(3);
+
+                if (type === 'GGA' && fields.length > 9) {
+                    altitudes.set(fields[1], toNumber(fields[9]));
+                } else if (type === 'RMC' && fields.length > 8 && fields[2] === 'A') {
+                    let time = this.parseTimeOfDay(fields[1]);
+                    if (isNaN(time)) continue;
+                    if (time + dayOffset < previousTime - 43200) {
+                        dayOffset += 86400;
+                    }
+                    time += dayOffset;
+                    previousTime = time;
+
+                    const point = createPoint({
+                        time: time,
+                        speed: toNumber(fields[7]) * KNOTS_TO_KMH,
+                        lat: this.parseCoordinate(fields[3], fields[4]),
+                        lon: this.parseCoordinate(fields[5], fields[6]),
+                        heading: toNumber(fields[8])
+                    });
+                    point.timeKey = fields[1];
+                    telemetryData.push(point);
+                }
+            }
+
+            // GGA usually arrives right before or after RMC with the same timestamp
+            telemetryData.forEach(point => {
+                point.altitude = altitudes.get(point.timeKey) || 0;
+                delete point.timeKey;
+            });
+
+            normalizeTimes(telemetryData);
+            deriveAccelerations(telemetryData);
+
+            return { telemetryData, lapTimes: [], headers: [] };
+        }
+    };
+
+    // --- RaceChrono CSV export (v2 "Name (unit)" headers and v3 separate units row) ---
+
+    const raceChronoImporter = {
+        id: 'racechrono',
+        name: 'RaceChrono CSV',
+        extensions: ['.csv'],
+
+        findHeaderIndex(lines) {
+            return lines.findIndex(line => /latitude/i.test(line) && /longitude/i.test(line) && /speed/i.test(line));
+        },
+
+        detect(text) {
+            const head = text.slice(0, 5000);
+            return /racechrono/i.test(head) || this.findHeaderIndex(head.split('\n')) !== -1;
+        },
+
+        parse(text) {
+            const lines = text.split(/\r?\n/);
+            const headerIndex = this.findHeaderIndex(lines);
+            if (headerIndex === -1) {
+                throw new Error('Could not find data header in RaceChrono CSV file');
+            }
+
+            // Split "Speed (km/h)" style headers into name and unit
+            const rawHeaders = parseCsvLine(lines[headerIndex]);
+            const names = rawHeaders.map(header => header.replace(/\s*\(.*\)\s*$/, '').trim().toLowerCase());
+            const units = rawHeaders.map(header => {
+                const unitMatch = header.match(/\(([^)]*)\)\s*$/);
+                return unitMatch ? unitMatch[1].toLowerCase() : '';
+            });
+
+            // v3 exports put units and channel sources on the next two rows instead
+            let dataStartIndex = headerIndex + 1;
+            while (dataStartIndex < lines.length) {
+                const values = parseCsvLine(lines[dataStartIndex]);
+                if (values.some(value => value !== '' && !isNaN(parseFloat(value)))) break;
+                if (dataStartIndex === headerIndex + 1) {
+                    values.forEach((unit, i) => { if (unit && !units[i]) units[i] = unit.toLowerCase(); });
+                }
+                dataStartIndex++;
+            }
+
+            const column = (...candidates) => findColumn(names, candidates);
+            const timeIndex = column('elapsed time', 'time', 'timestamp');
+            const speedIndex = column('speed', 'gps speed');
+            const latIndex = column('latitude');
+            const lonIndex = column('longitude');
+            const headingIndex = column('bearing', 'heading');
+            const altitudeIndex = column('altitude');
+            const latAccIndex = column('lateral acceleration');
+            const lonAccIndex = column('longitudinal acceleration');
+            const lapIndex = column('lap #', 'lap', 'lap number');
+
+            if (timeIndex === -1 || latIndex === -1 || lonIndex === -1) {
+                throw new Error('Could not find time or position columns in RaceChrono CSV file');
+            }
+
+            // Channel names keep the export's capitalisation, e.g. "Throttle position"
+            const channelNames = rawHeaders.map(header => header.replace(/\s*\(.*\)\s*$/, '').trim());
+            const channelReader = createChannelReader(channelNames, units,
+                [timeIndex, speedIndex, latIndex, lonIndex, headingIndex, altitudeIndex, latAccIndex, lonAccIndex, lapIndex]);
+
+            const speedUnit = speedIndex !== -1 ? units[speedIndex] : '';
+            const speedFactor = speedUnit === 'm/s' ? MS_TO_KMH : speedUnit === 'mph' ? MPH_TO_KMH : 1;
+
+            const telemetryData = [];
+            const lapNumbers = [];
+            // Mixed-rate exports leave cells empty when a channel has no new sample; carry the last value
+            const lastValues = {};
+            const read = (values, index, key) => {
+                if (index === -1) return 0;
+                const number = parseFloat(values[index]);
+                if (!isNaN(number)) lastValues[key] = number;
+                return lastValues[key] || 0;
+            };
+
+            for (let i = dataStartIndex; i < lines.length; i++) {
+                const line = lines[i].trim();
+                if (!line) continue;
+
+                const values = parseCsvLine(line);
+                const time = parseFloat(values[timeIndex]);
+                if (isNaN(time)) continue;
+
+                // Read every row so channels sampled between position fixes still carry forward
+                const channels = channelReader.read(values);
+                const lat = read(values, latIndex, 'lat');
+                const lon = read(values, lonIndex, 'lon');
+                if (!lat && !lon) continue;
+
+                telemetryData.push(createPoint({
+                    time: time,
+                    speed: read(values, speedIndex, 'speed') * speedFactor,
+                    latAcc: read(values, latAccIndex, 'latAcc'),
+                    lonAcc: read(values, lonAccIndex, 'lonAcc'),
+                    altitude: read(values, altitudeIndex, 'altitude'),
+                    lat: lat,
+                    lon: lon,
+                    heading: read(values, headingIndex, 'heading'),
+                    channels: channels
+                }));
+                if (lapIndex !== -1 && values[lapIndex]) lastValues.lap = values[lapIndex];
+                lapNumbers.push(lastValues.lap || '');
+            }
+
+            normalizeTimes(telemetryData);
+            if (speedIndex === -1 || headingIndex === -1) {
+                deriveSpeedAndHeading(telemetryData, { speed: speedIndex === -1, heading: headingIndex === -1 });
+            }
+            if (latAccIndex === -1 || lonAccIndex === -1) {
+                deriveAccelerations(telemetryData, { lateral: latAccIndex === -1, longitudinal: lonAccIndex === -1 });
+            }
+
+            const lapTimes = lapIndex !== -1 && telemetryData.length ? lapTimesFromLapNumbers(telemetryData, lapNumbers) : [];
+
+            return { telemetryData, lapTimes, headers: rawHeaders, channels: channelReader.getChannels() };
+        }
+    };
+
+    // Specific formats first; RaceChrono's header sniffing is the most permissive
+    registerImporter(aimImporter);
+    registerImporter(vboxImporter);
+    registerImporter(gpxImporter);
+    registerImporter(nmeaImporter);
+    registerImporter(raceChronoImporter);
+
+    return {
+        registerImporter,
+        getImporters,
+        getSupportedExtensions,
+        detectImporter,
+        importTelemetry,
+        parseCsvLine,
+        parseTimeString,
+        calculateGpsDistance,
+        calculateBearing
+    };
+}));
@@ -0,0 +1,482 @@
+/**
+ * Offline map tiles.
+ *
+ * TileStore keeps downloaded map tiles in IndexedDB, keyed by layer and tile
+ * coordinates, so the map background still works at circuits without mobile
+ * data. It holds at most `maxTiles` tiles and drops the least recently used
+ * ones beyond that, or when the browser's storage quota is full.
+ *
+ * MBTilesReader reads raster tiles from an MBTiles file (an SQLite database)
+ * without any SQLite library: only the parts of the file format needed to
+ * walk table b-trees and decode records are implemented, and the file is read
+ * through `read(offset, length)` (a Promise of an ArrayBuffer or Uint8Array),
+ * so large tile sets are never loaded into memory; in the browser use
+ * readerForFile(file). Loaded as a plain <script> this exposes a global
+ * `MapTiles`; under Node it is a CommonJS module (pass an `indexedDB`
+ * implementation to use the store there).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.MapTiles = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const DB_NAME = 'videoFrameAnalyzerTiles';
+    const DB_VERSION = 2;
+    const STORE_NAME = 'tiles';
+
+    // Tile store limits: the most tiles kept (a few hundred MB of typical raster tiles, room for
+    // several downloaded tracks), how many of the least recently used go when the quota is full, and
+    // how old a tile's last use must be before reading it is written back
+    const MAX_STORED_TILES = 10000;
+    const QUOTA_EVICTION_COUNT = 500;
+    const ACCESS_UPDATE_INTERVAL = 60 * 60 * 1000;
+
+    const SQLITE_HEADER = 'SQLite format 3\0';
+
+    // The schema table every SQLite file starts with (its b-tree is rooted at page 1)
+    const SQLITE_MASTER = {
+        rootPage: 1,
+        sql: 'CREATE TABLE sqlite_master(type text, name text, tbl_name text, rootpage integer, sql text)'
+    };
+
+    // B-tree page types (first byte of the page header)
+    const TABLE_INTERIOR_PAGE = 0x05;
+    const TABLE_LEAF_PAGE = 0x0d;
+
+    // Raster formats an <img> can show; vector (pbf) tile sets need a renderer
+    const RASTER_FORMATS = ['png', 'jpg', 'jpeg', 'webp'];
+    const TILE_MIME_TYPES = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', webp: 'image/webp' };
+
+    function tileKey(layer, zoom, x, y) {
+        return `${layer}/${zoom}/${x}/${y}`;
+    }
+
+    // Wrap an IndexedDB request in a Promise
+    function promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    class TileStore {
+        constructor(options = {}) {
+            this.indexedDB = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+            this.dbName = options.dbName || DB_NAME;
+            this.maxTiles = options.maxTiles || MAX_STORED_TILES;
+            this.dbPromise = null;
+        }
+
+        open() {
+            if (!this.indexedDB) {
+                return Promise.reject(new Error('IndexedDB is not available'));
+            }
+
+            if (!this.dbPromise) {
+                const request = this.indexedDB.open(this.dbName, DB_VERSION);
+                request.onupgradeneeded = event => {
+                    const store = event.oldVersion < 1 ?
+                        request.result.createObjectStore(STORE_NAME, { keyPath: 'key' }) :
+                        request.transaction.objectStore(STORE_NAME);
+                    if (event.oldVersion < 1) {
+                        store.createIndex('layer', 'layer');
+                    }
+                    if (event.oldVersion < 2) {
+                        // Tiles stored before last use was tracked count as last used when they were saved
+                        store.createIndex('accessed', 'accessed');
+                        const cursorRequest = store.openCursor();
+                        cursorRequest.onsuccess = () => {
+                            const cursor = cursorRequest.result;
+                            if (cursor) {
+                                cursor.update({ ...cursor.value, accessed: cursor.value.savedAt || 0 });
+                                cursor.continue();
+                            }
+                        };
+                    }
+                };
+                this.dbPromise = promisify(request);
+            }
+            return this.dbPromise;
+        }
+
+        // Result of the request `action` makes, once the transaction has committed; a full storage
+        // quota aborts the transaction (QuotaExceededError) rather than failing the request
+        async transaction(mode, action) {
+            const db = await this.open();
+            const transaction = db.transaction(STORE_NAME, mode);
+            const result = promisify(action(transaction.objectStore(STORE_NAME)));
+            result.catch(() => {}); // Reported through the transaction below
+            await new Promise((resolve, reject) => {
+                transaction.oncomplete = () => resolve();
+                transaction.onabort = () => reject(transaction.error);
+            });
+            return result;
+        }
+
+        // Stored image Blob of a tile, or null. Reading a tile marks it as recently used, at most once per
+        // ACCESS_UPDATE_INTERVAL so that drawing the map doesn't rewrite every tile it shows
+        async get(layer, zoom, x, y) {
+            const record = await this.transaction('readonly', store => store.get(tileKey(layer, zoom, x, y)));
+            if (!record) return null;
+
+            const now = Date.now();
+            if (!(record.accessed > now - ACCESS_UPDATE_INTERVAL)) {
+                // A failed update only makes the tile look older than it is
+                this.transaction('readwrite', store => store.put({ ...record, accessed: now })).catch(() => {});
+            }
+            return record.blob;
+        }
+
+        // Store a tile, dropping the least recently used tiles beyond maxTiles. When the storage quota
+        // is full, QUOTA_EVICTION_COUNT tiles are dropped and the tile stored again; if that fails too the
+        // QuotaExceededError is thrown.
+        async put(layer, zoom, x, y, blob) {
+            const now = Date.now();
+            const record = { key: tileKey(layer, zoom, x, y), layer, blob, savedAt: now, accessed: now };
+            try {
+                await this.transaction('readwrite', store => store.put(record));
+            } catch (error) {
+                if (!error || error.name !== 'QuotaExceededError') throw error;
+                await this.evict(QUOTA_EVICTION_COUNT);
+                await this.transaction('readwrite', store => store.put(record));
+            }
+
+            const excess = (await this.transaction('readonly', store => store.count())) - this.maxTiles;
+            if (excess > 0) {
+                await this.evict(excess);
+            }
+        }
+
+        // Delete the `count` least recently used tiles of all layers; resolves to the number deleted
+        async evict(count) {
+            return this.deleteFromIndex('accessed', null, count);
+        }
+
+        // Delete, in one transaction, up to `limit` tiles in index order whose index key matches `query`
+        // (any key when null); only keys are read, not the images. Resolves to the number deleted.
+        async deleteFromIndex(indexName, query, limit = Infinity) {
+            const db = await this.open();
+            return new Promise((resolve, reject) => {
+                const transaction = db.transaction(STORE_NAME, 'readwrite');
+                const store = transaction.objectStore(STORE_NAME);
+                const request = store.index(indexName).openKeyCursor(query);
+                let deleted = 0;
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (cursor && deleted < limit) {
+                        store.delete(cursor.primaryKey);
+                        deleted++;
+                        cursor.continue();
+                    }
+                };
+                transaction.oncomplete = () => resolve(deleted);
+                transaction.onabort = () => reject(transaction.error);
+            });
+        }
+
+        async has(layer, zoom, x, y) {
+            return (await this.transaction('readonly', store => store.count(tileKey(layer, zoom, x, y)))) > 0;
+        }
+
+        async count(layer) {
+            return this.transaction('readonly', store => store.index('layer').count(layer));
+        }
+
+        // Forget the tiles of one layer; resolves to the number deleted
+        async clear(layer) {
+            return this.deleteFromIndex('layer', layer);
+        }
+    }
+
+    function readerForFile(file) {
+        return (offset, length) => file.slice(offset, offset + length).arrayBuffer();
+    }
+
+    function toBytes(data) {
+        return data instanceof Uint8Array ? data : new Uint8Array(data);
+    }
+
+    // SQLite variable-length integer at offset: { value, length }
+    function readVarint(bytes, offset) {
+        let value = 0;
+        for (let i = 0; i < 8; i++) {
+            const byte = bytes[offset + i];
+            value = value * 128 + (byte & 0x7f);
+            if (!(byte & 0x80)) {
+                return { value, length: i + 1 };
+            }
+        }
+        return { value: value * 256 + bytes[offset + 8], length: 9 };
+    }
+
+    // Size in bytes of a record value with the given serial type
+    function serialTypeSize(type) {
+        if (type >= 12) return Math.floor((type - 12) / 2);
+        return [0, 1, 2, 3, 4, 6, 8, 8, 0, 0, 0, 0][type];
+    }
+
+    function readSerialValue(bytes, offset, type) {
+        if (type === 0) return null;
+        if (type === 8) return 0;
+        if (type === 9) return 1;
+        if (type === 7) {
+            return new DataView(bytes.buffer, bytes.byteOffset + offset, 8).getFloat64(0);
+        }
+        if (type <= 6) {
+            // Big-endian two's complement
+            const size = serialTypeSize(type);
+            let value = 0;
+            for (let i = 0; i < size; i++) {
+                value = value * 256 + bytes[offset + i];
+            }
+            return bytes[offset] & 0x80 ? value - Math.pow(2, size * 8) : value;
+        }
+
+        const data = bytes.subarray(offset, offset + serialTypeSize(type));
+        return type % 2 === 0 ? data : new TextDecoder().decode(data);
+    }
+
+    // Column names of a CREATE TABLE statement, with the INTEGER PRIMARY KEY column (stored as the rowid)
+    function parseColumns(sql) {
+        const body = sql.slice(sql.indexOf('(') + 1, sql.lastIndexOf(')'));
+        const columns = [];
+        let rowidColumn = null;
+        body.split(',').forEach(definition => {
+            const words = definition.trim().replace(/["`[\]]/g, '').split(/\s+/);
+            if (!words[0] || /^(primary|unique|constraint|check|foreign)$/i.test(words[0])) return;
+            if (/^integer\s+primary\s+key/i.test(words.slice(1).join(' '))) rowidColumn = words[0];
+            columns.push(words[0]);
+        });
+        return { columns, rowidColumn };
+    }
+
+    class SqliteFile {
+        constructor(read) {
+            this.read = read;
+        }
+
+        async open() {
+            const header = toBytes(await this.read(0, 100));
+            if (String.fromCharCode(...header.subarray(0, 16)) !== SQLITE_HEADER) {
+                throw new Error('Not an SQLite database');
+            }
+            const pageSize = (header[16] << 8) | header[17];
+            this.pageSize = pageSize === 1 ? 65536 : pageSize;
+            this.usableSize = this.pageSize - header[20];
+            return this;
+        }
+
+        async readPage(pageNumber) {
+            return toBytes(await this.read((pageNumber - 1) * this.pageSize, this.pageSize));
+        }
+
+        // Every row of the table whose b-tree starts at rootPage, as { rowid, page, offset } cell locations.
+        // `visit(location, page)` is called with each cell and the bytes of its leaf page, so a caller
+        // decoding the rows doesn't have to read the page again.
+        async scanTable(rootPage, visit = null) {
+            const rows = [];
+            const pending = [rootPage];
+            while (pending.length) {
+                const pageNumber = pending.shift();
+                const page = await this.readPage(pageNumber);
+                const headerOffset = pageNumber === 1 ? 100 : 0;
+                const type = page[headerOffset];
+                const cellCount = (page[headerOffset + 3] << 8) | page[headerOffset + 4];
+                const pointerOffset = headerOffset + (type === TABLE_INTERIOR_PAGE ? 12 : 8);
+                const children = [];
+
+                for (let i = 0; i < cellCount; i++) {
+                    const cellOffset = (page[pointerOffset + i * 2] << 8) | page[pointerOffset + i * 2 + 1];
+                    if (type === TABLE_INTERIOR_PAGE) {
+                        children.push(new DataView(page.buffer, page.byteOffset + cellOffset, 4).getUint32(0));
+                    } else if (type === TABLE_LEAF_PAGE) {
+                        const payloadSize = readVarint(page, cellOffset);
+                        const rowid = readVarint(page, cellOffset + payloadSize.length);
+                        const location = { rowid: rowid.value, page: pageNumber, offset: cellOffset };
+                        rows.push(location);
+                        if (visit) {
+                            await visit(location, page);
+                        }
+                    } else {
+                        throw new Error(`Unexpected b-tree page type ${type} in a table`);
+                    }
+                }
+                if (type === TABLE_INTERIOR_PAGE) {
+                    children.push(new DataView(page.buffer, page.byteOffset + headerOffset + 8, 4).getUint32(0));
+                    pending.unshift(...children); // Depth first keeps the rows in rowid order
+                }
+            }
+            return rows;
+        }
+
+        // Record of a table leaf cell as an array of column values, decoded up to `columnCount`
+        // columns; overflow pages are only followed when those columns spill onto them. `page` is
+        // the cell's leaf page when the caller has already read it.
+        async readRecord(location, columnCount = Infinity, page = null) {
+            page = page || await this.readPage(location.page);
+            const payloadSize = readVarint(page, location.offset);
+            const rowid = readVarint(page, location.offset + payloadSize.length);
+            const start = location.offset + payloadSize.length + rowid.length;
+            const size = payloadSize.value;
+
+            // Local part of the payload, from the SQLite file format's overflow rules
+            const maxLocal = this.usableSize - 35;
+            let localSize = size;
+            if (size > maxLocal) {
+                const minLocal = Math.floor((this.usableSize - 12) * 32 / 255) - 23;
+                const k = minLocal + (size - minLocal) % (this.usableSize - 4);
+                localSize = k <= maxLocal ? k : minLocal;
+            }
+
+            const payload = new Uint8Array(size);
+            payload.set(page.subarray(start, start + localSize));
+
+            // The record header lists each column's type, and so where the wanted columns end
+            const headerSize = readVarint(payload, 0);
+            const types = [];
+            for (let offset = headerSize.length; offset < headerSize.value && types.length < columnCount;) {
+                const type = readVarint(payload, offset);
+                types.push(type.value);
+                offset += type.length;
+            }
+            const needed = types.reduce((end, type) => end + serialTypeSize(type), headerSize.value);
+
+            let copied = localSize;
+            let overflowPage = localSize < size ? new DataView(page.buffer, page.byteOffset + start + localSize, 4).getUint32(0) : 0;
+            while (overflowPage && copied < needed) {
+                const overflow = await this.readPage(overflowPage);
+                const chunk = Math.min(size - copied, this.usableSize - 4);
+                payload.set(overflow.subarray(4, 4 + chunk), copied);
+                copied += chunk;
+                overflowPage = new DataView(overflow.buffer, overflow.byteOffset, 4).getUint32(0);
+            }
+
+            let valueOffset = headerSize.value;
+            return types.map(type => {
+                const value = readSerialValue(payload, valueOffset, type);
+                valueOffset += serialTypeSize(type);
+                return value;
+            });
+        }
+
+        // Tables and views from sqlite_master: name -> { type, rootPage, sql }
+        async readSchema() {
+            const schema = {};
+            (await this.readRows(SQLITE_MASTER)).forEach(row => {
+                schema[row.name] = { type: row.type, rootPage: row.rootpage, sql: row.sql || '' };
+            });
+            return schema;
+        }
+
+        // Rows of a table as objects keyed by column name, with the cell each came from; all rows
+        // unless the cells to read are given, all columns unless the wanted ones are named. Each
+        // leaf page is read once, however many of the rows are on it.
+        async readRows(table, cells = null, wanted = null) {
+            const { columns, rowidColumn } = parseColumns(table.sql);
+            const columnCount = wanted ? Math.max(...wanted.map(column => columns.indexOf(column))) + 1 : Infinity;
+            const rows = [];
+            const addRow = async (cell, page) => {
+                const values = await this.readRecord(cell, columnCount, page);
+                const row = { rowid: cell.rowid, cell };
+                columns.slice(0, columnCount).forEach((column, i) => {
+                    row[column] = column === rowidColumn ? cell.rowid : values[i];
+                });
+                rows.push(row);
+            };
+
+            if (!cells) {
+                await this.scanTable(table.rootPage, addRow);
+                return rows;
+            }
+
+            // Given cells are usually grouped by page (they come from a scan), so keep the last page read
+            let page = null;
+            for (const cell of cells) {
+                if (!page || page.number !== cell.page) {
+                    page = { number: cell.page, bytes: await this.readPage(cell.page) };
+                }
+                await addRow(cell, page.bytes);
+            }
+            return rows;
+        }
+    }
+
+    // Raster tiles of an MBTiles file. Tiles are indexed once when the file is opened; their image
+    // data is only read when a tile is drawn. MBTiles count tile rows from the bottom (TMS).
+    class MBTilesReader {
+        constructor(sqlite, schema, metadata, tiles, images) {
+            this.sqlite = sqlite;
+            this.schema = schema;
+            this.metadata = metadata;
+            this.tiles = tiles; // 'z/x/y' -> cell of the row holding the image (or its tile_id for split files)
+            this.images = images; // tile_id -> cell in the images table, for files storing each image once
+            this.mimeType = TILE_MIME_TYPES[metadata.format] || 'image/png';
+        }
+
+        static async open(read) {
+            const sqlite = await new SqliteFile(read).open();
+            const schema = await sqlite.readSchema();
+
+            const metadata = {};
+            if (schema.metadata && schema.metadata.type === 'table') {
+                (await sqlite.readRows(schema.metadata)).forEach(row => {
+                    metadata[row.name] = row.value;
+                });
+            }
+            metadata.format = (metadata.format || 'png').toLowerCase();
+            if (!RASTER_FORMATS.includes(metadata.format)) {
+                throw new Error(`${metadata.format} tiles are not supported, only raster (PNG, JPEG, WebP) tile sets`);
+            }
+
+            // Either a plain tiles table, or the deduplicated layout where `tiles` is a view
+            // joining a map table (coordinates -> tile_id) to an images table (tile_id -> data)
+            const tiles = new Map();
+            const images = new Map();
+            const hasTable = name => schema[name] && schema[name].type === 'table';
+            if (hasTable('tiles')) {
+                (await sqlite.readRows(schema.tiles, null, ['zoom_level', 'tile_column', 'tile_row'])).forEach(row => {
+                    tiles.set(`${row.zoom_level}/${row.tile_column}/${row.tile_row}`, { cell: row.cell });
+                });
+            } else if (hasTable('map') && hasTable('images')) {
+                (await sqlite.readRows(schema.map)).forEach(row => {
+                    tiles.set(`${row.zoom_level}/${row.tile_column}/${row.tile_row}`, { tileId: row.tile_id });
+                });
+                (await sqlite.readRows(schema.images, null, ['tile_id'])).forEach(row => {
+                    images.set(row.tile_id, row.cell);
+                });
+            } else {
+                throw new Error('No tiles table found in the MBTiles file');
+            }
+
+            return new MBTilesReader(sqlite, schema, metadata, tiles, images);
+        }
+
+        get tileCount() {
+            return this.tiles.size;
+        }
+
+        // Image Blob of the tile at web map (XYZ) coordinates, or null when the file doesn't have it
+        async getTile(zoom, x, y) {
+            const tmsY = Math.pow(2, zoom) - 1 - y;
+            const entry = this.tiles.get(`${zoom}/${x}/${tmsY}`);
+            if (!entry) return null;
+
+            const cell = entry.cell || this.images.get(entry.tileId);
+            if (!cell) return null;
+            const table = this.schema[entry.cell ? 'tiles' : 'images'];
+            const [row] = await this.sqlite.readRows(table, [cell]);
+            return row.tile_data ? new Blob([row.tile_data], { type: this.mimeType }) : null;
+        }
+    }
+
+    return {
+        TileStore,
+        MBTilesReader,
+        readerForFile,
+        tileKey
+    };
+}));
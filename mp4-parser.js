@@ -0,0 +1,361 @@
+/**
+ * MP4 container parser.
+ *
+ * Reads the movie header (`moov`) of an MP4/MOV file and returns its tracks
+ * with their sample timing, so frames can be addressed by their real
+ * presentation times instead of an assumed frame rate, and sample byte ranges
+ * so timed metadata (e.g. GoPro GPMF) can be read. Only the boxes needed for
+ * that are decoded: mvhd, tkhd, mdhd, hdlr, stsd, stts, ctts, elst, stsz,
+ * stsc and stco/co64.
+ *
+ * The file is accessed through `read(offset, length)`, which returns a
+ * Promise of an ArrayBuffer (or Uint8Array), so multi-gigabyte recordings are
+ * never loaded into memory; in the browser use readerForFile(file). Loaded as
+ * a plain <script> this exposes a global `Mp4Parser`; under Node it is a
+ * CommonJS module.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Mp4Parser = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Boxes whose payload is just more boxes
+    const CONTAINER_BOXES = new Set(['moov', 'trak', 'mdia', 'minf', 'stbl', 'edts']);
+
+    // Frame durations varying more than this from the median mark a variable frame rate
+    const VARIABLE_FRAME_RATE_TOLERANCE = 0.1;
+
+    function readerForFile(file) {
+        return (offset, length) => file.slice(offset, offset + length).arrayBuffer();
+    }
+
+    function toDataView(data) {
+        if (data instanceof ArrayBuffer) {
+            return new DataView(data);
+        }
+        return new DataView(data.buffer, data.byteOffset, data.byteLength);
+    }
+
+    function readUint64(view, offset) {
+        return view.getUint32(offset) * 0x100000000 + view.getUint32(offset + 4);
+    }
+
+    function readInt64(view, offset) {
+        return view.getInt32(offset) * 0x100000000 + view.getUint32(offset + 4);
+    }
+
+    function readType(view, offset) {
+        return String.fromCharCode(
+            view.getUint8(offset), view.getUint8(offset + 1),
+            view.getUint8(offset + 2), view.getUint8(offset + 3)
+        );
+    }
+
+    // Box header at offset: { type, size, headerSize }; size 0 means "to the end of the parent"
+    function readBoxHeader(view, offset, end) {
+        let size = view.getUint32(offset);
+        const type = readType(view, offset + 4);
+        let headerSize = 8;
+
+        if (size === 1) {
+            size = readUint64(view, offset + 8);
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+
+        return { type, size, headerSize };
+    }
+
+    // Find the top-level moov box without reading the media data around it
+    async function readMovieBox(read, fileSize) {
+        let offset = 0;
+
+        while (offset + 8 <= fileSize) {
+            const header = readBoxHeader(toDataView(await read(offset, Math.min(16, fileSize - offset))), 0, fileSize - offset);
+            if (header.size < header.headerSize) {
+                throw new Error(`Invalid MP4 box "${header.type}" at offset ${offset}`);
+            }
+
+            if (header.type === 'moov') {
+                return toDataView(await read(offset + header.headerSize, header.size - header.headerSize));
+            }
+            offset += header.size;
+        }
+
+        throw new Error('No movie header (moov box) found - not an MP4/MOV file?');
+    }
+
+    function parseChildren(view, start, end, visit) {
+        let offset = start;
+        while (offset + 8 <= end) {
+            const header = readBoxHeader(view, offset, end);
+            if (header.size < header.headerSize || offset + header.size > end) break;
+
+            const payloadStart = offset + header.headerSize;
+            const payloadEnd = offset + header.size;
+            visit(header.type, payloadStart, payloadEnd);
+
+            if (CONTAINER_BOXES.has(header.type)) {
+                parseChildren(view, payloadStart, payloadEnd, visit);
+            }
+            offset = payloadEnd;
+        }
+    }
+
+    // mvhd and mdhd share the layout up to the duration
+    function parseTimescaleBox(view, offset) {
+        const version = view.getUint8(offset);
+        return version === 1 ?
+            { timescale: view.getUint32(offset + 20), duration: readUint64(view, offset + 24) } :
+            { timescale: view.getUint32(offset + 12), duration: view.getUint32(offset + 16) };
+    }
+
+    function parseEntries(view, offset, entrySize, readEntry) {
+        const entryCount = view.getUint32(offset + 4);
+        const entries = [];
+        for (let i = 0; i < entryCount; i++) {
+            entries.push(readEntry(offset + 8 + i * entrySize));
+        }
+        return entries;
+    }
+
+    function parseMovie(view) {
+        const movie = { timescale: 0, duration: 0, tracks: [] };
+        let track = null;
+
+        parseChildren(view, 0, view.byteLength, (type, offset) => {
+            switch (type) {
+                case 'mvhd': {
+                    const { timescale, duration } = parseTimescaleBox(view, offset);
+                    movie.timescale = timescale;
+                    movie.duration = timescale ? duration / timescale : 0;
+                    break;
+                }
+                case 'trak':
+                    track = {
+                        id: 0, handlerType: '', codec: '', timescale: 0, duration: 0,
+                        timeToSample: [], compositionOffsets: [], editList: [],
+                        sampleSizes: [], sampleToChunk: [], chunkOffsets: []
+                    };
+                    movie.tracks.push(track);
+                    break;
+                case 'tkhd':
+                    track.id = view.getUint32(offset + (view.getUint8(offset) === 1 ? 20 : 12));
+                    break;
+                case 'mdhd': {
+                    const { timescale, duration } = parseTimescaleBox(view, offset);
+                    track.timescale = timescale;
+                    track.duration = timescale ? duration / timescale : 0;
+                    break;
+                }
+                case 'hdlr':
+                    track.handlerType = readType(view, offset + 8);
+                    break;
+                case 'stsd':
+                    if (view.getUint32(offset + 4) > 0) {
+                        track.codec = readType(view, offset + 12);
+                    }
+                    break;
+                case 'stts':
+                    track.timeToSample = parseEntries(view, offset, 8, entry => ({
+                        count: view.getUint32(entry),
+                        delta: view.getUint32(entry + 4)
+                    }));
+                    break;
+                case 'ctts':
+                    // Offsets are read as signed; some encoders write negative offsets in version 0 boxes
+                    track.compositionOffsets = parseEntries(view, offset, 8, entry => ({
+                        count: view.getUint32(entry),
+                        offset: view.getInt32(entry + 4)
+                    }));
+                    break;
+                case 'stsz': {
+                    const sampleSize = view.getUint32(offset + 4);
+                    const count = view.getUint32(offset + 8);
+                    const sizes = new Uint32Array(count);
+                    for (let i = 0; i < count; i++) {
+                        sizes[i] = sampleSize || view.getUint32(offset + 12 + i * 4);
+                    }
+                    track.sampleSizes = sizes;
+                    break;
+                }
+                case 'stsc':
+                    track.sampleToChunk = parseEntries(view, offset, 12, entry => ({
+                        firstChunk: view.getUint32(entry),
+                        samplesPerChunk: view.getUint32(entry + 4)
+                    }));
+                    break;
+                case 'stco':
+                    track.chunkOffsets = parseEntries(view, offset, 4, entry => view.getUint32(entry));
+                    break;
+                case 'co64':
+                    track.chunkOffsets = parseEntries(view, offset, 8, entry => readUint64(view, entry));
+                    break;
+                case 'elst': {
+                    const version = view.getUint8(offset);
+                    track.editList = parseEntries(view, offset, version === 1 ? 20 : 12, entry => version === 1 ?
+                        { segmentDuration: readUint64(view, entry), mediaTime: readInt64(view, entry + 8) } :
+                        { segmentDuration: view.getUint32(entry), mediaTime: view.getInt32(entry + 4) });
+                    break;
+                }
+            }
+        });
+
+        movie.tracks.forEach(t => {
+            t.sampleCount = t.timeToSample.reduce((sum, entry) => sum + entry.count, 0);
+        });
+        return movie;
+    }
+
+    async function parseMp4(read, fileSize) {
+        return parseMovie(await readMovieBox(read, fileSize));
+    }
+
+    // Empty edits delay the track, the first real edit says where in the media it starts
+    function getEditShift(track, movieTimescale) {
+        let emptyDuration = 0;
+        let mediaStart = 0;
+        for (const edit of track.editList) {
+            if (edit.mediaTime === -1) {
+                emptyDuration += movieTimescale ? edit.segmentDuration / movieTimescale : 0;
+            } else {
+                mediaStart = edit.mediaTime;
+                break;
+            }
+        }
+        return { emptyDuration, mediaStart };
+    }
+
+    // Presentation time in seconds of every sample of a track, sorted, as the player reports them:
+    // decode time + composition offset, shifted by the edit list
+    function getSampleTimes(track, movieTimescale) {
+        const times = new Float64Array(track.sampleCount);
+
+        let decodeTime = 0;
+        let sample = 0;
+        for (const entry of track.timeToSample) {
+            for (let i = 0; i < entry.count; i++) {
+                times[sample++] = decodeTime;
+                decodeTime += entry.delta;
+            }
+        }
+
+        sample = 0;
+        for (const entry of track.compositionOffsets) {
+            for (let i = 0; i < entry.count && sample < times.length; i++) {
+                times[sample++] += entry.offset;
+            }
+        }
+
+        const { emptyDuration, mediaStart } = getEditShift(track, movieTimescale);
+        const presentationTimes = Array.from(times, time => (time - mediaStart) / track.timescale + emptyDuration)
+            .filter(time => time >= -1e-6) // Samples before the edit start are never shown
+            .sort((a, b) => a - b);
+        return Float64Array.from(presentationTimes);
+    }
+
+    // Byte range, time and duration (seconds) of every sample in decode order; for reading
+    // timed metadata tracks, which have no composition offsets
+    function getSampleTable(track, movieTimescale) {
+        const { emptyDuration, mediaStart } = getEditShift(track, movieTimescale);
+        const samples = [];
+
+        let decodeTime = 0;
+        for (const entry of track.timeToSample) {
+            for (let i = 0; i < entry.count; i++) {
+                samples.push({
+                    offset: null,
+                    size: 0,
+                    time: (decodeTime - mediaStart) / track.timescale + emptyDuration,
+                    duration: entry.delta / track.timescale
+                });
+                decodeTime += entry.delta;
+            }
+        }
+
+        // Samples are stored back to back within each chunk
+        let sample = 0;
+        track.sampleToChunk.forEach((run, runIndex) => {
+            const nextRun = track.sampleToChunk[runIndex + 1];
+            const lastChunk = nextRun ? nextRun.firstChunk - 1 : track.chunkOffsets.length;
+
+            for (let chunk = run.firstChunk; chunk <= lastChunk; chunk++) {
+                let offset = track.chunkOffsets[chunk - 1];
+                for (let i = 0; i < run.samplesPerChunk && sample < samples.length; i++) {
+                    samples[sample].offset = offset;
+                    samples[sample].size = track.sampleSizes[sample] || 0;
+                    offset += samples[sample].size;
+                    sample++;
+                }
+            }
+        });
+
+        return samples.filter(entry => entry.offset !== null && entry.size > 0);
+    }
+
+    function getVideoTrack(movie) {
+        return movie.tracks.find(track => track.handlerType === 'vide' && track.sampleCount > 0) || null;
+    }
+
+    // Sorted presentation times of the video frames, or null without a video track
+    function getVideoFrameTimes(movie) {
+        const track = getVideoTrack(movie);
+        return track && track.timescale ? getSampleTimes(track, movie.timescale) : null;
+    }
+
+    // Index of the frame shown at the given time (the last frame starting at or before it)
+    function findFrameIndex(frameTimes, time) {
+        if (!frameTimes.length || time < frameTimes[0]) return 0;
+
+        let low = 0;
+        let high = frameTimes.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (frameTimes[mid] <= time + 1e-6) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return low;
+    }
+
+    // Average frame rate and whether frame durations vary (phone footage is often variable)
+    function getFrameRateInfo(frameTimes) {
+        if (!frameTimes || frameTimes.length < 2) {
+            return null;
+        }
+
+        const durations = [];
+        for (let i = 1; i < frameTimes.length; i++) {
+            durations.push(frameTimes[i] - frameTimes[i - 1]);
+        }
+        const sorted = durations.slice().sort((a, b) => a - b);
+        const median = sorted[Math.floor(sorted.length / 2)];
+        const isVariable = durations.some(duration => Math.abs(duration - median) > median * VARIABLE_FRAME_RATE_TOLERANCE);
+
+        return {
+            frameCount: frameTimes.length,
+            fps: (frameTimes.length - 1) / (frameTimes[frameTimes.length - 1] - frameTimes[0]),
+            minFps: 1 / sorted[sorted.length - 1],
+            maxFps: 1 / sorted[0],
+            isVariable: isVariable
+        };
+    }
+
+    return {
+        readerForFile,
+        parseMp4,
+        getSampleTimes,
+        getSampleTable,
+        getVideoTrack,
+        getVideoFrameTimes,
+        findFrameIndex,
+        getFrameRateInfo
+    };
+}));
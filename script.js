@@ -1,23 +1,108 @@
+const { TelemetrySession, getChannelValue, getGripEnvelope } = TelemetryCore;
+const { TrackLibrary } = TelemetryTracks;
+const { SessionStore, fingerprintFile, sessionKey } = SavedSessions;
+const { TileStore, MBTilesReader, readerForFile } = MapTiles;
+
+// Automatic sync on loading is only applied above this confidence; below it the user decides
+const AUTO_SYNC_MIN_CONFIDENCE = 0.5;
+
+// Comparison video: drift (seconds) above which it is seeked instead of sped up or slowed down,
+// and how strongly its playback rate corrects the remaining drift (rate change per second of drift)
+const COMPARE_SEEK_DRIFT = 0.3;
+const COMPARE_RATE_GAIN = 0.5;
+
+// Overlay export: recording formats in order of preference and the video bitrate
+const EXPORT_MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm', 'video/mp4'];
+const EXPORT_VIDEO_BITRATE = 8000000;
+
+// Resolve when a media element fires `eventName`, reject if it fails to load
+function waitForEvent(element, eventName) {
+    return new Promise((resolve, reject) => {
+        element.addEventListener(eventName, resolve, { once: true });
+        element.addEventListener('error', () => reject(new Error('the video could not be read')), { once: true });
+    });
+}
+
+// Trace panel: height of one trace and of the time axis below them (CSS pixels), and the
+// trace id of the delta to the reference lap, which comes from the diff data rather than a channel
+const TRACE_HEIGHT = 80;
+const TRACE_AXIS_HEIGHT = 20;
+const DELTA_TRACE = 'delta';
+
+// G-G diagram: canvas size (CSS pixels) and how much of the recent past the trailing dot leaves behind (seconds)
+const GG_SIZE = 320;
+const GG_TRAIL_SECONDS = 1;
+
+// Track map colouring: the hue runs from fromHue at the low end of the scale to toHue at the high end.
+// Symmetric scales are centred on zero; the delta is time lost (positive) or gained per 100 m against the reference lap.
+const MAP_COLOR_CHANNELS = {
+    speed: { name: 'Speed', unit: 'km/h', fromHue: 0, toHue: 120 },
+    latAcc: { name: 'Lateral G', unit: 'g', fromHue: 240, toHue: 0, absolute: true },
+    lonAcc: { name: 'Longitudinal G', unit: 'g', fromHue: 0, toHue: 120, symmetric: true },
+    delta: { name: 'Time gained/lost', unit: 's/100 m', fromHue: 120, toHue: 0, symmetric: true }
+};
+
+// GPS map zoom: factor per mouse wheel step, the most the map can be magnified, and how far (canvas
+// pixels) the mouse may move between press and release for it to count as a click rather than a pan
+const MAP_ZOOM_STEP = 1.25;
+const MAP_MAX_ZOOM = 40;
+const MAP_CLICK_TOLERANCE = 4;
+
+// Offline map tiles: the most detailed zoom level requested from tile servers, the most tiles one
+// "download for this track" may fetch, and where the custom tile URL template is kept
+const MAX_TILE_ZOOM = 18;
+const OFFLINE_TILE_LIMIT = 3000;
+const CUSTOM_TILE_URL_KEY = 'videoFrameAnalyzer.customTileUrl';
+
+// Session report: size of the speed chart image (pixels), and how long the map image waits for the
+// tiles of the whole track to load (milliseconds) before it is taken with the tiles it has
+const REPORT_TRACE_WIDTH = 1000;
+const REPORT_TRACE_HEIGHT = 300;
+const REPORT_TILE_TIMEOUT = 10000;
+
+// Text for HTML built as a string, such as the session report
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+// Channels always shown in the telemetry readout, so the channel picker leaves them out
+const FIXED_READOUT_CHANNELS = ['speed', 'latAcc', 'lonAcc', 'altitude'];
+
+// Session state is written this long after the last change, so dragging or seeking doesn't write on every step
+const SESSION_SAVE_DELAY = 1000;
+
 class VideoFrameAnalyzer {
     constructor() {
         this.video = null;
         this.frameRate = 30; // Default frame rate, will be updated when video loads
+        this.frameTimes = null; // Presentation time of every video frame, read from the MP4 sample tables
+        this.frameRateInfo = null;
+        this.currentVideoFile = null;
         this.currentFrameNumber = 0;
         this.selectedFrame = null;
-        this.csvData = null;
-        this.telemetryData = [];
-        this.lapTimes = [];
-        this.lapStartTimes = []; // Cumulative start times for each lap
+        this.session = new TelemetrySession(); // Parsed telemetry, laps, sectors and deltas
+        this.referenceSession = null; // Second log loaded only to provide reference laps
+        this.referenceFileName = '';
+        this.trackLibrary = new TrackLibrary(); // Saved tracks with fixed start/finish and sector lines
+        this.tileStore = new TileStore(); // Map tiles kept for offline use (IndexedDB)
         this.selectedLapIndex = -1; // Index of selected lap for sync
         this.syncOffset = 0; // Time offset between video and telemetry data
-        this.sectorBorders = []; // GPS-based sector borders
-        this.lapSectorTimes = []; // Sector times for each lap
-        this.bestLapData = []; // Telemetry data for the best lap
-        this.bestLapIndex = -1; // Index of the best lap
-        this.diffToBestData = []; // Diff to best lap for each datapoint
+        this.readoutChannels = []; // Channel ids picked for the telemetry readout, after the fixed values
+        this.videoGps = []; // GPS embedded in the video (GoPro GPMF), timed on the video timeline
+        this.comparison = { file: null, url: null, offset: null, session: null }; // Second video showing the reference lap; offset is its video time minus the reference log's time
+        this.overlayExport = null; // { source, recorder, cancelled } while a video with overlay is being recorded
+        this.sessionStore = new SessionStore(); // Saved state of each video + data log pair (IndexedDB)
+        this.videoFingerprint = null;
+        this.logFingerprint = null;
+        this.logText = ''; // Loaded data log, kept so a recent session can be reopened without the file
+        this.logFileName = '';
+        this.restoredSessionKey = null; // Pair whose saved state has been restored; changes are saved to it
+        this.pendingSessionKey = null;
+        this.saveSessionTimer = null;
         
         this.initializeElements();
         this.bindEvents();
+        this.renderRecentSessions();
     }
 
     initializeElements() {
@@ -27,6 +112,11 @@ class VideoFrameAnalyzer {
         this.fileInfo = document.getElementById('fileInfo');
         this.csvInfo = document.getElementById('csvInfo');
         
+        // Saved session elements
+        this.recentSessions = document.getElementById('recentSessions');
+        this.recentSessionsList = document.getElementById('recentSessionsList');
+        this.sessionInfo = document.getElementById('sessionInfo');
+        
         // Video elements
         this.videoSection = document.getElementById('videoSection');
         this.video = document.getElementById('videoPlayer');
@@ -38,6 +128,7 @@ class VideoFrameAnalyzer {
         this.currentFrameSpan = document.getElementById('currentFrame');
         this.prevFrameBtn = document.getElementById('prevFrame');
         this.nextFrameBtn = document.getElementById('nextFrame');
+        this.playPauseBtn = document.getElementById('playPause');
         
         
         // Lap selection elements
@@ -52,6 +143,46 @@ class VideoFrameAnalyzer {
         this.lonAccValue = document.getElementById('lonAccValue');
         this.altitudeValue = document.getElementById('altitudeValue');
         this.diffValue = document.getElementById('diffValue');
+        this.diffLabel = document.getElementById('diffLabel');
+        this.telemetryChannels = document.getElementById('telemetryChannels');
+        this.channelPicker = document.getElementById('channelPicker');
+        
+        // Reference lap elements
+        this.referenceSelect = document.getElementById('referenceSelect');
+        this.referenceFileInput = document.getElementById('referenceFile');
+        this.referenceInfo = document.getElementById('referenceInfo');
+        
+        // Video sync elements
+        this.syncOffsetInput = document.getElementById('syncOffsetInput');
+        this.syncFrameBackBtn = document.getElementById('syncFrameBack');
+        this.syncFrameForwardBtn = document.getElementById('syncFrameForward');
+        this.autoSyncBtn = document.getElementById('autoSync');
+        this.syncInfo = document.getElementById('syncInfo');
+        
+        // Overlay export elements
+        this.exportRangeSelect = document.getElementById('exportRange');
+        this.exportRangeInputs = document.getElementById('exportRangeInputs');
+        this.exportStartInput = document.getElementById('exportStart');
+        this.exportEndInput = document.getElementById('exportEnd');
+        this.exportVideoBtn = document.getElementById('exportVideo');
+        this.exportInfo = document.getElementById('exportInfo');
+        this.lapValidityInfo = document.getElementById('lapValidityInfo');
+        this.exportReportBtn = document.getElementById('exportReport');
+        this.reportInfo = document.getElementById('reportInfo');
+        this.exportLapsBtn = document.getElementById('exportLaps');
+        this.exportTelemetryBtn = document.getElementById('exportTelemetry');
+        this.exportGeometryBtn = document.getElementById('exportGeometry');
+        
+        // Comparison video elements
+        this.videoPair = document.getElementById('videoPair');
+        this.compareVideo = document.getElementById('compareVideo');
+        this.compareVideoContainer = document.getElementById('compareVideoContainer');
+        this.compareVideoLabel = document.getElementById('compareVideoLabel');
+        this.compareVideoInput = document.getElementById('compareVideoFile');
+        this.compareOffsetInput = document.getElementById('compareOffsetInput');
+        this.compareSyncBtn = document.getElementById('compareSyncLapStart');
+        this.closeCompareBtn = document.getElementById('closeCompareVideo');
+        this.compareInfo = document.getElementById('compareInfo');
         
         // Delta bar elements
         this.deltaBarContainer = document.getElementById('deltaBarContainer');
@@ -66,24 +197,126 @@ class VideoFrameAnalyzer {
         this.layerSelect = document.getElementById('layerSelect');
         this.refreshMapBtn = document.getElementById('refreshMap');
         this.currentMapLayer = 'satellite';
+        this.mapColorSelect = document.getElementById('mapColor');
+        this.mapLapSelect = document.getElementById('mapLap');
+        this.mapColorLegend = document.getElementById('mapColorLegend');
+        this.mapColor = 'none'; // A MAP_COLOR_CHANNELS key, or 'none' for the plain blue track
+        this.mapLap = null; // Lap index drawn on the map, null for the whole session
         this.tileCache = new Map(); // Cache for map tiles
         this.loadingTiles = new Set(); // Track tiles being loaded
+        this.customTileUrlInput = document.getElementById('customTileUrl');
+        this.customTileUrl = localStorage.getItem(CUSTOM_TILE_URL_KEY) || ''; // Tile URL template of the 'custom' layer
+        this.mbtilesInput = document.getElementById('mbtilesFile');
+        this.mbtiles = null; // MBTilesReader of the 'mbtiles' layer
+        this.downloadTilesBtn = document.getElementById('downloadTiles');
+        this.clearTilesBtn = document.getElementById('clearTiles');
+        this.tileInfo = document.getElementById('tileInfo');
+        this.downloadingTiles = false;
+        this.gpsView = null; // Mercator bounds and canvas size of the last rendered map
+        this.fitMapBtn = document.getElementById('fitMap');
+        this.mapZoom = 1; // Magnification over the whole-track view
+        this.mapCenter = null; // Mercator center of the zoomed view, null for the track's center
+        this.mapDrag = null; // Press position and view while the map is being panned
+        this.gpsMapLayer = document.createElement('canvas'); // Copy of the rendered map, so the car markers can move without redrawing it
+        
+        // Corner analysis elements
+        this.cornerSection = document.getElementById('cornerSection');
+        this.cornerTableHead = document.getElementById('cornerTableHead');
+        this.cornerTableBody = document.getElementById('cornerTableBody');
+        
+        // Track library elements
+        this.trackSelect = document.getElementById('trackSelect');
+        this.saveTrackBtn = document.getElementById('saveTrack');
+        this.deleteTrackBtn = document.getElementById('deleteTrack');
+        this.exportTracksBtn = document.getElementById('exportTracks');
+        this.importTracksInput = document.getElementById('importTracks');
+        this.trackInfo = document.getElementById('trackInfo');
+        
+        // Lap detection elements
+        this.lapSourceSelect = document.getElementById('lapSourceSelect');
+        this.pickStartFinishBtn = document.getElementById('pickStartFinish');
+        this.lapSourceInfo = document.getElementById('lapSourceInfo');
+        this.pickingStartFinish = false; // Next click on the map sets the start/finish line
+        
+        // Sector editor elements
+        this.editSectorsBtn = document.getElementById('editSectors');
+        this.resetSectorsBtn = document.getElementById('resetSectors');
+        this.detectCornersBtn = document.getElementById('detectCorners');
+        this.sectorEditorHint = document.getElementById('sectorEditorHint');
+        this.sectorEditor = {
+            active: false,
+            selectedBorder: null,
+            drag: null, // { border, part } while a handle is being dragged
+            pendingBorders: null, // Edited borders waiting for the next animation frame
+            updateScheduled: false
+        };
         
-        // Speed graph elements
-        this.speedGraphContainer = document.getElementById('speedGraphContainer');
-        this.speedGraphCanvas = document.getElementById('speedGraphCanvas');
-        this.speedGraphCtx = this.speedGraphCanvas ? this.speedGraphCanvas.getContext('2d') : null;
-        this.speedGraphRange = document.getElementById('speedGraphRange');
-        this.timelineEnd = document.getElementById('timelineEnd');
-        this.speedGraphVisible = false;
-        this.speedGraphData = []; // Processed speed data for current lap
-        this.speedGraphTimeWindow = 30; // Show 30 seconds of data
+        // Trace panel elements
+        this.tracePanel = document.getElementById('tracePanel');
+        this.traceCanvas = document.getElementById('traceCanvas');
+        this.traceCtx = this.traceCanvas.getContext('2d');
+        this.traceList = document.getElementById('traceList');
+        this.tracePicker = document.getElementById('tracePicker');
+        this.traceWindowSelect = document.getElementById('traceWindow');
+        this.traceXAxisSelect = document.getElementById('traceXAxis');
+        this.tracePanelVisible = false;
+        this.traceChannels = null; // Channel ids stacked in the trace panel; null until defaults are picked for a log
+        this.traceWindow = 20; // Seconds shown around the current position, or 'lap' for the whole current lap
+        this.traceData = null; // Points in the trace window and their reference lap points
+        
+        // G-G diagram elements
+        this.ggPanel = document.getElementById('ggPanel');
+        this.ggCanvas = document.getElementById('ggCanvas');
+        this.ggCtx = this.ggCanvas.getContext('2d');
+        this.ggOverlaySelect = document.getElementById('ggOverlay');
+        this.ggPanelVisible = false;
+        this.ggOverlay = 'both'; // 'both', 'reference', 'envelope' or 'none'
+        this.ggData = null; // Current lap points and grip envelopes, kept until the lap or reference lap changes
     }
 
     bindEvents() {
         // File input change events
         this.fileInput.addEventListener('change', (e) => this.handleFileSelect(e));
         this.csvInput.addEventListener('change', (e) => this.handleCsvSelect(e));
+        this.referenceFileInput.addEventListener('change', (e) => this.handleReferenceFileSelect(e));
+        this.referenceSelect.addEventListener('change', () => this.handleReferenceChange());
+        
+        // Video sync controls
+        this.syncOffsetInput.addEventListener('change', () => this.handleSyncOffsetInput());
+        this.syncFrameBackBtn.addEventListener('click', () => this.nudgeSyncOffset(-1));
+        this.syncFrameForwardBtn.addEventListener('click', () => this.nudgeSyncOffset(1));
+        this.autoSyncBtn.addEventListener('click', () => this.autoSync(false));
+        
+        // Trace panel controls
+        this.tracePicker.addEventListener('change', () => this.addTrace(this.tracePicker.value));
+        this.traceWindowSelect.addEventListener('change', () => this.handleTraceWindowChange());
+        this.traceXAxisSelect.addEventListener('change', () => this.handleTraceXAxisChange());
+        this.traceList.addEventListener('click', (e) => {
+            const removeButton = e.target.closest('button');
+            if (removeButton) this.removeTrace(removeButton.dataset.channel);
+        });
+        this.ggOverlaySelect.addEventListener('change', () => this.handleGgOverlayChange());
+        
+        // Telemetry readout channels
+        this.channelPicker.addEventListener('change', () => this.addReadoutChannel(this.channelPicker.value));
+        this.telemetryChannels.addEventListener('click', (e) => {
+            const removeButton = e.target.closest('.channel-remove');
+            if (removeButton) this.removeReadoutChannel(removeButton.dataset.channel);
+        });
+        
+        // Overlay export controls
+        this.exportRangeSelect.addEventListener('change', () => this.handleExportRangeChange());
+        this.exportVideoBtn.addEventListener('click', () => this.exportOverlayVideo());
+        this.exportReportBtn.addEventListener('click', () => this.exportSessionReport());
+        this.exportLapsBtn.addEventListener('click', () => this.exportResults('laps'));
+        this.exportTelemetryBtn.addEventListener('click', () => this.exportResults('telemetry'));
+        this.exportGeometryBtn.addEventListener('click', () => this.exportResults('geometry'));
+        
+        // Comparison video controls
+        this.compareVideoInput.addEventListener('change', (e) => this.handleCompareVideoSelect(e));
+        this.compareOffsetInput.addEventListener('change', () => this.handleCompareOffsetInput());
+        this.compareSyncBtn.addEventListener('click', () => this.syncComparisonToReferenceLapStart());
+        this.closeCompareBtn.addEventListener('click', () => this.closeComparisonVideo());
         
         // Video events
         this.video.addEventListener('loadedmetadata', () => this.handleVideoLoaded());
@@ -91,12 +324,16 @@ class VideoFrameAnalyzer {
         this.video.addEventListener('loadeddata', () => this.estimateFrameRate());
         this.video.addEventListener('play', () => this.startHighFrequencyUpdates());
         this.video.addEventListener('pause', () => this.stopHighFrequencyUpdates());
+        this.video.addEventListener('pause', () => this.saveSessionState());
+        this.video.addEventListener('pause', () => this.updateComparisonVideo());
+        this.video.addEventListener('ratechange', () => this.updateComparisonVideo());
         this.video.addEventListener('seeking', () => this.handleSeeking());
         this.video.addEventListener('seeked', () => this.handleSeeked());
         
         // Frame control events
         this.prevFrameBtn.addEventListener('click', () => this.previousFrame());
         this.nextFrameBtn.addEventListener('click', () => this.nextFrame());
+        this.playPauseBtn.addEventListener('click', () => this.togglePlayback());
         
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => this.handleKeyboard(e));
@@ -108,6 +345,48 @@ class VideoFrameAnalyzer {
         if (this.refreshMapBtn) {
             this.refreshMapBtn.addEventListener('click', () => this.refreshGpsVisualization());
         }
+        this.mapColorSelect.addEventListener('change', () => this.handleMapColorChange());
+        this.customTileUrlInput.value = this.customTileUrl;
+        this.customTileUrlInput.addEventListener('change', () => this.handleCustomTileUrlChange());
+        this.mbtilesInput.addEventListener('change', (e) => this.handleMbtilesSelect(e));
+        this.downloadTilesBtn.addEventListener('click', () => this.downloadTrackTiles());
+        this.clearTilesBtn.addEventListener('click', () => this.clearOfflineTiles());
+        this.updateTileControls();
+        this.mapLapSelect.addEventListener('change', () => this.handleMapLapChange());
+        
+        // Track library controls
+        this.trackSelect.addEventListener('change', () => this.handleTrackChange());
+        this.saveTrackBtn.addEventListener('click', () => this.saveTrack());
+        this.deleteTrackBtn.addEventListener('click', () => this.deleteTrack());
+        this.exportTracksBtn.addEventListener('click', () => this.exportTracks());
+        this.importTracksInput.addEventListener('change', (e) => this.handleTrackImport(e));
+        
+        // Corner table cells jump the video to their moment
+        this.cornerTableBody.addEventListener('click', (e) => {
+            const cell = e.target.closest('.corner-cell');
+            if (cell && cell.dataset.time) this.jumpToDataTime(parseFloat(cell.dataset.time));
+        });
+        
+        // Lap detection controls
+        this.lapSourceSelect.addEventListener('change', () => this.handleLapSourceChange());
+        this.pickStartFinishBtn.addEventListener('click', () => this.togglePickStartFinish());
+        
+        // Sector editor on the GPS map
+        if (this.editSectorsBtn) {
+            this.editSectorsBtn.addEventListener('click', () => this.toggleSectorEditor());
+        }
+        if (this.resetSectorsBtn) {
+            this.resetSectorsBtn.addEventListener('click', () => this.resetSectorBorders());
+        }
+        if (this.detectCornersBtn) {
+            this.detectCornersBtn.addEventListener('click', () => this.detectCorners());
+        }
+        this.gpsCanvas.addEventListener('mousedown', (e) => this.handleGpsMouseDown(e));
+        this.gpsCanvas.addEventListener('mousemove', (e) => this.handleGpsMouseMove(e));
+        this.gpsCanvas.addEventListener('contextmenu', (e) => this.handleGpsContextMenu(e));
+        this.gpsCanvas.addEventListener('wheel', (e) => this.handleGpsWheel(e), { passive: false });
+        window.addEventListener('mouseup', (e) => this.handleGpsMouseUp(e));
+        this.fitMapBtn.addEventListener('click', () => this.resetMapZoom());
         
         // Initialize high-frequency update system
         this.isHighFrequencyActive = false;
@@ -131,11 +410,19 @@ class VideoFrameAnalyzer {
         }
 
         // Display file information
-        this.showFileInfo(`
+        this.videoFileInfo = `
             <strong>Selected:</strong> ${file.name}<br>
             <strong>Size:</strong> ${this.formatFileSize(file.size)}<br>
             <strong>Type:</strong> ${file.type}
-        `);
+        `;
+        this.showFileInfo(this.videoFileInfo);
+        
+        // Frame timing and embedded GPS are read from the container in the background
+        this.currentVideoFile = file;
+        this.videoGps = [];
+        this.autoSyncBtn.disabled = true;
+        this.loadFrameTiming(file);
+        this.fingerprintVideo(file);
 
         // Create object URL and load video
         const videoURL = URL.createObjectURL(file);
@@ -169,10 +456,71 @@ class VideoFrameAnalyzer {
         // Only update telemetry if high-frequency updates are not active
         if (!this.isHighFrequencyActive) {
             this.updateTelemetryDisplay();
+            this.updateComparisonVideo();
+        }
+    }
+
+    // Read the real frame timestamps from the MP4 sample tables; other containers keep the estimated frame rate
+    async loadFrameTiming(file) {
+        this.frameTimes = null;
+        this.frameRateInfo = null;
+        
+        try {
+            const movie = await Mp4Parser.parseMp4(Mp4Parser.readerForFile(file), file.size);
+            const frameTimes = Mp4Parser.getVideoFrameTimes(movie);
+            if (!frameTimes || !frameTimes.length) {
+                throw new Error('no video track found');
+            }
+            
+            // Another video may have been selected while this one was being parsed
+            if (this.currentVideoFile !== file) return;
+            
+            this.frameTimes = frameTimes;
+            this.frameRateInfo = Mp4Parser.getFrameRateInfo(frameTimes);
+            if (this.frameRateInfo) {
+                this.frameRate = this.frameRateInfo.fps;
+            }
+            console.log(`Read ${frameTimes.length} frame timestamps from the MP4 container:`, this.frameRateInfo);
+            
+            const info = this.frameRateInfo;
+            const frameRateText = !info ? '1 frame' : info.isVariable ?
+                `${info.fps.toFixed(2)} fps average, variable (${info.minFps.toFixed(1)}-${info.maxFps.toFixed(1)} fps)` :
+                `${info.fps.toFixed(2)} fps`;
+            this.showFileInfo(`${this.videoFileInfo}<br><strong>Frames:</strong> ${frameTimes.length} (${frameRateText})`);
+            this.updateCurrentFrame();
+            
+            this.loadVideoGps(file, movie);
+        } catch (error) {
+            if (this.currentVideoFile !== file) return;
+            
+            console.warn('Could not read frame timing from the video container:', error);
+            this.showFileInfo(`${this.videoFileInfo}<br><strong>Frames:</strong> timing not available (${error.message}), assuming ${this.frameRate} fps`);
+        }
+    }
+
+    // GoPro cameras embed GPS in a GPMF metadata track; with it the video can be synced automatically
+    async loadVideoGps(file, movie) {
+        try {
+            const videoGps = await GpmfParser.readGoProGps(Mp4Parser.readerForFile(file), movie);
+            if (this.currentVideoFile !== file) return;
+            
+            this.videoGps = videoGps;
+            this.autoSyncBtn.disabled = !videoGps.length;
+            console.log(`Read ${videoGps.length} GPS points from the video`);
+            
+            if (videoGps.length) {
+                this.showFileInfo(`${this.fileInfo.innerHTML}<br><strong>GPS:</strong> ${videoGps.length} points embedded in the video`);
+                this.autoSync(true);
+            }
+        } catch (error) {
+            console.warn('Could not read GPS from the video:', error);
         }
     }
 
     estimateFrameRate() {
+        // Real frame timing from the MP4 container takes precedence over the estimate
+        if (this.frameTimes) return;
+        
         // Try to estimate frame rate from video metadata
         // This is an approximation since HTML5 video doesn't directly expose frame rate
         if (this.video.videoWidth && this.video.videoHeight) {
@@ -201,17 +549,42 @@ class VideoFrameAnalyzer {
     }
 
     updateCurrentFrame() {
-        const currentTime = this.video.currentTime;
-        this.currentFrameNumber = Math.floor(currentTime * this.frameRate);
+        this.currentFrameNumber = this.getCurrentFrameIndex();
         this.updateFrameDisplay();
     }
 
+    getCurrentFrameIndex() {
+        const currentTime = this.video.currentTime;
+        if (this.frameTimes) {
+            return Mp4Parser.findFrameIndex(this.frameTimes, currentTime);
+        }
+        return Math.floor(currentTime * this.frameRate);
+    }
+
+    // Presentation time of the frame on screen, so syncing is exact to the frame
+    getCurrentFrameTime() {
+        if (this.frameTimes) {
+            return this.frameTimes[this.getCurrentFrameIndex()];
+        }
+        return this.video.currentTime;
+    }
+
+    // Seek into the middle of a frame's display interval so rounding in the player can't land on its neighbour
+    seekToFrame(frameIndex) {
+        const frameTimes = this.frameTimes;
+        const index = Math.max(0, Math.min(frameTimes.length - 1, frameIndex));
+        const frameEnd = index < frameTimes.length - 1 ? frameTimes[index + 1] : this.video.duration;
+        this.video.currentTime = (frameTimes[index] + Math.min(frameEnd, this.video.duration)) / 2;
+    }
+
     updateFrameDisplay() {
         this.currentFrameSpan.textContent = this.currentFrameNumber;
     }
 
     previousFrame() {
-        if (this.video.duration) {
+        if (this.video.duration && this.frameTimes) {
+            this.seekToFrame(this.getCurrentFrameIndex() - 1);
+        } else if (this.video.duration) {
             const frameTime = 1 / this.frameRate;
             const newTime = Math.max(0, this.video.currentTime - frameTime);
             this.video.currentTime = newTime;
@@ -219,7 +592,9 @@ class VideoFrameAnalyzer {
     }
 
     nextFrame() {
-        if (this.video.duration) {
+        if (this.video.duration && this.frameTimes) {
+            this.seekToFrame(this.getCurrentFrameIndex() + 1);
+        } else if (this.video.duration) {
             const frameTime = 1 / this.frameRate;
             const newTime = Math.min(this.video.duration, this.video.currentTime + frameTime);
             this.video.currentTime = newTime;
@@ -228,6 +603,14 @@ class VideoFrameAnalyzer {
     
 
     handleKeyboard(event) {
+        // Delete the selected sector border while editing sectors on the map
+        if (this.sectorEditor.active && this.sectorEditor.selectedBorder &&
+            (event.key === 'Delete' || event.key === 'Backspace')) {
+            event.preventDefault();
+            this.deleteSectorBorder(this.sectorEditor.selectedBorder);
+            return;
+        }
+        
         // Only handle keyboard shortcuts when video is loaded
         if (!this.video.duration) return;
         
@@ -242,15 +625,22 @@ class VideoFrameAnalyzer {
                 break;
             case ' ':
                 event.preventDefault();
-                if (this.video.paused) {
-                    this.video.play();
-                } else {
-                    this.video.pause();
-                }
+                this.togglePlayback();
                 break;
         }
     }
 
+    // A comparison video follows the main one, so this plays and pauses both
+    togglePlayback() {
+        if (!this.video.duration) return;
+        
+        if (this.video.paused) {
+            this.video.play();
+        } else {
+            this.video.pause();
+        }
+    }
+
     showVideoSection() {
         this.videoSection.style.display = 'block';
         this.videoSection.classList.add('fade-in');
@@ -268,23 +658,15 @@ class VideoFrameAnalyzer {
     }
 
     formatTime(seconds) {
-        if (isNaN(seconds)) return '00:00.000';
-        
-        const minutes = Math.floor(seconds / 60);
-        const remainingSeconds = seconds % 60;
-        const wholeSeconds = Math.floor(remainingSeconds);
-        const milliseconds = Math.round((remainingSeconds - wholeSeconds) * 1000);
-        
-        return `${minutes.toString().padStart(2, '0')}:${wholeSeconds.toString().padStart(2, '0')}.${milliseconds.toString().padStart(3, '0')}`;
+        return TelemetryCore.formatTime(seconds);
     }
 
     formatSectorTime(seconds) {
-        if (isNaN(seconds)) return '0.000';
-        
-        const wholeSeconds = Math.floor(seconds);
-        const milliseconds = Math.round((seconds - wholeSeconds) * 1000);
-        
-        return `${wholeSeconds}.${milliseconds.toString().padStart(3, '0')}`;
+        return TelemetryCore.formatSectorTime(seconds);
+    }
+
+    formatDiffTime(seconds) {
+        return TelemetryCore.formatDiffTime(seconds);
     }
 
     formatFileSize(bytes) {
@@ -302,181 +684,87 @@ class VideoFrameAnalyzer {
         
         if (!file) {
             this.csvInfo.style.display = 'none';
-            this.csvData = null;
-            this.telemetryData = [];
-            this.lapTimes = [];
+            this.session.reset();
+            this.logText = '';
+            this.logFingerprint = null;
             return;
         }
 
         // Validate file type
-        if (!file.name.toLowerCase().endsWith('.csv')) {
-            this.showCsvInfo('Please select a valid CSV file.', 'error');
+        const supportedExtensions = TelemetryImporters.getSupportedExtensions();
+        if (!supportedExtensions.some(ext => file.name.toLowerCase().endsWith(ext))) {
+            this.showCsvInfo(`Please select a supported data log (${supportedExtensions.join(', ')}).`, 'error');
             return;
         }
 
-        // Read and parse CSV file
+        // Read and parse the data log; the importer is picked from the file contents
         const reader = new FileReader();
-        reader.onload = (e) => {
-            try {
-                this.parseCsvData(e.target.result);
-                this.showCsvInfo(`
-                    <strong>CSV Loaded:</strong> ${file.name}<br>
-                    <strong>Laps:</strong> ${this.lapTimes.length}<br>
-                    <strong>Data Points:</strong> ${this.telemetryData.length}<br>
-                    <strong>Duration:</strong> ${this.formatTime(this.telemetryData[this.telemetryData.length - 1]?.time || 0)}
-                `);
-                
-                // Show lap table immediately after CSV is loaded
-                if (this.lapTimes.length > 0) {
-                    this.renderLapDataTable();
-                }
-                
-                // Show GPS visualization if GPS data is available
-                this.showGpsVisualizationIfAvailable();
-                
-                // Check if we should show the main content area
-                this.checkAndShowMainContent();
-            } catch (error) {
-                console.error('Error parsing CSV:', error);
-                this.showCsvInfo('Error parsing CSV file. Please check the format.', 'error');
-            }
-        };
+        reader.onload = (e) => this.loadTelemetryText(e.target.result, file.name);
         reader.readAsText(file);
     }
 
-    parseCsvData(csvText) {
-        const lines = csvText.split('\n');
-        let headerIndex = -1;
-        let dataStartIndex = -1;
-        
-        // Find the header line and segment times
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].trim();
-            
-            // Parse segment times (lap times)
-            if (line.startsWith('"Segment Times"')) {
-                const timesStr = line.substring(line.indexOf(',') + 1);
-                const timeMatches = timesStr.match(/"([^"]+)"/g);
-                if (timeMatches) {
-                    this.lapTimes = timeMatches.map(match => {
-                        const timeStr = match.replace(/"/g, '');
-                        return this.parseTimeString(timeStr);
-                    });
-                }
-                continue;
-            }
-            
-            // Find the data header
-            if (line.includes('"Time"') && line.includes('"GPS Speed"')) {
-                headerIndex = i;
-                dataStartIndex = i + 2; // Skip header and units line
-                break;
-            }
+    // Parse a data log (from a file or a saved session) and show its laps; the log fingerprint is
+    // computed from the text, so a log reopened from a saved session matches the original file
+    loadTelemetryText(text, fileName, fingerprint = null) {
+        this.logFingerprint = null;
+        if (this.comparison.offset !== null && this.comparison.session === this.session) {
+            this.setComparisonOffset(null, 'A new data log was loaded. Sync the comparison video again.');
         }
         
-        if (headerIndex === -1 || dataStartIndex === -1) {
-            throw new Error('Could not find data header in CSV file');
-        }
-        
-        // Parse header to find column indices
-        const headerLine = lines[headerIndex];
-        const headers = this.parseCsvLine(headerLine);
-        const timeIndex = headers.indexOf('Time');
-        const speedIndex = headers.indexOf('GPS Speed');
-        const latAccIndex = headers.indexOf('GPS LatAcc');
-        const lonAccIndex = headers.indexOf('GPS LonAcc');
-        const altitudeIndex = headers.indexOf('Altitude');
-        const latIndex = headers.indexOf('GPS Latitude');
-        const lonIndex = headers.indexOf('GPS Longitude');
-        const headingIndex = headers.indexOf('GPS Heading');
-        
-        if (timeIndex === -1 || speedIndex === -1) {
-            throw new Error('Could not find Time or GPS Speed columns');
-        }
-        
-        // Parse data rows
-        this.telemetryData = [];
-        const maxIndex = Math.max(timeIndex, speedIndex, latAccIndex, lonAccIndex, altitudeIndex, latIndex, lonIndex, headingIndex);
-        
-        for (let i = dataStartIndex; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (!line) continue;
-            
-            const values = this.parseCsvLine(line);
-            if (values.length > maxIndex) {
-                const time = parseFloat(values[timeIndex]);
-                const speed = parseFloat(values[speedIndex]);
-                const latAcc = latAccIndex !== -1 ? parseFloat(values[latAccIndex]) : 0;
-                const lonAcc = lonAccIndex !== -1 ? parseFloat(values[lonAccIndex]) : 0;
-                const altitude = altitudeIndex !== -1 ? parseFloat(values[altitudeIndex]) : 0;
-                const lat = latIndex !== -1 ? parseFloat(values[latIndex]) : 0;
-                const lon = lonIndex !== -1 ? parseFloat(values[lonIndex]) : 0;
-                const heading = headingIndex !== -1 ? parseFloat(values[headingIndex]) : 0;
-                
-                if (!isNaN(time) && !isNaN(speed)) {
-                    this.telemetryData.push({
-                        time: time,
-                        speed: speed,
-                        latAcc: isNaN(latAcc) ? 0 : latAcc,
-                        lonAcc: isNaN(lonAcc) ? 0 : lonAcc,
-                        altitude: isNaN(altitude) ? 0 : altitude,
-                        lat: isNaN(lat) ? 0 : lat,
-                        lon: isNaN(lon) ? 0 : lon,
-                        heading: isNaN(heading) ? 0 : heading
-                    });
-                }
+        try {
+            this.session.loadFile(text, fileName);
+            this.logText = text;
+            this.logFileName = fileName;
+            this.matchTrackForSession();
+            this.updateLapSourceControls();
+            this.renderReadoutChannels();
+            this.mapZoom = 1;
+            this.mapCenter = null;
+            if (this.tracePanelVisible) {
+                this.renderTraceControls();
             }
-        }
-        
-        this.csvData = { headers, telemetryData: this.telemetryData };
-        console.log(`Parsed ${this.telemetryData.length} telemetry data points`);
-        console.log(`Found ${this.lapTimes.length} lap times:`, this.lapTimes);
-        
-        // Calculate cumulative start times for each lap
-        this.calculateLapStartTimes();
-        
-        // Generate sector splits after parsing data
-        this.generateSectorSplits();
-        
-        // Calculate diff to best lap data
-        this.calculateDiffToBestLap();
-    }
-
-    parseCsvLine(line) {
-        const result = [];
-        let current = '';
-        let inQuotes = false;
-        
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
+            this.autoSync(true);
+            this.populateReferenceSelect();
+            this.applyReferenceSelection();
+            this.populateMapLapSelect();
+            // The lap table keeps the no-valid-laps warning up to date itself
+            const warnings = this.session.warnings
+                .filter(warning => warning !== TelemetryCore.NO_VALID_LAPS_WARNING)
+                .map(warning => `<br><strong>Warning:</strong> ${warning}`).join('');
+            this.showCsvInfo(`
+                <strong>Data Log Loaded:</strong> ${fileName}<br>
+                <strong>Format:</strong> ${this.session.csvData.formatName}<br>
+                <strong>Track:</strong> ${this.session.track ? this.session.track.name : 'Unknown (sectors from this session)'}<br>
+                <strong>Laps:</strong> ${this.session.lapTimes.length}<br>
+                <strong>Data Points:</strong> ${this.session.telemetryData.length}<br>
+                <strong>Channels:</strong> ${this.session.getChannelList().length}<br>
+                <strong>Distance:</strong> ${this.session.distanceSource === 'GPS' ? 'from GPS positions' : `from the ${this.session.distanceSource} channel`}<br>
+                <strong>Duration:</strong> ${this.formatTime(this.session.telemetryData[this.session.telemetryData.length - 1]?.time || 0)}
+                ${warnings}
+            `);
             
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                result.push(current.trim());
-                current = '';
-            } else {
-                current += char;
+            // Show lap table immediately after CSV is loaded
+            if (this.session.lapTimes.length > 0) {
+                this.renderLapDataTable();
             }
+            
+            // Show GPS visualization if GPS data is available
+            this.showGpsVisualizationIfAvailable();
+            this.renderCornerTable();
+            
+            // Check if we should show the main content area
+            this.checkAndShowMainContent();
+            
+            // Saved state for this video + log pair is restored once both fingerprints are known
+            this.fingerprintLog(text, fingerprint);
+        } catch (error) {
+            console.error('Error parsing data log:', error);
+            this.showCsvInfo(`Error parsing data log: ${error.message}`, 'error');
         }
-        
-        result.push(current.trim());
-        return result;
-    }
-
-    parseTimeString(timeStr) {
-        // Parse time strings like "1:03.608" to seconds
-        const parts = timeStr.split(':');
-        if (parts.length === 2) {
-            const minutes = parseInt(parts[0]);
-            const seconds = parseFloat(parts[1]);
-            return minutes * 60 + seconds;
-        }
-        return parseFloat(timeStr);
     }
 
     updateTelemetryDisplay() {
-        if (!this.telemetryData.length || this.syncOffset === 0) {
+        if (!this.session.telemetryData.length || this.syncOffset === 0) {
             return;
         }
         
@@ -484,28 +772,20 @@ class VideoFrameAnalyzer {
         const telemetryTime = this.video.currentTime - this.syncOffset;
         
         // Find the closest telemetry data point
-        let closestIndex = 0;
-        let minDiff = Math.abs(this.telemetryData[0].time - telemetryTime);
-        
-        for (let i = 1; i < this.telemetryData.length; i++) {
-            const diff = Math.abs(this.telemetryData[i].time - telemetryTime);
-            if (diff < minDiff) {
-                minDiff = diff;
-                closestIndex = i;
-            } else {
-                break; // Data is sorted, so we can break early
-            }
-        }
+        const closestIndex = this.session.findTelemetryIndex(telemetryTime);
         
         // Update telemetry displays
-        const data = this.telemetryData[closestIndex];
+        const data = this.session.telemetryData[closestIndex];
         this.speedValue.textContent = Math.round(data.speed);
         this.latAccValue.textContent = data.latAcc.toFixed(1);
         this.lonAccValue.textContent = data.lonAcc.toFixed(1);
         this.altitudeValue.textContent = Math.round(data.altitude);
+        this.telemetryChannels.querySelectorAll('.telemetry-value').forEach(element => {
+            element.textContent = this.formatChannelValue(getChannelValue(data, element.dataset.channel));
+        });
         
         // Update diff to best lap
-        const diffValue = this.diffToBestData[closestIndex];
+        const diffValue = this.session.diffToBestData[closestIndex];
         this.diffValue.textContent = this.formatDiffTime(diffValue);
         
         // Color code the diff value
@@ -528,54 +808,205 @@ class VideoFrameAnalyzer {
         // Update delta bar
         this.updateDeltaBar(diffValue);
         
-        // Update speed graph if visible - always update for moving window
-        if (this.speedGraphVisible) {
-            this.prepareSpeedGraphData();
-            this.drawSpeedGraph();
+        // Update the traces if visible - always update for moving window
+        if (this.tracePanelVisible) {
+            this.prepareTraceData();
+            this.drawTraces();
+        }
+        if (this.ggPanelVisible) {
+            this.drawGgDiagram();
+        }
+        if (this.gpsVisible) {
+            this.drawMapMarkers();
         }
     }
 
-    showCsvInfo(message, type = 'info') {
-        this.csvInfo.innerHTML = message;
-        this.csvInfo.className = `csv-info ${type}`;
-        this.csvInfo.style.display = 'block';
+    // Sector column tooltip naming the corners in the sector, e.g. "S2: T3, T4"
+    getSectorTitle(sectorIndex, sectorCorners) {
+        const names = sectorCorners[sectorIndex] || [];
+        return names.length ? `S${sectorIndex + 1}: ${names.join(', ')}` : `S${sectorIndex + 1}`;
     }
 
-    calculateLapStartTimes() {
-        // Calculate cumulative start times for each lap
-        this.lapStartTimes = [0]; // Out lap starts at 0
-        let cumulativeTime = 0;
+    // Laps down, corners across: brake point, peak deceleration, minimum speed and exit speed,
+    // with the best lap of each column in purple
+    renderCornerTable() {
+        const { zones, laps, best } = this.session.getCornerAnalysis();
+        if (!zones.length) {
+            this.cornerSection.style.display = 'none';
+            return;
+        }
+        
+        const metrics = [
+            { key: 'brakePoint', label: 'Brake', title: 'Brake point, metres from the lap start', format: result => `${Math.round(result.distance)} m` },
+            { key: 'peakDeceleration', label: 'Decel', title: 'Peak deceleration', format: result => `${result.value.toFixed(2)} g` },
+            { key: 'apex', label: 'Min', title: 'Minimum speed (km/h) and where it happened', format: result => `${result.speed.toFixed(1)}<span class="corner-position">@ ${Math.round(result.distance)} m</span>` },
+            { key: 'exit', label: 'Exit', title: 'Speed (km/h) 100 m after the apex', format: result => result.speed.toFixed(1) }
+        ];
+        
+        const zoneRow = document.createElement('tr');
+        zoneRow.innerHTML = '<th rowspan="2">Lap #</th>';
+        const metricRow = document.createElement('tr');
+        zones.forEach(zone => {
+            const zoneHeader = document.createElement('th');
+            zoneHeader.className = 'corner-header';
+            zoneHeader.colSpan = metrics.length;
+            zoneHeader.textContent = zone.name;
+            zoneHeader.title = zone.brakeDistance === null ?
+                `Apex at ${Math.round(zone.apexDistance)} m on the best lap` :
+                `Braking at ${Math.round(zone.brakeDistance)} m, apex at ${Math.round(zone.apexDistance)} m on the best lap`;
+            zoneRow.appendChild(zoneHeader);
+            
+            metrics.forEach(metric => {
+                const metricHeader = document.createElement('th');
+                metricHeader.textContent = metric.label;
+                metricHeader.title = metric.title;
+                metricRow.appendChild(metricHeader);
+            });
+        });
+        this.cornerTableHead.innerHTML = '';
+        this.cornerTableHead.append(zoneRow, metricRow);
         
-        for (let i = 0; i < this.lapTimes.length; i++) {
-            cumulativeTime += this.lapTimes[i];
-            if (i < this.lapTimes.length - 1) { // Don't add start time for the last lap
-                this.lapStartTimes.push(cumulativeTime);
+        this.cornerTableBody.innerHTML = '';
+        laps.forEach((results, lapIndex) => {
+            const row = document.createElement('tr');
+            const lapCell = document.createElement('td');
+            lapCell.className = 'lap-number';
+            lapCell.textContent = lapIndex === 0 ? 'Out Lap' : `Lap ${lapIndex}`;
+            row.appendChild(lapCell);
+            if (!this.session.isLapValid(lapIndex)) {
+                row.classList.add('invalid-lap');
             }
-        }
+            
+            results.forEach((result, zoneIndex) => {
+                metrics.forEach((metric, metricIndex) => {
+                    const cell = document.createElement('td');
+                    cell.className = 'corner-cell';
+                    if (metricIndex === 0) cell.classList.add('corner-start');
+                    
+                    const value = result ? result[metric.key] : null;
+                    if (value) {
+                        cell.innerHTML = metric.format(value);
+                        cell.dataset.time = value.time;
+                        cell.title = `Jump to ${this.formatTime(value.time)}`;
+                        if (best[zoneIndex][metric.key] === lapIndex) {
+                            cell.classList.add('best-sector-time');
+                        }
+                    } else {
+                        cell.textContent = '-';
+                    }
+                    row.appendChild(cell);
+                });
+            });
+            this.cornerTableBody.appendChild(row);
+        });
+        
+        this.cornerSection.style.display = 'block';
+    }
+
+    // Readout precision follows the size of the value, so RPM and g both stay readable
+    formatChannelValue(value) {
+        if (value === null || isNaN(value)) return '-';
+        const magnitude = Math.abs(value);
+        return value.toFixed(magnitude >= 100 ? 0 : magnitude >= 10 ? 1 : 2);
+    }
+
+    // Rebuild the picked readout channels and the picker; channels the loaded log doesn't have are dropped
+    renderReadoutChannels() {
+        const channels = this.session.getChannelList();
+        this.readoutChannels = this.readoutChannels.filter(id => channels.some(channel => channel.id === id));
+        
+        this.telemetryChannels.innerHTML = '';
+        this.readoutChannels.forEach(id => {
+            const channel = channels.find(candidate => candidate.id === id);
+            const item = document.createElement('div');
+            item.className = 'telemetry-item channel-display';
+            
+            const label = document.createElement('span');
+            label.className = 'telemetry-label';
+            label.textContent = channel.name;
+            
+            const value = document.createElement('span');
+            value.className = 'telemetry-value';
+            value.dataset.channel = id;
+            value.textContent = '-';
+            
+            const unit = document.createElement('span');
+            unit.className = 'telemetry-unit';
+            unit.textContent = channel.unit;
+            
+            const removeButton = document.createElement('button');
+            removeButton.className = 'channel-remove';
+            removeButton.dataset.channel = id;
+            removeButton.title = `Remove ${channel.name} from the readout`;
+            removeButton.textContent = '×';
+            
+            item.append(label, value, unit, removeButton);
+            this.telemetryChannels.appendChild(item);
+        });
         
-        console.log('Calculated lap start times:', this.lapStartTimes);
+        this.channelPicker.innerHTML = '<option value="">+ Channel</option>';
+        channels
+            .filter(channel => !FIXED_READOUT_CHANNELS.includes(channel.id) && !this.readoutChannels.includes(channel.id))
+            .forEach(channel => {
+                const option = document.createElement('option');
+                option.value = channel.id;
+                option.textContent = channel.unit ? `${channel.name} (${channel.unit})` : channel.name;
+                this.channelPicker.appendChild(option);
+            });
+        this.channelPicker.disabled = this.channelPicker.options.length === 1;
+        
+        this.updateTelemetryDisplay();
+    }
+
+    addReadoutChannel(channelId) {
+        if (!channelId || this.readoutChannels.includes(channelId)) return;
+        
+        this.readoutChannels.push(channelId);
+        this.renderReadoutChannels();
+        this.saveSessionState();
+    }
+
+    removeReadoutChannel(channelId) {
+        this.readoutChannels = this.readoutChannels.filter(id => id !== channelId);
+        this.renderReadoutChannels();
+        this.saveSessionState();
+    }
+
+    showCsvInfo(message, type = 'info') {
+        this.csvInfo.innerHTML = message;
+        this.csvInfo.className = `csv-info ${type}`;
+        this.csvInfo.style.display = 'block';
     }
 
     renderLapDataTable() {
-        if (!this.lapTimes.length) return;
+        if (!this.session.lapTimes.length) return;
         
         // Clear existing table rows
         this.lapTableBody.innerHTML = '';
         
         // Check if we have sector times to display
-        const hasSectorTimes = this.lapSectorTimes.length > 0;
-        const numSectors = hasSectorTimes ? (this.lapSectorTimes[0] ? this.lapSectorTimes[0].length : 0) : 0;
+        const hasSectorTimes = this.session.lapSectorTimes.length > 0;
+        const numSectors = hasSectorTimes ? (this.session.lapSectorTimes[0] ? this.session.lapSectorTimes[0].length : 0) : 0;
         
         console.log(`renderLapDataTable: hasSectorTimes=${hasSectorTimes}, numSectors=${numSectors}`);
         
+        const hasReference = this.session.referenceSource !== null && this.session.referenceLapTime !== null;
+        
         // Find best sector times and best lap for purple highlighting
-        const bestSectorTimes = hasSectorTimes && numSectors > 0 ? this.findBestSectorTimes(numSectors) : [];
-        const bestLapIndex = this.findBestLapIndex();
+        const bestSectorTimes = hasSectorTimes && numSectors > 0 ? this.session.findBestSectorTimes(numSectors) : [];
+        const bestLapIndex = this.session.findBestLapIndex();
+        const countedLaps = this.session.getCountedLaps();
+        
+        // Without a valid lap the core counts them all and warns; show that rather than bests from flagged laps silently
+        const validityWarning = this.session.warnings.includes(TelemetryCore.NO_VALID_LAPS_WARNING) ? TelemetryCore.NO_VALID_LAPS_WARNING : '';
+        this.lapValidityInfo.style.display = validityWarning ? 'block' : 'none';
+        this.lapValidityInfo.textContent = validityWarning;
         
         console.log('Best sector times for purple highlighting:', bestSectorTimes);
         console.log('Best lap index for purple highlighting:', bestLapIndex);
         
         // Update table header if we have sector times
+        const sectorCorners = this.session.getSectorCornerNames();
         if (hasSectorTimes && numSectors > 0) {
             const headerRow = this.lapTable.querySelector('thead tr');
             if (headerRow) {
@@ -590,6 +1021,7 @@ class VideoFrameAnalyzer {
                     const sectorHeader = document.createElement('th');
                     sectorHeader.className = 'sector-header';
                     sectorHeader.textContent = `S${i + 1}`;
+                    sectorHeader.title = this.getSectorTitle(i, sectorCorners);
                     sectorHeader.style.backgroundColor = '#f0f0f0';
                     sectorHeader.style.border = '1px solid #ccc';
                     headerRow.insertBefore(sectorHeader, syncHeader);
@@ -598,18 +1030,32 @@ class VideoFrameAnalyzer {
         }
         
         // Create table rows for each lap
-        for (let i = 0; i < this.lapTimes.length; i++) {
+        for (let i = 0; i < this.session.lapTimes.length; i++) {
             const row = document.createElement('tr');
+            if (i === this.selectedLapIndex) {
+                row.classList.add('selected');
+            }
+            const isValid = this.session.isLapValid(i);
+            if (!isValid) {
+                row.classList.add('invalid-lap');
+            }
             
-            // Lap number cell
+            // Lap number cell, with badges for the automatic flags
             const lapCell = document.createElement('td');
             lapCell.className = 'lap-number';
             lapCell.textContent = i === 0 ? 'Out Lap' : `Lap ${i}`;
+            (this.session.lapFlags[i] || []).forEach(flag => {
+                const badge = document.createElement('span');
+                badge.className = 'lap-flag';
+                badge.textContent = flag.toUpperCase();
+                badge.title = TelemetryCore.LAP_FLAG_NAMES[flag];
+                lapCell.appendChild(badge);
+            });
             
             // Lap time cell
             const timeCell = document.createElement('td');
             timeCell.className = 'lap-time';
-            timeCell.textContent = this.formatTime(this.lapTimes[i]);
+            timeCell.textContent = this.formatTime(this.session.lapTimes[i]);
             
             // Highlight best lap time in purple
             if (i === bestLapIndex) {
@@ -619,6 +1065,11 @@ class VideoFrameAnalyzer {
                 console.log(`Highlighted lap ${i} as best lap time in purple`);
             }
             
+            // Show the gap to an explicitly chosen reference lap
+            if (hasReference) {
+                this.appendReferenceDelta(timeCell, this.session.lapTimes[i], this.session.referenceLapTime);
+            }
+            
             // Actions cell with sync and jump buttons
             const actionsCell = document.createElement('td');
             actionsCell.style.display = 'flex';
@@ -652,8 +1103,24 @@ class VideoFrameAnalyzer {
             jumpBtn.style.cursor = 'pointer';
             jumpBtn.addEventListener('click', () => this.jumpToLapStart(i));
             
+            // Validity button (count the lap towards bests or not)
+            const validBtn = document.createElement('button');
+            validBtn.className = 'action-btn valid-btn';
+            validBtn.innerHTML = isValid ? '✓' : '✗';
+            validBtn.title = isValid ?
+                'Valid: counts towards the best lap and sectors. Click to mark invalid' :
+                'Invalid: ignored for the best lap and sectors. Click to mark valid';
+            validBtn.style.fontSize = '14px';
+            validBtn.style.padding = '4px 6px';
+            validBtn.style.border = '1px solid #d9d9d9';
+            validBtn.style.borderRadius = '4px';
+            validBtn.style.backgroundColor = '#fff';
+            validBtn.style.cursor = 'pointer';
+            validBtn.addEventListener('click', () => this.toggleLapValidity(i));
+            
             actionsCell.appendChild(syncBtn);
             actionsCell.appendChild(jumpBtn);
+            actionsCell.appendChild(validBtn);
             
             // Append cells in correct order: Lap, Time, [Sectors], Sync
             row.appendChild(lapCell);
@@ -661,12 +1128,13 @@ class VideoFrameAnalyzer {
             
             // Add sector time cells if we have sector data
             if (hasSectorTimes && numSectors > 0) {
-                const sectorTimes = this.lapSectorTimes[i] || [];
+                const sectorTimes = this.session.lapSectorTimes[i] || [];
                 console.log(`Lap ${i} sector times:`, sectorTimes);
                 
                 for (let j = 0; j < numSectors; j++) {
                     const sectorCell = document.createElement('td');
                     sectorCell.className = 'sector-time';
+                    sectorCell.title = this.getSectorTitle(j, sectorCorners);
                     sectorCell.style.border = '1px solid #ccc';
                     sectorCell.style.padding = '4px';
                     sectorCell.style.textAlign = 'center';
@@ -676,7 +1144,7 @@ class VideoFrameAnalyzer {
                         sectorCell.style.backgroundColor = '#e6f7ff';
                         
                         // Highlight best sector time in purple
-                        if (bestSectorTimes[j] !== undefined && 
+                        if (countedLaps.includes(i) && bestSectorTimes[j] !== undefined && 
                             Math.abs(sectorTimes[j] - bestSectorTimes[j]) < 0.001) { // Use small tolerance for floating point comparison
                             sectorCell.style.backgroundColor = '#722ed1';
                             sectorCell.style.color = 'white';
@@ -684,6 +1152,10 @@ class VideoFrameAnalyzer {
                             console.log(`Highlighted sector ${j + 1} for lap ${i} as best sector time in purple`);
                         }
                         
+                        if (hasReference) {
+                            this.appendReferenceDelta(sectorCell, sectorTimes[j], this.session.referenceSectorTimes[j]);
+                        }
+                        
                         console.log(`Sector ${j + 1} for lap ${i}: ${this.formatSectorTime(sectorTimes[j])}`);
                     } else {
                         sectorCell.textContent = '--';
@@ -701,1126 +1173,1827 @@ class VideoFrameAnalyzer {
             this.lapTableBody.appendChild(row);
         }
         
+        // Reference lap row goes last so row indices keep matching lap indices
+        if (hasReference) {
+            this.lapTableBody.appendChild(this.createReferenceRow(hasSectorTimes ? numSectors : 0));
+        }
+        
+        // Ideal and rolling best laps show how much time is realistically available
+        const bestLapTime = bestLapIndex !== -1 ? this.session.lapTimes[bestLapIndex] : null;
+        const idealLap = this.session.findIdealLap();
+        if (idealLap) {
+            this.lapTableBody.appendChild(this.createIdealLapRow(idealLap, bestLapTime));
+        }
+        if (this.session.rollingBest) {
+            this.lapTableBody.appendChild(this.createRollingBestRow(this.session.rollingBest, bestLapTime, hasSectorTimes ? numSectors : 0));
+        }
+        
         this.lapSelection.style.display = 'block';
+        this.populateExportRangeSelect();
         
-        console.log(`renderLapDataTable: Created table with ${this.lapTimes.length} laps and ${numSectors} sector columns`);
+        console.log(`renderLapDataTable: Created table with ${this.session.lapTimes.length} laps and ${numSectors} sector columns`);
     }
 
-    syncVideoToLapStart(lapIndex) {
-        if (!this.video.duration || !this.lapStartTimes.length) {
-            alert('Please load a video file first to sync with the lap data.');
-            return;
+    createReferenceRow(numSectors) {
+        const row = document.createElement('tr');
+        row.className = 'reference-row';
+        
+        const lapCell = document.createElement('td');
+        lapCell.className = 'lap-number';
+        lapCell.textContent = `Ref: ${this.session.referenceLabel}`;
+        row.appendChild(lapCell);
+        
+        const timeCell = document.createElement('td');
+        timeCell.className = 'lap-time';
+        timeCell.textContent = this.formatTime(this.session.referenceLapTime);
+        row.appendChild(timeCell);
+        
+        for (let j = 0; j < numSectors; j++) {
+            const sectorCell = document.createElement('td');
+            sectorCell.className = 'sector-time';
+            const sectorTime = this.session.referenceSectorTimes[j];
+            sectorCell.textContent = sectorTime !== undefined ? this.formatSectorTime(sectorTime) : '--';
+            row.appendChild(sectorCell);
         }
         
-        const lapStartTime = this.lapStartTimes[lapIndex];
-        
-        // If we already have a sync offset, jump to the corresponding video time
-        if (this.syncOffset !== 0) {
-            // Calculate the video time that corresponds to this lap start
-            const targetVideoTime = lapStartTime + this.syncOffset;
-            
-            // Clamp to video bounds
-            const clampedTime = Math.max(0, Math.min(this.video.duration, targetVideoTime));
-            
-            // Jump video to the lap start time
-            this.video.currentTime = clampedTime;
-            
-            console.log(`Jumped to ${lapIndex === 0 ? 'Out Lap' : `Lap ${lapIndex}`} start: video time ${this.formatTime(clampedTime)}`);
-        } else {
-            // No sync established yet - use current video time to establish sync
-            const currentVideoTime = this.video.currentTime;
-            
-            // Calculate sync offset: video time - data time
-            this.syncOffset = currentVideoTime - lapStartTime;
-            this.selectedLapIndex = lapIndex;
-            
-            // Create a selected frame object for compatibility with existing sync display
-            this.selectedFrame = {
-                frameNumber: this.currentFrameNumber,
-                timestamp: currentVideoTime,
-                formattedTime: this.formatTime(currentVideoTime)
-            };
+        // Empty actions cell keeps the columns aligned
+        row.appendChild(document.createElement('td'));
+        return row;
+    }
+
+    // Sum of the best sectors, each labelled with the lap it was set on
+    createIdealLapRow(idealLap, bestLapTime) {
+        const row = document.createElement('tr');
+        row.className = 'ideal-row';
+        
+        const lapCell = document.createElement('td');
+        lapCell.className = 'lap-number';
+        lapCell.textContent = 'Ideal';
+        lapCell.title = 'Theoretical best lap: the best time of every sector added up';
+        row.appendChild(lapCell);
+        
+        const timeCell = document.createElement('td');
+        timeCell.className = 'lap-time';
+        timeCell.textContent = this.formatTime(idealLap.time);
+        this.appendReferenceDelta(timeCell, idealLap.time, bestLapTime);
+        row.appendChild(timeCell);
+        
+        for (const sector of idealLap.sectors) {
+            const sectorCell = document.createElement('td');
+            sectorCell.className = 'sector-time';
+            sectorCell.textContent = this.formatSectorTime(sector.time);
             
-            const lapName = lapIndex === 0 ? 'Out Lap' : `Lap ${lapIndex}`;
-            console.log(`Synced to ${lapName}: Video ${currentVideoTime}s = Data ${lapStartTime}s (offset: ${this.syncOffset}s)`);
+            const sourceSpan = document.createElement('span');
+            sourceSpan.className = 'ideal-source';
+            sourceSpan.textContent = TelemetryCore.getLapName(sector.lapIndex);
+            sectorCell.appendChild(sourceSpan);
+            row.appendChild(sectorCell);
         }
         
-        // Show telemetry display now that we're synced (moved outside the if/else)
-        this.telemetryDisplay.style.display = 'block';
-        
-        // Show delta bar if we have diff data
-        if (this.diffToBestData.some(d => d !== null)) {
-            this.deltaBarContainer.style.display = 'block';
+        // Empty actions cell keeps the columns aligned
+        row.appendChild(document.createElement('td'));
+        return row;
+    }
+
+    // Fastest one-lap stretch starting anywhere on track; the jump button shows where it starts
+    createRollingBestRow(rollingBest, bestLapTime, numSectors) {
+        const row = document.createElement('tr');
+        row.className = 'ideal-row';
+        
+        const lapCell = document.createElement('td');
+        lapCell.className = 'lap-number';
+        lapCell.textContent = 'Rolling';
+        lapCell.title = `Rolling best: fastest lap-long stretch (${(rollingBest.distance * 1000).toFixed(0)} m) starting anywhere on track`;
+        row.appendChild(lapCell);
+        
+        const timeCell = document.createElement('td');
+        timeCell.className = 'lap-time';
+        timeCell.textContent = this.formatTime(rollingBest.time);
+        this.appendReferenceDelta(timeCell, rollingBest.time, bestLapTime);
+        row.appendChild(timeCell);
+        
+        if (numSectors > 0) {
+            const startCell = document.createElement('td');
+            startCell.className = 'sector-time';
+            startCell.colSpan = numSectors;
+            startCell.textContent = `from ${TelemetryCore.getLapName(rollingBest.lapIndex)} +${this.formatSectorTime(rollingBest.startTime - this.session.lapStartTimes[rollingBest.lapIndex])}s`;
+            row.appendChild(startCell);
         }
         
-        // Show speed graph
-        this.showSpeedGraph();
-        
-        // Update table row selection visual
-        const rows = this.lapTableBody.querySelectorAll('tr');
-        rows.forEach((row, index) => {
-            if (index === lapIndex) {
-                row.classList.add('selected');
-            } else {
-                row.classList.remove('selected');
-            }
-        });
+        const actionsCell = document.createElement('td');
+        const jumpBtn = document.createElement('button');
+        jumpBtn.className = 'action-btn jump-btn';
+        jumpBtn.innerHTML = '⏭️';
+        jumpBtn.title = 'Jump: Go to the start of the rolling best lap';
+        jumpBtn.addEventListener('click', () => this.jumpToDataTime(rollingBest.startTime));
+        actionsCell.appendChild(jumpBtn);
+        row.appendChild(actionsCell);
+        return row;
+    }
+
+    appendReferenceDelta(cell, time, referenceTime) {
+        if (referenceTime === undefined || referenceTime === null) return;
         
-        // Visual feedback on the sync button
-        const syncBtn = event.target;
-        const originalText = syncBtn.textContent;
-        const originalColor = syncBtn.style.backgroundColor;
+        const delta = time - referenceTime;
+        const deltaSpan = document.createElement('span');
+        deltaSpan.className = `sector-delta ${delta < 0 ? 'ahead' : 'behind'}`;
+        deltaSpan.textContent = this.formatDiffTime(delta);
+        cell.appendChild(deltaSpan);
+    }
+
+    populateReferenceSelect() {
+        const previousValue = this.referenceSelect.value;
+        this.referenceSelect.innerHTML = '';
+        
+        const bestOption = document.createElement('option');
+        bestOption.value = 'best';
+        bestOption.textContent = 'Session best lap';
+        this.referenceSelect.appendChild(bestOption);
+        
+        const addLapGroup = (label, source, session) => {
+            const group = document.createElement('optgroup');
+            group.label = label;
+            session.lapTimes.forEach((lapTime, i) => {
+                const option = document.createElement('option');
+                option.value = `${source}:${i}`;
+                option.textContent = `${TelemetryCore.getLapName(i)} (${this.formatTime(lapTime)})`;
+                group.appendChild(option);
+            });
+            this.referenceSelect.appendChild(group);
+        };
         
-        if (this.syncOffset !== 0) {
-            syncBtn.textContent = 'Jumped!';
-            syncBtn.style.backgroundColor = '#1890ff';
-        } else {
-            syncBtn.textContent = 'Synced!';
-            syncBtn.style.backgroundColor = '#52c41a';
+        if (this.session.lapTimes.length) {
+            addLapGroup('This session', 'session', this.session);
+        }
+        if (this.referenceSession) {
+            addLapGroup(`Reference: ${this.referenceFileName}`, 'reference', this.referenceSession);
         }
         
-        setTimeout(() => {
-            syncBtn.textContent = originalText;
-            syncBtn.style.backgroundColor = originalColor;
-        }, 2000);
+        // Keep the previous choice when it still exists
+        const stillAvailable = Array.from(this.referenceSelect.options).some(option => option.value === previousValue);
+        this.referenceSelect.value = stillAvailable ? previousValue : 'best';
     }
 
-    jumpToLapStart(lapIndex) {
-        if (!this.video.duration || !this.lapStartTimes.length) {
-            alert('Please load a video file first to jump to lap data.');
-            return;
-        }
+    applyReferenceSelection() {
+        const [source, lapIndexStr] = this.referenceSelect.value.split(':');
+        const lapIndex = parseInt(lapIndexStr);
         
-        if (this.syncOffset === 0) {
-            alert('Please establish synchronization first by clicking the sync button (🔗) next to any lap.');
-            return;
+        if (source === 'reference' && this.referenceSession) {
+            this.session.setReferenceLap(this.referenceSession, lapIndex, this.referenceFileName);
+        } else if (source === 'session') {
+            this.session.setReferenceLap(this.session, lapIndex);
+        } else if (this.session.referenceSource) {
+            this.session.clearReferenceLap();
         }
         
-        const lapStartTime = this.lapStartTimes[lapIndex];
+        this.updateReferenceInfo();
+    }
+
+    handleReferenceChange() {
+        this.applyReferenceSelection();
+        this.renderLapDataTable();
         
-        // Calculate the video time that corresponds to this lap start
-        const targetVideoTime = lapStartTime + this.syncOffset;
+        // Refresh delta bar, diff value and traces for the current position
+        this.updateTelemetryDisplay();
         
-        // Clamp to video bounds
-        const clampedTime = Math.max(0, Math.min(this.video.duration, targetVideoTime));
+        // The comparison video's offset only holds for the log it was synced to
+        if (this.comparison.offset !== null && this.comparison.session !== this.getReferenceSession()) {
+            this.setComparisonOffset(null, 'The reference lap is from another log now. Sync the comparison video again.');
+        } else {
+            this.updateComparisonVideo();
+        }
+    }
+
+    updateReferenceInfo() {
+        const hasReference = this.session.referenceSource !== null;
+        this.diffLabel.textContent = hasReference ? 'Diff to Ref' : 'Diff to Best';
         
-        // Jump video to the lap start time
-        this.video.currentTime = clampedTime;
+        if (!hasReference) {
+            this.referenceInfo.style.display = 'none';
+            return;
+        }
         
-        // Update table row selection visual
-        const rows = this.lapTableBody.querySelectorAll('tr');
-        rows.forEach((row, index) => {
-            if (index === lapIndex) {
-                row.classList.add('selected');
-            } else {
-                row.classList.remove('selected');
-            }
-        });
+        const hasDiffData = this.session.diffToBestData.some(d => d !== null);
+        if (hasDiffData) {
+            this.referenceInfo.textContent = `Comparing against ${this.session.referenceLabel} (${this.formatTime(this.session.referenceLapTime)})`;
+            this.referenceInfo.className = 'reference-info';
+        } else {
+            this.referenceInfo.textContent = `${this.session.referenceLabel} could not be matched to this session's track. Check that both logs are from the same circuit.`;
+            this.referenceInfo.className = 'reference-info error';
+        }
+        this.referenceInfo.style.display = 'block';
         
-        // Visual feedback on the jump button
-        const jumpBtn = event.target;
-        const originalText = jumpBtn.innerHTML;
-        const originalColor = jumpBtn.style.backgroundColor;
+        if (hasDiffData && this.syncOffset !== 0) {
+            this.deltaBarContainer.style.display = 'block';
+        }
+    }
+
+    handleReferenceFileSelect(event) {
+        const file = event.target.files[0];
+        if (!file) return;
         
-        jumpBtn.innerHTML = '✓';
-        jumpBtn.style.backgroundColor = '#1890ff';
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                const referenceSession = new TelemetrySession();
+                referenceSession.loadFile(e.target.result, file.name);
+                this.referenceSession = referenceSession;
+                this.referenceFileName = file.name;
+                
+                // Default to the reference log's best lap
+                this.populateReferenceSelect();
+                this.referenceSelect.value = `reference:${referenceSession.findBestLapIndex()}`;
+                this.handleReferenceChange();
+            } catch (error) {
+                console.error('Error parsing reference log:', error);
+                this.referenceInfo.textContent = `Error parsing reference log: ${error.message}`;
+                this.referenceInfo.className = 'reference-info error';
+                this.referenceInfo.style.display = 'block';
+            }
+        };
+        reader.readAsText(file);
+    }
+
+    // Telemetry display, delta bar and traces are shown once video and data are synced
+    showSyncedTelemetry() {
+        this.telemetryDisplay.style.display = 'block';
         
-        setTimeout(() => {
-            jumpBtn.innerHTML = originalText;
-            jumpBtn.style.backgroundColor = originalColor;
-        }, 1000);
+        // Show delta bar if we have diff data
+        if (this.session.diffToBestData.some(d => d !== null)) {
+            this.deltaBarContainer.style.display = 'block';
+        }
         
-        console.log(`Jumped to ${lapIndex === 0 ? 'Out Lap' : `Lap ${lapIndex}`} start: video time ${this.formatTime(clampedTime)}`);
+        // Show the trace panel and the G-G diagram
+        this.showTracePanel();
+        this.showGgPanel();
     }
 
-    showSpeedGraph() {
-        if (!this.speedGraphContainer || !this.speedGraphCanvas || !this.speedGraphCtx) {
-            console.log('Speed graph elements not found');
-            return;
+    updateSyncControls(message = null, type = 'info') {
+        this.syncOffsetInput.value = this.syncOffset !== 0 ? this.syncOffset.toFixed(3) : '';
+        if (message !== null) {
+            this.syncInfo.textContent = message;
+            this.syncInfo.classList.toggle('error', type === 'error');
         }
+    }
 
-        if (!this.telemetryData.length) {
-            console.log('No telemetry data available for speed graph');
-            return;
+    setSyncOffset(offset, message) {
+        this.syncOffset = offset;
+        this.updateSyncControls(message);
+        this.saveSessionState();
+        console.log(`Sync offset set to ${offset}s`);
+        
+        if (offset !== 0 && this.session.telemetryData.length) {
+            this.showSyncedTelemetry();
+            this.updateTelemetryDisplay();
         }
+    }
 
-        // Show the speed graph container
-        this.speedGraphContainer.style.display = 'block';
-        this.speedGraphVisible = true;
-
-        // Prepare speed data for the current lap or all data
-        this.prepareSpeedGraphData();
-
-        // Set up canvas size
-        this.setupSpeedGraphCanvas();
-
-        // Draw the initial graph
-        this.drawSpeedGraph();
+    // Manual override; clearing the field removes the sync so a lap can be synced with 🔗 again
+    handleSyncOffsetInput() {
+        const value = this.syncOffsetInput.value.trim();
+        const offset = value === '' ? 0 : parseFloat(value);
+        
+        if (isNaN(offset)) {
+            this.updateSyncControls('Enter the offset in seconds (video time minus data time)', 'error');
+            return;
+        }
+        
+        this.setSyncOffset(offset, offset !== 0 ? 'Offset set manually' : 'Not synced');
+    }
 
-        console.log('Speed graph displayed');
+    // Shift the data against the video by whole frames
+    nudgeSyncOffset(frames) {
+        if (this.syncOffset === 0) return;
+        this.setSyncOffset(this.syncOffset + frames / this.frameRate, 'Offset adjusted manually');
     }
 
-    prepareSpeedGraphData() {
-        if (!this.telemetryData.length || this.syncOffset === 0) {
-            this.speedGraphData = [];
-            this.bestLapSpeedGraphData = [];
+    // Sync from GPS embedded in the video. Automatic runs (on loading) only apply a confident
+    // result and never replace an existing sync; the button always applies the result.
+    autoSync(automatic) {
+        if (!this.videoGps.length || !this.session.telemetryData.length) return;
+        if (automatic && this.syncOffset !== 0) return;
+        
+        const result = this.session.estimateVideoSyncOffset(this.videoGps);
+        if (!result) {
+            this.updateSyncControls('Auto sync failed: the video GPS does not overlap the data log', 'error');
             return;
         }
-
-        // Calculate current telemetry time
-        const currentTelemetryTime = this.video.currentTime - this.syncOffset;
         
-        // Define 20-second window: 10 seconds before and 10 seconds after current time
-        const windowSize = 20; // seconds
-        const halfWindow = windowSize / 2;
-        const windowStartTime = currentTelemetryTime - halfWindow;
-        const windowEndTime = currentTelemetryTime + halfWindow;
-
-        // Filter current telemetry data to the 20-second window
-        this.speedGraphData = this.telemetryData
-            .filter(point => point.time >= windowStartTime && point.time <= windowEndTime)
-            .map(point => ({
-                time: point.time,
-                speed: point.speed
-            }));
-
-        // Prepare best lap reference data aligned by GPS position (not time)
-        this.bestLapSpeedGraphData = [];
-        if (this.bestLapData && this.bestLapData.length > 0 && this.bestLapIndex !== -1 && this.speedGraphData.length > 0) {
-            // For each point in the current window, find the corresponding GPS position in the best lap
-            this.bestLapSpeedGraphData = this.speedGraphData.map(currentPoint => {
-                // Find the current telemetry point with GPS data
-                const currentTelemetryPoint = this.telemetryData.find(point => 
-                    Math.abs(point.time - currentPoint.time) < 0.1
-                );
-                
-                if (!currentTelemetryPoint || !currentTelemetryPoint.lat || !currentTelemetryPoint.lon) {
-                    return null; // No GPS data for this point
-                }
-                
-                // Find the closest GPS position in the best lap data
-                const correspondingBestLapPoint = this.findClosestGpsPosition(
-                    currentTelemetryPoint, 
-                    this.bestLapData
-                );
-                
-                if (correspondingBestLapPoint) {
-                    return {
-                        time: currentPoint.time, // Use current lap time for x-axis alignment
-                        speed: correspondingBestLapPoint.speed
-                    };
-                }
-                
-                return null;
-            }).filter(point => point !== null); // Remove null entries
+        const confidence = Math.round(result.confidence * 100);
+        const details = `speed match ${result.correlation.toFixed(2)}` + 
+            (result.positionError !== null ? `, position error ${result.positionError.toFixed(1)} m` : '');
+        
+        if (automatic && result.confidence < AUTO_SYNC_MIN_CONFIDENCE) {
+            this.updateSyncControls(`Auto sync uncertain (${confidence}% confidence, ${details}): offset ${result.offset.toFixed(3)} s not applied. Click Auto Sync to apply it anyway or sync a lap with 🔗.`, 'error');
+            return;
         }
+        
+        this.setSyncOffset(result.offset, `Auto synced from video GPS: ${confidence}% confidence (${details})`);
+    }
 
-        console.log(`Speed graph showing 20s window: ${this.formatTime(windowStartTime)} to ${this.formatTime(windowEndTime)} (${this.speedGraphData.length} current + ${this.bestLapSpeedGraphData.length} reference points)`);
-
-        // Update timeline to show the window duration
-        if (this.timelineEnd) {
-            this.timelineEnd.textContent = `${windowSize}s`;
-        }
+    // Overlay export: the video with speed, G, delta, lap timer and a track map drawn on top,
+    // recorded in real time from a canvas with MediaRecorder
+    populateExportRangeSelect() {
+        const previousValue = this.exportRangeSelect.value;
+        this.exportRangeSelect.innerHTML = '';
+        
+        const addOption = (value, text) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            this.exportRangeSelect.appendChild(option);
+        };
+        
+        addOption('all', 'Whole video');
+        this.session.lapTimes.forEach((lapTime, i) => {
+            addOption(`lap:${i}`, `${TelemetryCore.getLapName(i)} (${this.formatTime(lapTime)})`);
+        });
+        addOption('range', 'Time range');
+        
+        const stillAvailable = Array.from(this.exportRangeSelect.options).some(option => option.value === previousValue);
+        this.exportRangeSelect.value = stillAvailable ? previousValue : 'all';
+        this.handleExportRangeChange();
+    }
 
-        // Update speed range display based on current window data (include both current and reference data)
-        if (this.speedGraphRange && (this.speedGraphData.length > 0 || this.bestLapSpeedGraphData.length > 0)) {
-            const allSpeeds = [
-                ...this.speedGraphData.map(d => d.speed),
-                ...this.bestLapSpeedGraphData.map(d => d.speed)
-            ];
-            const minSpeed = Math.min(...allSpeeds);
-            const maxSpeed = Math.max(...allSpeeds);
-            const roundedMax = Math.ceil(maxSpeed / 10) * 10; // Round up to nearest 10
-            this.speedGraphRange.textContent = `0-${roundedMax} km/h`;
-        } else if (this.speedGraphRange) {
-            // Fallback when no data in window
-            this.speedGraphRange.textContent = `0-200 km/h`;
+    handleExportRangeChange() {
+        const isRange = this.exportRangeSelect.value === 'range';
+        this.exportRangeInputs.style.display = isRange ? 'inline-flex' : 'none';
+        
+        // Start a new range at the current position
+        if (isRange && this.exportStartInput.value === '') {
+            this.exportStartInput.value = this.video.currentTime.toFixed(1);
         }
+    }
 
-        // Store current window bounds for other methods
-        this.currentWindowStartTime = windowStartTime;
-        this.currentWindowEndTime = windowEndTime;
+    updateExportInfo(message, type = 'info') {
+        this.exportInfo.textContent = message;
+        this.exportInfo.classList.toggle('error', type === 'error');
     }
 
-    getCurrentLapIndex() {
-        if (!this.video || this.syncOffset === 0 || !this.lapStartTimes.length) {
-            return -1;
+    // Start and end of the export in seconds of video
+    getExportRange() {
+        const duration = this.video.duration;
+        const clamp = time => Math.max(0, Math.min(duration, time));
+        const value = this.exportRangeSelect.value;
+        
+        if (value === 'all') {
+            return { start: 0, end: duration };
         }
-
-        const telemetryTime = this.video.currentTime - this.syncOffset;
         
-        // Find which lap the current telemetry time falls into
-        for (let i = 0; i < this.lapStartTimes.length; i++) {
-            const lapStartTime = this.lapStartTimes[i];
-            const lapEndTime = i < this.lapStartTimes.length - 1 ? 
-                this.lapStartTimes[i + 1] : 
-                lapStartTime + this.lapTimes[i];
-            
-            if (telemetryTime >= lapStartTime && telemetryTime <= lapEndTime) {
-                return i;
+        if (value === 'range') {
+            const start = parseFloat(this.exportStartInput.value);
+            const end = parseFloat(this.exportEndInput.value);
+            if (isNaN(start) || isNaN(end) || clamp(end) <= clamp(start)) {
+                throw new Error('Enter the range in seconds of video, with the end after the start.');
             }
+            return { start: clamp(start), end: clamp(end) };
         }
         
-        return -1;
+        const { startTime, endTime } = this.session.getLapBounds(parseInt(value.split(':')[1]));
+        const range = { start: clamp(startTime + this.syncOffset), end: clamp(endTime + this.syncOffset) };
+        if (range.end <= range.start) {
+            throw new Error('This lap is not in the video.');
+        }
+        return range;
     }
 
-    setupSpeedGraphCanvas() {
-        const canvas = this.speedGraphCanvas;
-        const rect = canvas.getBoundingClientRect();
+    async exportOverlayVideo() {
+        // The button cancels a running export
+        if (this.overlayExport) {
+            this.overlayExport.cancelled = true;
+            this.overlayExport.recorder.stop();
+            return;
+        }
         
-        // Set canvas size to match CSS size for crisp rendering
-        canvas.width = rect.width * window.devicePixelRatio;
-        canvas.height = rect.height * window.devicePixelRatio;
+        if (!this.video.duration || !this.session.telemetryData.length || this.syncOffset === 0) {
+            this.updateExportInfo('Load a video and a data log and sync them before exporting.', 'error');
+            return;
+        }
         
-        // Scale the context to match device pixel ratio
-        this.speedGraphCtx.scale(window.devicePixelRatio, window.devicePixelRatio);
+        const mimeType = typeof MediaRecorder !== 'undefined' && HTMLCanvasElement.prototype.captureStream ?
+            EXPORT_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) : null;
+        if (!mimeType) {
+            this.updateExportInfo('This browser cannot record video.', 'error');
+            return;
+        }
         
-        // Set canvas CSS size
-        canvas.style.width = rect.width + 'px';
-        canvas.style.height = rect.height + 'px';
+        let range;
+        try {
+            range = this.getExportRange();
+        } catch (error) {
+            this.updateExportInfo(error.message, 'error');
+            return;
+        }
+        
+        // A hidden copy of the video is recorded so the player stays usable
+        const source = document.createElement('video');
+        source.preload = 'auto';
+        source.playsInline = true;
+        source.src = this.video.src;
+        let audioContext = null;
+        
+        try {
+            this.updateExportInfo('Preparing export...');
+            await waitForEvent(source, 'loadedmetadata');
+            source.currentTime = range.start;
+            await waitForEvent(source, 'seeked');
+            
+            const canvas = document.createElement('canvas');
+            canvas.width = source.videoWidth;
+            canvas.height = source.videoHeight;
+            const ctx = canvas.getContext('2d');
+            const stream = canvas.captureStream(Math.round(this.frameRate));
+            
+            // Sound goes to the recording through Web Audio instead of the speakers
+            try {
+                audioContext = new AudioContext();
+                const destination = audioContext.createMediaStreamDestination();
+                audioContext.createMediaElementSource(source).connect(destination);
+                destination.stream.getAudioTracks().forEach(track => stream.addTrack(track));
+            } catch (error) {
+                console.warn('Exporting without sound:', error);
+            }
+            
+            const chunks = [];
+            const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: EXPORT_VIDEO_BITRATE });
+            recorder.ondataavailable = (e) => {
+                if (e.data.size) chunks.push(e.data);
+            };
+            const finished = new Promise(resolve => {
+                recorder.onstop = resolve;
+            });
+            
+            const job = { source, recorder, cancelled: false };
+            this.overlayExport = job;
+            this.exportVideoBtn.textContent = 'Cancel Export';
+            
+            const trackMap = this.prepareOverlayTrackMap();
+            const stop = () => {
+                if (recorder.state === 'recording') recorder.stop();
+            };
+            const drawFrame = () => {
+                if (recorder.state !== 'recording') return;
+                
+                ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+                this.drawTelemetryOverlay(ctx, canvas.width, canvas.height, source.currentTime, trackMap);
+                
+                const progress = (source.currentTime - range.start) / (range.end - range.start);
+                this.updateExportInfo(`Recording ${Math.round(Math.min(1, progress) * 100)}% - keep this tab visible`);
+                
+                if (source.currentTime >= range.end || source.ended) {
+                    stop();
+                } else if (source.requestVideoFrameCallback) {
+                    source.requestVideoFrameCallback(drawFrame);
+                } else {
+                    requestAnimationFrame(drawFrame);
+                }
+            };
+            source.addEventListener('ended', stop);
+            
+            console.log(`Exporting ${range.start.toFixed(2)}-${range.end.toFixed(2)} s as ${mimeType}`);
+            recorder.start(1000);
+            drawFrame();
+            await source.play();
+            await finished;
+            
+            if (job.cancelled) {
+                this.updateExportInfo('Export cancelled');
+                return;
+            }
+            
+            const extension = mimeType.startsWith('video/mp4') ? 'mp4' : 'webm';
+            const baseName = this.currentVideoFile ? this.currentVideoFile.name.replace(/\.[^.]+$/, '') : 'video';
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(new Blob(chunks, { type: mimeType }));
+            link.download = `${baseName}-overlay.${extension}`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+            this.updateExportInfo(`Exported ${link.download}`);
+        } catch (error) {
+            console.error('Error exporting video:', error);
+            this.updateExportInfo(`Export failed: ${error.message}`, 'error');
+        } finally {
+            if (this.overlayExport && this.overlayExport.recorder.state === 'recording') {
+                this.overlayExport.recorder.stop();
+            }
+            source.pause();
+            source.removeAttribute('src');
+            source.load();
+            if (audioContext) audioContext.close();
+            this.overlayExport = null;
+            this.exportVideoBtn.textContent = 'Export Video';
+        }
     }
 
-    drawSpeedGraph() {
-        if (!this.speedGraphData.length && !this.bestLapSpeedGraphData.length) return;
-
-        const canvas = this.speedGraphCanvas;
-        const ctx = this.speedGraphCtx;
-        const width = canvas.width / window.devicePixelRatio;
-        const height = canvas.height / window.devicePixelRatio;
-
-        // Clear canvas
-        ctx.clearRect(0, 0, width, height);
-
-        // Calculate data bounds from both current and reference data
-        const allSpeeds = [
-            ...this.speedGraphData.map(d => d.speed),
-            ...this.bestLapSpeedGraphData.map(d => d.speed)
-        ];
-        const allTimes = [
-            ...this.speedGraphData.map(d => d.time),
-            ...this.bestLapSpeedGraphData.map(d => d.time)
-        ];
-
-        if (allSpeeds.length === 0 || allTimes.length === 0) return;
-
-        const minSpeed = 0; // Always start from 0
-        const maxSpeed = Math.max(...allSpeeds);
-        const minTime = Math.min(...allTimes);
-        const maxTime = Math.max(...allTimes);
-
-        // Add padding
-        const padding = { top: 20, right: 20, bottom: 20, left: 50 };
-        const graphWidth = width - padding.left - padding.right;
-        const graphHeight = height - padding.top - padding.bottom;
-
-        // Helper functions for coordinate conversion
-        const timeToX = (time) => padding.left + ((time - minTime) / (maxTime - minTime)) * graphWidth;
-        const speedToY = (speed) => padding.top + ((maxSpeed - speed) / (maxSpeed - minSpeed)) * graphHeight;
-
-        // Draw grid lines
-        this.drawSpeedGraphGrid(ctx, padding, graphWidth, graphHeight, minSpeed, maxSpeed, minTime, maxTime);
+    // Session GPS path scaled to a unit square, for the overlay's mini track map
+    prepareOverlayTrackMap() {
+        const mercatorData = this.session.telemetryData
+            .filter((point, index) => index % 5 === 0 && point.lat !== 0 && point.lon !== 0)
+            .map(point => ({ mercatorX: this.lonToMercatorX(point.lon), mercatorY: this.latToMercatorY(point.lat) }));
+        if (mercatorData.length < 2) return null;
+        
+        const bounds = this.calculateMercatorBounds(mercatorData);
+        const range = Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY) || 1;
+        const offsetX = (range - (bounds.maxX - bounds.minX)) / 2;
+        const offsetY = (range - (bounds.maxY - bounds.minY)) / 2;
+        const project = (mercatorX, mercatorY) => ({
+            x: (mercatorX - bounds.minX + offsetX) / range,
+            y: 1 - (mercatorY - bounds.minY + offsetY) / range
+        });
+        
+        return {
+            path: mercatorData.map(point => project(point.mercatorX, point.mercatorY)),
+            project: (lat, lon) => project(this.lonToMercatorX(lon), this.latToMercatorY(lat))
+        };
+    }
 
-        // Draw best lap reference line (purple, behind current line)
-        if (this.bestLapSpeedGraphData.length > 0) {
-            ctx.strokeStyle = '#722ed1'; // Purple color
-            ctx.lineWidth = 2;
-            ctx.setLineDash([5, 3]); // Dashed line to distinguish from current
+    // Telemetry overlay for one exported frame, scaled to the video size
+    drawTelemetryOverlay(ctx, width, height, videoTime, trackMap) {
+        const data = this.session.telemetryData;
+        const dataTime = videoTime - this.syncOffset;
+        if (!data.length || dataTime < data[0].time - 1 || dataTime > data[data.length - 1].time + 1) return;
+        
+        const index = this.session.findTelemetryIndex(dataTime);
+        const point = data[index];
+        const scale = height / 720;
+        const margin = 20 * scale;
+        
+        ctx.save();
+        ctx.textBaseline = 'middle';
+        
+        // Lap and lap timer (top left)
+        const lapIndex = this.session.getLapIndexAt(dataTime);
+        if (lapIndex !== -1) {
+            const lapText = `${TelemetryCore.getLapName(lapIndex)}  ${this.formatTime(dataTime - this.session.lapStartTimes[lapIndex])}`;
+            ctx.font = `bold ${Math.round(26 * scale)}px Arial`;
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.fillRect(margin, margin, ctx.measureText(lapText).width + 24 * scale, 40 * scale);
+            ctx.fillStyle = '#ffffff';
+            ctx.textAlign = 'left';
+            ctx.fillText(lapText, margin + 12 * scale, margin + 20 * scale);
+        }
+        
+        // Delta bar (top center), drawn like the one over the player
+        const diffValue = this.session.diffToBestData[index];
+        if (diffValue !== null && diffValue !== undefined && !isNaN(diffValue)) {
+            const barWidth = width * 0.35;
+            const barHeight = 40 * scale;
+            const barX = (width - barWidth) / 2;
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.fillRect(barX, margin, barWidth, barHeight);
+            
+            const fillWidth = this.getDeltaBarWidth(diffValue) / 100 * barWidth;
+            ctx.fillStyle = diffValue < 0 ? '#52c41a' : diffValue > 0 ? '#ff4d4f' : '#1890ff';
+            if (diffValue < 0) {
+                ctx.fillRect(barX + barWidth / 2, margin, fillWidth, barHeight);
+            } else {
+                ctx.fillRect(barX + barWidth / 2 - Math.max(fillWidth, 2 * scale), margin, Math.max(fillWidth, 2 * scale), barHeight);
+            }
+            
+            ctx.font = `bold ${Math.round(24 * scale)}px Arial`;
+            ctx.fillStyle = '#ffffff';
+            ctx.textAlign = 'center';
+            ctx.fillText(this.formatDiffTime(diffValue), width / 2, margin + barHeight / 2);
+        }
+        
+        // Speed and accelerations (bottom left)
+        const panelWidth = 230 * scale;
+        const panelHeight = 100 * scale;
+        const panelY = height - margin - panelHeight;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(margin, panelY, panelWidth, panelHeight);
+        ctx.fillStyle = '#ffffff';
+        ctx.textAlign = 'left';
+        ctx.font = `bold ${Math.round(44 * scale)}px Arial`;
+        ctx.fillText(`${Math.round(point.speed)}`, margin + 12 * scale, panelY + 32 * scale);
+        ctx.font = `${Math.round(20 * scale)}px Arial`;
+        ctx.fillText('km/h', margin + 110 * scale, panelY + 36 * scale);
+        ctx.fillText(`Lat ${point.latAcc.toFixed(1)} g   Lon ${point.lonAcc.toFixed(1)} g`, margin + 12 * scale, panelY + 75 * scale);
+        
+        // Mini track map with the car's position (bottom right)
+        if (trackMap) {
+            const size = 180 * scale;
+            const mapX = width - margin - size;
+            const mapY = height - margin - size;
+            const inset = 10 * scale;
+            const toCanvas = p => ({ x: mapX + inset + p.x * (size - 2 * inset), y: mapY + inset + p.y * (size - 2 * inset) });
+            
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.fillRect(mapX, mapY, size, size);
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 2 * scale;
             ctx.beginPath();
-
-            for (let i = 0; i < this.bestLapSpeedGraphData.length; i++) {
-                const point = this.bestLapSpeedGraphData[i];
-                const x = timeToX(point.time);
-                const y = speedToY(point.speed);
-
+            trackMap.path.forEach((p, i) => {
+                const c = toCanvas(p);
                 if (i === 0) {
-                    ctx.moveTo(x, y);
+                    ctx.moveTo(c.x, c.y);
                 } else {
-                    ctx.lineTo(x, y);
+                    ctx.lineTo(c.x, c.y);
                 }
-            }
+            });
             ctx.stroke();
-            ctx.setLineDash([]); // Reset dash pattern
+            
+            if (point.lat && point.lon) {
+                const car = toCanvas(trackMap.project(point.lat, point.lon));
+                ctx.fillStyle = '#ff4d4f';
+                ctx.beginPath();
+                ctx.arc(car.x, car.y, 6 * scale, 0, 2 * Math.PI);
+                ctx.fill();
+            }
         }
+        
+        ctx.restore();
+    }
 
-        // Draw current speed line (blue, on top)
-        if (this.speedGraphData.length > 0) {
-            ctx.strokeStyle = '#1890ff';
-            ctx.lineWidth = 2;
-            ctx.beginPath();
-
-            for (let i = 0; i < this.speedGraphData.length; i++) {
-                const point = this.speedGraphData[i];
-                const x = timeToX(point.time);
-                const y = speedToY(point.speed);
+    // Session report: a self-contained HTML page (tables, map and speed chart as images) to
+    // print or save as PDF for the debrief
+    async exportSessionReport() {
+        if (!this.session.lapTimes.length) {
+            this.updateReportInfo('Load a data log first', 'error');
+            return;
+        }
+        
+        this.exportReportBtn.disabled = true;
+        this.updateReportInfo('Loading the map...');
+        try {
+            const summary = this.session.getSummary();
+            const mapImage = await this.getReportMapImage();
+            const html = this.buildSessionReport(summary, mapImage, this.drawReportSpeedTrace(summary));
+            const fileName = `${this.getLogBaseName()}-report.html`;
+            this.downloadFile(html, fileName, 'text/html');
+            this.updateReportInfo(`Saved ${fileName}; open it in the browser to print or save as PDF`);
+        } catch (error) {
+            console.error('Error creating session report:', error);
+            this.updateReportInfo(`Report failed: ${error.message}`, 'error');
+        } finally {
+            this.exportReportBtn.disabled = false;
+        }
+    }
 
-                if (i === 0) {
-                    ctx.moveTo(x, y);
-                } else {
-                    ctx.lineTo(x, y);
-                }
-            }
-            ctx.stroke();
+    // Analysis results for spreadsheets and scripts: the lap table, the telemetry with the derived
+    // channels, and the start/finish and sector border geometry
+    exportResults(kind) {
+        if (!this.session.lapTimes.length) {
+            this.updateReportInfo('Load a data log first', 'error');
+            return;
         }
+        
+        const baseName = this.getLogBaseName();
+        const exports = {
+            laps: () => [this.session.getLapTableCsv(), `${baseName}-laps.csv`, 'text/csv'],
+            telemetry: () => [this.session.getTelemetryCsv(), `${baseName}-telemetry.csv`, 'text/csv'],
+            geometry: () => [JSON.stringify(this.session.getTrackGeometry(), null, 2), `${baseName}-geometry.json`, 'application/json']
+        };
+        const [content, fileName, type] = exports[kind]();
+        this.downloadFile(content, fileName, type);
+        this.updateReportInfo(`Saved ${fileName}`);
+    }
 
-        // Draw current position indicator if video is synced
-        if (this.syncOffset !== 0 && this.video) {
-            this.drawCurrentPositionIndicator(ctx, timeToX, speedToY, minTime, maxTime);
+    // Data log file name without its extension, for naming exported files
+    getLogBaseName() {
+        return this.logFileName ? this.logFileName.replace(/\.[^.]+$/, '') : 'session';
+    }
+
+    downloadFile(content, fileName, type) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([content], { type }));
+        link.download = fileName;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    updateReportInfo(message, type = 'info') {
+        this.reportInfo.textContent = message;
+        this.reportInfo.classList.toggle('error', type === 'error');
+    }
+
+    // The GPS map zoomed out to the whole track, without the car markers; null without GPS
+    async getReportMapImage() {
+        if (!this.session.telemetryData.some(point => point.lat !== 0 && point.lon !== 0)) {
+            return null;
+        }
+        
+        const view = { zoom: this.mapZoom, center: this.mapCenter };
+        this.mapZoom = 1;
+        this.mapCenter = null;
+        try {
+            // The whole track usually needs tiles the zoomed-in map hasn't loaded; drawing starts loading them
+            this.renderGpsVisualization();
+            await this.waitForTiles(REPORT_TILE_TIMEOUT);
+            this.renderGpsVisualization();
+            return this.gpsMapLayer.toDataURL('image/png');
+        } finally {
+            this.mapZoom = view.zoom;
+            this.mapCenter = view.center;
+            this.renderGpsVisualization();
         }
+    }
 
-        // Draw lap markers if we have lap data
-        this.drawLapMarkers(ctx, timeToX, padding.top, graphHeight, minTime, maxTime);
+    // Resolve once no map tile is loading any more, or after `timeout` milliseconds
+    waitForTiles(timeout) {
+        const deadline = Date.now() + timeout;
+        return new Promise(resolve => {
+            const check = () => {
+                if (!this.loadingTiles.size || Date.now() >= deadline) {
+                    resolve();
+                } else {
+                    setTimeout(check, 100);
+                }
+            };
+            check();
+        });
     }
 
-    drawSpeedGraphGrid(ctx, padding, graphWidth, graphHeight, minSpeed, maxSpeed, minTime, maxTime) {
+    // Speed over the best lap and the lap chosen in the lap table, against lap distance
+    // (or lap time for logs without distance); a PNG data URL
+    drawReportSpeedTrace(summary) {
+        if (summary.bestLapIndex === -1) return null;
+        
+        const lapIndices = [summary.bestLapIndex];
+        if (this.selectedLapIndex >= 0 && this.selectedLapIndex !== summary.bestLapIndex) {
+            lapIndices.push(this.selectedLapIndex);
+        }
+        const laps = lapIndices.map(lapIndex => ({ lapIndex, data: this.session.getLapData(lapIndex) }));
+        const bestData = laps[0].data;
+        if (bestData.length < 2) return null;
+        
+        const useDistance = bestData[bestData.length - 1].lapDistance > 0;
+        const lapStartTime = lapIndex => this.session.lapStartTimes[lapIndex];
+        const xValue = (point, lapIndex) => useDistance ? point.lapDistance : point.time - lapStartTime(lapIndex);
+        
+        const width = REPORT_TRACE_WIDTH;
+        const height = REPORT_TRACE_HEIGHT;
+        const margin = { left: 50, right: 10, top: 30, bottom: 25 };
+        const graphWidth = width - margin.left - margin.right;
+        const graphHeight = height - margin.top - margin.bottom;
+        
+        const allPoints = laps.flatMap(lap => lap.data.map(point => ({ x: xValue(point, lap.lapIndex), speed: point.speed })));
+        const maxX = Math.max(...allPoints.map(point => point.x)) || 1;
+        const maxSpeed = Math.ceil(Math.max(...allPoints.map(point => point.speed)) / 20) * 20 || 20;
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, width, height);
+        
+        // Speed grid every 20 km/h, then the x axis grid from the trace panel
+        ctx.font = '10px Arial';
+        ctx.textBaseline = 'middle';
+        ctx.textAlign = 'right';
         ctx.strokeStyle = '#e2e8f0';
         ctx.lineWidth = 1;
-        ctx.font = '10px Arial';
-        ctx.fillStyle = '#666';
-
-        // Horizontal grid lines (speed)
-        const speedStep = Math.ceil((maxSpeed - minSpeed) / 5 / 10) * 10; // Round to nearest 10
-        for (let speed = minSpeed; speed <= maxSpeed; speed += speedStep) {
-            const y = padding.top + ((maxSpeed - speed) / (maxSpeed - minSpeed)) * graphHeight;
-            
-            // Grid line
+        for (let speed = 0; speed <= maxSpeed; speed += 20) {
+            const y = margin.top + graphHeight - (speed / maxSpeed) * graphHeight;
             ctx.beginPath();
-            ctx.moveTo(padding.left, y);
-            ctx.lineTo(padding.left + graphWidth, y);
+            ctx.moveTo(margin.left, y);
+            ctx.lineTo(width - margin.right, y);
             ctx.stroke();
-            
-            // Label
-            ctx.textAlign = 'right';
-            ctx.textBaseline = 'middle';
-            ctx.fillText(`${speed}`, padding.left - 5, y);
+            ctx.fillStyle = '#666';
+            ctx.fillText(`${speed}`, margin.left - 6, y);
         }
+        ctx.save();
+        ctx.translate(margin.left, margin.top);
+        const xToPixel = x => (x / maxX) * graphWidth;
+        this.drawTraceGrid(ctx, xToPixel, graphHeight, 0, maxX, useDistance ? 0 : null);
+        
+        const valueToY = speed => graphHeight - (speed / maxSpeed) * graphHeight;
+        const colors = ['#722ed1', '#1890ff'];
+        laps.slice().reverse().forEach(lap => {
+            const color = colors[lapIndices.indexOf(lap.lapIndex)];
+            this.drawTraceLine(ctx, lap.data.map(point => xValue(point, lap.lapIndex)), lap.data.map(point => point.speed), xToPixel, valueToY, color, []);
+        });
+        ctx.restore();
+        
+        // Legend
+        ctx.font = 'bold 12px Arial';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        let legendX = margin.left;
+        lapIndices.forEach((lapIndex, i) => {
+            const label = `${TelemetryCore.getLapName(lapIndex)} (${this.formatTime(this.session.lapTimes[lapIndex])})${i === 0 ? ' best' : ''}`;
+            ctx.fillStyle = colors[i];
+            ctx.fillRect(legendX, 10, 16, 4);
+            ctx.fillText(label, legendX + 22, 12);
+            legendX += ctx.measureText(label).width + 50;
+        });
+        ctx.fillStyle = '#666';
+        ctx.textAlign = 'right';
+        ctx.fillText('km/h', width - margin.right, 12);
+        
+        return canvas.toDataURL('image/png');
+    }
 
-        // Vertical grid lines (time)
-        const timeRange = maxTime - minTime;
-        const timeStep = timeRange > 300 ? 60 : timeRange > 120 ? 30 : timeRange > 60 ? 15 : 10; // Adaptive time step
+    // Report page from getSummary() plus the corner analysis; images are data URLs or null
+    buildSessionReport(summary, mapImage, traceImage) {
+        const bestSectorTimes = summary.bestSectorTimes;
+        const sectorCorners = this.session.getSectorCornerNames();
+        const referenceText = this.session.referenceSource ?
+            `${this.session.referenceLabel} (${this.formatTime(this.session.referenceLapTime)})` : 'Session best lap';
+        
+        const metadata = [
+            ['Track', summary.track || 'Not in the track library'],
+            ['Data log', `${this.logFileName} (${this.session.csvData ? this.session.csvData.formatName : 'unknown format'})`],
+            ['Video', this.currentVideoFile ? this.currentVideoFile.name : 'None'],
+            ['Laps', `${summary.laps.length} from ${summary.lapSource === 'gps' ? 'GPS start/finish crossings' : 'lap markers'}`],
+            ['Duration', `${this.formatTime(summary.duration)} (${summary.dataPoints} data points)`],
+            ['Best lap', summary.bestLapIndex !== -1 ? `${summary.laps[summary.bestLapIndex].name} (${this.formatTime(summary.bestLapTime)})` : '-'],
+            ['Reference', referenceText],
+            ['Report created', new Date().toLocaleString()]
+        ];
+        const metadataRows = metadata.map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('');
+        
+        // Lap table with the same purple highlights as the app
+        const sectorHeaders = bestSectorTimes.map((time, i) => {
+            const names = sectorCorners[i] || [];
+            return `<th>S${i + 1}${names.length ? `<small>${escapeHtml(names.join(', '))}</small>` : ''}</th>`;
+        }).join('');
+        const lapRows = summary.laps.map(lap => {
+            const sectorCells = bestSectorTimes.map((bestTime, i) => {
+                const time = lap.sectorTimes[i];
+                if (time === undefined || time === null) return '<td>--</td>';
+                const isBest = lap.valid && bestTime !== undefined && Math.abs(time - bestTime) < 0.001;
+                return `<td class="${isBest ? 'best' : ''}">${this.formatSectorTime(time)}</td>`;
+            }).join('');
+            const flags = lap.flags.map(flag => TelemetryCore.LAP_FLAG_NAMES[flag]).concat(lap.valid ? [] : ['invalid']).join(', ');
+            return `<tr class="${lap.valid ? '' : 'invalid'}"><td>${escapeHtml(lap.name)}</td>` +
+                `<td class="${lap.isBest ? 'best' : ''}">${this.formatTime(lap.lapTime)}</td>${sectorCells}` +
+                `<td>${escapeHtml(flags)}</td></tr>`;
+        }).join('');
+        
+        let idealRows = '';
+        if (summary.theoreticalBest !== null) {
+            const gain = this.formatDiffTime(Math.round((summary.theoreticalBest - summary.bestLapTime) * 1000) / 1000);
+            const sectorCells = summary.idealLapSectors.map(sector =>
+                `<td>${this.formatSectorTime(sector.time)}<small>${escapeHtml(sector.lapName)}</small></td>`).join('');
+            idealRows += `<tr class="ideal"><td>Ideal</td><td>${this.formatTime(summary.theoreticalBest)}<small>${gain}</small></td>${sectorCells}<td></td></tr>`;
+        }
+        if (summary.rollingBest) {
+            const rolling = summary.rollingBest;
+            const gain = this.formatDiffTime(Math.round((rolling.time - summary.bestLapTime) * 1000) / 1000);
+            const start = `from ${rolling.lapName} +${this.formatSectorTime(rolling.startTime - summary.laps[rolling.lapIndex].startTime)}s`;
+            const startCell = bestSectorTimes.length ? `<td colspan="${bestSectorTimes.length}">${escapeHtml(start)}</td>` : '';
+            idealRows += `<tr class="ideal"><td>Rolling</td><td>${this.formatTime(rolling.time)}<small>${gain}</small></td>${startCell}<td></td></tr>`;
+        }
         
-        for (let time = Math.ceil(minTime / timeStep) * timeStep; time <= maxTime; time += timeStep) {
-            const x = padding.left + ((time - minTime) / (maxTime - minTime)) * graphWidth;
-            
-            // Grid line
-            ctx.beginPath();
-            ctx.moveTo(x, padding.top);
-            ctx.lineTo(x, padding.top + graphHeight);
-            ctx.stroke();
-            
-            // Label
-            ctx.textAlign = 'center';
-            ctx.textBaseline = 'top';
-            ctx.fillText(this.formatTime(time), x, padding.top + graphHeight + 5);
+        // Minimum speed of every lap in every corner, fastest in purple
+        const { zones, laps: cornerLaps, best } = this.session.getCornerAnalysis();
+        let cornerSection = '';
+        if (zones.length) {
+            const cornerHeaders = zones.map(zone => `<th>${escapeHtml(zone.name)}</th>`).join('');
+            const cornerRows = cornerLaps.map((results, lapIndex) => {
+                const cells = results.map((result, zoneIndex) => {
+                    if (!result) return '<td>-</td>';
+                    const isBest = best[zoneIndex].apex === lapIndex;
+                    return `<td class="${isBest ? 'best' : ''}">${result.apex.speed.toFixed(1)}</td>`;
+                }).join('');
+                return `<tr class="${summary.laps[lapIndex].valid ? '' : 'invalid'}"><td>${escapeHtml(summary.laps[lapIndex].name)}</td>${cells}</tr>`;
+            }).join('');
+            cornerSection = `<section><h2>Corner Minimum Speeds (km/h)</h2>` +
+                `<table><thead><tr><th>Lap</th>${cornerHeaders}</tr></thead><tbody>${cornerRows}</tbody></table></section>`;
         }
+        
+        const title = `Session report: ${summary.track || this.logFileName}`;
+        const warnings = summary.warnings.map(warning => `<li>${escapeHtml(warning)}</li>`).join('');
+        
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: Arial, sans-serif; color: #2d3748; margin: 24px; }
+h1 { font-size: 1.5rem; margin: 0 0 12px; }
+h2 { font-size: 1.1rem; margin: 24px 0 8px; }
+table { border-collapse: collapse; font-size: 0.85rem; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: center; }
+th { background: #f0f0f0; }
+th small, td small { display: block; font-size: 0.7rem; font-weight: normal; color: #722ed1; }
+.metadata th { text-align: left; }
+.metadata td { text-align: left; }
+td.best { background: #722ed1; color: #fff; font-weight: bold; }
+tr.invalid td { color: #a0aec0; }
+tr.ideal { background: #f9f0ff; }
+img { max-width: 100%; border: 1px solid #ccc; }
+section { break-inside: avoid; }
+.print-button { float: right; }
+* { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+@page { size: A4; margin: 12mm; }
+@media print { .print-button { display: none; } body { margin: 0; } }
+</style>
+</head>
+<body>
+<button class="print-button" onclick="window.print()">Print / Save as PDF</button>
+<h1>${escapeHtml(title)}</h1>
+<section><table class="metadata"><tbody>${metadataRows}</tbody></table></section>
+<section><h2>Laps and Sectors</h2>
+<table><thead><tr><th>Lap</th><th>Lap Time</th>${sectorHeaders}<th>Flags</th></tr></thead>
+<tbody>${lapRows}${idealRows}</tbody></table></section>
+${mapImage ? `<section><h2>Track Map</h2><img src="${mapImage}" alt="Track map with sector borders"></section>` : ''}
+${traceImage ? `<section><h2>Speed</h2><img src="${traceImage}" alt="Speed traces"></section>` : ''}
+${cornerSection}
+${warnings ? `<section><h2>Warnings</h2><ul>${warnings}</ul></section>` : ''}
+</body>
+</html>
+`;
     }
 
-    drawCurrentPositionIndicator(ctx, timeToX, speedToY, minTime, maxTime) {
-        const telemetryTime = this.video.currentTime - this.syncOffset;
+    // Comparison video: a second onboard video (another lap or driver) showing the reference lap.
+    // It is time-warped to stay at the track position the main video's car is at.
+    getReferenceSession() {
+        return this.session.referenceSource ? this.session.referenceSource.session : this.session;
+    }
+
+    handleCompareVideoSelect(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
         
-        console.log(`drawCurrentPositionIndicator: telemetryTime=${telemetryTime}, minTime=${minTime}, maxTime=${maxTime}`);
+        if (!file.type.startsWith('video/')) {
+            this.updateCompareInfo('Please select a valid video file.', 'error');
+            return;
+        }
         
-        if (telemetryTime >= minTime && telemetryTime <= maxTime && this.speedGraphData.length > 0) {
-            const x = timeToX(telemetryTime);
-            
-            // Find current speed from the current lap's speed data
-            let currentSpeed = 0;
-            let closestIndex = 0;
-            let minDiff = Math.abs(this.speedGraphData[0].time - telemetryTime);
-            
-            for (let i = 1; i < this.speedGraphData.length; i++) {
-                const diff = Math.abs(this.speedGraphData[i].time - telemetryTime);
-                if (diff < minDiff) {
-                    minDiff = diff;
-                    closestIndex = i;
-                } else {
-                    break;
-                }
-            }
-            
-            currentSpeed = this.speedGraphData[closestIndex].speed;
-            const y = speedToY(currentSpeed);
-            
-            console.log(`Drawing position indicator at x=${x}, y=${y}, speed=${currentSpeed}`);
-            
-            // Draw vertical line
-            ctx.strokeStyle = '#ff4d4f';
-            ctx.lineWidth = 2;
-            ctx.setLineDash([5, 5]);
-            ctx.beginPath();
-            ctx.moveTo(x, 20);
-            ctx.lineTo(x, ctx.canvas.height / window.devicePixelRatio - 20);
-            ctx.stroke();
-            ctx.setLineDash([]);
-            
-            // Draw current position dot
-            ctx.fillStyle = '#ff4d4f';
-            ctx.beginPath();
-            ctx.arc(x, y, 6, 0, 2 * Math.PI);
-            ctx.fill();
-            
-            // Draw white outline for better visibility
-            ctx.strokeStyle = '#ffffff';
-            ctx.lineWidth = 2;
-            ctx.beginPath();
-            ctx.arc(x, y, 6, 0, 2 * Math.PI);
-            ctx.stroke();
-            
-            // Draw speed value
-            ctx.font = 'bold 12px Arial';
-            ctx.textAlign = 'center';
-            ctx.textBaseline = 'middle';
-            
-            const text = `${Math.round(currentSpeed)} km/h`;
-            const textWidth = ctx.measureText(text).width;
-            const textHeight = 16;
-            
-            // Background
-            ctx.fillStyle = '#ff4d4f';
-            ctx.fillRect(x - textWidth/2 - 4, y - textHeight/2 - 20, textWidth + 8, textHeight + 4);
-            
-            // Text
-            ctx.fillStyle = '#fff';
-            ctx.fillText(text, x, y - 16);
-        } else {
-            console.log('Position indicator not drawn - conditions not met');
-        }
-    }
-
-    drawLapMarkers(ctx, timeToX, graphTop, graphHeight, minTime, maxTime) {
-        // Draw sector borders that fall within the 20-second moving window
-        if (!this.sectorBorders.length) {
+        this.closeComparisonVideo();
+        this.comparison.file = file;
+        this.comparison.url = URL.createObjectURL(file);
+        this.compareVideo.src = this.comparison.url;
+        this.compareVideoContainer.style.display = 'block';
+        this.videoPair.classList.add('comparing');
+        this.compareOffsetInput.disabled = false;
+        this.compareSyncBtn.disabled = false;
+        this.closeCompareBtn.disabled = false;
+        
+        // The same video twice (two laps of one session) shares the main video's sync
+        const sameVideo = this.currentVideoFile && file.name === this.currentVideoFile.name && file.size === this.currentVideoFile.size;
+        if (sameVideo && this.syncOffset !== 0 && this.getReferenceSession() === this.session) {
+            this.setComparisonOffset(this.syncOffset, 'Same video as the main one: using its sync offset');
             return;
         }
+        
+        this.setComparisonOffset(null, `Scrub the comparison video to the start of the reference lap (${this.session.referenceLabel || 'best lap'}) and click Sync Reference Lap Start, or enter the offset.`);
+        this.autoSyncComparison(file);
+    }
 
-        ctx.strokeStyle = '#ff4d4f';
-        ctx.lineWidth = 2;
-        ctx.setLineDash([5, 5]);
-        ctx.font = '12px Arial';
-        ctx.fillStyle = '#ff4d4f';
-
-        let sectorsDrawn = 0;
-        for (let i = 0; i < this.sectorBorders.length; i++) {
-            const border = this.sectorBorders[i];
-            const sectorTime = border.time;
+    // A GoPro comparison video can be synced to the reference lap's log from its embedded GPS
+    async autoSyncComparison(file) {
+        try {
+            const movie = await Mp4Parser.parseMp4(Mp4Parser.readerForFile(file), file.size);
+            const videoGps = await GpmfParser.readGoProGps(Mp4Parser.readerForFile(file), movie);
+            if (this.comparison.file !== file || this.comparison.offset !== null || !videoGps.length) return;
             
-            // Check if this sector border falls within the current 20-second window
-            if (sectorTime >= minTime && sectorTime <= maxTime) {
-                const x = timeToX(sectorTime);
-                
-                // Draw vertical line
-                ctx.beginPath();
-                ctx.moveTo(x, graphTop);
-                ctx.lineTo(x, graphTop + graphHeight);
-                ctx.stroke();
-                
-                // Draw sector label with background
-                ctx.textAlign = 'center';
-                ctx.textBaseline = 'middle';
-                const sectorLabel = `S${i + 1}`;
-                
-                // Draw label background
-                ctx.fillStyle = '#ff4d4f';
-                ctx.fillRect(x - 15, graphTop + 5, 30, 20);
-                
-                // Draw label text
-                ctx.fillStyle = '#ffffff';
-                ctx.fillText(sectorLabel, x, graphTop + 15);
-                
-                // Reset fill style
-                ctx.fillStyle = '#ff4d4f';
-                sectorsDrawn++;
+            const result = this.getReferenceSession().estimateVideoSyncOffset(videoGps);
+            if (result && result.confidence >= AUTO_SYNC_MIN_CONFIDENCE) {
+                this.setComparisonOffset(result.offset, `Auto synced from video GPS: ${Math.round(result.confidence * 100)}% confidence`);
             }
+        } catch (error) {
+            console.warn('Could not read GPS from the comparison video:', error);
         }
-        
-        ctx.setLineDash([]);
     }
 
-    generateSectorSplits() {
-        if (!this.lapTimes.length || !this.telemetryData.length) {
-            console.log('Cannot generate sectors: missing lap times or telemetry data');
+    updateCompareInfo(message, type = 'info') {
+        this.compareInfo.textContent = message;
+        this.compareInfo.classList.toggle('error', type === 'error');
+    }
+
+    // Unsynced, the comparison video has its own controls so the reference lap start can be found
+    setComparisonOffset(offset, message) {
+        this.comparison.offset = offset;
+        this.comparison.session = offset !== null ? this.getReferenceSession() : null;
+        this.compareOffsetInput.value = offset !== null ? offset.toFixed(3) : '';
+        this.compareVideo.controls = offset === null;
+        this.compareVideo.playbackRate = 1;
+        this.updateCompareInfo(message);
+        console.log(`Comparison video offset set to ${offset}s`);
+        
+        this.updateComparisonVideo();
+    }
+
+    handleCompareOffsetInput() {
+        const value = this.compareOffsetInput.value.trim();
+        const offset = value === '' ? null : parseFloat(value);
+        
+        if (offset !== null && isNaN(offset)) {
+            this.updateCompareInfo('Enter the offset in seconds (comparison video time minus reference log time)', 'error');
             return;
         }
         
-        // Check if we have GPS data
-        const hasGpsData = this.telemetryData.some(point => point.lat !== 0 && point.lon !== 0);
-        if (!hasGpsData) {
-            console.warn('No GPS data found in telemetry - cannot generate sectors');
-            this.showCsvInfo('Warning: No GPS data found in telemetry. Sector splitting requires GPS coordinates (latitude, longitude) in the CSV data.', 'error');
+        this.setComparisonOffset(offset, offset !== null ? 'Offset set manually' : 'Not synced');
+    }
+
+    syncComparisonToReferenceLapStart() {
+        if (this.session.referenceLapTime === null) {
+            this.updateCompareInfo('Load a data log with laps first.', 'error');
             return;
         }
         
-        // Find the best lap (excluding out lap if it exists)
-        let bestLapIndex = this.lapTimes.length > 1 ? 1 : 0;
-        let bestLapTime = this.lapTimes[bestLapIndex];
-        
-        for (let i = bestLapIndex + 1; i < this.lapTimes.length; i++) {
-            if (this.lapTimes[i] < bestLapTime) {
-                bestLapTime = this.lapTimes[i];
-                bestLapIndex = i;
-            }
+        const offset = this.compareVideo.currentTime - this.session.referenceLapStartTime;
+        this.setComparisonOffset(offset, `Synced to the start of ${this.session.referenceLabel}`);
+    }
+
+    closeComparisonVideo() {
+        this.compareVideo.pause();
+        this.compareVideo.removeAttribute('src');
+        this.compareVideo.load();
+        if (this.comparison.url) {
+            URL.revokeObjectURL(this.comparison.url);
         }
         
-        console.log(`Using Lap ${bestLapIndex} as reference (${this.formatTime(bestLapTime)})`);
-        
-        // Get telemetry data for the best lap
-        const lapStartTime = this.lapStartTimes[bestLapIndex];
-        const lapEndTime = bestLapIndex < this.lapStartTimes.length - 1 ? 
-            this.lapStartTimes[bestLapIndex + 1] : 
-            lapStartTime + this.lapTimes[bestLapIndex];
-        
-        console.log(`Lap ${bestLapIndex} time range: ${this.formatTime(lapStartTime)} to ${this.formatTime(lapEndTime)}`);
-        
-        const lapData = this.telemetryData.filter(point => 
-            point.time >= lapStartTime && point.time <= lapEndTime
-        );
-        
-        console.log(`Found ${lapData.length} telemetry points for best lap`);
+        this.comparison = { file: null, url: null, offset: null, session: null };
+        this.compareVideoContainer.style.display = 'none';
+        this.videoPair.classList.remove('comparing');
+        this.compareOffsetInput.value = '';
+        this.compareOffsetInput.disabled = true;
+        this.compareSyncBtn.disabled = true;
+        this.closeCompareBtn.disabled = true;
+        this.updateCompareInfo('');
+    }
+
+    // Keep the comparison video where the reference lap was at the main video's track position:
+    // seek when paused or far off, otherwise nudge its playback rate so it catches up smoothly
+    updateComparisonVideo() {
+        const compare = this.compareVideo;
+        if (this.comparison.offset === null || this.syncOffset === 0 || !compare.duration) return;
         
-        if (lapData.length === 0) {
-            console.warn('No telemetry data found for best lap - cannot generate sectors');
-            this.showCsvInfo('Warning: No telemetry data found for the best lap. Cannot generate sector splits.', 'error');
+        const referenceTime = this.session.getReferenceTimeAt(this.video.currentTime - this.syncOffset);
+        if (referenceTime === null) {
+            if (!compare.paused) compare.pause();
+            this.compareVideoLabel.textContent = `${this.session.referenceLabel}: no matching position`;
             return;
         }
+        this.compareVideoLabel.textContent = this.session.referenceLabel;
         
-        // Store the end point of the best lap for start/finish line visualization
-        this.bestLapEndPoint = lapData[lapData.length - 1];
-        console.log(`Stored best lap end point:`, this.bestLapEndPoint);
-        
-        // Find acceleration periods (straights)
-        const accelerationPeriods = this.findAccelerationPeriods(lapData);
-        console.log(`Found ${accelerationPeriods.length} acceleration periods:`, accelerationPeriods);
+        const targetTime = Math.max(0, Math.min(compare.duration, referenceTime + this.comparison.offset));
+        const drift = targetTime - compare.currentTime;
         
-        if (accelerationPeriods.length === 0) {
-            console.warn('No acceleration periods found - cannot generate sectors');
-            this.showCsvInfo('Warning: No suitable acceleration periods found in telemetry data. Cannot generate sector splits. Ensure the data contains sufficient speed variations.', 'error');
+        if (this.video.paused) {
+            if (!compare.paused) compare.pause();
+            if (!compare.seeking && Math.abs(drift) > 0.5 / this.frameRate) {
+                compare.currentTime = targetTime;
+            }
             return;
         }
         
-        // Generate sector borders
-        this.sectorBorders = this.createSectorBorders(lapData, accelerationPeriods);
-        console.log(`Generated ${this.sectorBorders.length} sector borders:`, this.sectorBorders);
-        
-        // Calculate sector times for all laps
-        this.calculateAllLapSectorTimes();
-        console.log('Calculated sector times for all laps:', this.lapSectorTimes);
+        if (Math.abs(drift) > COMPARE_SEEK_DRIFT) {
+            if (!compare.seeking) compare.currentTime = targetTime;
+            compare.playbackRate = this.video.playbackRate;
+        } else {
+            const correction = Math.max(0.5, Math.min(1.5, 1 + drift * COMPARE_RATE_GAIN));
+            compare.playbackRate = this.video.playbackRate * correction;
+        }
         
-        // Re-render the lap table to include sector times
-        this.renderLapDataTable();
+        if (compare.paused) {
+            compare.play().catch(error => console.warn('Could not play the comparison video:', error));
+        }
     }
 
-
-    findAccelerationPeriods(lapData) {
-        if (lapData.length < 2) return [];
+    syncVideoToLapStart(lapIndex) {
+        if (!this.video.duration || !this.session.lapStartTimes.length) {
+            alert('Please load a video file first to sync with the lap data.');
+            return;
+        }
         
-        // Step 1: Find deceleration periods (at least 0.2 seconds long)
-        const decelerationPeriods = [];
-        let currentDecelPeriod = null;
+        const lapStartTime = this.session.lapStartTimes[lapIndex];
         
-        for (let i = 1; i < lapData.length; i++) {
-            const current = lapData[i];
-            const previous = lapData[i - 1];
-            const timeDiff = current.time - previous.time;
+        // If we already have a sync offset, jump to the corresponding video time
+        if (this.syncOffset !== 0) {
+            // Calculate the video time that corresponds to this lap start
+            const targetVideoTime = lapStartTime + this.syncOffset;
             
-            if (timeDiff <= 0) continue;
+            // Clamp to video bounds
+            const clampedTime = Math.max(0, Math.min(this.video.duration, targetVideoTime));
+            
+            // Jump video to the lap start time
+            this.video.currentTime = clampedTime;
+            this.selectedLapIndex = lapIndex;
             
-            const acceleration = (current.speed - previous.speed) / timeDiff;
+            console.log(`Jumped to ${lapIndex === 0 ? 'Out Lap' : `Lap ${lapIndex}`} start: video time ${this.formatTime(clampedTime)}`);
+        } else {
+            // No sync established yet - use the time of the frame on screen to establish sync
+            const currentVideoTime = this.getCurrentFrameTime();
             
-            // Start of deceleration period (negative acceleration)
-            if (acceleration < -0.5 && !currentDecelPeriod) {
-                currentDecelPeriod = {
-                    startTime: previous.time,
-                    startIndex: i - 1
-                };
-            }
+            // Calculate sync offset: video time - data time
+            this.syncOffset = currentVideoTime - lapStartTime;
+            this.selectedLapIndex = lapIndex;
             
-            // End of deceleration period (acceleration becomes positive or neutral)
-            if (currentDecelPeriod && acceleration >= -0.5) {
-                currentDecelPeriod.endTime = current.time;
-                currentDecelPeriod.endIndex = i;
-                currentDecelPeriod.duration = currentDecelPeriod.endTime - currentDecelPeriod.startTime;
-                
-                // Only keep deceleration periods that are at least 1 seconds long
-                if (currentDecelPeriod.duration >= 1.0) {
-                    decelerationPeriods.push(currentDecelPeriod);
-                }
-                
-                currentDecelPeriod = null;
-            }
-        }
-        
-        // Handle case where deceleration continues to end of lap
-        if (currentDecelPeriod) {
-            const lastPoint = lapData[lapData.length - 1];
-            currentDecelPeriod.endTime = lastPoint.time;
-            currentDecelPeriod.endIndex = lapData.length - 1;
-            currentDecelPeriod.duration = currentDecelPeriod.endTime - currentDecelPeriod.startTime;
+            // Create a selected frame object for compatibility with existing sync display
+            this.selectedFrame = {
+                frameNumber: this.getCurrentFrameIndex(),
+                timestamp: currentVideoTime,
+                formattedTime: this.formatTime(currentVideoTime)
+            };
             
-            if (currentDecelPeriod.duration >= 0.2) {
-                decelerationPeriods.push(currentDecelPeriod);
-            }
+            const lapName = lapIndex === 0 ? 'Out Lap' : `Lap ${lapIndex}`;
+            console.log(`Synced to ${lapName}: Video ${currentVideoTime}s = Data ${lapStartTime}s (offset: ${this.syncOffset}s)`);
+            this.updateSyncControls(`Synced manually to ${lapName} start`);
         }
         
-        // Step 2: Create sectors between deceleration periods (consecutive periods without deceleration)
-        const sectors = [];
-        let sectorStartTime = lapData[0].time;
+        // Show telemetry display now that we're synced (moved outside the if/else)
+        this.showSyncedTelemetry();
+        this.saveSessionState();
         
-        for (const decelPeriod of decelerationPeriods) {
-            // Create sector from current start to beginning of deceleration
-            const sectorEndTime = decelPeriod.startTime;
-            const sectorDuration = sectorEndTime - sectorStartTime;
-            
-            if (sectorDuration > 0) {
-                sectors.push({
-                    startTime: sectorStartTime,
-                    endTime: sectorEndTime,
-                    duration: sectorDuration
-                });
+        // Update table row selection visual
+        const rows = this.lapTableBody.querySelectorAll('tr');
+        rows.forEach((row, index) => {
+            if (index === lapIndex) {
+                row.classList.add('selected');
+            } else {
+                row.classList.remove('selected');
             }
-            
-            // Next sector starts after this deceleration period
-            sectorStartTime = decelPeriod.endTime;
-        }
+        });
         
-        // Add final sector from last deceleration to end of lap
-        const finalSectorEndTime = lapData[lapData.length - 1].time;
-        const finalSectorDuration = finalSectorEndTime - sectorStartTime;
+        // Visual feedback on the sync button
+        const syncBtn = event.target;
+        const originalText = syncBtn.textContent;
+        const originalColor = syncBtn.style.backgroundColor;
         
-        if (finalSectorDuration > 0) {
-            sectors.push({
-                startTime: sectorStartTime,
-                endTime: finalSectorEndTime,
-                duration: finalSectorDuration
-            });
+        if (this.syncOffset !== 0) {
+            syncBtn.textContent = 'Jumped!';
+            syncBtn.style.backgroundColor = '#1890ff';
+        } else {
+            syncBtn.textContent = 'Synced!';
+            syncBtn.style.backgroundColor = '#52c41a';
         }
         
-        // Step 3: Merge sectors shorter than 5 seconds
-        const mergedSectors = [];
-        
-        for (let i = 0; i < sectors.length; i++) {
-            const sector = sectors[i];
-            
-            if (sector.duration < 5.0) {
-                // If it's the last sector and too short, merge with previous
-                if (i === sectors.length - 1 && mergedSectors.length > 0) {
-                    const prevSector = mergedSectors[mergedSectors.length - 1];
-                    prevSector.endTime = sector.endTime;
-                    prevSector.duration = prevSector.endTime - prevSector.startTime;
-                }
-                // If not the last sector, merge with next sector
-                else if (i < sectors.length - 1) {
-                    const nextSector = sectors[i + 1];
-                    nextSector.startTime = sector.startTime;
-                    nextSector.duration = nextSector.endTime - nextSector.startTime;
-                    // Skip the current sector (it's merged into next)
-                    continue;
-                }
-                // If it's the only sector or first sector and too short, keep it anyway
-                else {
-                    mergedSectors.push(sector);
-                }
-            } else {
-                mergedSectors.push(sector);
-            }
+        setTimeout(() => {
+            syncBtn.textContent = originalText;
+            syncBtn.style.backgroundColor = originalColor;
+        }, 2000);
+    }
+
+    jumpToDataTime(time) {
+        if (!this.video.duration || this.syncOffset === 0) {
+            alert('Please establish synchronization first by clicking the sync button (🔗) next to any lap.');
+            return;
         }
         
-        // Step 4: Convert sectors to acceleration periods (for compatibility with existing code)
-        // Each sector represents a period without significant deceleration
-        const accelerationPeriods = mergedSectors.map(sector => ({
-            startTime: sector.startTime,
-            endTime: sector.endTime,
-            duration: sector.duration,
-            // These fields are for compatibility with existing createSectorBorders code
-            maxSpeed: 0, // Will be calculated if needed
-            maxSpeedTime: sector.endTime,
-            speedIncrease: 0 // Will be calculated if needed
-        }));
-        
-        return accelerationPeriods;
+        this.video.currentTime = Math.max(0, Math.min(this.video.duration, time + this.syncOffset));
     }
 
-    createSectorBorders(lapData, accelerationPeriods) {
-        const borders = [];
-        const lapEndTime = lapData[lapData.length - 1].time;
+    jumpToLapStart(lapIndex) {
+        if (!this.video.duration || !this.session.lapStartTimes.length) {
+            alert('Please load a video file first to jump to lap data.');
+            return;
+        }
         
-        for (let i = 0; i < accelerationPeriods.length; i++) {
-            const period = accelerationPeriods[i];
-            
-            // Place sector border 0.2 seconds before deceleration
-            const borderTime = period.endTime - 0.2;
-            
-            // Skip creating a border if it would result in a very short final sector
-            // (less than 2 seconds from lap end)
-            const timeToLapEnd = lapEndTime - borderTime;
-            if (timeToLapEnd < 2.0) {
-                console.log(`Skipping sector border at ${this.formatTime(borderTime)} - would create short final sector (${this.formatTime(timeToLapEnd)})`);
-                continue;
-            }
-            
-            // Find the closest telemetry point
-            let closestIndex = 0;
-            let minDiff = Math.abs(lapData[0].time - borderTime);
-            
-            for (let j = 1; j < lapData.length; j++) {
-                const diff = Math.abs(lapData[j].time - borderTime);
-                if (diff < minDiff) {
-                    minDiff = diff;
-                    closestIndex = j;
-                } else {
-                    break;
-                }
-            }
-            
-            const borderPoint = lapData[closestIndex];
-            
-            // Create GPS line perpendicular to trajectory
-            const border = this.createPerpendicularLine(borderPoint, lapData, closestIndex);
-            borders.push(border);
+        if (this.syncOffset === 0) {
+            alert('Please establish synchronization first by clicking the sync button (🔗) next to any lap.');
+            return;
         }
         
-        // Sort borders by time
-        borders.sort((a, b) => a.time - b.time);
+        const lapStartTime = this.session.lapStartTimes[lapIndex];
         
-        return borders;
-    }
-
-    createPerpendicularLine(centerPoint, lapData, centerIndex) {
-        // Calculate trajectory direction using nearby points
-        const lookAhead = Math.min(5, lapData.length - centerIndex - 1);
-        const lookBehind = Math.min(5, centerIndex);
+        // Calculate the video time that corresponds to this lap start
+        const targetVideoTime = lapStartTime + this.syncOffset;
         
-        let trajectoryVector = { lat: 0, lon: 0 };
+        // Clamp to video bounds
+        const clampedTime = Math.max(0, Math.min(this.video.duration, targetVideoTime));
         
-        if (lookAhead > 0 && lookBehind > 0) {
-            const beforePoint = lapData[centerIndex - lookBehind];
-            const afterPoint = lapData[centerIndex + lookAhead];
-            
-            // Calculate the trajectory direction vector
-            trajectoryVector.lat = afterPoint.lat - beforePoint.lat;
-            trajectoryVector.lon = afterPoint.lon - beforePoint.lon;
-        } else {
-            // Fallback: use a smaller window
-            if (centerIndex > 0 && centerIndex < lapData.length - 1) {
-                const beforePoint = lapData[centerIndex - 1];
-                const afterPoint = lapData[centerIndex + 1];
-                trajectoryVector.lat = afterPoint.lat - beforePoint.lat;
-                trajectoryVector.lon = afterPoint.lon - beforePoint.lon;
+        // Jump video to the lap start time
+        this.video.currentTime = clampedTime;
+        this.selectedLapIndex = lapIndex;
+        this.saveSessionState();
+        
+        // Update table row selection visual
+        const rows = this.lapTableBody.querySelectorAll('tr');
+        rows.forEach((row, index) => {
+            if (index === lapIndex) {
+                row.classList.add('selected');
             } else {
-                // Use GPS heading as last resort
-                const headingRad = (centerPoint.heading || 0) * Math.PI / 180;
-                trajectoryVector.lat = Math.cos(headingRad);
-                trajectoryVector.lon = Math.sin(headingRad);
+                row.classList.remove('selected');
             }
-        }
+        });
         
-        // Apply cosine latitude correction to longitude component
-        // This accounts for longitude convergence without complex projections
-        const latRad = centerPoint.lat * Math.PI / 180;
-        const cosLat = Math.cos(latRad);
+        // Visual feedback on the jump button
+        const jumpBtn = event.target;
+        const originalText = jumpBtn.innerHTML;
+        const originalColor = jumpBtn.style.backgroundColor;
         
-        // Adjust longitude component by cosine of latitude
-        const correctedTrajectoryVector = {
-            lat: trajectoryVector.lat,
-            lon: trajectoryVector.lon * cosLat
-        };
+        jumpBtn.innerHTML = '✓';
+        jumpBtn.style.backgroundColor = '#1890ff';
         
-        // Normalize the corrected trajectory vector
-        const trajectoryLength = Math.sqrt(
-            correctedTrajectoryVector.lat * correctedTrajectoryVector.lat + 
-            correctedTrajectoryVector.lon * correctedTrajectoryVector.lon
-        );
+        setTimeout(() => {
+            jumpBtn.innerHTML = originalText;
+            jumpBtn.style.backgroundColor = originalColor;
+        }, 1000);
         
-        if (trajectoryLength > 0) {
-            correctedTrajectoryVector.lat /= trajectoryLength;
-            correctedTrajectoryVector.lon /= trajectoryLength;
+        console.log(`Jumped to ${lapIndex === 0 ? 'Out Lap' : `Lap ${lapIndex}`} start: video time ${this.formatTime(clampedTime)}`);
+    }
+
+    showTracePanel() {
+        if (!this.session.telemetryData.length) {
+            console.log('No telemetry data available for the trace panel');
+            return;
         }
-        
-        // Create perpendicular vector by rotating 90 degrees
-        // For a vector (x, y), the perpendicular vector is (-y, x)
-        const perpVector = {
-            lat: -correctedTrajectoryVector.lon,  // Perpendicular lat component
-            lon: correctedTrajectoryVector.lat    // Perpendicular lon component
-        };
-        
-        // Scale the perpendicular vector to desired length (small finite line)
-        const lineLength = 0.00004; // Approximately 4m in degrees
-        const perpLat = perpVector.lat * lineLength;
-        const perpLon = perpVector.lon * lineLength / cosLat; // Undo cosine correction for final coordinates
-        
-        return {
-            time: centerPoint.time,
-            centerLat: centerPoint.lat,
-            centerLon: centerPoint.lon,
-            trajectoryVector: trajectoryVector,
-            perpVector: perpVector,
-            startLat: centerPoint.lat - perpLat,
-            startLon: centerPoint.lon - perpLon,
-            endLat: centerPoint.lat + perpLat,
-            endLon: centerPoint.lon + perpLon
-        };
+
+        this.tracePanel.style.display = 'block';
+        this.tracePanelVisible = true;
+
+        this.renderTraceControls();
+        console.log('Trace panel displayed');
     }
 
-    calculateAllLapSectorTimes() {
-        this.lapSectorTimes = [];
-        
-        for (let lapIndex = 0; lapIndex < this.lapTimes.length; lapIndex++) {
-            const sectorTimes = this.calculateLapSectorTimes(lapIndex);
-            this.lapSectorTimes.push(sectorTimes);
+    // Speed, throttle, brake, RPM, lateral G and delta, as far as the log has them
+    getDefaultTraceChannels() {
+        const loggerChannels = this.session.getChannelList().filter(channel => channel.id.startsWith('channel:'));
+        const findChannel = pattern => loggerChannels.find(channel => pattern.test(channel.name));
+        const traces = ['speed'];
+        [/throttle|tps|pedal/i, /brake/i, /rpm/i].forEach(pattern => {
+            const channel = findChannel(pattern);
+            if (channel) traces.push(channel.id);
+        });
+        return traces.concat(['latAcc', DELTA_TRACE]);
+    }
+
+    getTraceChannel(channelId) {
+        if (channelId === DELTA_TRACE) {
+            return { id: DELTA_TRACE, name: 'Delta', unit: 's' };
         }
+        return this.session.getChannel(channelId);
     }
 
-    calculateLapSectorTimes(lapIndex) {
-        const lapStartTime = this.lapStartTimes[lapIndex];
-        const lapEndTime = lapIndex < this.lapStartTimes.length - 1 ? 
-            this.lapStartTimes[lapIndex + 1] : 
-            lapStartTime + this.lapTimes[lapIndex];
-        
-        const lapData = this.telemetryData.filter(point => 
-            point.time >= lapStartTime && point.time <= lapEndTime
-        );
-        
-        if (lapData.length === 0 || this.sectorBorders.length === 0) {
-            return [this.lapTimes[lapIndex]]; // Return full lap time as single sector
+    // Rebuild the trace chips and picker; traces the loaded log doesn't have are dropped
+    renderTraceControls() {
+        if (!this.traceChannels) {
+            this.traceChannels = this.getDefaultTraceChannels();
         }
+        this.traceChannels = this.traceChannels.filter(id => this.getTraceChannel(id));
+        
+        this.traceList.innerHTML = '';
+        this.traceChannels.forEach(id => {
+            const channel = this.getTraceChannel(id);
+            const chip = document.createElement('span');
+            chip.className = 'trace-chip';
+            chip.textContent = channel.name;
+            
+            const removeButton = document.createElement('button');
+            removeButton.dataset.channel = id;
+            removeButton.title = `Remove the ${channel.name} trace`;
+            removeButton.textContent = '×';
+            chip.appendChild(removeButton);
+            this.traceList.appendChild(chip);
+        });
         
-        const sectorTimes = [];
-        let sectorStartTime = lapStartTime;
+        this.tracePicker.innerHTML = '<option value="">+ Trace</option>';
+        this.session.getChannelList().concat([this.getTraceChannel(DELTA_TRACE)])
+            .filter(channel => !this.traceChannels.includes(channel.id))
+            .forEach(channel => {
+                const option = document.createElement('option');
+                option.value = channel.id;
+                option.textContent = channel.unit ? `${channel.name} (${channel.unit})` : channel.name;
+                this.tracePicker.appendChild(option);
+            });
+        this.tracePicker.disabled = this.tracePicker.options.length === 1;
+        this.traceWindowSelect.value = String(this.traceWindow);
+        this.traceXAxisSelect.value = this.isDistanceAxis() ? 'distance' : 'time';
+        
+        this.setupTraceCanvas();
+        this.traceData = null;
+        this.prepareTraceData();
+        this.drawTraces();
+    }
+
+    addTrace(channelId) {
+        if (!channelId || this.traceChannels.includes(channelId)) return;
         
-        // Calculate time for each sector
-        for (const border of this.sectorBorders) {
-            // Find when this lap crosses the sector border
-            const crossingTime = this.findBorderCrossing(lapData, border);
-            
-            if (crossingTime > sectorStartTime) {
-                sectorTimes.push(crossingTime - sectorStartTime);
-                sectorStartTime = crossingTime;
-            }
+        this.traceChannels.push(channelId);
+        this.renderTraceControls();
+        this.saveSessionState();
+    }
+
+    removeTrace(channelId) {
+        this.traceChannels = this.traceChannels.filter(id => id !== channelId);
+        this.renderTraceControls();
+        this.saveSessionState();
+    }
+
+    handleTraceWindowChange() {
+        const value = this.traceWindowSelect.value;
+        this.traceWindow = value === 'lap' ? 'lap' : parseFloat(value);
+        this.prepareTraceData();
+        this.drawTraces();
+        this.saveSessionState();
+    }
+
+    // Traces are plotted against distance when laps are matched to the reference lap by distance
+    isDistanceAxis() {
+        return this.session.deltaBasis === 'distance';
+    }
+
+    handleTraceXAxisChange() {
+        this.session.setDeltaBasis(this.traceXAxisSelect.value === 'distance' ? 'distance' : 'position');
+        this.traceData = null;
+        
+        // The delta and everything aligned by it change with the basis
+        this.updateTelemetryDisplay();
+        this.updateComparisonVideo();
+        this.saveSessionState();
+    }
+
+    // Telemetry shown in the traces: a window around the current position or the whole current lap.
+    // On a time axis each point gets the reference lap point at the same track position; on a
+    // distance axis the reference lap is laid over every lap in the window by its lap distance.
+    prepareTraceData() {
+        if (!this.session.telemetryData.length || this.syncOffset === 0) {
+            this.traceData = null;
+            return;
+        }
+
+        const currentTelemetryTime = this.video.currentTime - this.syncOffset;
+        let windowStartTime;
+        let windowEndTime;
+        const lapIndex = this.traceWindow === 'lap' ? this.session.getLapIndexAt(currentTelemetryTime) : -1;
+        if (lapIndex !== -1) {
+            ({ startTime: windowStartTime, endTime: windowEndTime } = this.session.getLapBounds(lapIndex));
+        } else {
+            const halfWindow = (this.traceWindow === 'lap' ? 20 : this.traceWindow) / 2;
+            windowStartTime = currentTelemetryTime - halfWindow;
+            windowEndTime = currentTelemetryTime + halfWindow;
+        }
+
+        const startIndex = this.session.findTelemetryIndex(windowStartTime);
+        const endIndex = this.session.findTelemetryIndex(windowEndTime);
+        const distanceAxis = this.isDistanceAxis();
+        const previous = this.traceData;
+        
+        // The points and their reference positions only change when the window moves by a point
+        // or the reference lap is recalculated
+        if (!previous || previous.startIndex !== startIndex || previous.endIndex !== endIndex || previous.distanceAxis !== distanceAxis ||
+            previous.referenceLapData !== this.session.referenceLapData || previous.diffToBestData !== this.session.diffToBestData) {
+            const points = this.session.telemetryData.slice(startIndex, endIndex + 1);
+            this.traceData = {
+                startIndex,
+                endIndex,
+                distanceAxis,
+                points,
+                xValues: points.map(point => distanceAxis ? point.distance : point.time),
+                reference: distanceAxis ? this.getDistanceReference(points) : {
+                    points: points.map(point => this.session.getReferencePointAt(point.time)),
+                    xValues: points.map(point => point.time)
+                },
+                referenceLapData: this.session.referenceLapData,
+                diffToBestData: this.session.diffToBestData
+            };
         }
         
-        // Add final sector time
-        if (sectorStartTime < lapEndTime) {
-            sectorTimes.push(lapEndTime - sectorStartTime);
+        const toX = time => distanceAxis ? this.session.getDistanceAt(time) : time;
+        this.traceData.startTime = windowStartTime;
+        this.traceData.endTime = windowEndTime;
+        this.traceData.startX = toX(windowStartTime);
+        this.traceData.endX = toX(windowEndTime);
+        this.traceData.cursorX = toX(currentTelemetryTime);
+    }
+
+    // Reference lap points placed at the distance of every lap start in the window, with a
+    // null entry between laps so their lines aren't joined
+    getDistanceReference(points) {
+        const reference = { points: [], xValues: [] };
+        const referenceLapData = this.session.referenceLapData;
+        if (!referenceLapData.length || !points.length) return reference;
+        
+        const startX = points[0].distance;
+        const endX = points[points.length - 1].distance;
+        const lapStarts = new Set(points.map(point => Math.round((point.distance - point.lapDistance) * 1000) / 1000));
+        lapStarts.forEach(lapStart => {
+            referenceLapData.forEach(point => {
+                const x = lapStart + point.distance - referenceLapData[0].distance;
+                if (x >= startX && x <= endX) {
+                    reference.points.push(point);
+                    reference.xValues.push(x);
+                }
+            });
+            reference.points.push(null);
+            reference.xValues.push(null);
+        });
+        return reference;
+    }
+
+    getCurrentLapIndex() {
+        if (!this.video || this.syncOffset === 0 || !this.session.lapStartTimes.length) {
+            return -1;
         }
+
+        const telemetryTime = this.video.currentTime - this.syncOffset;
         
-        return sectorTimes;
+        // Find which lap the current telemetry time falls into
+        return this.session.getLapIndexAt(telemetryTime);
     }
 
-    findBorderCrossing(lapData, border) {
-        // Find where the trajectory actually intersects the sector border line
-        // This provides much higher precision than just finding the closest point
+    setupTraceCanvas() {
+        const canvas = this.traceCanvas;
+        const height = Math.max(1, this.traceChannels.length) * TRACE_HEIGHT + TRACE_AXIS_HEIGHT;
+        canvas.style.height = height + 'px';
+        const rect = canvas.getBoundingClientRect();
         
-        let bestCrossingTime = lapData[0].time;
-        let minDistance = this.distanceToLineSegment(lapData[0], border);
-        let intersectionFound = false;
+        // Set canvas size to match CSS size for crisp rendering
+        canvas.width = rect.width * window.devicePixelRatio;
+        canvas.height = height * window.devicePixelRatio;
         
-        // Look for actual intersection between consecutive trajectory segments and the border line
-        for (let i = 0; i < lapData.length - 1; i++) {
-            const point1 = lapData[i];
-            const point2 = lapData[i + 1];
+        // Scale the context to match device pixel ratio
+        this.traceCtx.scale(window.devicePixelRatio, window.devicePixelRatio);
+    }
+
+    // Value of a trace at the index-th point of the trace window; the delta comes from the diff data
+    getTraceValue(channelId, point, index) {
+        if (channelId === DELTA_TRACE) {
+            const diff = this.traceData.diffToBestData[this.traceData.startIndex + index];
+            return diff === undefined ? null : diff;
+        }
+        return getChannelValue(point, channelId);
+    }
+
+    drawTraces() {
+        const canvas = this.traceCanvas;
+        const ctx = this.traceCtx;
+        const width = canvas.width / window.devicePixelRatio;
+        const height = canvas.height / window.devicePixelRatio;
+
+        ctx.clearRect(0, 0, width, height);
+        if (!this.traceData || !this.traceData.points.length) return;
+
+        const { points, xValues, reference, startX, endX, cursorX, distanceAxis } = this.traceData;
+        const padding = { left: 50, right: 20 };
+        const graphWidth = width - padding.left - padding.right;
+        const tracesHeight = this.traceChannels.length * TRACE_HEIGHT;
+        const xToPixel = (x) => padding.left + ((x - startX) / (endX - startX)) * graphWidth;
+        const telemetryTime = this.video.currentTime - this.syncOffset;
+        const cursorIndex = points.findIndex(point => point.time >= telemetryTime);
+
+        // Distances are labelled from the start of the lap the cursor is in
+        const cursorPoint = points[cursorIndex !== -1 ? cursorIndex : points.length - 1];
+        const distanceOrigin = distanceAxis ? cursorPoint.distance - cursorPoint.lapDistance : null;
+        this.drawTraceGrid(ctx, xToPixel, tracesHeight, startX, endX, distanceOrigin);
+
+        this.traceChannels.forEach((channelId, row) => {
+            const channel = this.getTraceChannel(channelId);
+            const top = row * TRACE_HEIGHT + 16;
+            const traceHeight = TRACE_HEIGHT - 24;
+            const values = points.map((point, i) => this.getTraceValue(channelId, point, i));
             
-            // Check if trajectory segment intersects with border line segment
-            const intersection = this.lineSegmentIntersection(
-                point1.lon, point1.lat,
-                point2.lon, point2.lat,
-                border.startLon, border.startLat,
-                border.endLon, border.endLat
-            );
+            // The delta is already measured against the reference lap, so it has no reference line
+            const referenceValues = channelId === DELTA_TRACE ? [] :
+                reference.points.map(point => point ? getChannelValue(point, channelId) : null);
+            const known = values.concat(referenceValues).filter(value => value !== null && !isNaN(value));
+            if (!known.length) return;
+
+            let minValue = Math.min(...known);
+            let maxValue = Math.max(...known);
+            if (channelId === DELTA_TRACE) {
+                // Symmetric around zero so ahead and behind read the same way
+                maxValue = Math.max(Math.abs(minValue), Math.abs(maxValue), 0.1);
+                minValue = -maxValue;
+            } else if (maxValue === minValue) {
+                maxValue += 1;
+                minValue -= 1;
+            }
+            const valueToY = (value) => top + ((maxValue - value) / (maxValue - minValue)) * traceHeight;
+
+            // Row separator, channel name and scale
+            ctx.strokeStyle = '#e2e8f0';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(0, (row + 1) * TRACE_HEIGHT);
+            ctx.lineTo(width, (row + 1) * TRACE_HEIGHT);
+            ctx.stroke();
             
-            if (intersection && intersection.t !== undefined) {
-                // Use the interpolation factor directly from the intersection calculation
-                // intersection.t is already the correct interpolation factor (0 = point1, 1 = point2)
-                const t = Math.max(0, Math.min(1, intersection.t)); // Clamp to [0,1] for safety
-                
-                // Interpolate the precise crossing time
-                const preciseCrossingTime = point1.time + t * (point2.time - point1.time);
-                
-                // Validate the result
-                if (preciseCrossingTime >= point1.time && preciseCrossingTime <= point2.time) {
-                    console.log(`Found precise border crossing at ${this.formatTime(preciseCrossingTime)} (t=${t.toFixed(3)}, between ${this.formatTime(point1.time)} and ${this.formatTime(point2.time)})`);
-                    return preciseCrossingTime;
-                } else {
-                    console.warn(`Invalid interpolated time ${this.formatTime(preciseCrossingTime)}, falling back to closest point`);
-                }
+            ctx.font = '10px Arial';
+            ctx.fillStyle = '#666';
+            ctx.textAlign = 'right';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(this.formatChannelValue(maxValue), padding.left - 5, valueToY(maxValue));
+            ctx.fillText(this.formatChannelValue(minValue), padding.left - 5, valueToY(minValue));
+            if (channelId === DELTA_TRACE) {
+                ctx.beginPath();
+                ctx.moveTo(padding.left, valueToY(0));
+                ctx.lineTo(padding.left + graphWidth, valueToY(0));
+                ctx.stroke();
             }
-        }
-        
-        // Fallback: if no intersection found, use the closest point method
-        console.log('No intersection found, using closest point method');
-        for (let i = 0; i < lapData.length; i++) {
-            const point = lapData[i];
-            const distance = this.distanceToLineSegment(point, border);
+
+            this.drawTraceLine(ctx, reference.xValues, referenceValues, xToPixel, valueToY, '#722ed1', [5, 3]);
+            this.drawTraceLine(ctx, xValues, values, xToPixel, valueToY, '#1890ff', []);
+
+            // Name with the value at the cursor
+            const cursorValue = cursorIndex !== -1 ? values[cursorIndex] : null;
+            ctx.font = 'bold 11px Arial';
+            ctx.fillStyle = '#2d3748';
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'top';
+            const unit = channel.unit ? ` ${channel.unit}` : '';
+            ctx.fillText(`${channel.name}: ${this.formatChannelValue(cursorValue)}${unit}`, padding.left + 4, row * TRACE_HEIGHT + 3);
             
-            if (distance < minDistance) {
-                minDistance = distance;
-                bestCrossingTime = point.time;
+            if (cursorValue !== null && !isNaN(cursorValue)) {
+                ctx.fillStyle = '#ff4d4f';
+                ctx.beginPath();
+                ctx.arc(xToPixel(xValues[cursorIndex]), valueToY(cursorValue), 4, 0, 2 * Math.PI);
+                ctx.fill();
             }
+        });
+
+        // Cursor shared by all traces
+        if (cursorX >= startX && cursorX <= endX) {
+            const x = xToPixel(cursorX);
+            ctx.strokeStyle = '#ff4d4f';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([5, 5]);
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, tracesHeight);
+            ctx.stroke();
+            ctx.setLineDash([]);
         }
-        
-        return bestCrossingTime;
+
+        const timeToX = (time) => xToPixel(distanceAxis ? this.session.getDistanceAt(time) : time);
+        this.drawLapMarkers(ctx, timeToX, 0, tracesHeight, this.traceData.startTime, this.traceData.endTime);
     }
 
-    // Calculate distance from point to finite line segment (not infinite line)
-    distanceToLineSegment(point, border) {
-        const x = point.lon;
-        const y = point.lat;
-        const x1 = border.startLon;
-        const y1 = border.startLat;
-        const x2 = border.endLon;
-        const y2 = border.endLat;
+    showGgPanel() {
+        if (!this.session.telemetryData.length) return;
         
-        // Calculate the squared length of the line segment
-        const segmentLengthSquared = (x2 - x1) * (x2 - x1) + (y2 - y1) * (y2 - y1);
+        this.ggPanel.style.display = 'block';
+        this.ggPanelVisible = true;
+        this.ggOverlaySelect.value = this.ggOverlay;
         
-        // If the segment has zero length, return distance to the point
-        if (segmentLengthSquared === 0) {
-            return Math.sqrt((x - x1) * (x - x1) + (y - y1) * (y - y1));
+        const canvas = this.ggCanvas;
+        canvas.style.width = canvas.style.height = GG_SIZE + 'px';
+        canvas.width = canvas.height = GG_SIZE * window.devicePixelRatio;
+        this.ggCtx.scale(window.devicePixelRatio, window.devicePixelRatio);
+        this.ggData = null;
+        this.drawGgDiagram();
+    }
+
+    handleGgOverlayChange() {
+        this.ggOverlay = this.ggOverlaySelect.value;
+        this.drawGgDiagram();
+        this.saveSessionState();
+    }
+
+    // The current lap's points and grip envelope, and the reference lap's, recalculated only
+    // when playback moves into another lap or the reference lap changes
+    prepareGgData(lapIndex) {
+        const referenceLapData = this.session.referenceLapData;
+        if (this.ggData && this.ggData.lapIndex === lapIndex && this.ggData.referenceLapData === referenceLapData &&
+            this.ggData.telemetryData === this.session.telemetryData) {
+            return this.ggData;
         }
         
-        // Calculate the parameter t that represents the projection of the point onto the line segment
-        const t = Math.max(0, Math.min(1, ((x - x1) * (x2 - x1) + (y - y1) * (y2 - y1)) / segmentLengthSquared));
-        
-        // Calculate the closest point on the line segment
-        const closestX = x1 + t * (x2 - x1);
-        const closestY = y1 + t * (y2 - y1);
-        
-        // Return the distance from the point to the closest point on the segment
-        return Math.sqrt((x - closestX) * (x - closestX) + (y - closestY) * (y - closestY));
+        const points = lapIndex !== -1 ? this.session.getLapData(lapIndex) : [];
+        this.ggData = {
+            lapIndex,
+            telemetryData: this.session.telemetryData,
+            referenceLapData,
+            points,
+            envelope: getGripEnvelope(points),
+            referenceEnvelope: getGripEnvelope(referenceLapData)
+        };
+        return this.ggData;
     }
 
-    // Helper method to find intersection between two line segments
-    lineSegmentIntersection(x1, y1, x2, y2, x3, y3, x4, y4) {
-        const denom = (x1 - x2) * (y3 - y4) - (y1 - y2) * (x3 - x4);
+    // Lateral against longitudinal acceleration of the current lap, acceleration up and braking down,
+    // with the trail of the last GG_TRAIL_SECONDS following playback
+    drawGgDiagram() {
+        const ctx = this.ggCtx;
+        ctx.clearRect(0, 0, GG_SIZE, GG_SIZE);
+        if (!this.session.telemetryData.length || this.syncOffset === 0) return;
         
-        if (Math.abs(denom) < 1e-10) {
-            return null; // Lines are parallel
-        }
+        const telemetryTime = this.video.currentTime - this.syncOffset;
+        const { points, envelope, referenceLapData, referenceEnvelope } = this.prepareGgData(this.session.getLapIndexAt(telemetryTime));
+        const showReference = this.ggOverlay === 'both' || this.ggOverlay === 'reference';
+        const showEnvelope = this.ggOverlay === 'both' || this.ggOverlay === 'envelope';
+        const trail = this.session.telemetryData.slice(
+            this.session.findTelemetryIndex(telemetryTime - GG_TRAIL_SECONDS),
+            this.session.findTelemetryIndex(telemetryTime) + 1
+        );
         
-        const t = ((x1 - x3) * (y3 - y4) - (y1 - y3) * (x3 - x4)) / denom;
-        const u = -((x1 - x2) * (y1 - y3) - (y1 - y2) * (x1 - x3)) / denom;
+        // Scale to the strongest acceleration shown, in steps of 0.5 g and at least 1 g
+        const shown = points.concat(trail, showReference ? referenceLapData : []);
+        const peak = Math.max(1, ...shown.map(point => Math.max(Math.abs(point.latAcc), Math.abs(point.lonAcc))));
+        const maxG = Math.ceil(peak * 2) / 2;
+        const center = GG_SIZE / 2;
+        const radius = center - 20;
+        const toCanvas = point => ({
+            x: center + (point.latAcc / maxG) * radius,
+            y: center - (point.lonAcc / maxG) * radius
+        });
         
-        // Check if intersection point lies within both line segments
-        if (t >= 0 && t <= 1 && u >= 0 && u <= 1) {
-            return {
-                lon: x1 + t * (x2 - x1),  // x1 is longitude
-                lat: y1 + t * (y2 - y1),  // y1 is latitude
-                t: t  // Return the interpolation factor for the first segment
-            };
+        this.drawGgGrid(ctx, center, radius, maxG);
+        
+        if (showReference) {
+            this.drawGgPoints(ctx, referenceLapData, toCanvas, 'rgba(114, 46, 209, 0.25)');
+        }
+        this.drawGgPoints(ctx, points, toCanvas, 'rgba(24, 144, 255, 0.3)');
+        if (showEnvelope) {
+            if (showReference) {
+                this.drawGgEnvelope(ctx, referenceEnvelope, toCanvas, '#722ed1', [5, 3]);
+            }
+            this.drawGgEnvelope(ctx, envelope, toCanvas, '#1890ff', []);
         }
         
-        return null; // No intersection within segments
+        // Trail fading towards the past, ending in the current dot
+        if (trail.length) {
+            ctx.lineWidth = 2;
+            for (let i = 1; i < trail.length; i++) {
+                const from = toCanvas(trail[i - 1]);
+                const to = toCanvas(trail[i]);
+                ctx.strokeStyle = `rgba(255, 77, 79, ${(i / trail.length).toFixed(2)})`;
+                ctx.beginPath();
+                ctx.moveTo(from.x, from.y);
+                ctx.lineTo(to.x, to.y);
+                ctx.stroke();
+            }
+            
+            const current = trail[trail.length - 1];
+            const position = toCanvas(current);
+            ctx.fillStyle = '#ff4d4f';
+            ctx.beginPath();
+            ctx.arc(position.x, position.y, 5, 0, 2 * Math.PI);
+            ctx.fill();
+            
+            ctx.font = 'bold 11px Arial';
+            ctx.fillStyle = '#2d3748';
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'top';
+            ctx.fillText(`${Math.hypot(current.latAcc, current.lonAcc).toFixed(2)} g`, 6, 6);
+        }
     }
 
-    distanceToLine(point, border) {
-        // Calculate distance from point to line segment
-        const A = border.endLat - border.startLat;
-        const B = border.startLon - border.endLon;
-        const C = A * border.startLon + B * border.startLat;
+    // Rings every 0.5 g, axes, and which way is braking and accelerating
+    drawGgGrid(ctx, center, radius, maxG) {
+        ctx.strokeStyle = '#e2e8f0';
+        ctx.lineWidth = 1;
+        ctx.font = '10px Arial';
+        ctx.fillStyle = '#666';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'bottom';
+        for (let g = 0.5; g <= maxG; g += 0.5) {
+            const ringRadius = (g / maxG) * radius;
+            ctx.beginPath();
+            ctx.arc(center, center, ringRadius, 0, 2 * Math.PI);
+            ctx.stroke();
+            ctx.fillText(`${g.toFixed(1)} g`, center + 3, center - ringRadius);
+        }
         
-        const distance = Math.abs(A * point.lon + B * point.lat - C) / Math.sqrt(A * A + B * B);
-        return distance;
+        ctx.beginPath();
+        ctx.moveTo(center - radius, center);
+        ctx.lineTo(center + radius, center);
+        ctx.moveTo(center, center - radius);
+        ctx.lineTo(center, center + radius);
+        ctx.stroke();
+        
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillText('Brake', center, center + radius + 4);
+        ctx.textBaseline = 'bottom';
+        ctx.fillText('Accel', center, center - radius - 4);
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('Lat', center + radius + 18, center - 8);
     }
 
-    createStartFinishBorder(startFinishPoint, mercatorData) {
-        // Create a perpendicular line at the start/finish position
-        // Use the same logic as createPerpendicularLine but for the start/finish point
-        
-        // Find the index of the start/finish point in the data
-        let centerIndex = 0;
-        let minDiff = Math.abs(mercatorData[0].time - startFinishPoint.time);
+    drawGgPoints(ctx, points, toCanvas, color) {
+        ctx.fillStyle = color;
+        points.forEach(point => {
+            const position = toCanvas(point);
+            ctx.fillRect(position.x - 1, position.y - 1, 2, 2);
+        });
+    }
+
+    // Closed outline through the envelope; directions that were never used are skipped
+    drawGgEnvelope(ctx, envelope, toCanvas, color, dash) {
+        const used = envelope.filter(point => point);
+        if (used.length < 3) return;
         
-        for (let i = 1; i < mercatorData.length; i++) {
-            const diff = Math.abs(mercatorData[i].time - startFinishPoint.time);
-            if (diff < minDiff) {
-                minDiff = diff;
-                centerIndex = i;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.setLineDash(dash);
+        ctx.beginPath();
+        used.forEach((point, i) => {
+            const position = toCanvas(point);
+            if (i === 0) {
+                ctx.moveTo(position.x, position.y);
             } else {
-                break;
+                ctx.lineTo(position.x, position.y);
             }
-        }
-        
-        // Calculate trajectory direction using nearby points
-        const lookAhead = Math.min(5, mercatorData.length - centerIndex - 1);
-        const lookBehind = Math.min(5, centerIndex);
-        
-        let trajectoryVector = { lat: 0, lon: 0 };
+        });
+        ctx.closePath();
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
+    // One trace line; gaps where the channel has no value (or no reference position) are left open
+    drawTraceLine(ctx, xValues, values, xToPixel, valueToY, color, dash) {
+        if (!values.length) return;
         
-        if (lookAhead > 0 && lookBehind > 0) {
-            const beforePoint = mercatorData[centerIndex - lookBehind];
-            const afterPoint = mercatorData[centerIndex + lookAhead];
-            
-            // Calculate the trajectory direction vector
-            trajectoryVector.lat = afterPoint.lat - beforePoint.lat;
-            trajectoryVector.lon = afterPoint.lon - beforePoint.lon;
-        } else {
-            // Fallback: use a smaller window
-            if (centerIndex > 0 && centerIndex < mercatorData.length - 1) {
-                const beforePoint = mercatorData[centerIndex - 1];
-                const afterPoint = mercatorData[centerIndex + 1];
-                trajectoryVector.lat = afterPoint.lat - beforePoint.lat;
-                trajectoryVector.lon = afterPoint.lon - beforePoint.lon;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.setLineDash(dash);
+        ctx.beginPath();
+        let drawing = false;
+        for (let i = 0; i < values.length; i++) {
+            const value = values[i];
+            if (value === null || isNaN(value) || xValues[i] === null) {
+                drawing = false;
+                continue;
+            }
+            const x = xToPixel(xValues[i]);
+            const y = valueToY(value);
+            if (drawing) {
+                ctx.lineTo(x, y);
             } else {
-                // Use GPS heading as last resort
-                const headingRad = (startFinishPoint.heading || 0) * Math.PI / 180;
-                trajectoryVector.lat = Math.cos(headingRad);
-                trajectoryVector.lon = Math.sin(headingRad);
+                ctx.moveTo(x, y);
+                drawing = true;
             }
         }
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
+    // Vertical grid lines with time labels, or lap distance labels from `distanceOrigin` on a distance axis
+    drawTraceGrid(ctx, xToPixel, tracesHeight, minX, maxX, distanceOrigin = null) {
+        ctx.strokeStyle = '#e2e8f0';
+        ctx.lineWidth = 1;
+        ctx.font = '10px Arial';
+        ctx.fillStyle = '#666';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+
+        const range = maxX - minX;
+        const origin = distanceOrigin !== null ? distanceOrigin : 0;
+        const step = distanceOrigin !== null ?
+            (range > 4000 ? 1000 : range > 2000 ? 500 : range > 800 ? 200 : range > 300 ? 100 : 50) :
+            (range > 300 ? 60 : range > 120 ? 30 : range > 60 ? 15 : range > 20 ? 10 : 5); // Adaptive step
         
-        // Apply cosine latitude correction to longitude component
-        const latRad = startFinishPoint.lat * Math.PI / 180;
-        const cosLat = Math.cos(latRad);
-        
-        // Adjust longitude component by cosine of latitude
-        const correctedTrajectoryVector = {
-            lat: trajectoryVector.lat,
-            lon: trajectoryVector.lon * cosLat
-        };
-        
-        // Normalize the corrected trajectory vector
-        const trajectoryLength = Math.sqrt(
-            correctedTrajectoryVector.lat * correctedTrajectoryVector.lat + 
-            correctedTrajectoryVector.lon * correctedTrajectoryVector.lon
-        );
-        
-        if (trajectoryLength > 0) {
-            correctedTrajectoryVector.lat /= trajectoryLength;
-            correctedTrajectoryVector.lon /= trajectoryLength;
+        for (let x = origin + Math.ceil((minX - origin) / step) * step; x <= maxX; x += step) {
+            const pixelX = xToPixel(x);
+            ctx.beginPath();
+            ctx.moveTo(pixelX, 0);
+            ctx.lineTo(pixelX, tracesHeight);
+            ctx.stroke();
+            ctx.fillText(distanceOrigin !== null ? `${Math.round(x - origin)} m` : this.formatTime(x), pixelX, tracesHeight + 5);
+        }
+    }
+
+    drawLapMarkers(ctx, timeToX, graphTop, graphHeight, minTime, maxTime) {
+        // Draw sector borders that fall within the 20-second moving window
+        if (!this.session.sectorBorders.length) {
+            return;
+        }
+
+        ctx.strokeStyle = '#ff4d4f';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([5, 5]);
+        ctx.font = '12px Arial';
+        ctx.fillStyle = '#ff4d4f';
+
+        let sectorsDrawn = 0;
+        for (let i = 0; i < this.session.sectorBorders.length; i++) {
+            const border = this.session.sectorBorders[i];
+            const sectorTime = border.time;
+            
+            // Check if this sector border falls within the current 20-second window
+            if (sectorTime >= minTime && sectorTime <= maxTime) {
+                const x = timeToX(sectorTime);
+                
+                // Draw vertical line
+                ctx.beginPath();
+                ctx.moveTo(x, graphTop);
+                ctx.lineTo(x, graphTop + graphHeight);
+                ctx.stroke();
+                
+                // Draw sector label with background
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                const sectorLabel = `S${i + 1}`;
+                
+                // Draw label background
+                ctx.fillStyle = '#ff4d4f';
+                ctx.fillRect(x - 15, graphTop + 5, 30, 20);
+                
+                // Draw label text
+                ctx.fillStyle = '#ffffff';
+                ctx.fillText(sectorLabel, x, graphTop + 15);
+                
+                // Reset fill style
+                ctx.fillStyle = '#ff4d4f';
+                sectorsDrawn++;
+            }
         }
         
-        // Create perpendicular vector by rotating 90 degrees
-        const perpVector = {
-            lat: -correctedTrajectoryVector.lon,
-            lon: correctedTrajectoryVector.lat
-        };
-        
-        // Scale the perpendicular vector to desired length
-        const lineLength = 0.00004; // Approximately 4m in degrees
-        const perpLat = perpVector.lat * lineLength;
-        const perpLon = perpVector.lon * lineLength / cosLat; // Undo cosine correction for final coordinates
-        
-        return {
-            time: startFinishPoint.time,
-            centerLat: startFinishPoint.lat,
-            centerLon: startFinishPoint.lon,
-            trajectoryVector: trajectoryVector,
-            perpVector: perpVector,
-            startLat: startFinishPoint.lat - perpLat,
-            startLon: startFinishPoint.lon - perpLon,
-            endLat: startFinishPoint.lat + perpLat,
-            endLon: startFinishPoint.lon + perpLon
-        };
+        ctx.setLineDash([]);
     }
 
     updateLapTableWithSectors() {
-        if (!this.lapSectorTimes.length) {
+        if (!this.session.lapSectorTimes.length) {
             console.log('No sector times available to display');
             return;
         }
         
         // Determine number of sectors (use first lap's sector count)
-        const numSectors = this.lapSectorTimes[0] ? this.lapSectorTimes[0].length : 3;
-        console.log(`Updating table with ${numSectors} sectors for ${this.lapSectorTimes.length} laps`);
+        const numSectors = this.session.lapSectorTimes[0] ? this.session.lapSectorTimes[0].length : 3;
+        console.log(`Updating table with ${numSectors} sectors for ${this.session.lapSectorTimes.length} laps`);
         
         // Update table header to include sector columns
+        const sectorCorners = this.session.getSectorCornerNames();
         const headerRow = this.lapTable.querySelector('thead tr');
         if (headerRow) {
             // Remove existing sector headers
@@ -1834,6 +3007,7 @@ class VideoFrameAnalyzer {
                 const sectorHeader = document.createElement('th');
                 sectorHeader.className = 'sector-header';
                 sectorHeader.textContent = `S${i + 1}`;
+                sectorHeader.title = this.getSectorTitle(i, sectorCorners);
                 headerRow.insertBefore(sectorHeader, jumpHeader);
             }
         }
@@ -1847,13 +3021,14 @@ class VideoFrameAnalyzer {
             
             // Find the jump button cell and insert sector cells before it
             const jumpCell = row.querySelector('td:last-child'); // Jump button cell
-            const sectorTimes = this.lapSectorTimes[lapIndex] || [];
+            const sectorTimes = this.session.lapSectorTimes[lapIndex] || [];
             
             console.log(`Lap ${lapIndex} sector times:`, sectorTimes);
             
             for (let i = 0; i < numSectors; i++) {
                 const sectorCell = document.createElement('td');
                 sectorCell.className = 'sector-time';
+                sectorCell.title = this.getSectorTitle(i, sectorCorners);
                 
                 if (i < sectorTimes.length && sectorTimes[i] !== undefined) {
                     sectorCell.textContent = this.formatTime(sectorTimes[i]);
@@ -1871,13 +3046,13 @@ class VideoFrameAnalyzer {
     }
 
     toggleGpsVisualization() {
-        if (!this.telemetryData.length) {
+        if (!this.session.telemetryData.length) {
             this.showCsvInfo('No GPS data available for visualization. Please load a CSV file with GPS coordinates.', 'error');
             return;
         }
 
         // Check if we have GPS data
-        const hasGpsData = this.telemetryData.some(point => point.lat !== 0 && point.lon !== 0);
+        const hasGpsData = this.session.telemetryData.some(point => point.lat !== 0 && point.lon !== 0);
         if (!hasGpsData) {
             this.showCsvInfo('No GPS coordinates found in telemetry data. GPS visualization requires latitude and longitude data.', 'error');
             return;
@@ -1904,9 +3079,10 @@ class VideoFrameAnalyzer {
         // Clear canvas
         ctx.clearRect(0, 0, width, height);
 
-        // Sample data points (every 5th point to reduce density)
-        const sampledData = this.telemetryData.filter((point, index) => 
-            index % 5 === 0 && point.lat !== 0 && point.lon !== 0
+        // Sample data points (every 5th point to reduce density, more of them when zoomed in)
+        const sampleStep = Math.max(1, Math.round(5 / this.mapZoom));
+        const sampledData = this.session.telemetryData.filter((point, index) => 
+            index % sampleStep === 0 && point.lat !== 0 && point.lon !== 0
         );
 
         if (sampledData.length === 0) {
@@ -1925,16 +3101,21 @@ class VideoFrameAnalyzer {
         }));
 
         // Find Mercator bounds
-        const bounds = this.calculateMercatorBounds(mercatorData);
+        const fitBounds = this.calculateMercatorBounds(mercatorData);
         
         // Add padding
         const padding = 0.1; // 10% padding
-        const xRange = bounds.maxX - bounds.minX;
-        const yRange = bounds.maxY - bounds.minY;
-        bounds.minX -= xRange * padding;
-        bounds.maxX += xRange * padding;
-        bounds.minY -= yRange * padding;
-        bounds.maxY += yRange * padding;
+        const xRange = fitBounds.maxX - fitBounds.minX;
+        const yRange = fitBounds.maxY - fitBounds.minY;
+        fitBounds.minX -= xRange * padding;
+        fitBounds.maxX += xRange * padding;
+        fitBounds.minY -= yRange * padding;
+        fitBounds.maxY += yRange * padding;
+        const bounds = this.getMapViewBounds(fitBounds);
+        
+        // Remember the view so mouse positions can be mapped back to GPS coordinates
+        this.gpsView = { bounds, fitBounds, width, height };
+        this.fitMapBtn.disabled = this.mapZoom === 1;
 
         // Convert Mercator coordinates to canvas coordinates
         const mercatorToCanvas = (mercatorX, mercatorY) => {
@@ -1948,45 +3129,53 @@ class VideoFrameAnalyzer {
             this.drawMapTiles(ctx, bounds, width, height, mercatorToCanvas);
         }
 
-        // Draw track
-        ctx.strokeStyle = '#1890ff';
-        ctx.lineWidth = 3;
-        ctx.shadowColor = 'rgba(255, 255, 255, 0.8)';
-        ctx.shadowBlur = 2;
-        ctx.beginPath();
+        // Draw track: the chosen lap only, the view stays on the whole session so it doesn't jump
+        const trackData = this.mapLap === null ? mercatorData : mercatorData.filter(point => this.session.getLapIndexAt(point.time) === this.mapLap);
+        const colorScale = this.getMapColorScale(trackData);
+        if (colorScale) {
+            this.drawColoredTrack(ctx, trackData, colorScale, mercatorToCanvas);
+        } else {
+            ctx.strokeStyle = '#1890ff';
+            ctx.lineWidth = 3;
+            ctx.shadowColor = 'rgba(255, 255, 255, 0.8)';
+            ctx.shadowBlur = 2;
+            ctx.beginPath();
 
-        for (let i = 0; i < mercatorData.length; i++) {
-            const point = mercatorToCanvas(mercatorData[i].mercatorX, mercatorData[i].mercatorY);
-            if (i === 0) {
-                ctx.moveTo(point.x, point.y);
-            } else {
-                ctx.lineTo(point.x, point.y);
+            for (let i = 0; i < trackData.length; i++) {
+                const point = mercatorToCanvas(trackData[i].mercatorX, trackData[i].mercatorY);
+                if (i === 0) {
+                    ctx.moveTo(point.x, point.y);
+                } else {
+                    ctx.lineTo(point.x, point.y);
+                }
             }
-        }
-        ctx.stroke();
-        ctx.shadowBlur = 0; // Reset shadow
-
-        // Draw data points
-        ctx.fillStyle = '#1890ff';
-        ctx.strokeStyle = '#ffffff';
-        ctx.lineWidth = 1;
-        for (const dataPoint of mercatorData) {
-            const point = mercatorToCanvas(dataPoint.mercatorX, dataPoint.mercatorY);
-            ctx.beginPath();
-            ctx.arc(point.x, point.y, 2, 0, 2 * Math.PI);
-            ctx.fill();
             ctx.stroke();
+            ctx.shadowBlur = 0; // Reset shadow
+
+            // Draw data points
+            ctx.fillStyle = '#1890ff';
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 1;
+            for (const dataPoint of trackData) {
+                const point = mercatorToCanvas(dataPoint.mercatorX, dataPoint.mercatorY);
+                ctx.beginPath();
+                ctx.arc(point.x, point.y, 2, 0, 2 * Math.PI);
+                ctx.fill();
+                ctx.stroke();
+            }
         }
+        this.updateMapColorLegend(colorScale);
 
         // Draw sector borders
-        if (this.sectorBorders.length > 0) {
-            ctx.strokeStyle = '#ff4d4f';
+        if (this.session.sectorBorders.length > 0) {
             ctx.lineWidth = 4;
             ctx.shadowColor = 'rgba(255, 255, 255, 0.8)';
             ctx.shadowBlur = 2;
             
-            for (let i = 0; i < this.sectorBorders.length; i++) {
-                const border = this.sectorBorders[i];
+            for (let i = 0; i < this.session.sectorBorders.length; i++) {
+                const border = this.session.sectorBorders[i];
+                const isSelected = this.sectorEditor.active && border === this.sectorEditor.selectedBorder;
+                ctx.strokeStyle = isSelected ? '#722ed1' : '#ff4d4f';
                 const startMercatorX = this.lonToMercatorX(border.startLon);
                 const startMercatorY = this.latToMercatorY(border.startLat);
                 const endMercatorX = this.lonToMercatorX(border.endLon);
@@ -2007,7 +3196,7 @@ class VideoFrameAnalyzer {
                 };
                 
                 // Draw label background
-                ctx.fillStyle = 'rgba(255, 77, 79, 0.9)';
+                ctx.fillStyle = isSelected ? 'rgba(114, 46, 209, 0.9)' : 'rgba(255, 77, 79, 0.9)';
                 ctx.fillRect(midPoint.x - 15, midPoint.y - 18, 30, 16);
                 
                 ctx.fillStyle = '#ffffff';
@@ -2017,9 +3206,10 @@ class VideoFrameAnalyzer {
             }
             
             // Draw start/finish line
-            if (mercatorData.length > 0 && this.bestLapEndPoint) {
-                const numSectors = this.sectorBorders.length + 1;
-                const startFinishBorder = this.createStartFinishBorder(this.bestLapEndPoint, mercatorData);
+            if (mercatorData.length > 0 && (this.session.startFinishBorder || this.session.bestLapEndPoint)) {
+                const numSectors = this.session.sectorBorders.length + 1;
+                const startFinishBorder = this.session.startFinishBorder || 
+                    this.session.createStartFinishBorder(this.session.bestLapEndPoint, mercatorData);
                 
                 if (startFinishBorder) {
                     const startMercatorX = this.lonToMercatorX(startFinishBorder.startLon);
@@ -2052,21 +3242,799 @@ class VideoFrameAnalyzer {
                     ctx.fillText(`Start/S${numSectors}`, midPoint.x, midPoint.y - 5);
                 }
             }
-            ctx.shadowBlur = 0; // Reset shadow
+            ctx.shadowBlur = 0; // Reset shadow
+        }
+        
+        // Draw corner names
+        this.drawCornerLabels(ctx);
+        
+        if (this.sectorEditor.active) {
+            this.drawSectorEditorHandles(ctx);
+        }
+
+        // Draw coordinate info
+        ctx.fillStyle = '#666';
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'left';
+        const originalBounds = this.session.calculateGpsBounds(sampledData);
+        ctx.fillText(`Lat: ${originalBounds.minLat.toFixed(6)} to ${originalBounds.maxLat.toFixed(6)}`, 10, height - 25);
+        ctx.fillText(`Lon: ${originalBounds.minLon.toFixed(6)} to ${originalBounds.maxLon.toFixed(6)}`, 10, height - 10);
+
+        // Draw data info
+        ctx.textAlign = 'right';
+        ctx.fillText(`${sampledData.length} points (sampled from ${this.session.telemetryData.length})`, width - 10, height - 25);
+        ctx.fillText(`${this.session.sectorBorders.length} sector borders (${this.currentMapLayer} layer)`, width - 10, height - 10);
+        
+        // Keep the map without markers, then put the markers on it
+        this.gpsMapLayer.width = width;
+        this.gpsMapLayer.height = height;
+        this.gpsMapLayer.getContext('2d').drawImage(canvas, 0, 0);
+        this.drawMapMarkers();
+    }
+
+    // Car at the current video position and the reference lap's ghost at the same lap time,
+    // drawn over the saved map so they can follow playback
+    drawMapMarkers() {
+        if (!this.gpsView || !this.gpsMapLayer.width) return;
+        
+        const ctx = this.gpsCtx;
+        ctx.clearRect(0, 0, this.gpsMapLayer.width, this.gpsMapLayer.height);
+        ctx.drawImage(this.gpsMapLayer, 0, 0);
+        if (this.syncOffset === 0) return;
+        
+        const telemetryTime = this.video.currentTime - this.syncOffset;
+        const ghost = this.session.getGhostPositionAt(telemetryTime);
+        const car = this.session.getPositionAt(telemetryTime);
+        if (ghost && ghost.lat && ghost.lon) {
+            this.drawMapMarker(ctx, ghost, 'rgba(114, 46, 209, 0.7)');
+        }
+        if (car && car.lat && car.lon) {
+            this.drawMapMarker(ctx, car, '#fa8c16');
+        }
+    }
+
+    drawMapMarker(ctx, position, color) {
+        const point = this.gpsLatLonToCanvas(position.lat, position.lon);
+        ctx.fillStyle = color;
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, 7, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.stroke();
+    }
+
+    // Lap choices for the map: the whole session or any single lap
+    populateMapLapSelect() {
+        this.mapLapSelect.innerHTML = '<option value="">Whole session</option>';
+        this.session.lapTimes.forEach((lapTime, i) => {
+            const option = document.createElement('option');
+            option.value = i;
+            option.textContent = `${TelemetryCore.getLapName(i)} (${this.formatTime(lapTime)})`;
+            this.mapLapSelect.appendChild(option);
+        });
+        
+        if (this.mapLap !== null && this.mapLap >= this.session.lapTimes.length) {
+            this.mapLap = null;
+        }
+        this.mapLapSelect.value = this.mapLap === null ? '' : String(this.mapLap);
+    }
+
+    handleMapColorChange() {
+        this.mapColor = this.mapColorSelect.value;
+        this.renderGpsVisualization();
+        this.saveSessionState();
+    }
+
+    handleMapLapChange() {
+        const value = this.mapLapSelect.value;
+        this.mapLap = value === '' ? null : parseInt(value, 10);
+        this.renderGpsVisualization();
+        this.saveSessionState();
+    }
+
+    // Value the map is coloured by at the index-th drawn point; the delta is the change in the gap
+    // to the reference lap since the previous drawn point, per 100 m driven
+    getMapColorValue(points, index) {
+        const point = points[index];
+        if (this.mapColor === 'delta') {
+            const previous = points[index - 1];
+            if (!previous || point.distance - previous.distance < 1) return null;
+            const diff = this.session.diffToBestData[this.session.findTelemetryIndex(point.time)];
+            const previousDiff = this.session.diffToBestData[this.session.findTelemetryIndex(previous.time)];
+            if (diff === null || diff === undefined || previousDiff === null || previousDiff === undefined) return null;
+            return (diff - previousDiff) / (point.distance - previous.distance) * 100;
+        }
+        const value = point[this.mapColor];
+        return MAP_COLOR_CHANNELS[this.mapColor].absolute ? Math.abs(value) : value;
+    }
+
+    // Values of the drawn points and the range the colours span, ignoring the extreme 2% at either
+    // end so a single GPS glitch doesn't wash out the rest; null when the track isn't coloured
+    getMapColorScale(points) {
+        const channel = MAP_COLOR_CHANNELS[this.mapColor];
+        if (!channel) return null;
+        
+        const values = points.map((point, i) => this.getMapColorValue(points, i));
+        const sorted = values.filter(value => value !== null && !isNaN(value)).sort((a, b) => a - b);
+        if (!sorted.length) return null;
+        
+        let min = sorted[Math.floor(sorted.length * 0.02)];
+        let max = sorted[Math.ceil(sorted.length * 0.98) - 1];
+        if (channel.symmetric) {
+            max = Math.max(Math.abs(min), Math.abs(max));
+            min = -max;
+        }
+        if (max === min) {
+            max += 1;
+            min -= 1;
+        }
+        return { channel, values, min, max };
+    }
+
+    getMapColor(scale, value) {
+        const ratio = Math.min(1, Math.max(0, (value - scale.min) / (scale.max - scale.min)));
+        const hue = scale.channel.fromHue + (scale.channel.toHue - scale.channel.fromHue) * ratio;
+        return `hsl(${Math.round(hue)}, 90%, 45%)`;
+    }
+
+    // One segment per pair of drawn points, coloured by the value at its end; gaps stay open
+    drawColoredTrack(ctx, points, scale, mercatorToCanvas) {
+        ctx.lineWidth = 4;
+        ctx.lineCap = 'round';
+        ctx.shadowColor = 'rgba(255, 255, 255, 0.8)';
+        ctx.shadowBlur = 2;
+        for (let i = 1; i < points.length; i++) {
+            const value = scale.values[i];
+            if (value === null || isNaN(value)) continue;
+            
+            const from = mercatorToCanvas(points[i - 1].mercatorX, points[i - 1].mercatorY);
+            const to = mercatorToCanvas(points[i].mercatorX, points[i].mercatorY);
+            ctx.strokeStyle = this.getMapColor(scale, value);
+            ctx.beginPath();
+            ctx.moveTo(from.x, from.y);
+            ctx.lineTo(to.x, to.y);
+            ctx.stroke();
+        }
+        ctx.shadowBlur = 0;
+        ctx.lineCap = 'butt';
+    }
+
+    updateMapColorLegend(scale) {
+        if (!scale) {
+            this.mapColorLegend.style.display = 'none';
+            return;
+        }
+        
+        const { channel, min, max } = scale;
+        const steps = [0, 0.25, 0.5, 0.75, 1].map(ratio => this.getMapColor(scale, min + ratio * (max - min)));
+        this.mapColorLegend.querySelector('.map-color-min').textContent = this.formatChannelValue(min);
+        this.mapColorLegend.querySelector('.map-color-max').textContent = this.formatChannelValue(max);
+        this.mapColorLegend.querySelector('.map-color-gradient').style.background = `linear-gradient(to right, ${steps.join(', ')})`;
+        this.mapColorLegend.querySelector('.map-color-name').textContent = `${channel.name} (${channel.unit})`;
+        this.mapColorLegend.style.display = 'flex';
+    }
+
+    // Part of the whole-track view shown at the current zoom, kept inside the whole-track view
+    getMapViewBounds(fitBounds) {
+        if (this.mapZoom === 1) return fitBounds;
+        
+        const halfX = (fitBounds.maxX - fitBounds.minX) / 2 / this.mapZoom;
+        const halfY = (fitBounds.maxY - fitBounds.minY) / 2 / this.mapZoom;
+        const center = this.mapCenter || { x: (fitBounds.minX + fitBounds.maxX) / 2, y: (fitBounds.minY + fitBounds.maxY) / 2 };
+        const centerX = Math.min(fitBounds.maxX - halfX, Math.max(fitBounds.minX + halfX, center.x));
+        const centerY = Math.min(fitBounds.maxY - halfY, Math.max(fitBounds.minY + halfY, center.y));
+        this.mapCenter = { x: centerX, y: centerY };
+        return { minX: centerX - halfX, maxX: centerX + halfX, minY: centerY - halfY, maxY: centerY + halfY };
+    }
+
+    // Zoom by `factor` keeping the map position under the canvas point where it is
+    zoomMap(point, factor) {
+        const { bounds, width, height } = this.gpsView;
+        const zoom = Math.min(MAP_MAX_ZOOM, Math.max(1, this.mapZoom * factor));
+        if (zoom === this.mapZoom) return;
+        
+        const anchorX = bounds.minX + (point.x / width) * (bounds.maxX - bounds.minX);
+        const anchorY = bounds.minY + ((height - point.y) / height) * (bounds.maxY - bounds.minY);
+        const centerX = (bounds.minX + bounds.maxX) / 2;
+        const centerY = (bounds.minY + bounds.maxY) / 2;
+        const change = zoom / this.mapZoom;
+        this.mapZoom = zoom;
+        this.mapCenter = zoom === 1 ? null : {
+            x: anchorX + (centerX - anchorX) / change,
+            y: anchorY + (centerY - anchorY) / change
+        };
+        this.renderGpsVisualization();
+    }
+
+    resetMapZoom() {
+        this.mapZoom = 1;
+        this.mapCenter = null;
+        if (this.gpsVisible) {
+            this.renderGpsVisualization();
+        }
+    }
+
+    handleGpsWheel(event) {
+        if (!this.gpsView) return;
+        
+        event.preventDefault();
+        this.zoomMap(this.getGpsCanvasPoint(event), event.deltaY < 0 ? MAP_ZOOM_STEP : 1 / MAP_ZOOM_STEP);
+    }
+
+    // Click on the map: seek to where the lap drawn on the map, or else the lap at the
+    // current video position, passes the clicked point
+    seekToMapPoint(point) {
+        const lapIndex = this.mapLap !== null ? this.mapLap : this.getCurrentLapIndex();
+        if (lapIndex === -1) return;
+        
+        const { lat, lon } = this.gpsCanvasToLatLon(point.x, point.y);
+        const time = this.session.findLapTimeAt(lapIndex, lat, lon);
+        if (time === null) {
+            console.log('Map click is not on the track of the current lap');
+            return;
+        }
+        this.jumpToDataTime(time);
+    }
+
+    // Convert GPS coordinates to canvas coordinates of the last rendered map view
+    gpsLatLonToCanvas(lat, lon) {
+        const { bounds, width, height } = this.gpsView;
+        const x = ((this.lonToMercatorX(lon) - bounds.minX) / (bounds.maxX - bounds.minX)) * width;
+        const y = height - ((this.latToMercatorY(lat) - bounds.minY) / (bounds.maxY - bounds.minY)) * height;
+        return { x, y };
+    }
+
+    gpsCanvasToLatLon(x, y) {
+        const { bounds, width, height } = this.gpsView;
+        const mercatorX = bounds.minX + (x / width) * (bounds.maxX - bounds.minX);
+        const mercatorY = bounds.minY + ((height - y) / height) * (bounds.maxY - bounds.minY);
+        return { lat: this.mercatorYToLat(mercatorY), lon: this.mercatorXToLon(mercatorX) };
+    }
+
+    // Mouse position in canvas pixels (the canvas may be scaled by CSS)
+    getGpsCanvasPoint(event) {
+        const canvas = this.gpsCanvas;
+        const rect = canvas.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left - canvas.clientLeft) * canvas.width / canvas.clientWidth,
+            y: (event.clientY - rect.top - canvas.clientTop) * canvas.height / canvas.clientHeight
+        };
+    }
+
+    // Track library: fixed start/finish, sector lines and corner names per track
+    matchTrackForSession() {
+        const track = this.trackLibrary.findMatchingTrack(this.session.getGpsBounds());
+        if (track) {
+            console.log(`Session matched to track ${track.name}`);
+            this.session.applyTrack(track);
+        }
+        
+        this.populateTrackSelect();
+        this.updateTrackInfo(track ? 'Matched automatically by GPS position' : '');
+        return track;
+    }
+
+    populateTrackSelect() {
+        this.trackSelect.innerHTML = '';
+        
+        const sessionOption = document.createElement('option');
+        sessionOption.value = '';
+        sessionOption.textContent = 'Sectors from this session';
+        this.trackSelect.appendChild(sessionOption);
+        
+        for (const track of this.trackLibrary.getTracks()) {
+            const option = document.createElement('option');
+            option.value = track.id;
+            option.textContent = track.name;
+            this.trackSelect.appendChild(option);
+        }
+        
+        this.trackSelect.value = this.session.track ? this.session.track.id : '';
+        this.deleteTrackBtn.disabled = !this.session.track;
+    }
+
+    updateTrackInfo(message, type = 'info') {
+        this.trackInfo.textContent = message;
+        this.trackInfo.classList.toggle('error', type === 'error');
+    }
+
+    handleTrackChange() {
+        const track = this.trackLibrary.getTrack(this.trackSelect.value);
+        
+        if (track) {
+            this.session.applyTrack(track);
+            this.updateTrackInfo(`${track.sectorBorders.length + 1} sectors, ${this.session.corners.length} corners`);
+        } else {
+            this.session.clearTrack();
+            this.updateTrackInfo('');
+        }
+        
+        // Applying a track can also change the laps of a log without lap markers
+        this.deleteTrackBtn.disabled = !this.session.track;
+        this.refreshLapViews();
+    }
+
+    saveTrack() {
+        if (!this.session.getGpsBounds()) {
+            this.updateTrackInfo('Load a data log with GPS data before saving a track.', 'error');
+            return;
+        }
+        
+        const name = prompt('Track name:', this.session.track ? this.session.track.name : '');
+        if (!name || !name.trim()) return;
+        
+        try {
+            // Saving under the current track's name updates it, any other name creates a new track
+            const track = this.trackLibrary.saveTrack(this.session.createTrackDefinition(name.trim()));
+            this.session.track = track;
+            this.populateTrackSelect();
+            this.updateTrackInfo(`Saved ${track.name}`);
+            this.saveSessionState();
+        } catch (error) {
+            console.error('Error saving track:', error);
+            this.updateTrackInfo(`Could not save track: ${error.message}`, 'error');
+        }
+    }
+
+    deleteTrack() {
+        const track = this.session.track;
+        if (!track || !confirm(`Delete track "${track.name}" from the library?`)) return;
+        
+        // The session keeps the track's lines until another track is chosen
+        this.trackLibrary.deleteTrack(track.id);
+        this.session.track = null;
+        this.populateTrackSelect();
+        this.updateTrackInfo(`Deleted ${track.name}`);
+        this.saveSessionState();
+    }
+
+    exportTracks() {
+        this.downloadFile(this.trackLibrary.exportJson(), 'tracks.json', 'application/json');
+    }
+
+    handleTrackImport(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                const count = this.trackLibrary.importJson(e.target.result);
+                
+                // A newly imported track may fit the loaded session
+                if (!this.session.track && this.session.telemetryData.length && this.matchTrackForSession()) {
+                    this.refreshLapViews();
+                } else {
+                    this.populateTrackSelect();
+                }
+                this.updateTrackInfo(`Imported ${count} track${count === 1 ? '' : 's'}`);
+            } catch (error) {
+                console.error('Error importing tracks:', error);
+                this.updateTrackInfo(`Could not import tracks: ${error.message}`, 'error');
+            }
+            event.target.value = '';
+        };
+        reader.readAsText(file);
+    }
+
+    findCornerAt(point) {
+        return this.session.corners.find(corner => {
+            const position = this.gpsLatLonToCanvas(corner.lat, corner.lon);
+            return Math.abs(point.x - position.x) <= 30 && Math.abs(point.y - position.y) <= 12;
+        }) || null;
+    }
+
+    // Shift+click in the sector editor names a corner, or renames (empty name removes) an existing one
+    editCornerAt(point) {
+        const corner = this.findCornerAt(point);
+        
+        if (corner) {
+            const name = prompt('Corner name (leave empty to remove):', corner.name);
+            if (name === null) return;
+            
+            if (name.trim()) {
+                corner.name = name.trim();
+            } else {
+                this.session.corners = this.session.corners.filter(c => c !== corner);
+            }
+        } else {
+            const { lat, lon } = this.gpsCanvasToLatLon(point.x, point.y);
+            const name = prompt('Corner name:', `T${this.session.corners.length + 1}`);
+            if (!name || !name.trim()) return;
+            
+            if (!this.session.addCorner(name.trim(), lat, lon)) {
+                this.updateTrackInfo('Corners must be placed on the track.', 'error');
+                return;
+            }
+        }
+        
+        this.renderGpsVisualization();
+        this.renderLapDataTable();
+        this.renderCornerTable();
+        this.saveSessionState();
+    }
+
+    drawCornerLabels(ctx) {
+        ctx.font = 'bold 11px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        
+        for (const corner of this.session.corners) {
+            const point = this.gpsLatLonToCanvas(corner.lat, corner.lon);
+            const labelWidth = ctx.measureText(corner.name).width + 10;
+            
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+            ctx.fillRect(point.x - labelWidth / 2, point.y - 8, labelWidth, 16);
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(corner.name, point.x, point.y);
+        }
+        
+        ctx.textBaseline = 'alphabetic';
+    }
+
+    // Lap detection: logger lap markers or GPS crossings of a start/finish line
+    updateLapSourceControls(message = '', type = 'info') {
+        this.lapSourceSelect.value = this.session.lapSource;
+        
+        if (!message && this.session.lapSource === 'gps') {
+            message = `${this.session.lapCrossings.length} start/finish crossings`;
+        } else if (!message && !this.session.markerLapTimes.length) {
+            message = 'The log has no lap markers - set a start/finish line to split it into laps';
+        }
+        
+        this.lapSourceInfo.textContent = message;
+        this.lapSourceInfo.classList.toggle('error', type === 'error');
+    }
+
+    handleLapSourceChange() {
+        try {
+            this.session.setLapSource(this.lapSourceSelect.value);
+            this.refreshLapViews();
+        } catch (error) {
+            console.error('Error changing lap source:', error);
+            this.updateLapSourceControls(error.message, 'error');
+        }
+    }
+
+    togglePickStartFinish() {
+        this.pickingStartFinish = !this.pickingStartFinish;
+        this.pickStartFinishBtn.textContent = this.pickingStartFinish ? 'Cancel' : 'Set Start/Finish on Map';
+        this.gpsCanvas.style.cursor = this.pickingStartFinish || this.sectorEditor.active ? 'crosshair' : '';
+        
+        if (this.pickingStartFinish) {
+            this.updateLapSourceControls('Click the track where laps should start and finish');
+        } else {
+            this.updateLapSourceControls();
+        }
+    }
+
+    setStartFinishAt(point) {
+        const { lat, lon } = this.gpsCanvasToLatLon(point.x, point.y);
+        const startFinishBorder = this.session.createBorderAt(lat, lon);
+        
+        if (!startFinishBorder) {
+            this.updateLapSourceControls('The start/finish line must be placed on the track.', 'error');
+            return;
+        }
+        
+        this.togglePickStartFinish();
+        
+        try {
+            console.log(`Setting start/finish line at ${lat.toFixed(6)}, ${lon.toFixed(6)}`);
+            this.session.setLapSource('gps', startFinishBorder);
+            this.refreshLapViews();
+        } catch (error) {
+            console.error('Error detecting laps:', error);
+            this.updateLapSourceControls(error.message, 'error');
+        }
+    }
+
+    // Count a lap towards the best lap and sectors or not; going back to what the automatic
+    // flags say drops the manual override, so a re-detected flag still applies
+    toggleLapValidity(lapIndex) {
+        const valid = !this.session.isLapValid(lapIndex);
+        const automatic = !(this.session.lapFlags[lapIndex] || []).length;
+
+        console.log(`Marking ${TelemetryCore.getLapName(lapIndex)} ${valid ? 'valid' : 'invalid'}`);
+        this.session.setLapValid(lapIndex, valid === automatic ? null : valid);
+        this.refreshLapViews();
+    }
+
+    // Laps changed: rebuild everything that lists or compares laps
+    refreshLapViews() {
+        this.sectorEditor.selectedBorder = null;
+        this.updateLapSourceControls();
+        this.populateReferenceSelect();
+        this.applyReferenceSelection();
+        this.populateMapLapSelect();
+        this.renderLapDataTable();
+        this.renderGpsVisualization();
+        this.renderCornerTable();
+        this.updateTelemetryDisplay();
+        this.updateComparisonVideo();
+        this.saveSessionState();
+    }
+
+    // Sector editor: add, move, rotate and delete sector borders on the GPS map
+    toggleSectorEditor() {
+        const editor = this.sectorEditor;
+        editor.active = !editor.active;
+        editor.selectedBorder = null;
+        editor.drag = null;
+        
+        this.editSectorsBtn.textContent = editor.active ? 'Done Editing' : 'Edit Sectors';
+        this.editSectorsBtn.classList.toggle('active', editor.active);
+        this.resetSectorsBtn.style.display = editor.active ? 'inline-block' : 'none';
+        this.detectCornersBtn.style.display = editor.active ? 'inline-block' : 'none';
+        this.sectorEditorHint.style.display = editor.active ? 'block' : 'none';
+        this.gpsCanvas.style.cursor = editor.active ? 'crosshair' : '';
+        
+        console.log(`Sector editor ${editor.active ? 'enabled' : 'disabled'}`);
+        this.renderGpsVisualization();
+    }
+
+    // Canvas positions of a border's handles: center (move) and both ends (rotate)
+    getSectorBorderHandles(border) {
+        const center = this.gpsLatLonToCanvas(border.centerLat, border.centerLon);
+        const end = this.gpsLatLonToCanvas(border.endLat, border.endLon);
+        
+        // Borders are only a few meters long, so keep the rotate handles clear of the center handle
+        const dx = end.x - center.x;
+        const dy = end.y - center.y;
+        const length = Math.sqrt(dx * dx + dy * dy) || 1;
+        const handleDistance = Math.max(length, 25);
+        const unitX = dx / length;
+        const unitY = dy / length;
+        
+        return {
+            center,
+            start: { x: center.x - unitX * handleDistance, y: center.y - unitY * handleDistance },
+            end: { x: center.x + unitX * handleDistance, y: center.y + unitY * handleDistance }
+        };
+    }
+
+    findSectorBorderHandle(point) {
+        const handleRadius = 10;
+        let closest = null;
+        let minDistance = handleRadius;
+        
+        for (const border of this.getEditedSectorBorders()) {
+            const handles = this.getSectorBorderHandles(border);
+            for (const part of ['center', 'start', 'end']) {
+                const distance = Math.sqrt(
+                    Math.pow(point.x - handles[part].x, 2) + 
+                    Math.pow(point.y - handles[part].y, 2)
+                );
+                if (distance <= minDistance) {
+                    minDistance = distance;
+                    closest = { border, part };
+                }
+            }
+        }
+        
+        return closest;
+    }
+
+    drawSectorEditorHandles(ctx) {
+        for (const border of this.session.sectorBorders) {
+            const handles = this.getSectorBorderHandles(border);
+            const color = border === this.sectorEditor.selectedBorder ? '#722ed1' : '#ff4d4f';
+            
+            // Guide line between the rotate handles
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.moveTo(handles.start.x, handles.start.y);
+            ctx.lineTo(handles.end.x, handles.end.y);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            
+            // Rotate handles
+            ctx.fillStyle = '#ffffff';
+            ctx.lineWidth = 2;
+            for (const handle of [handles.start, handles.end]) {
+                ctx.beginPath();
+                ctx.arc(handle.x, handle.y, 5, 0, 2 * Math.PI);
+                ctx.fill();
+                ctx.stroke();
+            }
+            
+            // Move handle
+            ctx.fillStyle = color;
+            ctx.strokeStyle = '#ffffff';
+            ctx.beginPath();
+            ctx.arc(handles.center.x, handles.center.y, 7, 0, 2 * Math.PI);
+            ctx.fill();
+            ctx.stroke();
+        }
+    }
+
+    // Borders including edits not yet applied to the session
+    getEditedSectorBorders() {
+        return this.sectorEditor.pendingBorders || this.session.sectorBorders;
+    }
+
+    handleGpsMouseDown(event) {
+        if (this.pickingStartFinish && this.gpsView && event.button === 0) {
+            event.preventDefault();
+            this.setStartFinishAt(this.getGpsCanvasPoint(event));
+            return;
+        }
+        
+        const editor = this.sectorEditor;
+        if (!this.gpsView || event.button !== 0) return;
+        
+        event.preventDefault();
+        const point = this.getGpsCanvasPoint(event);
+        
+        // Outside the sector editor, dragging pans the map and a click seeks the video
+        if (!editor.active) {
+            this.mapDrag = { start: point, bounds: this.gpsView.bounds, moved: false };
+            return;
+        }
+        
+        if (event.shiftKey) {
+            this.editCornerAt(point);
+            return;
+        }
+        
+        const handle = this.findSectorBorderHandle(point);
+        
+        if (handle) {
+            editor.selectedBorder = handle.border;
+            editor.drag = handle;
+        } else {
+            // Clicking the track adds a border there and starts moving it
+            const { lat, lon } = this.gpsCanvasToLatLon(point.x, point.y);
+            const border = this.session.createBorderAt(lat, lon);
+            
+            if (border) {
+                console.log(`Adding sector border at ${lat.toFixed(6)}, ${lon.toFixed(6)}`);
+                editor.selectedBorder = border;
+                editor.drag = { border, part: 'center' };
+                this.updateSectorBorders([...this.getEditedSectorBorders(), border]);
+                return;
+            }
+            
+            editor.selectedBorder = null;
         }
+        
+        this.renderGpsVisualization();
+    }
 
-        // Draw coordinate info
-        ctx.fillStyle = '#666';
-        ctx.font = '10px Arial';
-        ctx.textAlign = 'left';
-        const originalBounds = this.calculateGpsBounds(sampledData);
-        ctx.fillText(`Lat: ${originalBounds.minLat.toFixed(6)} to ${originalBounds.maxLat.toFixed(6)}`, 10, height - 25);
-        ctx.fillText(`Lon: ${originalBounds.minLon.toFixed(6)} to ${originalBounds.maxLon.toFixed(6)}`, 10, height - 10);
+    handleGpsMouseMove(event) {
+        if (this.mapDrag) {
+            this.panMap(this.getGpsCanvasPoint(event));
+            return;
+        }
+        
+        const editor = this.sectorEditor;
+        if (!editor.active || !this.gpsView) return;
+        
+        const point = this.getGpsCanvasPoint(event);
+        
+        if (!editor.drag) {
+            const handle = this.findSectorBorderHandle(point);
+            this.gpsCanvas.style.cursor = handle ? (handle.part === 'center' ? 'move' : 'grab') : 'crosshair';
+            return;
+        }
+        
+        // Moving snaps the border to the best lap and squares it to the driving line;
+        // dragging an end turns it around its center
+        const { lat, lon } = this.gpsCanvasToLatLon(point.x, point.y);
+        const draggedBorder = editor.drag.border;
+        const editedBorder = editor.drag.part === 'center' ?
+            this.session.createBorderAt(lat, lon, this.session.getBorderLineLength(draggedBorder)) :
+            this.session.rotateBorder(draggedBorder, lat, lon, editor.drag.part);
+        
+        if (!editedBorder) return; // Off the track - keep the border where it was
+        
+        editor.drag.border = editedBorder;
+        editor.selectedBorder = editedBorder;
+        this.updateSectorBorders(this.getEditedSectorBorders().map(border => 
+            border === draggedBorder ? editedBorder : border
+        ));
+    }
 
-        // Draw data info
-        ctx.textAlign = 'right';
-        ctx.fillText(`${sampledData.length} points (sampled from ${this.telemetryData.length})`, width - 10, height - 25);
-        ctx.fillText(`${this.sectorBorders.length} sector borders (${this.currentMapLayer} layer)`, width - 10, height - 10);
+    // Move the view with the mouse; a zoomed-out map has nowhere to pan to
+    panMap(point) {
+        const drag = this.mapDrag;
+        const dx = point.x - drag.start.x;
+        const dy = point.y - drag.start.y;
+        if (!drag.moved && Math.hypot(dx, dy) < MAP_CLICK_TOLERANCE) return;
+        
+        drag.moved = true;
+        if (this.mapZoom === 1) return;
+        
+        const { width, height } = this.gpsView;
+        const { bounds } = drag;
+        this.mapCenter = {
+            x: (bounds.minX + bounds.maxX) / 2 - (dx / width) * (bounds.maxX - bounds.minX),
+            y: (bounds.minY + bounds.maxY) / 2 + (dy / height) * (bounds.maxY - bounds.minY)
+        };
+        this.gpsCanvas.style.cursor = 'grabbing';
+        this.renderGpsVisualization();
+    }
+
+    handleGpsMouseUp(event) {
+        if (this.mapDrag) {
+            const drag = this.mapDrag;
+            this.mapDrag = null;
+            this.gpsCanvas.style.cursor = this.pickingStartFinish ? 'crosshair' : '';
+            if (!drag.moved && event.target === this.gpsCanvas) {
+                this.seekToMapPoint(drag.start);
+            }
+            return;
+        }
+        
+        if (this.sectorEditor.drag) {
+            this.sectorEditor.drag = null;
+            console.log('Sector borders after edit:', this.getEditedSectorBorders());
+        }
+    }
+
+    handleGpsContextMenu(event) {
+        if (!this.sectorEditor.active || !this.gpsView) return;
+        
+        event.preventDefault();
+        const handle = this.findSectorBorderHandle(this.getGpsCanvasPoint(event));
+        if (handle) {
+            this.deleteSectorBorder(handle.border);
+        }
+    }
+
+    deleteSectorBorder(border) {
+        console.log('Deleting sector border:', border);
+        if (this.sectorEditor.selectedBorder === border) {
+            this.sectorEditor.selectedBorder = null;
+        }
+        this.updateSectorBorders(this.getEditedSectorBorders().filter(b => b !== border));
+    }
+
+    resetSectorBorders() {
+        this.sectorEditor.selectedBorder = null;
+        this.sectorEditor.pendingBorders = null;
+        this.session.resetSectorBorders();
+        this.refreshSectorViews();
+    }
+
+    // Replace the corners with ones detected from the best lap's curvature
+    detectCorners() {
+        if (this.session.corners.length && !confirm('Replace the corners and their names with detected ones?')) return;
+        
+        this.session.resetCorners();
+        this.updateTrackInfo(`Detected ${this.session.corners.length} corners`);
+        this.renderCornerTable();
+        this.refreshSectorViews();
+    }
+
+    // Recalculating every lap's sectors is too slow for each mousemove, so edits are applied once per frame
+    updateSectorBorders(borders) {
+        const editor = this.sectorEditor;
+        editor.pendingBorders = borders;
+        if (editor.updateScheduled) return;
+        
+        editor.updateScheduled = true;
+        requestAnimationFrame(() => {
+            editor.updateScheduled = false;
+            if (!editor.pendingBorders) return;
+            
+            this.session.setSectorBorders(editor.pendingBorders);
+            editor.pendingBorders = null;
+            this.refreshSectorViews();
+        });
+    }
+
+    // Redraw everything that shows sector borders or times
+    refreshSectorViews() {
+        this.renderGpsVisualization();
+        this.renderLapDataTable();
+        if (this.tracePanelVisible) {
+            this.drawTraces();
+        }
+        this.saveSessionState();
     }
 
     // Web Mercator projection functions
@@ -2103,26 +4071,10 @@ class VideoFrameAnalyzer {
         return { minX, maxX, minY, maxY };
     }
 
-    calculateGpsBounds(data) {
-        let minLat = data[0].lat;
-        let maxLat = data[0].lat;
-        let minLon = data[0].lon;
-        let maxLon = data[0].lon;
-
-        for (const point of data) {
-            minLat = Math.min(minLat, point.lat);
-            maxLat = Math.max(maxLat, point.lat);
-            minLon = Math.min(minLon, point.lon);
-            maxLon = Math.max(maxLon, point.lon);
-        }
-
-        return { minLat, maxLat, minLon, maxLon };
-    }
-
 
     showGpsVisualizationIfAvailable() {
         // Check if we have GPS data
-        const hasGpsData = this.telemetryData.some(point => point.lat !== 0 && point.lon !== 0);
+        const hasGpsData = this.session.telemetryData.some(point => point.lat !== 0 && point.lon !== 0);
         
         if (hasGpsData) {
             // Always show GPS section and render visualization immediately
@@ -2140,248 +4092,274 @@ class VideoFrameAnalyzer {
     checkAndShowMainContent() {
         // Show main content area when both CSV and video are loaded
         const hasVideo = this.video && this.video.src;
-        const hasCsvData = this.telemetryData && this.telemetryData.length > 0;
+        const hasCsvData = this.session.telemetryData && this.session.telemetryData.length > 0;
         
         if (hasVideo && hasCsvData) {
             this.mainContentArea.style.display = 'flex';
+            this.recentSessions.style.display = 'none';
             console.log('Both video and CSV loaded - showing main content area');
         } else {
             console.log(`Main content not ready - Video: ${!!hasVideo}, CSV: ${!!hasCsvData}`);
         }
     }
 
-    findBestSectorTimes(numSectors) {
-        const bestSectorTimes = [];
-        
-        console.log('DEBUG: Finding best sector times for', numSectors, 'sectors');
-        console.log('DEBUG: Lap sector times:', this.lapSectorTimes);
+    // Saved sessions: analysis state per video + data log pair, keyed by content fingerprints
+    async fingerprintVideo(file) {
+        this.videoFingerprint = null;
         
-        for (let sectorIndex = 0; sectorIndex < numSectors; sectorIndex++) {
-            let bestTime = Infinity;
+        try {
+            const fingerprint = await fingerprintFile(file);
+            if (this.currentVideoFile !== file) return;
             
-            for (let lapIndex = 0; lapIndex < this.lapSectorTimes.length; lapIndex++) {
-                const sectorTimes = this.lapSectorTimes[lapIndex];
-                
-                if (sectorTimes && sectorIndex < sectorTimes.length) {
-                    const sectorTime = sectorTimes[sectorIndex];
-                    
-                    if (sectorTime !== undefined && sectorTime !== null && sectorTime < bestTime) {
-                        bestTime = sectorTime;
-                    }
-                }
-            }
+            this.videoFingerprint = fingerprint;
+            this.restoreSessionState();
+        } catch (error) {
+            console.warn('Could not fingerprint the video file:', error);
+        }
+    }
+
+    async fingerprintLog(text, fingerprint = null) {
+        try {
+            fingerprint = fingerprint || await fingerprintFile(new Blob([text]));
+            if (this.logText !== text) return;
             
-            bestSectorTimes[sectorIndex] = bestTime === Infinity ? undefined : bestTime;
-            console.log(`DEBUG: Best time for sector ${sectorIndex + 1}:`, bestSectorTimes[sectorIndex]);
+            this.logFingerprint = fingerprint;
+            this.restoreSessionState();
+        } catch (error) {
+            console.warn('Could not fingerprint the data log:', error);
         }
-        
-        console.log('DEBUG: Final best sector times:', bestSectorTimes);
-        return bestSectorTimes;
     }
 
-    findBestLapIndex() {
-        if (!this.lapTimes.length) return -1;
+    getSessionKey() {
+        return this.videoFingerprint && this.logFingerprint ? sessionKey(this.videoFingerprint, this.logFingerprint) : null;
+    }
+
+    // Reapply the saved state of the loaded video + log pair; a saved sync offset replaces an automatic sync
+    async restoreSessionState() {
+        const key = this.getSessionKey();
+        if (!key || key === this.restoredSessionKey || key === this.pendingSessionKey) return;
+        
+        this.pendingSessionKey = key;
+        let record = null;
+        try {
+            record = await this.sessionStore.get(key);
+        } catch (error) {
+            console.warn('Could not read saved sessions:', error);
+        }
+        this.pendingSessionKey = null;
         
-        console.log('DEBUG: Finding best lap index from lap times:', this.lapTimes);
+        // Another file may have been selected while the saved state was being read
+        if (key !== this.getSessionKey()) return;
+        this.restoredSessionKey = key;
         
-        // Find the best lap time (excluding out lap if it exists)
-        let bestLapIndex = this.lapTimes.length > 1 ? 1 : 0; // Skip out lap if we have multiple laps
-        let bestLapTime = this.lapTimes[bestLapIndex];
+        if (!record) {
+            this.showSessionInfo('');
+            this.saveSessionState();
+            return;
+        }
         
-        console.log(`DEBUG: Starting with lap ${bestLapIndex} as best (${this.formatTime(bestLapTime)})`);
+        const state = record.state;
+        console.log('Restoring saved session:', state);
         
-        for (let i = bestLapIndex + 1; i < this.lapTimes.length; i++) {
-            if (this.lapTimes[i] < bestLapTime) {
-                console.log(`DEBUG: Found better lap ${i} (${this.formatTime(this.lapTimes[i])}) vs current best ${this.formatTime(bestLapTime)}`);
-                bestLapTime = this.lapTimes[i];
-                bestLapIndex = i;
+        try {
+            const track = state.analysis.trackId ? this.trackLibrary.getTrack(state.analysis.trackId) : null;
+            this.session.restoreAnalysisState(state.analysis, track);
+        } catch (error) {
+            console.warn('Could not restore laps and sectors:', error);
+        }
+        this.populateTrackSelect();
+        this.traceXAxisSelect.value = this.isDistanceAxis() ? 'distance' : 'time';
+        this.selectedLapIndex = state.selectedLapIndex;
+        this.refreshLapViews();
+        
+        if (state.readoutChannels) {
+            this.readoutChannels = state.readoutChannels.slice();
+            this.renderReadoutChannels();
+        }
+        if (state.traceChannels) {
+            this.traceChannels = state.traceChannels.slice();
+            this.traceWindow = state.traceWindow || this.traceWindow;
+            if (this.tracePanelVisible) {
+                this.renderTraceControls();
             }
         }
+        if (state.ggOverlay) {
+            this.ggOverlay = state.ggOverlay;
+            this.ggOverlaySelect.value = this.ggOverlay;
+        }
         
-        console.log(`DEBUG: Final best lap index: ${bestLapIndex} with time ${this.formatTime(bestLapTime)}`);
-        return bestLapIndex;
-    }
-
-    calculateDiffToBestLap() {
-        if (!this.lapTimes.length || !this.telemetryData.length) {
-            console.log('Cannot calculate diff to best lap: missing lap times or telemetry data');
-            return;
+        if (state.mapColor) {
+            this.mapColor = state.mapColor;
+            this.mapColorSelect.value = this.mapColor;
+            this.mapLap = typeof state.mapLap === 'number' ? state.mapLap : null;
+            this.populateMapLapSelect();
+            this.renderGpsVisualization();
         }
-
-        // Find the best lap index
-        this.bestLapIndex = this.findBestLapIndex();
-        if (this.bestLapIndex === -1) {
-            console.log('No best lap found');
-            return;
+        
+        // An MBTiles layer needs its file opened again, so the saved layer may not be available
+        const layerAvailable = Array.from(this.layerSelect.options).some(option => option.value === state.mapLayer);
+        if (state.mapLayer && state.mapLayer !== this.currentMapLayer && layerAvailable) {
+            this.layerSelect.value = state.mapLayer;
+            this.handleLayerChange({ target: this.layerSelect });
         }
+        
+        if (state.syncOffset !== 0) {
+            this.setSyncOffset(state.syncOffset, 'Sync restored from the saved session');
+        }
+        
+        // The video position can only be set once the video's duration is known
+        const seek = () => {
+            this.video.currentTime = Math.min(state.videoTime, this.video.duration || 0);
+        };
+        if (this.video.readyState >= 1) {
+            seek();
+        } else {
+            this.video.addEventListener('loadedmetadata', seek, { once: true });
+        }
+        
+        this.showSessionInfo(`Restored the session saved ${new Date(record.updatedAt).toLocaleString()}`);
+    }
 
-        // Get telemetry data for the best lap
-        const bestLapStartTime = this.lapStartTimes[this.bestLapIndex];
-        const bestLapEndTime = this.bestLapIndex < this.lapStartTimes.length - 1 ? 
-            this.lapStartTimes[this.bestLapIndex + 1] : 
-            bestLapStartTime + this.lapTimes[this.bestLapIndex];
-
-        this.bestLapData = this.telemetryData.filter(point => 
-            point.time >= bestLapStartTime && point.time <= bestLapEndTime
-        );
-
-        console.log(`Best lap ${this.bestLapIndex}: ${this.bestLapData.length} datapoints from ${this.formatTime(bestLapStartTime)} to ${this.formatTime(bestLapEndTime)}`);
-
-        // Initialize diff data array
-        this.diffToBestData = new Array(this.telemetryData.length).fill(null);
-
-        // Calculate diff for each lap
-        for (let lapIndex = 0; lapIndex < this.lapTimes.length; lapIndex++) {
-            if (lapIndex === this.bestLapIndex) {
-                // For the best lap itself, diff is always 0
-                const lapStartTime = this.lapStartTimes[lapIndex];
-                const lapEndTime = lapIndex < this.lapStartTimes.length - 1 ? 
-                    this.lapStartTimes[lapIndex + 1] : 
-                    lapStartTime + this.lapTimes[lapIndex];
+    saveSessionState() {
+        clearTimeout(this.saveSessionTimer);
+        this.saveSessionTimer = setTimeout(() => this.writeSessionState(), SESSION_SAVE_DELAY);
+    }
 
-                for (let i = 0; i < this.telemetryData.length; i++) {
-                    const point = this.telemetryData[i];
-                    if (point.time >= lapStartTime && point.time <= lapEndTime) {
-                        this.diffToBestData[i] = 0.0;
-                    }
+    async writeSessionState() {
+        // Nothing is saved before the pair's previous state has been restored, so it isn't overwritten
+        const key = this.getSessionKey();
+        if (!key || key !== this.restoredSessionKey) return;
+        
+        try {
+            await this.sessionStore.put({
+                id: key,
+                videoName: this.currentVideoFile.name,
+                videoSize: this.currentVideoFile.size,
+                videoFingerprint: this.videoFingerprint,
+                logName: this.logFileName,
+                logFingerprint: this.logFingerprint,
+                logText: this.logText,
+                state: {
+                    syncOffset: this.syncOffset,
+                    selectedLapIndex: this.selectedLapIndex,
+                    videoTime: this.video.currentTime || 0,
+                    mapLayer: this.currentMapLayer,
+                    mapColor: this.mapColor,
+                    mapLap: this.mapLap,
+                    readoutChannels: this.readoutChannels,
+                    traceChannels: this.traceChannels,
+                    traceWindow: this.traceWindow,
+                    ggOverlay: this.ggOverlay,
+                    analysis: this.session.getAnalysisState()
                 }
-                continue;
-            }
-
-            // Calculate diff for this lap
-            this.calculateLapDiffToBest(lapIndex);
+            });
+            console.log('Session state saved');
+            this.renderRecentSessions();
+        } catch (error) {
+            console.warn('Could not save session state:', error);
         }
-
-        console.log(`Calculated diff to best lap for ${this.diffToBestData.filter(d => d !== null).length} datapoints`);
     }
 
-    calculateLapDiffToBest(lapIndex) {
-        const lapStartTime = this.lapStartTimes[lapIndex];
-        const lapEndTime = lapIndex < this.lapStartTimes.length - 1 ? 
-            this.lapStartTimes[lapIndex + 1] : 
-            lapStartTime + this.lapTimes[lapIndex];
-
-        const currentLapData = this.telemetryData.filter(point => 
-            point.time >= lapStartTime && point.time <= lapEndTime
-        );
+    showSessionInfo(message, type = 'info') {
+        this.sessionInfo.textContent = message;
+        this.sessionInfo.classList.toggle('error', type === 'error');
+    }
 
-        if (currentLapData.length === 0 || this.bestLapData.length === 0) {
-            console.log(`No data for lap ${lapIndex} or best lap`);
-            return;
+    async renderRecentSessions() {
+        let sessions = [];
+        try {
+            sessions = await this.sessionStore.list();
+        } catch (error) {
+            console.warn('Could not list saved sessions:', error);
         }
-
-        // For each datapoint in the current lap, find the corresponding point in the best lap
-        for (let i = 0; i < currentLapData.length; i++) {
-            const currentPoint = currentLapData[i];
-            const currentLapProgress = currentPoint.time - lapStartTime;
+        
+        this.recentSessionsList.innerHTML = '';
+        for (const saved of sessions) {
+            const item = document.createElement('li');
             
-            // Find the corresponding point in the best lap using GPS trajectory intersection
-            const correspondingTime = this.findCorrespondingTimeInBestLap(currentPoint, currentLapProgress);
+            const label = document.createElement('span');
+            label.className = 'recent-session-name';
+            label.textContent = `${saved.videoName} + ${saved.logName}`;
+            label.title = `Last used ${new Date(saved.updatedAt).toLocaleString()}`;
             
-            if (correspondingTime !== null) {
-                // Calculate the diff: positive means behind best lap, negative means ahead
-                const bestLapStartTime = this.lapStartTimes[this.bestLapIndex];
-                const bestLapProgress = correspondingTime - bestLapStartTime;
-                const diff = currentLapProgress - bestLapProgress;
-                
-                // Find the index of this datapoint in the main telemetry array
-                const telemetryIndex = this.telemetryData.findIndex(point => 
-                    Math.abs(point.time - currentPoint.time) < 0.001
-                );
-                
-                if (telemetryIndex !== -1) {
-                    this.diffToBestData[telemetryIndex] = diff;
-                }
-            }
+            const openBtn = document.createElement('button');
+            openBtn.className = 'refresh-btn';
+            openBtn.textContent = 'Open';
+            openBtn.addEventListener('click', () => this.openRecentSession(saved.id));
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'refresh-btn';
+            deleteBtn.textContent = 'Forget';
+            deleteBtn.addEventListener('click', () => this.deleteRecentSession(saved.id));
+            
+            item.appendChild(label);
+            item.appendChild(openBtn);
+            item.appendChild(deleteBtn);
+            this.recentSessionsList.appendChild(item);
         }
+        
+        // Listed on the start screen only, until a video and a log are loaded
+        const started = this.mainContentArea.style.display !== 'none';
+        this.recentSessions.style.display = sessions.length && !started ? 'block' : 'none';
     }
 
-    findClosestGpsPosition(currentPoint, bestLapData) {
-        if (!currentPoint.lat || !currentPoint.lon || !bestLapData.length) {
-            return null;
-        }
-
-        let closestPoint = null;
-        let minDistance = Infinity;
-
-        // Find the point in best lap data with the closest GPS coordinates
-        for (const bestLapPoint of bestLapData) {
-            if (!bestLapPoint.lat || !bestLapPoint.lon) {
-                continue;
+    // The log is stored with the session; the browser only gives access to the video when the user selects it again
+    async openRecentSession(id) {
+        try {
+            const saved = await this.sessionStore.get(id);
+            if (!saved) {
+                this.showSessionInfo('This session is no longer saved.', 'error');
+                this.renderRecentSessions();
+                return;
             }
-
-            // Calculate distance using Haversine formula for accuracy
-            const distance = this.calculateGpsDistance(
-                currentPoint.lat, currentPoint.lon,
-                bestLapPoint.lat, bestLapPoint.lon
-            );
-
-            if (distance < minDistance) {
-                minDistance = distance;
-                closestPoint = bestLapPoint;
+            
+            this.csvInput.value = '';
+            this.loadTelemetryText(saved.logText, saved.logName, saved.logFingerprint);
+            
+            if (this.videoFingerprint !== saved.videoFingerprint) {
+                this.showSessionInfo(`Select the video ${saved.videoName} (${this.formatFileSize(saved.videoSize)}) to continue this session.`);
+                this.fileInput.click();
             }
+        } catch (error) {
+            console.error('Error opening saved session:', error);
+            this.showSessionInfo(`Could not open the session: ${error.message}`, 'error');
         }
-
-        // Only return if we found a reasonably close point (within 50 meters)
-        if (closestPoint && minDistance < 0.05) { // 50 meters in km
-            return closestPoint;
-        }
-
-        return null;
-    }
-
-    calculateGpsDistance(lat1, lon1, lat2, lon2) {
-        // Haversine formula to calculate distance between two GPS points
-        const R = 6371; // Earth's radius in kilometers
-        const dLat = (lat2 - lat1) * Math.PI / 180;
-        const dLon = (lon2 - lon1) * Math.PI / 180;
-        const a = 
-            Math.sin(dLat/2) * Math.sin(dLat/2) +
-            Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
-            Math.sin(dLon/2) * Math.sin(dLon/2);
-        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-        return R * c; // Distance in kilometers
     }
 
-    findCorrespondingTimeInBestLap(currentPoint, currentLapProgress) {
-        if (!currentPoint.lat || !currentPoint.lon || this.bestLapData.length === 0) {
-            return null;
-        }
-
-        // Create a perpendicular line through the current point
-        const currentPointIndex = this.bestLapData.findIndex(point => 
-            Math.abs(point.time - (this.lapStartTimes[this.bestLapIndex] + currentLapProgress)) < 1.0
-        );
-        
-        if (currentPointIndex === -1) {
-            return null;
+    async deleteRecentSession(id) {
+        try {
+            await this.sessionStore.delete(id);
+            
+            // Stop saving a forgotten pair that is still open
+            if (id === this.restoredSessionKey) {
+                this.restoredSessionKey = null;
+            }
+        } catch (error) {
+            console.warn('Could not delete saved session:', error);
         }
-
-        // Use the same method as sector border crossing to find the intersection
-        const perpendicularLine = this.createPerpendicularLine(currentPoint, this.bestLapData, 
-            Math.min(currentPointIndex, this.bestLapData.length - 1));
-        
-        // Find where the best lap trajectory crosses this perpendicular line
-        const crossingTime = this.findBorderCrossing(this.bestLapData, perpendicularLine);
-        
-        return crossingTime;
+        this.renderRecentSessions();
     }
 
-    formatDiffTime(seconds) {
-        if (seconds === null || seconds === undefined || isNaN(seconds)) {
-            return '+0.000';
-        }
+    // Width of the delta bar fill in percent of the whole bar (0-50, one side of the center)
+    getDeltaBarWidth(diffValue) {
+        // Clamp diff value to range [-2, 2] seconds
+        const maxDiff = 2.0;
+        const clampedDiff = Math.max(-maxDiff, Math.min(maxDiff, diffValue));
+        
+        // Calculate bar properties using logarithmic scale
+        // We want: 0.5s -> 50% of bar, 2.0s -> 100% of bar
+        // Using formula: barPercent = log(1 + abs(diff) * scaleFactor) / log(1 + maxDiff * scaleFactor)
+        // Where scaleFactor is chosen so that 0.5s gives us 0.5 (50%)
+        const absDiff = Math.abs(clampedDiff);
         
-        const sign = seconds >= 0 ? '+' : '';
-        const absSeconds = Math.abs(seconds);
+        // Calculate scale factor so that 0.5s maps to 50% of the bar
+        // We want: log(1 + 0.5 * scaleFactor) / log(1 + 2.0 * scaleFactor) = 0.5
+        // Solving: log(1 + 0.5 * scaleFactor) = 0.5 * log(1 + 2.0 * scaleFactor)
+        // This gives us scaleFactor ≈ 3.0
+        const scaleFactor = 3.0;
         
-        if (absSeconds >= 1) {
-            // For diffs >= 1 second, show as seconds with 3 decimal places
-            return `${sign}${absSeconds.toFixed(3)}`;
-        } else {
-            // For diffs < 1 second, show as milliseconds with 3 decimal places
-            return `${sign}${absSeconds.toFixed(3)}`;
-        }
+        const logPercent = Math.log(1 + absDiff * scaleFactor) / Math.log(1 + maxDiff * scaleFactor);
+        return logPercent * 50; // 0% to 50% of total width
     }
 
     updateDeltaBar(diffValue) {
@@ -2401,17 +4379,7 @@ class VideoFrameAnalyzer {
             return;
         }
 
-        // Clamp diff value to range [-2, 2] seconds
-        const maxDiff = 2.0;
-        const clampedDiff = Math.max(-maxDiff, Math.min(maxDiff, diffValue));
-        
-        // Calculate bar properties using logarithmic scale
-        // We want: 0.5s -> 50% of bar, 2.0s -> 100% of bar
-        // Using formula: barPercent = log(1 + abs(diff) * scaleFactor) / log(1 + maxDiff * scaleFactor)
-        // Where scaleFactor is chosen so that 0.5s gives us 0.5 (50%)
-        
-        const absDiff = Math.abs(clampedDiff);
-        if (absDiff === 0) {
+        if (diffValue === 0) {
             // Equal to best lap - thin blue bar at center
             this.deltaBarFill.style.left = '49%';
             this.deltaBarFill.style.width = '2%';
@@ -2419,21 +4387,14 @@ class VideoFrameAnalyzer {
             return;
         }
         
-        // Calculate scale factor so that 0.5s maps to 50% of the bar
-        // We want: log(1 + 0.5 * scaleFactor) / log(1 + 2.0 * scaleFactor) = 0.5
-        // Solving: log(1 + 0.5 * scaleFactor) = 0.5 * log(1 + 2.0 * scaleFactor)
-        // This gives us scaleFactor ≈ 3.0
-        const scaleFactor = 3.0;
-        
-        const logPercent = Math.log(1 + absDiff * scaleFactor) / Math.log(1 + maxDiff * scaleFactor);
-        const barWidth = logPercent * 50; // 0% to 50% of total width
+        const barWidth = this.getDeltaBarWidth(diffValue);
         
-        if (clampedDiff < 0) {
+        if (diffValue < 0) {
             // Ahead of best lap (good) - green bar extending right from center
             this.deltaBarFill.style.left = '50%';
             this.deltaBarFill.style.width = `${barWidth}%`;
             this.deltaBarFill.style.background = '#52c41a';
-        } else if (clampedDiff > 0) {
+        } else {
             // Behind best lap (bad) - red bar extending left from center
             this.deltaBarFill.style.left = `${50 - barWidth}%`;
             this.deltaBarFill.style.width = `${barWidth}%`;
@@ -2444,7 +4405,9 @@ class VideoFrameAnalyzer {
     // Handle layer selection change
     handleLayerChange(event) {
         this.currentMapLayer = event.target.value;
+        this.saveSessionState();
         console.log(`Map layer changed to: ${this.currentMapLayer}`);
+        this.updateTileControls();
         
         // Clear tile cache when switching layers
         this.tileCache.clear();
@@ -2468,8 +4431,8 @@ class VideoFrameAnalyzer {
         }
     }
 
-    // Draw map tiles as background
-    drawMapTiles(ctx, bounds, width, height, mercatorToCanvas) {
+    // Tile zoom level for a view: high detail for a racing track, more when zoomed in
+    getTileZoom(bounds) {
         // Calculate appropriate zoom level based on the view
         const latRange = this.mercatorYToLat(bounds.maxY) - this.mercatorYToLat(bounds.minY);
         const lonRange = this.mercatorXToLon(bounds.maxX) - this.mercatorXToLon(bounds.minX);
@@ -2493,14 +4456,20 @@ class VideoFrameAnalyzer {
         }
         
         // For racing tracks, prefer higher zoom levels (15-18) for sharp detail
-        const clampedZoom = Math.max(14, Math.min(18, zoom)); // Minimum zoom 14 for racing tracks
+        const clampedZoom = Math.max(14, Math.min(MAX_TILE_ZOOM, zoom)); // Minimum zoom 14 for racing tracks
         
         console.log(`GPS bounds - Lat range: ${latRange.toFixed(6)}, Lon range: ${lonRange.toFixed(6)}`);
         console.log(`Calculated zoom: ${zoom}, Using zoom level: ${clampedZoom}`);
+        return clampedZoom;
+    }
+
+    // Draw map tiles as background
+    drawMapTiles(ctx, bounds, width, height, mercatorToCanvas) {
+        const clampedZoom = this.getTileZoom(bounds);
         
-        // Get tile URLs for the current layer
+        // Tiles come from the layer's servers, the offline store or an MBTiles file
         const tileUrls = this.getTileUrls(this.currentMapLayer);
-        if (!tileUrls.length) {
+        if (!tileUrls.length && !(this.currentMapLayer === 'mbtiles' && this.mbtiles)) {
             console.warn(`No tile URLs available for layer: ${this.currentMapLayer}`);
             return;
         }
@@ -2535,7 +4504,8 @@ class VideoFrameAnalyzer {
             terrain: [
                 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Terrain_Base/MapServer/tile/{z}/{y}/{x}',
                 'https://tile.opentopomap.org/{z}/{x}/{y}.png' // OpenTopoMap as fallback
-            ]
+            ],
+            custom: this.customTileUrl ? [this.customTileUrl] : []
         };
         
         return tileUrls[layer] || [];
@@ -2566,7 +4536,7 @@ class VideoFrameAnalyzer {
 
     // Draw a single tile
     drawTile(ctx, tileX, tileY, zoom, bounds, width, height, mercatorToCanvas, tileUrls) {
-        const tileKey = `${this.currentMapLayer}_${zoom}_${tileX}_${tileY}`;
+        const tileKey = `${this.getTileLayerKey()}_${zoom}_${tileX}_${tileY}`;
         
         // Check if tile is already cached
         if (this.tileCache.has(tileKey)) {
@@ -2584,44 +4554,192 @@ class VideoFrameAnalyzer {
         
         // Load tile
         this.loadingTiles.add(tileKey);
+        this.loadTileBlob(zoom, tileX, tileY, tileUrls).then(blob => {
+            if (!blob) {
+                this.loadingTiles.delete(tileKey);
+                return;
+            }
+            
+            const img = new Image();
+            img.onload = () => {
+                URL.revokeObjectURL(img.src);
+                this.tileCache.set(tileKey, img);
+                this.loadingTiles.delete(tileKey);
+                
+                // Re-render the visualization to show the loaded tile
+                if (this.gpsVisible) {
+                    this.renderGpsVisualization();
+                }
+            };
+            img.onerror = () => {
+                URL.revokeObjectURL(img.src);
+                this.loadingTiles.delete(tileKey);
+                console.warn(`Failed to decode tile: ${tileKey}`);
+            };
+            img.src = URL.createObjectURL(blob);
+        }).catch(error => {
+            this.loadingTiles.delete(tileKey);
+            console.warn(`Failed to load tile: ${tileKey}`, error.message);
+        });
+    }
+
+    // Layer name tiles are stored under; custom tiles are kept per URL template
+    getTileLayerKey() {
+        return this.currentMapLayer === 'custom' ? `custom:${this.customTileUrl}` : this.currentMapLayer;
+    }
+
+    // Tile image from the MBTiles file, the offline store, or the first of the layer's servers that
+    // answers (kept in the offline store for next time); null when the MBTiles file lacks the tile
+    async loadTileBlob(zoom, x, y, tileUrls) {
+        if (this.currentMapLayer === 'mbtiles') {
+            return this.mbtiles ? this.mbtiles.getTile(zoom, x, y) : null;
+        }
         
-        const img = new Image();
-        img.crossOrigin = 'anonymous';
+        const layer = this.getTileLayerKey();
+        const stored = await this.tileStore.get(layer, zoom, x, y).catch(() => null);
+        if (stored) return stored;
         
-        img.onload = () => {
-            this.tileCache.set(tileKey, img);
-            this.loadingTiles.delete(tileKey);
-            
-            // Re-render the visualization to show the loaded tile
-            if (this.gpsVisible) {
-                this.renderGpsVisualization();
+        const blob = await this.fetchTile(zoom, x, y, tileUrls);
+        this.tileStore.put(layer, zoom, x, y, blob).catch(error => {
+            console.warn('Could not store tile:', error);
+            this.updateTileInfo(`Map tiles are not being kept for offline use: ${error.message}`, 'error');
+        });
+        return blob;
+    }
+
+    async fetchTile(zoom, x, y, tileUrls) {
+        for (const template of tileUrls) {
+            const url = template
+                .replace('{z}', zoom)
+                .replace('{x}', x)
+                .replace('{y}', y);
+            try {
+                const response = await fetch(url);
+                if (response.ok) return await response.blob();
+            } catch (error) {
+                // Offline or blocked - try the next server
             }
-        };
-        
-        img.onerror = () => {
-            this.loadingTiles.delete(tileKey);
-            console.warn(`Failed to load tile: ${tileKey}`);
-        };
+        }
+        throw new Error('no tile server answered');
+    }
+
+    updateTileInfo(message, type = 'info') {
+        this.tileInfo.textContent = message;
+        this.tileInfo.classList.toggle('error', type === 'error');
+    }
+
+    // The custom URL field is only shown for the custom layer; downloading needs a tile server
+    updateTileControls() {
+        const layer = this.currentMapLayer;
+        this.customTileUrlInput.style.display = layer === 'custom' ? 'inline-block' : 'none';
+        this.downloadTilesBtn.disabled = this.downloadingTiles || !this.getTileUrls(layer).length;
+        this.clearTilesBtn.disabled = this.downloadingTiles || !this.getTileUrls(layer).length;
+    }
+
+    handleCustomTileUrlChange() {
+        this.customTileUrl = this.customTileUrlInput.value.trim();
+        localStorage.setItem(CUSTOM_TILE_URL_KEY, this.customTileUrl);
+        this.tileCache.clear();
+        this.loadingTiles.clear();
+        this.updateTileControls();
+        if (this.gpsVisible) {
+            this.renderGpsVisualization();
+        }
+    }
+
+    // Use a local MBTiles file as the map layer
+    async handleMbtilesSelect(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+        
+        this.updateTileInfo(`Reading ${file.name}...`);
+        try {
+            this.mbtiles = await MBTilesReader.open(readerForFile(file));
+        } catch (error) {
+            console.error('Error reading MBTiles file:', error);
+            this.updateTileInfo(`Could not read ${file.name}: ${error.message}`, 'error');
+            return;
+        }
         
-        // Try each URL until one works
-        let urlIndex = 0;
-        const tryNextUrl = () => {
-            if (urlIndex < tileUrls.length) {
-                const url = tileUrls[urlIndex]
-                    .replace('{z}', zoom)
-                    .replace('{x}', tileX)
-                    .replace('{y}', tileY);
+        let option = this.layerSelect.querySelector('option[value="mbtiles"]');
+        if (!option) {
+            option = document.createElement('option');
+            option.value = 'mbtiles';
+            this.layerSelect.appendChild(option);
+        }
+        option.textContent = `MBTiles: ${this.mbtiles.metadata.name || file.name}`;
+        this.layerSelect.value = 'mbtiles';
+        this.handleLayerChange({ target: this.layerSelect });
+        this.updateTileInfo(`${this.mbtiles.tileCount} tiles in ${file.name}`);
+    }
+
+    // Store every tile of the track area from the current zoom level down to the most detailed one,
+    // so the map works without a connection at the circuit
+    async downloadTrackTiles() {
+        const bounds = this.gpsView && this.gpsView.fitBounds;
+        const tileUrls = this.getTileUrls(this.currentMapLayer);
+        if (!bounds || !tileUrls.length || this.downloadingTiles) return;
+        
+        const tiles = [];
+        for (let zoom = this.getTileZoom(bounds); zoom <= MAX_TILE_ZOOM; zoom++) {
+            const tileBounds = this.calculateTileBounds(bounds, zoom);
+            for (let x = tileBounds.minX; x <= tileBounds.maxX; x++) {
+                for (let y = tileBounds.minY; y <= tileBounds.maxY; y++) {
+                    tiles.push({ zoom, x, y });
+                }
+            }
+        }
+        if (tiles.length > OFFLINE_TILE_LIMIT) {
+            this.updateTileInfo(`The track area needs ${tiles.length} tiles, more than the ${OFFLINE_TILE_LIMIT} that can be downloaded at once.`, 'error');
+            return;
+        }
+        if (!confirm(`Download up to ${tiles.length} map tiles of this track for offline use?`)) return;
+        
+        const layer = this.getTileLayerKey();
+        this.downloadingTiles = true;
+        this.updateTileControls();
+        let downloaded = 0;
+        let failed = 0;
+        try {
+            // One at a time, to go easy on the tile servers
+            for (let i = 0; i < tiles.length; i++) {
+                const { zoom, x, y } = tiles[i];
+                this.updateTileInfo(`Downloading tiles: ${i + 1} of ${tiles.length}`);
+                if (await this.tileStore.has(layer, zoom, x, y)) continue;
                 
-                img.src = url;
-                urlIndex++;
+                // A tile the servers don't deliver is skipped; a tile that can't be stored ends the download
+                let blob;
+                try {
+                    blob = await this.fetchTile(zoom, x, y, tileUrls);
+                } catch (error) {
+                    failed++;
+                    continue;
+                }
+                await this.tileStore.put(layer, zoom, x, y, blob);
+                downloaded++;
             }
-        };
-        
-        img.onerror = () => {
-            tryNextUrl();
-        };
+            const total = await this.tileStore.count(layer);
+            this.updateTileInfo(`Downloaded ${downloaded} tiles${failed ? `, ${failed} failed` : ''}; ${total} tiles of this layer are stored offline.`, failed ? 'error' : 'info');
+        } catch (error) {
+            console.error('Error storing map tiles:', error);
+            this.updateTileInfo(`Could not store map tiles: ${error.message}`, 'error');
+        } finally {
+            this.downloadingTiles = false;
+            this.updateTileControls();
+        }
+    }
+
+    async clearOfflineTiles() {
+        if (!confirm('Delete the stored offline tiles of this map layer?')) return;
         
-        tryNextUrl();
+        try {
+            const count = await this.tileStore.clear(this.getTileLayerKey());
+            this.updateTileInfo(`Deleted ${count} stored tiles`);
+        } catch (error) {
+            console.error('Error deleting map tiles:', error);
+            this.updateTileInfo(`Could not delete map tiles: ${error.message}`, 'error');
+        }
     }
 
     // Render a loaded tile to the canvas
@@ -2685,6 +4803,7 @@ class VideoFrameAnalyzer {
         // Update at target interval (60 FPS = ~16.67ms)
         if (deltaTime >= this.updateInterval) {
             this.updateTelemetryDisplay();
+            this.updateComparisonVideo();
             this.lastUpdateTime = currentTime;
         }
         
@@ -2709,6 +4828,8 @@ class VideoFrameAnalyzer {
         
         // Force immediate telemetry update after seeking
         this.updateTelemetryDisplay();
+        this.updateComparisonVideo();
+        this.saveSessionState();
     }
 }
 
@@ -0,0 +1,132 @@
+/**
+ * Saved analysis sessions.
+ *
+ * Keeps the analysis state of each video + data log pair (sync offset,
+ * selected lap, sector borders, map layer, ...) in IndexedDB, keyed by content
+ * fingerprints of the two files, so reopening the same files restores the
+ * work. The data log text is stored too, so a recent session can be reopened
+ * without looking for the log again. Loaded as a plain <script> it exposes a
+ * global `SavedSessions`; under Node it is a CommonJS module (pass an
+ * `indexedDB` implementation to use the store there).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SavedSessions = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const DB_NAME = 'videoFrameAnalyzer';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'sessions';
+
+    // Bytes hashed from each end of a file; hashing whole multi-gigabyte videos would take too long
+    const FINGERPRINT_CHUNK = 1024 * 1024;
+
+    function toHex(buffer) {
+        return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    // 64-bit hash for pages without crypto.subtle (not a secure context): the low half is 32-bit
+    // FNV-1a of the bytes, the high half 32-bit FNV-1a over the low half's state after each byte.
+    // This is not the standard 64-bit FNV-1a.
+    function fnv1a(bytes) {
+        let low = 0x811c9dc5;
+        let high = 0xcbf29ce4;
+        for (let i = 0; i < bytes.length; i++) {
+            low = Math.imul(low ^ bytes[i], 0x01000193) >>> 0;
+            high = Math.imul(high ^ low, 0x01000193) >>> 0;
+        }
+        return high.toString(16).padStart(8, '0') + low.toString(16).padStart(8, '0');
+    }
+
+    // Content fingerprint of a File/Blob: its size plus the first and last megabyte
+    async function fingerprintFile(file) {
+        const head = new Uint8Array(await file.slice(0, FINGERPRINT_CHUNK).arrayBuffer());
+        const tail = file.size > FINGERPRINT_CHUNK ?
+            new Uint8Array(await file.slice(Math.max(FINGERPRINT_CHUNK, file.size - FINGERPRINT_CHUNK)).arrayBuffer()) :
+            new Uint8Array(0);
+
+        const sizeBytes = new TextEncoder().encode(`${file.size}:`);
+        const data = new Uint8Array(sizeBytes.length + head.length + tail.length);
+        data.set(sizeBytes, 0);
+        data.set(head, sizeBytes.length);
+        data.set(tail, sizeBytes.length + head.length);
+
+        if (typeof crypto !== 'undefined' && crypto.subtle) {
+            return toHex(await crypto.subtle.digest('SHA-256', data));
+        }
+        return fnv1a(data);
+    }
+
+    function sessionKey(videoFingerprint, logFingerprint) {
+        return `${videoFingerprint}:${logFingerprint}`;
+    }
+
+    // Wrap an IndexedDB request in a Promise
+    function promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    class SessionStore {
+        constructor(options = {}) {
+            this.indexedDB = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+            this.dbName = options.dbName || DB_NAME;
+            this.dbPromise = null;
+        }
+
+        open() {
+            if (!this.indexedDB) {
+                return Promise.reject(new Error('IndexedDB is not available'));
+            }
+
+            if (!this.dbPromise) {
+                const request = this.indexedDB.open(this.dbName, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                    store.createIndex('updatedAt', 'updatedAt');
+                };
+                this.dbPromise = promisify(request);
+            }
+            return this.dbPromise;
+        }
+
+        async transaction(mode, action) {
+            const db = await this.open();
+            const store = db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+            return promisify(action(store));
+        }
+
+        async get(id) {
+            return (await this.transaction('readonly', store => store.get(id))) || null;
+        }
+
+        async put(record) {
+            await this.transaction('readwrite', store => store.put({ ...record, updatedAt: Date.now() }));
+        }
+
+        async delete(id) {
+            await this.transaction('readwrite', store => store.delete(id));
+        }
+
+        // Most recently used sessions first, without the stored log text
+        async list(limit = 10) {
+            const records = await this.transaction('readonly', store => store.getAll());
+            return records
+                .sort((a, b) => b.updatedAt - a.updatedAt)
+                .slice(0, limit)
+                .map(({ logText, ...summary }) => summary);
+        }
+    }
+
+    return {
+        SessionStore,
+        fingerprintFile,
+        sessionKey
+    };
+}));
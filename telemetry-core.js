@@ -0,0 +1,2474 @@
+/**
+ * Telemetry analysis core.
+ *
+ * DOM-free lap, sector and delta calculations shared by the browser UI
+ * (script.js) and the command-line tool (cli.js). Log files are converted to
+ * telemetry points by the importers in importers.js. Loaded as a plain <script>
+ * it exposes a global `TelemetryCore`; under Node it is a CommonJS module.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./importers'));
+    } else {
+        root.TelemetryCore = factory(root.TelemetryImporters);
+    }
+}(typeof self !== 'undefined' ? self : this, function (TelemetryImporters) {
+    'use strict';
+
+    // Logger that discards everything, for batch use where console noise is unwanted
+    const silentLogger = {
+        log() {},
+        warn() {},
+        error() {}
+    };
+
+    // Times are rounded to whole milliseconds before being split up, so 27.9996 s reads 00:28.000
+    function formatTime(seconds) {
+        if (isNaN(seconds)) return '00:00.000';
+
+        const totalMilliseconds = Math.round(seconds * 1000);
+        const minutes = Math.floor(totalMilliseconds / 60000);
+        const wholeSeconds = Math.floor((totalMilliseconds % 60000) / 1000);
+        const milliseconds = totalMilliseconds % 1000;
+
+        return `${minutes.toString().padStart(2, '0')}:${wholeSeconds.toString().padStart(2, '0')}.${milliseconds.toString().padStart(3, '0')}`;
+    }
+
+    function formatSectorTime(seconds) {
+        if (isNaN(seconds)) return '0.000';
+
+        const totalMilliseconds = Math.round(seconds * 1000);
+        const wholeSeconds = Math.floor(totalMilliseconds / 1000);
+        const milliseconds = totalMilliseconds % 1000;
+
+        return `${wholeSeconds}.${milliseconds.toString().padStart(3, '0')}`;
+    }
+
+    function formatDiffTime(seconds) {
+        if (seconds === null || seconds === undefined || isNaN(seconds)) {
+            return '+0.000';
+        }
+
+        const sign = seconds >= 0 ? '+' : '-';
+        const absSeconds = Math.abs(seconds);
+
+        return `${sign}${absSeconds.toFixed(3)}`;
+    }
+
+    // Corner analysis: exit speed is measured this far after the apex (metres)
+    const CORNER_EXIT_DISTANCE = 100;
+
+    // Corner detection on the best lap: positions are resampled every CORNER_SAMPLE_STEP metres and
+    // heading is measured over CORNER_HEADING_SPAN metres either side. Stretches turning faster than
+    // CORNER_MIN_CURVATURE (degrees per metre, about a 400 m radius) are corners if they turn at least
+    // CORNER_MIN_ANGLE degrees; same-direction stretches closer than CORNER_MERGE_GAP metres are one corner.
+    const CORNER_SAMPLE_STEP = 5;
+    const CORNER_HEADING_SPAN = 10;
+    const CORNER_MIN_CURVATURE = 0.15;
+    const CORNER_MIN_ANGLE = 15;
+    const CORNER_MERGE_GAP = 20;
+
+    // Heading change from a to b in degrees, between -180 and 180
+    function headingChange(a, b) {
+        return ((b - a + 540) % 360) - 180;
+    }
+
+    const NO_LAP_MARKERS_WARNING = 'No lap markers found in the log and no laps could be detected from GPS. The whole session is shown as one lap without sectors; set a start/finish line on the map to split it into laps.';
+    const GPS_LAPS_WARNING = 'No lap markers found in the log. Laps were split where the GPS track crosses a line at its fastest point; set the start/finish line on the map to move it.';
+
+    // GPS lap detection: half width of the start/finish line (about 13 m either side, wide
+    // enough for any racing line and GPS error) and the shortest time between two crossings
+    const START_FINISH_LINE_LENGTH = 0.00012;
+    const MIN_GPS_LAP_TIME = 10;
+
+    // Automatic lap flags: at least PIT_MIN_DURATION seconds below PIT_LANE_SPEED (km/h) and below
+    // PIT_SPEED_RATIO times the fastest lap's speed at the same lap distance is the pit lane (slow corners
+    // are slow on every lap, so they don't count); a lap slower than SLOW_LAP_FACTOR times the median lap
+    // is traffic or a mistake
+    const PIT_LANE_SPEED = 60;
+    const PIT_SPEED_RATIO = 0.6;
+    const PIT_MIN_DURATION = 10;
+    const SLOW_LAP_FACTOR = 1.07;
+    const LAP_FLAG_NAMES = { out: 'Out lap', in: 'In lap', pit: 'Pit lane', slow: 'Slow lap' };
+    const NO_VALID_LAPS_WARNING = 'No lap is valid, so every lap counts towards the best lap and sectors. Mark the clean laps valid in the lap table.';
+
+    // Video sync search: coarse and fine speed correlation steps, position refinement step
+    // and search window (seconds), and the minimum overlap between video GPS and the log
+    const SYNC_COARSE_STEP = 1;
+    const SYNC_FINE_STEP = 0.1;
+    const SYNC_FINE_WINDOW = 2;
+    const SYNC_POSITION_STEP = 0.01;
+    const SYNC_POSITION_WINDOW = 0.3;
+    const SYNC_MIN_OVERLAP = 30;
+
+    // Speed correlation peaks checked against the positions, and the median distance (metres)
+    // between the camera and the log above which a peak is the wrong alignment
+    const SYNC_PEAK_COUNT = 5;
+    const SYNC_MAX_PEAK_POSITION_ERROR = 50;
+
+    // Position delta: seconds of the reference lap after the previous match searched for the next one
+    const DELTA_SEARCH_WINDOW = 5;
+
+    // Index of the point closest in time to `time` in time-ordered points, or -1 without points
+    function findClosestIndex(points, time) {
+        if (!points.length) return -1;
+
+        let low = 0;
+        let high = points.length - 1;
+        while (high - low > 1) {
+            const mid = (low + high) >> 1;
+            if (points[mid].time <= time) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        return Math.abs(points[high].time - time) < Math.abs(points[low].time - time) ? high : low;
+    }
+
+    // Speed, latitude and longitude at `time`, linearly interpolated; null outside the points' time range
+    function interpolatePoint(points, time) {
+        if (!points.length || time < points[0].time || time > points[points.length - 1].time) {
+            return null;
+        }
+
+        let low = 0;
+        let high = points.length - 1;
+        while (high - low > 1) {
+            const mid = (low + high) >> 1;
+            if (points[mid].time <= time) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+
+        const a = points[low];
+        const b = points[high];
+        const t = b.time > a.time ? (time - a.time) / (b.time - a.time) : 0;
+        return {
+            speed: a.speed + t * (b.speed - a.speed),
+            lat: a.lat + t * (b.lat - a.lat),
+            lon: a.lon + t * (b.lon - a.lon)
+        };
+    }
+
+    function resampleSpeed(points, start, step, count) {
+        const values = new Float64Array(count);
+        for (let i = 0; i < count; i++) {
+            const point = interpolatePoint(points, start + i * step);
+            values[i] = point ? point.speed : 0;
+        }
+        return values;
+    }
+
+    // Pearson correlation of paired samples
+    function correlation(pairs) {
+        const n = pairs.length;
+        if (n < 2) return null;
+
+        let sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0;
+        for (const [a, b] of pairs) {
+            sumA += a;
+            sumB += b;
+            sumAA += a * a;
+            sumBB += b * b;
+            sumAB += a * b;
+        }
+
+        const covariance = sumAB - sumA * sumB / n;
+        const variance = (sumAA - sumA * sumA / n) * (sumBB - sumB * sumB / n);
+        return variance > 0 ? covariance / Math.sqrt(variance) : null;
+    }
+
+    // Metres between two nearby positions (equirectangular approximation)
+    function positionDistance(lat1, lon1, lat2, lon2) {
+        const metresPerDegree = 111320;
+        const dLat = (lat2 - lat1) * metresPerDegree;
+        const dLon = (lon2 - lon1) * metresPerDegree * Math.cos(lat1 * Math.PI / 180);
+        return Math.sqrt(dLat * dLat + dLon * dLon);
+    }
+
+    function median(values) {
+        if (!values.length) return null;
+        const sorted = values.slice().sort((a, b) => a - b);
+        return sorted[Math.floor(sorted.length / 2)];
+    }
+
+    // CSV text from rows of cells; null and undefined become empty cells
+    function toCsv(rows) {
+        const formatCell = cell => {
+            const text = cell === null || cell === undefined ? '' : String(cell);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return rows.map(row => row.map(formatCell).join(',')).join('\r\n') + '\r\n';
+    }
+
+    // Fixed-point number for exports, empty for missing values
+    function formatNumber(value, decimals) {
+        return typeof value === 'number' && !isNaN(value) ? value.toFixed(decimals) : '';
+    }
+
+    function getLapName(lapIndex) {
+        return lapIndex === 0 ? 'Out Lap' : `Lap ${lapIndex}`;
+    }
+
+    // Fields every telemetry point has, whatever the logger; other channels are 'channel:<name>'
+    const STANDARD_CHANNELS = [
+        { id: 'speed', name: 'GPS Speed', unit: 'km/h' },
+        { id: 'latAcc', name: 'Lat Acc', unit: 'g' },
+        { id: 'lonAcc', name: 'Lon Acc', unit: 'g' },
+        { id: 'altitude', name: 'Altitude', unit: 'm' },
+        { id: 'heading', name: 'Heading', unit: 'deg' },
+        { id: 'lapDistance', name: 'Lap Distance', unit: 'm' }
+    ];
+
+    const CHANNEL_PREFIX = 'channel:';
+
+    // Logger channels used for distance instead of summing GPS steps, and their units in metres
+    const DISTANCE_CHANNEL_PATTERN = /^(gps )?distance/i;
+    const DISTANCE_UNITS = { m: 1, km: 1000, mi: 1609.344, ft: 0.3048 };
+
+    // Value of a channel (a STANDARD_CHANNELS id or 'channel:<name>') at a point; null when not recorded
+    function getChannelValue(point, channelId) {
+        if (channelId.startsWith(CHANNEL_PREFIX)) {
+            const value = point.channels ? point.channels[channelId.slice(CHANNEL_PREFIX.length)] : undefined;
+            return value === undefined ? null : value;
+        }
+        const value = point[channelId];
+        return typeof value === 'number' ? value : null;
+    }
+
+    // G-G envelope: the diagram is cut into this many equal slices of direction
+    const GRIP_ENVELOPE_DIRECTIONS = 24;
+
+    // Furthest point from the origin of the G-G diagram (latAcc across, lonAcc up) in each direction
+    // slice, starting at pure lateral and going anticlockwise; null for directions never used
+    function getGripEnvelope(points) {
+        const sliceAngle = 2 * Math.PI / GRIP_ENVELOPE_DIRECTIONS;
+        const envelope = new Array(GRIP_ENVELOPE_DIRECTIONS).fill(null);
+        points.forEach(point => {
+            const g = Math.hypot(point.latAcc, point.lonAcc);
+            if (!g) return;
+            const angle = (Math.atan2(point.lonAcc, point.latAcc) + 2 * Math.PI) % (2 * Math.PI);
+            const slice = Math.round(angle / sliceAngle) % GRIP_ENVELOPE_DIRECTIONS;
+            if (!envelope[slice] || g > envelope[slice].g) {
+                envelope[slice] = { latAcc: point.latAcc, lonAcc: point.lonAcc, g };
+            }
+        });
+        return envelope;
+    }
+
+    class TelemetrySession {
+        constructor(options = {}) {
+            this.logger = options.logger || console;
+            // How laps are matched to the reference lap for the delta: 'position' (closest GPS
+            // trajectory point) or 'distance' (same distance from the lap start). A setting, so reset() keeps it.
+            this.deltaBasis = options.deltaBasis || 'position';
+            this.reset();
+        }
+
+        reset() {
+            this.csvData = null;
+            this.telemetryData = [];
+            this.channels = []; // Logger channels beyond the standard point fields, { name, unit }
+            this.distanceSource = null; // Name of the logger channel point distances come from, or 'GPS'
+            this.lapTimes = [];
+            this.markerLapTimes = []; // Lap times from the logger's own lap markers
+            this.lapSource = 'markers'; // 'markers' or 'gps' (start/finish line crossings)
+            this.lapCrossings = []; // Interpolated start/finish crossing times when lapSource is 'gps'
+            this.lapStartTimes = []; // Cumulative start times for each lap
+            this.sectorBorders = []; // GPS-based sector borders
+            this.lapSectorTimes = []; // Sector times for each lap
+            this.bestLapData = []; // Telemetry data for the best lap
+            this.bestLapIndex = -1; // Index of the best lap
+            this.bestLapEndPoint = null; // Last point of the best lap, used for the start/finish line
+            this.diffToBestData = []; // Diff to the reference lap for each datapoint
+            this.referenceSource = null; // { session, lapIndex, label } when the reference isn't this session's best lap
+            this.referenceLapData = []; // Telemetry data for the reference lap
+            this.referenceLapStartTime = 0;
+            this.referenceLapTime = null;
+            this.referenceSectorTimes = []; // Reference lap timed through this session's sector borders
+            this.referenceLabel = '';
+            this.track = null; // Saved track definition the sectors come from, if any
+            this.startFinishBorder = null; // Start/finish line of the track; derived from the best lap when null
+            this.corners = []; // Named corners { name, lat, lon }
+            this.warnings = []; // Non-fatal problems found while analysing
+            this.rollingBest = null; // Fastest one-lap stretch starting anywhere, { time, startTime, endTime, lapIndex, distance }
+            this.lapFlags = []; // Automatic flags for each lap: 'out', 'in', 'pit', 'slow'
+            this.lapValidity = {}; // Laps marked valid or invalid by hand, { lapIndex: true/false }
+        }
+
+        // Import a log file in any supported format and run the full analysis on it
+        loadFile(text, fileName = '') {
+            this.reset();
+
+            const imported = TelemetryImporters.importTelemetry(text, fileName);
+            this.telemetryData = imported.telemetryData;
+            this.lapTimes = imported.lapTimes;
+            this.markerLapTimes = imported.lapTimes.slice();
+            this.channels = imported.channels;
+            this.calculateDistances();
+            this.csvData = { format: imported.format, formatName: imported.formatName, headers: imported.headers, telemetryData: this.telemetryData };
+
+            this.logger.log(`Imported ${imported.formatName} file`);
+            this.logger.log(`Parsed ${this.telemetryData.length} telemetry data points`);
+            this.logger.log(`Found ${this.lapTimes.length} lap times:`, this.lapTimes);
+            this.logger.log(`Found ${this.channels.length} additional channels:`, this.channels.map(channel => channel.name));
+
+            this.analyze();
+            if (!this.markerLapTimes.length && this.detectGpsLaps()) {
+                this.warnings.push(GPS_LAPS_WARNING);
+            }
+            return this;
+        }
+
+        // Logs without lap markers: split laps at a line across the track where the log is fastest,
+        // a straight every lap drives down. False (keeping the whole log as one lap) without a full lap.
+        detectGpsLaps() {
+            const fastest = this.telemetryData.reduce((best, point) =>
+                point.lat !== 0 && point.lon !== 0 && (!best || point.speed > best.speed) ? point : best, null);
+            const line = fastest ? this.createBorderAt(fastest.lat, fastest.lon) : null;
+            if (!line) return false;
+
+            try {
+                this.setLapSource('gps', line);
+            } catch (error) {
+                this.logger.warn(`GPS lap detection failed: ${error.message}`);
+                return false;
+            }
+            if (this.lapCrossings.length < 2) {
+                this.logger.log('GPS lap detection found no full lap');
+                this.setLapSource('markers');
+                return false;
+            }
+            return true;
+        }
+
+        analyze() {
+            this.warnings = [];
+            
+            // Without lap markers the whole log is treated as a single lap
+            if (!this.lapTimes.length && this.telemetryData.length) {
+                this.lapTimes = [this.telemetryData[this.telemetryData.length - 1].time];
+                this.warnings.push(NO_LAP_MARKERS_WARNING);
+            }
+
+            // Calculate cumulative start times for each lap
+            this.calculateLapStartTimes();
+            this.calculateLapDistances();
+            this.detectLapFlags();
+            this.updateLapValidityWarning();
+
+            // Generate sector splits after parsing data
+            this.generateSectorSplits();
+
+            // Calculate diff to best lap data
+            this.calculateDiffToBestLap();
+
+            // Corners come from the track or the saved session when there are any, otherwise from the best lap
+            if (!this.corners.length) {
+                this.corners = this.detectCorners();
+            }
+
+            this.rollingBest = this.findRollingBestLap();
+        }
+
+        getLapBounds(lapIndex) {
+            const startTime = this.lapStartTimes[lapIndex];
+            const endTime = lapIndex < this.lapStartTimes.length - 1 ? 
+                this.lapStartTimes[lapIndex + 1] : 
+                startTime + this.lapTimes[lapIndex];
+            return { startTime, endTime };
+        }
+
+        // Lap the log is in at `time`, or -1 outside all laps
+        getLapIndexAt(time) {
+            for (let i = 0; i < this.lapStartTimes.length; i++) {
+                const { startTime, endTime } = this.getLapBounds(i);
+                if (time >= startTime && time <= endTime) {
+                    return i;
+                }
+            }
+            return -1;
+        }
+
+        // Cumulative distance in metres (`point.distance`) for every point, from the logger's
+        // distance channel when it has one, otherwise summed from GPS positions
+        calculateDistances() {
+            const data = this.telemetryData;
+            const channel = this.channels.find(candidate =>
+                DISTANCE_CHANNEL_PATTERN.test(candidate.name) && DISTANCE_UNITS[candidate.unit.toLowerCase()]);
+
+            let distance = 0;
+            let source = channel ? channel.name : 'GPS';
+            if (channel) {
+                const scale = DISTANCE_UNITS[channel.unit.toLowerCase()];
+                const first = data.find(point => point.channels[channel.name] !== undefined);
+                const offset = first ? first.channels[channel.name] : 0;
+                data.forEach(point => {
+                    const value = point.channels[channel.name];
+                    // Never run backwards, whatever the channel does at a reset
+                    if (value !== undefined) distance = Math.max(distance, (value - offset) * scale);
+                    point.distance = distance;
+                });
+            }
+
+            // A channel that never counts up (not wired, or filled with zeros) is no use
+            if (!distance) {
+                source = 'GPS';
+                data.forEach((point, i) => {
+                    const previous = data[i - 1];
+                    if (previous && previous.lat && previous.lon && point.lat && point.lon) {
+                        distance += this.calculateGpsDistance(previous.lat, previous.lon, point.lat, point.lon) * 1000;
+                    }
+                    point.distance = distance;
+                });
+            }
+
+            this.distanceSource = source;
+            this.logger.log(`Distance from ${this.distanceSource}: ${distance.toFixed(0)} m in total`);
+        }
+
+        // Distance from the start of its lap (`point.lapDistance`, metres) for every point
+        calculateLapDistances() {
+            let lapIndex = 0;
+            let lapStartDistance = 0;
+            this.telemetryData.forEach(point => {
+                while (lapIndex < this.lapStartTimes.length - 1 && point.time >= this.lapStartTimes[lapIndex + 1]) {
+                    lapIndex++;
+                    lapStartDistance = point.distance;
+                }
+                point.lapDistance = point.distance - lapStartDistance;
+            });
+        }
+
+        // Cumulative distance at `time`, linearly interpolated between points
+        getDistanceAt(time) {
+            const data = this.telemetryData;
+            const index = findClosestIndex(data, time);
+            if (index === -1) return 0;
+
+            const low = data[index].time <= time ? index : Math.max(0, index - 1);
+            const a = data[low];
+            const b = data[Math.min(data.length - 1, low + 1)];
+            if (b.time <= a.time || time <= a.time) return a.distance;
+            if (time >= b.time) return b.distance;
+            return a.distance + (time - a.time) / (b.time - a.time) * (b.distance - a.distance);
+        }
+
+        // Index of the telemetry point closest in time to `time`, or -1 without data
+        findTelemetryIndex(time) {
+            return findClosestIndex(this.telemetryData, time);
+        }
+
+        // Every channel that can be read with getChannelValue(): standard fields first, then the logger's own
+        getChannelList() {
+            return STANDARD_CHANNELS.concat(this.channels.map(channel => ({
+                id: CHANNEL_PREFIX + channel.name,
+                name: channel.name,
+                unit: channel.unit
+            })));
+        }
+
+        getChannel(channelId) {
+            return this.getChannelList().find(channel => channel.id === channelId) || null;
+        }
+
+        getLapData(lapIndex) {
+            const { startTime, endTime } = this.getLapBounds(lapIndex);
+            return this.telemetryData.filter(point => 
+                point.time >= startTime && point.time <= endTime
+            );
+        }
+
+        // Compare against a lap of another session (or a specific lap of this one)
+        // instead of this session's best lap
+        setReferenceLap(referenceSession, lapIndex, label = '') {
+            this.referenceSource = { session: referenceSession, lapIndex, label };
+            this.calculateDiffToBestLap();
+        }
+
+        clearReferenceLap() {
+            this.referenceSource = null;
+            this.calculateDiffToBestLap();
+        }
+
+        updateReferenceLap() {
+            const session = this.referenceSource ? this.referenceSource.session : this;
+            const lapIndex = this.referenceSource ? this.referenceSource.lapIndex : this.bestLapIndex;
+
+            if (lapIndex === -1 || lapIndex >= session.lapTimes.length) {
+                this.referenceLapData = [];
+                this.referenceLapTime = null;
+                this.referenceSectorTimes = [];
+                this.referenceLabel = '';
+                return;
+            }
+
+            const { startTime, endTime } = session.getLapBounds(lapIndex);
+            this.referenceLapData = this.referenceSource ? session.getLapData(lapIndex) : this.bestLapData;
+            this.referenceLapStartTime = startTime;
+            this.referenceLapTime = session.lapTimes[lapIndex];
+            this.referenceLabel = this.referenceSource ? 
+                `${this.referenceSource.label ? this.referenceSource.label + ' ' : ''}${getLapName(lapIndex)}` : 
+                `Best (${getLapName(lapIndex)})`;
+
+            // Time the reference lap through this session's borders so sectors are comparable
+            this.referenceSectorTimes = this.calculateSectorTimesForData(this.referenceLapData, startTime, endTime, this.referenceLapTime);
+
+            this.logger.log(`Reference lap ${this.referenceLabel}: ${this.referenceLapData.length} datapoints from ${formatTime(startTime)} to ${formatTime(endTime)}`);
+        }
+
+        // GPS bounds of the session, or null without GPS data
+        getGpsBounds() {
+            const gpsData = this.telemetryData.filter(point => point.lat !== 0 && point.lon !== 0);
+            return gpsData.length ? this.calculateGpsBounds(gpsData) : null;
+        }
+
+        getStartFinishBorder() {
+            if (this.startFinishBorder) {
+                return this.startFinishBorder;
+            }
+            return this.bestLapEndPoint ? this.createStartFinishBorder(this.bestLapEndPoint, this.bestLapData) : null;
+        }
+
+        // Use a saved track's start/finish line, sector borders and corners instead of
+        // deriving them from this session, so sectors are identical across sessions
+        applyTrack(track) {
+            if (!this.bestLapData.length) {
+                this.logger.warn(`Cannot apply track ${track.name}: no best lap data`);
+                return;
+            }
+            
+            this.track = track;
+            this.startFinishBorder = track.startFinish ? { ...track.startFinish } : null;
+            this.corners = track.corners && track.corners.length ?
+                track.corners.map(corner => ({ ...corner })) :
+                this.detectCorners();
+            
+            // Logs without lap markers get their laps from the track's start/finish line
+            if (!this.markerLapTimes.length && this.startFinishBorder) {
+                try {
+                    this.setLapSource('gps', this.startFinishBorder);
+                    this.logger.log(`Applied track ${track.name} with GPS lap detection`);
+                    return;
+                } catch (error) {
+                    this.logger.warn(`GPS lap detection failed for track ${track.name}: ${error.message}`);
+                }
+            }
+            
+            this.setSectorBorders(track.sectorBorders.map(border => ({ ...border })));
+            this.logger.log(`Applied track ${track.name}: ${this.sectorBorders.length} sector borders, ${this.corners.length} corners`);
+        }
+
+        // Take laps from the logger's lap markers ('markers') or from GPS crossings of a
+        // start/finish line ('gps'); the line defaults to the track's or the one derived from the best lap
+        setLapSource(source, startFinishBorder = null) {
+            let lapTimes = this.markerLapTimes.slice();
+            let crossings = [];
+            let startFinish = this.track && this.track.startFinish ? { ...this.track.startFinish } : null;
+            
+            if (source === 'gps') {
+                const line = startFinishBorder || this.getStartFinishBorder();
+                if (!line) {
+                    throw new Error('No start/finish line to detect laps from. Choose one on the map first.');
+                }
+                
+                crossings = this.findStartFinishCrossings(line);
+                if (!crossings.length) {
+                    throw new Error('The GPS track never crosses the start/finish line.');
+                }
+                
+                lapTimes = this.lapTimesFromCrossings(crossings);
+                startFinish = line;
+            }
+            
+            this.lapSource = source;
+            this.lapTimes = lapTimes;
+            this.lapCrossings = crossings;
+            this.lapValidity = {}; // Lap numbers no longer refer to the same laps
+            this.startFinishBorder = startFinish;
+            this.logger.log(`Laps from ${source === 'gps' ? 'GPS start/finish crossings' : 'lap markers'}:`, this.lapTimes);
+            
+            // Re-run the analysis for the new laps; a track keeps its own sector borders
+            this.sectorBorders = [];
+            this.lapSectorTimes = [];
+            this.analyze();
+            if (this.track) {
+                this.setSectorBorders(this.track.sectorBorders.map(border => ({ ...border })));
+            }
+        }
+
+        // Times at which the log crosses the start/finish line in the driving direction,
+        // interpolated between GPS samples
+        findStartFinishCrossings(startFinishBorder, minLapTime = MIN_GPS_LAP_TIME) {
+            const center = { lat: startFinishBorder.centerLat, lon: startFinishBorder.centerLon, time: startFinishBorder.time };
+            const line = this.createBorderLine(center, startFinishBorder.perpVector, 
+                Math.max(this.getBorderLineLength(startFinishBorder), START_FINISH_LINE_LENGTH));
+            
+            // Driving direction is the perpendicular vector turned back by 90 degrees
+            const cosLat = Math.cos(center.lat * Math.PI / 180);
+            const direction = { lat: line.perpVector.lon, lon: -line.perpVector.lat };
+            
+            const crossings = [];
+            for (let i = 0; i < this.telemetryData.length - 1; i++) {
+                const point1 = this.telemetryData[i];
+                const point2 = this.telemetryData[i + 1];
+                if (!point1.lat || !point1.lon || !point2.lat || !point2.lon) continue;
+                
+                const intersection = this.lineSegmentIntersection(
+                    point1.lon, point1.lat,
+                    point2.lon, point2.lat,
+                    line.startLon, line.startLat,
+                    line.endLon, line.endLat
+                );
+                if (!intersection) continue;
+                
+                // Ignore crossings against the driving direction (e.g. driving back down the pit lane)
+                const movement = (point2.lat - point1.lat) * direction.lat + (point2.lon - point1.lon) * cosLat * direction.lon;
+                if (movement <= 0) continue;
+                
+                const crossingTime = point1.time + intersection.t * (point2.time - point1.time);
+                
+                // GPS jitter around the line at low speed can register several crossings
+                if (crossings.length && crossingTime - crossings[crossings.length - 1] < minLapTime) continue;
+                
+                crossings.push(crossingTime);
+            }
+            
+            this.logger.log(`Found ${crossings.length} start/finish crossings:`, crossings);
+            return crossings;
+        }
+
+        // Out lap up to the first crossing, one lap per pair of crossings, and the in-lap after the last one
+        lapTimesFromCrossings(crossings) {
+            const lapTimes = [crossings[0]];
+            for (let i = 1; i < crossings.length; i++) {
+                lapTimes.push(crossings[i] - crossings[i - 1]);
+            }
+            
+            // Keep what follows the last crossing only if it looks like an in-lap; a short tail
+            // where the logger was stopped mid-lap would otherwise become the best lap
+            const lastPoint = this.telemetryData[this.telemetryData.length - 1];
+            const remaining = lastPoint.time - crossings[crossings.length - 1];
+            const fullLaps = lapTimes.slice(1);
+            if (remaining > 0 && (!fullLaps.length || remaining >= Math.min(...fullLaps))) {
+                lapTimes.push(remaining);
+            }
+            
+            return lapTimes;
+        }
+
+        clearTrack() {
+            this.track = null;
+            if (this.lapSource !== 'gps') {
+                this.startFinishBorder = null; // Laps detected from GPS keep the line they were split at
+            }
+            this.corners = this.detectCorners();
+            this.resetSectorBorders();
+        }
+
+        // Track definition for the track library from this session's current lines and corners
+        createTrackDefinition(name) {
+            const withoutTime = ({ time, ...border }) => border;
+            const startFinish = this.getStartFinishBorder();
+            
+            return {
+                id: this.track && this.track.name === name ? this.track.id : undefined,
+                name: name,
+                bounds: this.track && this.track.name === name ? this.track.bounds : this.getGpsBounds(),
+                startFinish: startFinish ? withoutTime(startFinish) : null,
+                sectorBorders: this.sectorBorders.map(withoutTime),
+                corners: this.corners.map(corner => ({ ...corner }))
+            };
+        }
+
+        // Lines and laps chosen by the user, without crossing times, for restoreAnalysisState()
+        getAnalysisState() {
+            const withoutTime = ({ time, ...border }) => border;
+
+            return {
+                trackId: this.track ? this.track.id : null,
+                lapSource: this.lapSource,
+                startFinish: this.lapSource === 'gps' && this.startFinishBorder ? withoutTime(this.startFinishBorder) : null,
+                sectorBorders: this.sectorBorders.map(withoutTime),
+                corners: this.corners.map(corner => ({ ...corner })),
+                deltaBasis: this.deltaBasis,
+                lapValidity: { ...this.lapValidity }
+            };
+        }
+
+        // Reapply a getAnalysisState() result to the same log; `track` is the library track
+        // with state.trackId if it still exists. Throws if the saved start/finish line no longer splits the log.
+        restoreAnalysisState(state, track = null) {
+            if (track) {
+                this.applyTrack(track);
+            }
+
+            if (state.lapSource === 'gps' && state.startFinish) {
+                this.setLapSource('gps', { ...state.startFinish });
+            } else if (state.lapSource === 'markers' && this.lapSource !== 'markers' && this.markerLapTimes.length) {
+                this.setLapSource('markers');
+            }
+
+            // Saved validity changes which lap is the best lap, so it goes in before the sector borders are timed
+            if (state.lapValidity && Object.keys(state.lapValidity).length) {
+                this.lapValidity = { ...state.lapValidity };
+                this.updateCountedLaps();
+            }
+
+            this.setSectorBorders(state.sectorBorders.map(border => ({ ...border })));
+            if (state.corners.length) {
+                this.corners = state.corners.map(corner => ({ ...corner }));
+            }
+            if (state.deltaBasis && state.deltaBasis !== this.deltaBasis) {
+                this.setDeltaBasis(state.deltaBasis);
+            }
+            this.logger.log(`Restored analysis state: laps from ${this.lapSource}, ${this.sectorBorders.length} sector borders, ${this.corners.length} corners`);
+        }
+
+        // Name the corner at the best-lap point closest to (lat, lon); null if the position is off the track
+        addCorner(name, lat, lon) {
+            const closestPoint = this.findClosestGpsPosition({ lat, lon }, this.bestLapData);
+            if (!closestPoint) {
+                return null;
+            }
+            
+            const corner = { name, lat: closestPoint.lat, lon: closestPoint.lon };
+            this.corners.push(corner);
+            return corner;
+        }
+
+        // Interpolated position of the car at `time`; null outside the log
+        getPositionAt(time) {
+            return interpolatePoint(this.telemetryData, time);
+        }
+
+        // Where the reference lap was the same time into its lap as `time` is into its own lap (the
+        // "ghost"); null outside the laps or once the reference lap has finished
+        getGhostPositionAt(time) {
+            const lapIndex = this.getLapIndexAt(time);
+            const referenceLapData = this.referenceLapData;
+            if (lapIndex === -1 || !referenceLapData.length) {
+                return null;
+            }
+            
+            // Offset from the reference lap's own start, which needn't fall on a sample
+            const lapTime = time - this.lapStartTimes[lapIndex];
+            return interpolatePoint(referenceLapData, this.referenceLapStartTime + lapTime);
+        }
+
+        // Time at which a lap passes the point of its path closest to (lat, lon); null when the lap
+        // doesn't come within 50 m of it
+        findLapTimeAt(lapIndex, lat, lon) {
+            const closestPoint = this.findClosestGpsPosition({ lat, lon }, this.getLapData(lapIndex));
+            return closestPoint ? closestPoint.time : null;
+        }
+
+        // Sync offset (video time - data time) at which GPS recorded by the camera (points with time on
+        // the video timeline, speed, lat, lon) matches this log best. Speed is cross-correlated to find
+        // the alignment, positions refine and check it. Returns null when the recordings don't overlap.
+        estimateVideoSyncOffset(videoGps) {
+            const logPoints = this.telemetryData;
+            if (videoGps.length < 10 || logPoints.length < 10) {
+                return null;
+            }
+            
+            // Coarse search: both speed traces on a 1 s grid, every whole-step shift between them
+            const step = SYNC_COARSE_STEP;
+            const videoStart = videoGps[0].time;
+            const logStart = logPoints[0].time;
+            const videoSpeed = resampleSpeed(videoGps, videoStart, step, Math.floor((videoGps[videoGps.length - 1].time - videoStart) / step) + 1);
+            const logSpeed = resampleSpeed(logPoints, logStart, step, Math.floor((logPoints[logPoints.length - 1].time - logStart) / step) + 1);
+            const minOverlap = Math.min(SYNC_MIN_OVERLAP, videoSpeed.length * step / 2);
+            
+            const candidates = [];
+            for (let shift = -(logSpeed.length - 1); shift < videoSpeed.length; shift++) {
+                const pairs = [];
+                for (let i = Math.max(0, shift); i < Math.min(videoSpeed.length, logSpeed.length + shift); i++) {
+                    pairs.push([videoSpeed[i], logSpeed[i - shift]]);
+                }
+                if (pairs.length * step < minOverlap) continue;
+                
+                const r = correlation(pairs);
+                if (r !== null) {
+                    candidates.push({ offset: videoStart - logStart + shift * step, correlation: r, overlap: pairs.length * step });
+                }
+            }
+            
+            if (!candidates.length) {
+                this.logger.warn('Video GPS and telemetry do not overlap enough to sync');
+                return null;
+            }
+            
+            candidates.sort((a, b) => b.correlation - a.correlation);
+            
+            // The best alignments at least 10 s apart
+            const peaks = [];
+            for (const candidate of candidates) {
+                if (peaks.length < SYNC_PEAK_COUNT && peaks.every(peak => Math.abs(peak.offset - candidate.offset) > 10 * step)) {
+                    peaks.push(candidate);
+                }
+            }
+            
+            // Only moving samples carry timing information
+            const logGps = logPoints.filter(point => point.lat !== 0 && point.lon !== 0);
+            const movingVideoGps = videoGps.filter(point => point.speed > 10);
+            const positionErrorsAt = candidate => movingVideoGps
+                .map(point => ({ point, logPoint: interpolatePoint(logGps, point.time - candidate) }))
+                .filter(({ logPoint }) => logPoint)
+                .map(({ point, logPoint }) => positionDistance(point.lat, point.lon, logPoint.lat, logPoint.lon));
+            const hasPositions = logGps.length > 0 && movingVideoGps.length > 0;
+            
+            // A short overlap or a stretch of track that repeats can match speed better than the
+            // right alignment; where both have GPS, the camera and the log must be in the same place
+            const locatedPeaks = hasPositions ?
+                peaks.filter(peak => {
+                    const error = median(positionErrorsAt(peak.offset));
+                    return error !== null && error < SYNC_MAX_PEAK_POSITION_ERROR;
+                }) : [];
+            const plausiblePeaks = locatedPeaks.length ? locatedPeaks : peaks;
+            const coarse = plausiblePeaks[0];
+            
+            // Repetitive laps correlate well one lap off too; a close runner-up lowers the confidence
+            const runnerUp = plausiblePeaks[1] || null;
+            
+            // Fine search on the video GPS samples around the coarse peak
+            const speedCorrelationAt = offset => correlation(videoGps
+                .map(point => [point.speed, interpolatePoint(logPoints, point.time - offset)])
+                .filter(([, logPoint]) => logPoint)
+                .map(([speed, logPoint]) => [speed, logPoint.speed]));
+            
+            let offset = coarse.offset;
+            let bestCorrelation = -Infinity;
+            for (let candidate = coarse.offset - SYNC_FINE_WINDOW; candidate <= coarse.offset + SYNC_FINE_WINDOW; candidate += SYNC_FINE_STEP) {
+                const r = speedCorrelationAt(candidate);
+                if (r !== null && r > bestCorrelation) {
+                    bestCorrelation = r;
+                    offset = candidate;
+                }
+            }
+            
+            // Position refinement
+            let positionError = null;
+            if (hasPositions) {
+                let bestMeanError = Infinity;
+                const fineOffset = offset;
+                for (let candidate = fineOffset - SYNC_POSITION_WINDOW; candidate <= fineOffset + SYNC_POSITION_WINDOW; candidate += SYNC_POSITION_STEP) {
+                    const errors = positionErrorsAt(candidate);
+                    if (!errors.length) continue;
+                    const meanError = errors.reduce((sum, error) => sum + error, 0) / errors.length;
+                    if (meanError < bestMeanError) {
+                        bestMeanError = meanError;
+                        offset = candidate;
+                    }
+                }
+                positionError = median(positionErrorsAt(offset));
+            }
+            
+            // Confidence combines how well speed matches, how close the positions are (1 up to 5 m,
+            // 0 from 50 m) and how clearly the best alignment beats the runner-up
+            const finalCorrelation = speedCorrelationAt(offset);
+            const speedFactor = Math.max(0, finalCorrelation || 0);
+            const positionFactor = positionError === null ? 1 : Math.max(0, Math.min(1, (50 - positionError) / 45));
+            const separation = runnerUp ? Math.max(0, Math.min(1, (coarse.correlation - runnerUp.correlation) / 0.1)) : 1;
+            const confidence = speedFactor * positionFactor * (0.5 + 0.5 * separation);
+            
+            const result = {
+                offset: Math.round(offset * 1000) / 1000,
+                confidence: confidence,
+                correlation: finalCorrelation,
+                positionError: positionError,
+                overlap: coarse.overlap,
+                runnerUpOffset: runnerUp ? runnerUp.offset : null
+            };
+            this.logger.log('Estimated video sync offset:', result);
+            return result;
+        }
+
+        // Plain-data overview of the session: lap table, sector splits, best and theoretical best lap
+        getSummary() {
+            const numSectors = this.lapSectorTimes.reduce((max, times) => Math.max(max, times ? times.length : 0), 0);
+            const bestSectorTimes = numSectors > 0 ? this.findBestSectorTimes(numSectors) : [];
+            const bestLapIndex = this.findBestLapIndex();
+            const bestLapTime = bestLapIndex !== -1 ? this.lapTimes[bestLapIndex] : null;
+
+            // Theoretical best is only meaningful when every sector has a time
+            const idealLap = this.findIdealLap();
+
+            const laps = this.lapTimes.map((lapTime, i) => ({
+                index: i,
+                name: getLapName(i),
+                startTime: this.lapStartTimes[i],
+                lapTime: lapTime,
+                sectorTimes: this.lapSectorTimes[i] || [],
+                isBest: i === bestLapIndex,
+                valid: this.isLapValid(i),
+                flags: this.lapFlags[i] || []
+            }));
+
+            const lastPoint = this.telemetryData[this.telemetryData.length - 1];
+
+            return {
+                track: this.track ? this.track.name : null,
+                lapSource: this.lapSource,
+                dataPoints: this.telemetryData.length,
+                duration: lastPoint ? lastPoint.time : 0,
+                numSectors: numSectors,
+                laps: laps,
+                bestLapIndex: bestLapIndex,
+                bestLapTime: bestLapTime,
+                bestSectorTimes: bestSectorTimes,
+                theoreticalBest: idealLap ? idealLap.time : null,
+                idealLapSectors: idealLap ? idealLap.sectors.map(sector => ({ ...sector, lapName: getLapName(sector.lapIndex) })) : [],
+                rollingBest: this.rollingBest ? { ...this.rollingBest, lapName: getLapName(this.rollingBest.lapIndex) } : null,
+                warnings: this.warnings.slice()
+            };
+        }
+
+        // Lap and sector table as CSV, times in seconds: one row per lap with its validity and flags
+        getLapTableCsv() {
+            const summary = this.getSummary();
+            const header = ['Lap', 'Name', 'Start Time (s)', 'Lap Time (s)'];
+            for (let i = 0; i < summary.numSectors; i++) {
+                header.push(`S${i + 1} (s)`);
+            }
+            header.push('Best', 'Valid', 'Flags');
+
+            const rows = summary.laps.map(lap => {
+                const row = [lap.index, lap.name, formatNumber(lap.startTime, 3), formatNumber(lap.lapTime, 3)];
+                for (let i = 0; i < summary.numSectors; i++) {
+                    row.push(formatNumber(lap.sectorTimes[i], 3));
+                }
+                row.push(lap.isBest ? 'yes' : 'no', lap.valid ? 'yes' : 'no', lap.flags.join(' '));
+                return row;
+            });
+            return toCsv([header, ...rows]);
+        }
+
+        // Every telemetry point as CSV with the derived channels added: lap number (0 is the out lap,
+        // empty after the last lap), distances and the delta to the reference lap, then all logger channels
+        getTelemetryCsv() {
+            const channels = this.getChannelList().filter(channel => channel.id !== 'lapDistance');
+            const header = ['Time (s)', 'Lap', 'Lap Distance (m)', 'Distance (m)',
+                `Delta to ${this.referenceSource ? 'Reference' : 'Best'} (s)`, 'Latitude', 'Longitude',
+                ...channels.map(channel => channel.unit ? `${channel.name} (${channel.unit})` : channel.name)];
+
+            const lastLap = this.lapStartTimes.length - 1;
+            const sessionEnd = lastLap >= 0 ? this.getLapBounds(lastLap).endTime : 0;
+            let lapIndex = 0;
+            const rows = this.telemetryData.map((point, i) => {
+                while (lapIndex < lastLap && point.time >= this.lapStartTimes[lapIndex + 1]) {
+                    lapIndex++;
+                }
+                const diff = this.diffToBestData[i];
+                return [
+                    formatNumber(point.time, 3),
+                    lastLap >= 0 && point.time <= sessionEnd ? lapIndex : '',
+                    formatNumber(point.lapDistance, 2),
+                    formatNumber(point.distance, 2),
+                    diff === null || diff === undefined ? '' : formatNumber(diff, 3),
+                    point.lat !== 0 || point.lon !== 0 ? formatNumber(point.lat, 7) : '',
+                    point.lat !== 0 || point.lon !== 0 ? formatNumber(point.lon, 7) : '',
+                    // Rounded to a millionth to drop floating point noise from unit conversions
+                    ...channels.map(channel => {
+                        const value = getChannelValue(point, channel.id);
+                        return value === null ? '' : Math.round(value * 1e6) / 1e6;
+                    })
+                ];
+            });
+            return toCsv([header, ...rows]);
+        }
+
+        // Start/finish line, sector borders and corners as plain data for JSON export. Borders are lines from
+        // startLat/startLon to endLat/endLon; `time` is when the best lap crosses them (seconds into the log)
+        // and `endsSector` the sector a border ends, the start/finish line ending the last one.
+        getTrackGeometry() {
+            const startFinish = this.getStartFinishBorder();
+            return {
+                track: this.track ? this.track.name : null,
+                lapSource: this.lapSource,
+                startFinish: startFinish ? { ...startFinish } : null,
+                sectorBorders: this.sectorBorders.map((border, i) => ({ endsSector: i + 1, ...border })),
+                corners: this.corners.map(corner => ({ ...corner }))
+            };
+        }
+
+        calculateLapStartTimes() {
+            // Calculate cumulative start times for each lap
+            this.lapStartTimes = [0]; // Out lap starts at 0
+            let cumulativeTime = 0;
+            
+            for (let i = 0; i < this.lapTimes.length; i++) {
+                cumulativeTime += this.lapTimes[i];
+                if (i < this.lapTimes.length - 1) { // Don't add start time for the last lap
+                    this.lapStartTimes.push(cumulativeTime);
+                }
+            }
+            
+            this.logger.log('Calculated lap start times:', this.lapStartTimes);
+        }
+
+        generateSectorSplits() {
+            if (!this.lapTimes.length || !this.telemetryData.length) {
+                this.logger.log('Cannot generate sectors: missing lap times or telemetry data');
+                return;
+            }
+            
+            // Without laps the one "lap" spans the whole log, and sectors over it would be meaningless
+            if (this.lapSource === 'markers' && !this.markerLapTimes.length) {
+                this.logger.log('Cannot generate sectors: no laps in the log');
+                return;
+            }
+            
+            // Check if we have GPS data
+            const hasGpsData = this.telemetryData.some(point => point.lat !== 0 && point.lon !== 0);
+            if (!hasGpsData) {
+                this.logger.warn('No GPS data found in telemetry - cannot generate sectors');
+                this.warnings.push('No GPS data found in telemetry. Sector splitting requires GPS coordinates (latitude, longitude) in the CSV data.');
+                return;
+            }
+            
+            // Sectors are placed on the best valid lap
+            const bestLapIndex = this.findBestLapIndex();
+            const bestLapTime = this.lapTimes[bestLapIndex];
+            
+            this.logger.log(`Using Lap ${bestLapIndex} as reference (${formatTime(bestLapTime)})`);
+            
+            // Get telemetry data for the best lap
+            const lapStartTime = this.lapStartTimes[bestLapIndex];
+            const lapEndTime = bestLapIndex < this.lapStartTimes.length - 1 ? 
+                this.lapStartTimes[bestLapIndex + 1] : 
+                lapStartTime + this.lapTimes[bestLapIndex];
+            
+            this.logger.log(`Lap ${bestLapIndex} time range: ${formatTime(lapStartTime)} to ${formatTime(lapEndTime)}`);
+            
+            const lapData = this.telemetryData.filter(point => 
+                point.time >= lapStartTime && point.time <= lapEndTime
+            );
+            
+            this.logger.log(`Found ${lapData.length} telemetry points for best lap`);
+            
+            if (lapData.length === 0) {
+                this.logger.warn('No telemetry data found for best lap - cannot generate sectors');
+                this.warnings.push('No telemetry data found for the best lap. Cannot generate sector splits.');
+                return;
+            }
+            
+            // Store the end point of the best lap for start/finish line visualization
+            this.bestLapEndPoint = lapData[lapData.length - 1];
+            this.logger.log(`Stored best lap end point:`, this.bestLapEndPoint);
+            
+            // Find acceleration periods (straights)
+            const accelerationPeriods = this.findAccelerationPeriods(lapData);
+            this.logger.log(`Found ${accelerationPeriods.length} acceleration periods:`, accelerationPeriods);
+            
+            if (accelerationPeriods.length === 0) {
+                this.logger.warn('No acceleration periods found - cannot generate sectors');
+                this.warnings.push('No suitable acceleration periods found in telemetry data. Cannot generate sector splits. Ensure the data contains sufficient speed variations.');
+                return;
+            }
+            
+            // Generate sector borders
+            this.sectorBorders = this.createSectorBorders(lapData, accelerationPeriods);
+            this.logger.log(`Generated ${this.sectorBorders.length} sector borders:`, this.sectorBorders);
+            
+            // Calculate sector times for all laps
+            this.calculateAllLapSectorTimes();
+            this.logger.log('Calculated sector times for all laps:', this.lapSectorTimes);
+        }
+
+
+        // Braking zones of a lap: stretches of at least a second where speed keeps dropping
+        findDecelerationPeriods(lapData) {
+            const decelerationPeriods = [];
+            let currentDecelPeriod = null;
+            
+            for (let i = 1; i < lapData.length; i++) {
+                const current = lapData[i];
+                const previous = lapData[i - 1];
+                const timeDiff = current.time - previous.time;
+                
+                if (timeDiff <= 0) continue;
+                
+                const acceleration = (current.speed - previous.speed) / timeDiff;
+                
+                // Start of deceleration period (negative acceleration)
+                if (acceleration < -0.5 && !currentDecelPeriod) {
+                    currentDecelPeriod = {
+                        startTime: previous.time,
+                        startIndex: i - 1
+                    };
+                }
+                
+                // End of deceleration period (acceleration becomes positive or neutral)
+                if (currentDecelPeriod && acceleration >= -0.5) {
+                    currentDecelPeriod.endTime = current.time;
+                    currentDecelPeriod.endIndex = i;
+                    currentDecelPeriod.duration = currentDecelPeriod.endTime - currentDecelPeriod.startTime;
+                    
+                    // Only keep deceleration periods that are at least 1 seconds long
+                    if (currentDecelPeriod.duration >= 1.0) {
+                        decelerationPeriods.push(currentDecelPeriod);
+                    }
+                    
+                    currentDecelPeriod = null;
+                }
+            }
+            
+            // Handle case where deceleration continues to end of lap
+            if (currentDecelPeriod) {
+                const lastPoint = lapData[lapData.length - 1];
+                currentDecelPeriod.endTime = lastPoint.time;
+                currentDecelPeriod.endIndex = lapData.length - 1;
+                currentDecelPeriod.duration = currentDecelPeriod.endTime - currentDecelPeriod.startTime;
+                
+                if (currentDecelPeriod.duration >= 0.2) {
+                    decelerationPeriods.push(currentDecelPeriod);
+                }
+            }
+            
+            return decelerationPeriods;
+        }
+
+        findAccelerationPeriods(lapData) {
+            if (lapData.length < 2) return [];
+            
+            // Step 1: Find deceleration periods (at least 0.2 seconds long)
+            const decelerationPeriods = this.findDecelerationPeriods(lapData);
+            
+            // Step 2: Create sectors between deceleration periods (consecutive periods without deceleration)
+            const sectors = [];
+            let sectorStartTime = lapData[0].time;
+            
+            for (const decelPeriod of decelerationPeriods) {
+                // Create sector from current start to beginning of deceleration
+                const sectorEndTime = decelPeriod.startTime;
+                const sectorDuration = sectorEndTime - sectorStartTime;
+                
+                if (sectorDuration > 0) {
+                    sectors.push({
+                        startTime: sectorStartTime,
+                        endTime: sectorEndTime,
+                        duration: sectorDuration
+                    });
+                }
+                
+                // Next sector starts after this deceleration period
+                sectorStartTime = decelPeriod.endTime;
+            }
+            
+            // Add final sector from last deceleration to end of lap
+            const finalSectorEndTime = lapData[lapData.length - 1].time;
+            const finalSectorDuration = finalSectorEndTime - sectorStartTime;
+            
+            if (finalSectorDuration > 0) {
+                sectors.push({
+                    startTime: sectorStartTime,
+                    endTime: finalSectorEndTime,
+                    duration: finalSectorDuration
+                });
+            }
+            
+            // Step 3: Merge sectors shorter than 5 seconds
+            const mergedSectors = [];
+            
+            for (let i = 0; i < sectors.length; i++) {
+                const sector = sectors[i];
+                
+                if (sector.duration < 5.0) {
+                    // If it's the last sector and too short, merge with previous
+                    if (i === sectors.length - 1 && mergedSectors.length > 0) {
+                        const prevSector = mergedSectors[mergedSectors.length - 1];
+                        prevSector.endTime = sector.endTime;
+                        prevSector.duration = prevSector.endTime - prevSector.startTime;
+                    }
+                    // If not the last sector, merge with next sector
+                    else if (i < sectors.length - 1) {
+                        const nextSector = sectors[i + 1];
+                        nextSector.startTime = sector.startTime;
+                        nextSector.duration = nextSector.endTime - nextSector.startTime;
+                        // Skip the current sector (it's merged into next)
+                        continue;
+                    }
+                    // If it's the only sector or first sector and too short, keep it anyway
+                    else {
+                        mergedSectors.push(sector);
+                    }
+                } else {
+                    mergedSectors.push(sector);
+                }
+            }
+            
+            // Step 4: Convert sectors to acceleration periods (for compatibility with existing code)
+            // Each sector represents a period without significant deceleration
+            const accelerationPeriods = mergedSectors.map(sector => ({
+                startTime: sector.startTime,
+                endTime: sector.endTime,
+                duration: sector.duration,
+                // These fields are for compatibility with existing createSectorBorders code
+                maxSpeed: 0, // Will be calculated if needed
+                maxSpeedTime: sector.endTime,
+                speedIncrease: 0 // Will be calculated if needed
+            }));
+            
+            return accelerationPeriods;
+        }
+
+        createSectorBorders(lapData, accelerationPeriods) {
+            const borders = [];
+            const lapEndTime = lapData[lapData.length - 1].time;
+            
+            for (let i = 0; i < accelerationPeriods.length; i++) {
+                const period = accelerationPeriods[i];
+                
+                // Place sector border 0.2 seconds before deceleration
+                const borderTime = period.endTime - 0.2;
+                
+                // Skip creating a border if it would result in a very short final sector
+                // (less than 2 seconds from lap end)
+                const timeToLapEnd = lapEndTime - borderTime;
+                if (timeToLapEnd < 2.0) {
+                    this.logger.log(`Skipping sector border at ${formatTime(borderTime)} - would create short final sector (${formatTime(timeToLapEnd)})`);
+                    continue;
+                }
+                
+                // Find the closest telemetry point
+                let closestIndex = 0;
+                let minDiff = Math.abs(lapData[0].time - borderTime);
+                
+                for (let j = 1; j < lapData.length; j++) {
+                    const diff = Math.abs(lapData[j].time - borderTime);
+                    if (diff < minDiff) {
+                        minDiff = diff;
+                        closestIndex = j;
+                    } else {
+                        break;
+                    }
+                }
+                
+                const borderPoint = lapData[closestIndex];
+                
+                // Create GPS line perpendicular to trajectory
+                const border = this.createPerpendicularLine(borderPoint, lapData, closestIndex);
+                borders.push(border);
+            }
+            
+            // Sort borders by time
+            borders.sort((a, b) => a.time - b.time);
+            
+            return borders;
+        }
+
+        createPerpendicularLine(centerPoint, lapData, centerIndex, lineLength = 0.00004) {
+            // Calculate trajectory direction using nearby points
+            const lookAhead = Math.min(5, lapData.length - centerIndex - 1);
+            const lookBehind = Math.min(5, centerIndex);
+            
+            let trajectoryVector = { lat: 0, lon: 0 };
+            
+            if (lookAhead > 0 && lookBehind > 0) {
+                const beforePoint = lapData[centerIndex - lookBehind];
+                const afterPoint = lapData[centerIndex + lookAhead];
+                
+                // Calculate the trajectory direction vector
+                trajectoryVector.lat = afterPoint.lat - beforePoint.lat;
+                trajectoryVector.lon = afterPoint.lon - beforePoint.lon;
+            } else {
+                // Fallback: use a smaller window
+                if (centerIndex > 0 && centerIndex < lapData.length - 1) {
+                    const beforePoint = lapData[centerIndex - 1];
+                    const afterPoint = lapData[centerIndex + 1];
+                    trajectoryVector.lat = afterPoint.lat - beforePoint.lat;
+                    trajectoryVector.lon = afterPoint.lon - beforePoint.lon;
+                } else {
+                    // Use GPS heading as last resort
+                    const headingRad = (centerPoint.heading || 0) * Math.PI / 180;
+                    trajectoryVector.lat = Math.cos(headingRad);
+                    trajectoryVector.lon = Math.sin(headingRad);
+                }
+            }
+            
+            // Apply cosine latitude correction to longitude component
+            // This accounts for longitude convergence without complex projections
+            const latRad = centerPoint.lat * Math.PI / 180;
+            const cosLat = Math.cos(latRad);
+            
+            // Adjust longitude component by cosine of latitude
+            const correctedTrajectoryVector = {
+                lat: trajectoryVector.lat,
+                lon: trajectoryVector.lon * cosLat
+            };
+            
+            // Normalize the corrected trajectory vector
+            const trajectoryLength = Math.sqrt(
+                correctedTrajectoryVector.lat * correctedTrajectoryVector.lat + 
+                correctedTrajectoryVector.lon * correctedTrajectoryVector.lon
+            );
+            
+            if (trajectoryLength > 0) {
+                correctedTrajectoryVector.lat /= trajectoryLength;
+                correctedTrajectoryVector.lon /= trajectoryLength;
+            }
+            
+            // Create perpendicular vector by rotating 90 degrees
+            // For a vector (x, y), the perpendicular vector is (-y, x)
+            const perpVector = {
+                lat: -correctedTrajectoryVector.lon,  // Perpendicular lat component
+                lon: correctedTrajectoryVector.lat    // Perpendicular lon component
+            };
+            
+            return this.createBorderLine(centerPoint, perpVector, lineLength, trajectoryVector);
+        }
+
+        // Border line through a center point; perpVector is a unit vector in cos(lat)-corrected space
+        createBorderLine(centerPoint, perpVector, lineLength = 0.00004, trajectoryVector = null) {
+            const cosLat = Math.cos(centerPoint.lat * Math.PI / 180);
+            
+            // Scale the perpendicular vector to desired length (small finite line)
+            const perpLat = perpVector.lat * lineLength;
+            const perpLon = perpVector.lon * lineLength / cosLat; // Undo cosine correction for final coordinates
+            
+            return {
+                time: centerPoint.time,
+                centerLat: centerPoint.lat,
+                centerLon: centerPoint.lon,
+                trajectoryVector: trajectoryVector || { lat: perpVector.lon, lon: -perpVector.lat / cosLat },
+                perpVector: perpVector,
+                startLat: centerPoint.lat - perpLat,
+                startLon: centerPoint.lon - perpLon,
+                endLat: centerPoint.lat + perpLat,
+                endLon: centerPoint.lon + perpLon
+            };
+        }
+
+        // Half length of a border in degrees of latitude (the unit createBorderLine() uses)
+        getBorderLineLength(border) {
+            const cosLat = Math.cos(border.centerLat * Math.PI / 180);
+            const dLat = border.endLat - border.centerLat;
+            const dLon = (border.endLon - border.centerLon) * cosLat;
+            return Math.sqrt(dLat * dLat + dLon * dLon);
+        }
+
+        // Sector border across the best lap at the point closest to the given position,
+        // or null if the position is more than 50 m away from the lap
+        createBorderAt(lat, lon, lineLength = 0.00004) {
+            const closestPoint = this.findClosestGpsPosition({ lat, lon }, this.bestLapData);
+            if (!closestPoint) {
+                return null;
+            }
+            
+            const centerIndex = this.bestLapData.indexOf(closestPoint);
+            return this.createPerpendicularLine(closestPoint, this.bestLapData, centerIndex, lineLength);
+        }
+
+        // Turn a border around its center so the given end points at (lat, lon)
+        rotateBorder(border, lat, lon, end = 'end') {
+            const cosLat = Math.cos(border.centerLat * Math.PI / 180);
+            const direction = end === 'start' ? -1 : 1;
+            const dLat = (lat - border.centerLat) * direction;
+            const dLon = (lon - border.centerLon) * cosLat * direction;
+            const length = Math.sqrt(dLat * dLat + dLon * dLon);
+            
+            if (length === 0) {
+                return border;
+            }
+            
+            const center = { lat: border.centerLat, lon: border.centerLon, time: border.time };
+            return this.createBorderLine(center, { lat: dLat / length, lon: dLon / length }, this.getBorderLineLength(border));
+        }
+
+        // Replace the sector borders (e.g. after editing them on the map) and recalculate all sector times
+        setSectorBorders(borders) {
+            if (!this.bestLapData.length) {
+                this.logger.warn('Cannot set sector borders: no best lap data');
+                return;
+            }
+            
+            // Borders are ordered by where the best lap crosses them
+            borders.forEach(border => {
+                border.time = this.findBorderCrossing(this.bestLapData, border);
+            });
+            
+            this.sectorBorders = [...borders].sort((a, b) => a.time - b.time);
+            this.calculateAllLapSectorTimes();
+            this.updateReferenceLap();
+            this.logger.log(`Set ${this.sectorBorders.length} sector borders:`, this.sectorBorders);
+        }
+
+        // Go back to the automatically generated sector borders
+        resetSectorBorders() {
+            this.sectorBorders = [];
+            this.lapSectorTimes = [];
+            this.generateSectorSplits();
+            this.updateReferenceLap();
+        }
+
+        calculateAllLapSectorTimes() {
+            this.lapSectorTimes = [];
+            
+            for (let lapIndex = 0; lapIndex < this.lapTimes.length; lapIndex++) {
+                const sectorTimes = this.calculateLapSectorTimes(lapIndex);
+                this.lapSectorTimes.push(sectorTimes);
+            }
+        }
+
+        calculateLapSectorTimes(lapIndex) {
+            const { startTime, endTime } = this.getLapBounds(lapIndex);
+            return this.calculateSectorTimesForData(this.getLapData(lapIndex), startTime, endTime, this.lapTimes[lapIndex]);
+        }
+
+        calculateSectorTimesForData(lapData, lapStartTime, lapEndTime, lapTime) {
+            if (lapData.length === 0 || this.sectorBorders.length === 0) {
+                return [lapTime]; // Return full lap time as single sector
+            }
+            
+            const sectorTimes = [];
+            let sectorStartTime = lapStartTime;
+            
+            // Calculate time for each sector
+            for (const border of this.sectorBorders) {
+                // Find when this lap crosses the sector border
+                const crossingTime = this.findBorderCrossing(lapData, border);
+                
+                if (crossingTime > sectorStartTime) {
+                    sectorTimes.push(crossingTime - sectorStartTime);
+                    sectorStartTime = crossingTime;
+                }
+            }
+            
+            // Add final sector time
+            if (sectorStartTime < lapEndTime) {
+                sectorTimes.push(lapEndTime - sectorStartTime);
+            }
+            
+            return sectorTimes;
+        }
+
+        findBorderCrossing(lapData, border) {
+            // Find where the trajectory actually intersects the sector border line
+            // This provides much higher precision than just finding the closest point
+            const crossingTime = this.findBorderIntersection(lapData, border);
+            if (crossingTime !== null) {
+                return crossingTime;
+            }
+            
+            // Fallback: if no intersection found, use the closest point method
+            this.logger.log('No intersection found, using closest point method');
+            let bestCrossingTime = lapData[0].time;
+            let minDistance = this.distanceToLineSegment(lapData[0], border);
+            for (let i = 0; i < lapData.length; i++) {
+                const point = lapData[i];
+                const distance = this.distanceToLineSegment(point, border);
+                
+                if (distance < minDistance) {
+                    minDistance = distance;
+                    bestCrossingTime = point.time;
+                }
+            }
+            
+            return bestCrossingTime;
+        }
+
+        // Time of the first crossing of the border between lapData[from] and lapData[to], or null if it isn't crossed there
+        findBorderIntersection(lapData, border, from = 0, to = lapData.length - 1) {
+            // Look for actual intersection between consecutive trajectory segments and the border line
+            for (let i = from; i < to; i++) {
+                const point1 = lapData[i];
+                const point2 = lapData[i + 1];
+                
+                // Check if trajectory segment intersects with border line segment
+                const intersection = this.lineSegmentIntersection(
+                    point1.lon, point1.lat,
+                    point2.lon, point2.lat,
+                    border.startLon, border.startLat,
+                    border.endLon, border.endLat
+                );
+                
+                if (intersection && intersection.t !== undefined) {
+                    // Use the interpolation factor directly from the intersection calculation
+                    // intersection.t is already the correct interpolation factor (0 = point1, 1 = point2)
+                    const t = Math.max(0, Math.min(1, intersection.t)); // Clamp to [0,1] for safety
+                    
+                    // Interpolate the precise crossing time
+                    const preciseCrossingTime = point1.time + t * (point2.time - point1.time);
+                    
+                    // Validate the result
+                    if (preciseCrossingTime >= point1.time && preciseCrossingTime <= point2.time) {
+                        this.logger.log(`Found precise border crossing at ${formatTime(preciseCrossingTime)} (t=${t.toFixed(3)}, between ${formatTime(point1.time)} and ${formatTime(point2.time)})`);
+                        return preciseCrossingTime;
+                    } else {
+                        this.logger.warn(`Invalid interpolated time ${formatTime(preciseCrossingTime)}, falling back to closest point`);
+                    }
+                }
+            }
+            
+            return null;
+        }
+
+        // Calculate distance from point to finite line segment (not infinite line)
+        distanceToLineSegment(point, border) {
+            const x = point.lon;
+            const y = point.lat;
+            const x1 = border.startLon;
+            const y1 = border.startLat;
+            const x2 = border.endLon;
+            const y2 = border.endLat;
+            
+            // Calculate the squared length of the line segment
+            const segmentLengthSquared = (x2 - x1) * (x2 - x1) + (y2 - y1) * (y2 - y1);
+            
+            // If the segment has zero length, return distance to the point
+            if (segmentLengthSquared === 0) {
+                return Math.sqrt((x - x1) * (x - x1) + (y - y1) * (y - y1));
+            }
+            
+            // Calculate the parameter t that represents the projection of the point onto the line segment
+            const t = Math.max(0, Math.min(1, ((x - x1) * (x2 - x1) + (y - y1) * (y2 - y1)) / segmentLengthSquared));
+            
+            // Calculate the closest point on the line segment
+            const closestX = x1 + t * (x2 - x1);
+            const closestY = y1 + t * (y2 - y1);
+            
+            // Return the distance from the point to the closest point on the segment
+            return Math.sqrt((x - closestX) * (x - closestX) + (y - closestY) * (y - closestY));
+        }
+
+        // Helper method to find intersection between two line segments
+        lineSegmentIntersection(x1, y1, x2, y2, x3, y3, x4, y4) {
+            const denom = (x1 - x2) * (y3 - y4) - (y1 - y2) * (x3 - x4);
+            
+            if (Math.abs(denom) < 1e-10) {
+                return null; // Lines are parallel
+            }
+            
+            const t = ((x1 - x3) * (y3 - y4) - (y1 - y3) * (x3 - x4)) / denom;
+            const u = -((x1 - x2) * (y1 - y3) - (y1 - y2) * (x1 - x3)) / denom;
+            
+            // Check if intersection point lies within both line segments
+            if (t >= 0 && t <= 1 && u >= 0 && u <= 1) {
+                return {
+                    lon: x1 + t * (x2 - x1),  // x1 is longitude
+                    lat: y1 + t * (y2 - y1),  // y1 is latitude
+                    t: t  // Return the interpolation factor for the first segment
+                };
+            }
+            
+            return null; // No intersection within segments
+        }
+
+        distanceToLine(point, border) {
+            // Calculate distance from point to line segment
+            const A = border.endLat - border.startLat;
+            const B = border.startLon - border.endLon;
+            const C = A * border.startLon + B * border.startLat;
+            
+            const distance = Math.abs(A * point.lon + B * point.lat - C) / Math.sqrt(A * A + B * B);
+            return distance;
+        }
+
+        createStartFinishBorder(startFinishPoint, mercatorData) {
+            // Create a perpendicular line at the start/finish position
+            // Use the same logic as createPerpendicularLine but for the start/finish point
+            
+            // Find the index of the start/finish point in the data
+            let centerIndex = 0;
+            let minDiff = Math.abs(mercatorData[0].time - startFinishPoint.time);
+            
+            for (let i = 1; i < mercatorData.length; i++) {
+                const diff = Math.abs(mercatorData[i].time - startFinishPoint.time);
+                if (diff < minDiff) {
+                    minDiff = diff;
+                    centerIndex = i;
+                } else {
+                    break;
+                }
+            }
+            
+            // Calculate trajectory direction using nearby points
+            const lookAhead = Math.min(5, mercatorData.length - centerIndex - 1);
+            const lookBehind = Math.min(5, centerIndex);
+            
+            let trajectoryVector = { lat: 0, lon: 0 };
+            
+            if (lookAhead > 0 && lookBehind > 0) {
+                const beforePoint = mercatorData[centerIndex - lookBehind];
+                const afterPoint = mercatorData[centerIndex + lookAhead];
+                
+                // Calculate the trajectory direction vector
+                trajectoryVector.lat = afterPoint.lat - beforePoint.lat;
+                trajectoryVector.lon = afterPoint.lon - beforePoint.lon;
+            } else {
+                // Fallback: use a smaller window
+                if (centerIndex > 0 && centerIndex < mercatorData.length - 1) {
+                    const beforePoint = mercatorData[centerIndex - 1];
+                    const afterPoint = mercatorData[centerIndex + 1];
+                    trajectoryVector.lat = afterPoint.lat - beforePoint.lat;
+                    trajectoryVector.lon = afterPoint.lon - beforePoint.lon;
+                } else {
+                    // Use GPS heading as last resort
+                    const headingRad = (startFinishPoint.heading || 0) * Math.PI / 180;
+                    trajectoryVector.lat = Math.cos(headingRad);
+                    trajectoryVector.lon = Math.sin(headingRad);
+                }
+            }
+            
+            // Apply cosine latitude correction to longitude component
+            const latRad = startFinishPoint.lat * Math.PI / 180;
+            const cosLat = Math.cos(latRad);
+            
+            // Adjust longitude component by cosine of latitude
+            const correctedTrajectoryVector = {
+                lat: trajectoryVector.lat,
+                lon: trajectoryVector.lon * cosLat
+            };
+            
+            // Normalize the corrected trajectory vector
+            const trajectoryLength = Math.sqrt(
+                correctedTrajectoryVector.lat * correctedTrajectoryVector.lat + 
+                correctedTrajectoryVector.lon * correctedTrajectoryVector.lon
+            );
+            
+            if (trajectoryLength > 0) {
+                correctedTrajectoryVector.lat /= trajectoryLength;
+                correctedTrajectoryVector.lon /= trajectoryLength;
+            }
+            
+            // Create perpendicular vector by rotating 90 degrees
+            const perpVector = {
+                lat: -correctedTrajectoryVector.lon,
+                lon: correctedTrajectoryVector.lat
+            };
+            
+            // Scale the perpendicular vector to desired length
+            const lineLength = 0.00004; // Approximately 4m in degrees
+            const perpLat = perpVector.lat * lineLength;
+            const perpLon = perpVector.lon * lineLength / cosLat; // Undo cosine correction for final coordinates
+            
+            return {
+                time: startFinishPoint.time,
+                centerLat: startFinishPoint.lat,
+                centerLon: startFinishPoint.lon,
+                trajectoryVector: trajectoryVector,
+                perpVector: perpVector,
+                startLat: startFinishPoint.lat - perpLat,
+                startLon: startFinishPoint.lon - perpLon,
+                endLat: startFinishPoint.lat + perpLat,
+                endLon: startFinishPoint.lon + perpLon
+            };
+        }
+
+        calculateGpsBounds(data) {
+            let minLat = data[0].lat;
+            let maxLat = data[0].lat;
+            let minLon = data[0].lon;
+            let maxLon = data[0].lon;
+
+            for (const point of data) {
+                minLat = Math.min(minLat, point.lat);
+                maxLat = Math.max(maxLat, point.lat);
+                minLon = Math.min(minLon, point.lon);
+                maxLon = Math.max(maxLon, point.lon);
+            }
+
+            return { minLat, maxLat, minLon, maxLon };
+        }
+
+        findBestSectorTimes(numSectors) {
+            const bestSectorTimes = [];
+            
+            this.logger.log('DEBUG: Finding best sector times for', numSectors, 'sectors');
+            this.logger.log('DEBUG: Lap sector times:', this.lapSectorTimes);
+            
+            for (let sectorIndex = 0; sectorIndex < numSectors; sectorIndex++) {
+                let bestTime = Infinity;
+                
+                for (const lapIndex of this.getCountedLaps()) {
+                    const sectorTimes = this.lapSectorTimes[lapIndex];
+                    
+                    if (sectorTimes && sectorIndex < sectorTimes.length) {
+                        const sectorTime = sectorTimes[sectorIndex];
+                        
+                        if (sectorTime !== undefined && sectorTime !== null && sectorTime < bestTime) {
+                            bestTime = sectorTime;
+                        }
+                    }
+                }
+                
+                bestSectorTimes[sectorIndex] = bestTime === Infinity ? undefined : bestTime;
+                this.logger.log(`DEBUG: Best time for sector ${sectorIndex + 1}:`, bestSectorTimes[sectorIndex]);
+            }
+            
+            this.logger.log('DEBUG: Final best sector times:', bestSectorTimes);
+            return bestSectorTimes;
+        }
+
+        // Theoretical best lap: the best time of every sector and the lap it was set on.
+        // Null unless every sector has a time.
+        findIdealLap() {
+            const numSectors = this.lapSectorTimes.reduce((max, times) => Math.max(max, times ? times.length : 0), 0);
+            if (numSectors === 0) {
+                return null;
+            }
+
+            const sectors = this.findBestSectorTimes(numSectors).map((time, sectorIndex) => ({
+                time: time,
+                lapIndex: time === undefined ? -1 : this.getCountedLaps().find(lapIndex => {
+                    const times = this.lapSectorTimes[lapIndex];
+                    return times && times[sectorIndex] === time;
+                })
+            }));
+            if (sectors.some(sector => sector.time === undefined)) {
+                return null;
+            }
+
+            return {
+                time: sectors.reduce((sum, sector) => sum + sector.time, 0),
+                sectors: sectors
+            };
+        }
+
+        // Fastest stretch of one lap's distance starting anywhere on track, not just at the
+        // start/finish line, within valid laps. The lap distance is the median of the valid laps.
+        findRollingBestLap() {
+            const data = this.telemetryData;
+            const distances = Float64Array.from(data, point => point.distance / 1000);
+
+            // Distances at the exact lap start and end; the samples inside a lap fall up to one interval short
+            const lapDistance = median(this.getCountedLaps().map(lapIndex => {
+                const { startTime, endTime } = this.getLapBounds(lapIndex);
+                return (this.getDistanceAt(endTime) - this.getDistanceAt(startTime)) / 1000;
+            }).filter(distance => distance > 0));
+            if (!lapDistance) {
+                return null;
+            }
+
+            // Stretches must start and end on laps that count
+            const countedLaps = new Set(this.getCountedLaps());
+            const counted = data.map(point => countedLaps.has(this.getLapIndexAt(point.time)));
+
+            // Two pointers: for each start point, the first point one lap distance further on
+            let best = null;
+            let end = 0;
+            for (let start = 0; start < data.length; start++) {
+                const targetDistance = distances[start] + lapDistance;
+                while (end < data.length && distances[end] < targetDistance) end++;
+                if (end >= data.length) break;
+                if (!counted[start] || !counted[end]) continue;
+
+                // Interpolate the time at which exactly one lap distance was covered
+                const before = data[end - 1];
+                const span = distances[end] - distances[end - 1];
+                const ratio = span > 0 ? (targetDistance - distances[end - 1]) / span : 0;
+                const endTime = before.time + ratio * (data[end].time - before.time);
+                const time = endTime - data[start].time;
+
+                if (!best || time < best.time) {
+                    best = { time: time, startTime: data[start].time, endTime: endTime };
+                }
+            }
+
+            if (best) {
+                best.lapIndex = this.lapStartTimes.findIndex((startTime, i) => best.startTime < (this.lapStartTimes[i + 1] ?? Infinity));
+                best.distance = lapDistance;
+                this.logger.log(`Rolling best lap: ${formatTime(best.time)} from ${formatTime(best.startTime)} over ${(lapDistance * 1000).toFixed(0)} m`);
+            }
+            return best;
+        }
+
+        // Braking zones of the best lap as stretches of lap distance (metres from the lap start), each
+        // running from halfway after the previous apex to halfway to the next brake point
+        findBrakingZones() {
+            const lapData = this.bestLapData;
+            if (lapData.length < 2) return [];
+
+            const startDistance = lapData[0].distance;
+            const zones = this.findDecelerationPeriods(lapData).map(period => {
+                let apexIndex = period.startIndex;
+                for (let i = period.startIndex; i <= period.endIndex; i++) {
+                    if (lapData[i].speed < lapData[apexIndex].speed) apexIndex = i;
+                }
+                return {
+                    brakeDistance: lapData[period.startIndex].distance - startDistance,
+                    apexDistance: lapData[apexIndex].distance - startDistance,
+                    apex: lapData[apexIndex]
+                };
+            });
+
+            const lapLength = lapData[lapData.length - 1].distance - startDistance;
+            return zones.map((zone, i) => ({
+                index: i,
+                name: `B${i + 1}`,
+                startDistance: i === 0 ? 0 : (zones[i - 1].apexDistance + zone.brakeDistance) / 2,
+                endDistance: i === zones.length - 1 ? lapLength : (zone.apexDistance + zones[i + 1].brakeDistance) / 2,
+                brakeDistance: zone.brakeDistance,
+                apexDistance: zone.apexDistance
+            }));
+        }
+
+        // Corners of the best lap from its curvature, numbered T1, T2, ... in driving order; each is
+        // { name, lat, lon, direction, angle } with the position of its tightest point
+        detectCorners() {
+            const lapData = this.bestLapData.filter(point => point.lat && point.lon);
+            if (lapData.length < 2) return [];
+
+            // Resample the lap at even distances so curvature doesn't depend on speed or logging rate
+            const samples = [];
+            const startDistance = lapData[0].distance;
+            let index = 0;
+            for (let distance = 0; distance <= lapData[lapData.length - 1].distance - startDistance; distance += CORNER_SAMPLE_STEP) {
+                while (index < lapData.length - 2 && lapData[index + 1].distance - startDistance < distance) index++;
+                const a = lapData[index];
+                const b = lapData[index + 1];
+                const span = b.distance - a.distance;
+                const ratio = span > 0 ? Math.min(1, Math.max(0, (distance - (a.distance - startDistance)) / span)) : 0;
+                samples.push({ lat: a.lat + ratio * (b.lat - a.lat), lon: a.lon + ratio * (b.lon - a.lon) });
+            }
+
+            const span = Math.round(CORNER_HEADING_SPAN / CORNER_SAMPLE_STEP);
+            if (samples.length < span * 4) return [];
+
+            const headings = samples.map((sample, i) => {
+                const before = samples[Math.max(0, i - span)];
+                const after = samples[Math.min(samples.length - 1, i + span)];
+                return TelemetryImporters.calculateBearing(before.lat, before.lon, after.lat, after.lon);
+            });
+            const curvatures = headings.map((heading, i) => i === 0 || i === headings.length - 1 ? 0 :
+                headingChange(headings[i - 1], headings[i + 1]) / (2 * CORNER_SAMPLE_STEP));
+
+            // Stretches turning one way faster than the threshold
+            const stretches = [];
+            let current = null;
+            curvatures.forEach((curvature, i) => {
+                const direction = curvature >= CORNER_MIN_CURVATURE ? 1 : curvature <= -CORNER_MIN_CURVATURE ? -1 : 0;
+                if (current && direction !== current.direction) {
+                    stretches.push(current);
+                    current = null;
+                }
+                if (direction && !current) {
+                    current = { direction, start: i, end: i };
+                }
+                if (current) current.end = i;
+            });
+            if (current) stretches.push(current);
+
+            const merged = [];
+            const gapSamples = CORNER_MERGE_GAP / CORNER_SAMPLE_STEP;
+            stretches.forEach(stretch => {
+                const previous = merged[merged.length - 1];
+                if (previous && previous.direction === stretch.direction && stretch.start - previous.end <= gapSamples) {
+                    previous.end = stretch.end;
+                } else {
+                    merged.push({ ...stretch });
+                }
+            });
+
+            const corners = merged.map(stretch => {
+                let angle = 0;
+                let apex = stretch.start;
+                for (let i = stretch.start; i <= stretch.end; i++) {
+                    angle += curvatures[i] * CORNER_SAMPLE_STEP;
+                    if (Math.abs(curvatures[i]) > Math.abs(curvatures[apex])) apex = i;
+                }
+                return { lat: samples[apex].lat, lon: samples[apex].lon, direction: stretch.direction > 0 ? 'right' : 'left', angle: Math.abs(angle) };
+            }).filter(corner => corner.angle >= CORNER_MIN_ANGLE);
+
+            this.logger.log(`Detected ${corners.length} corners on the best lap`);
+            return corners.map((corner, i) => ({ name: `T${i + 1}`, ...corner, angle: Math.round(corner.angle) }));
+        }
+
+        // Replace the corners with freshly detected ones, dropping any renames
+        resetCorners() {
+            this.corners = this.detectCorners();
+        }
+
+        // Corners with their position on the best lap (metres from the lap start and log time), in driving order
+        locateCorners() {
+            const lapData = this.bestLapData;
+            if (!lapData.length) return [];
+
+            const startDistance = lapData[0].distance;
+            return this.corners.map(corner => {
+                const point = this.findClosestGpsPosition(corner, lapData);
+                return point ? { corner, distance: point.distance - startDistance, time: point.time } : null;
+            }).filter(located => located).sort((a, b) => a.distance - b.distance);
+        }
+
+        // Corner names in each sector, for labelling sector columns
+        getSectorCornerNames() {
+            const borderTimes = this.sectorBorders.map(border => border.time).filter(time => time !== undefined);
+            const sectors = Array.from({ length: borderTimes.length + 1 }, () => []);
+            this.locateCorners().forEach(located => {
+                const sectorIndex = borderTimes.filter(time => time <= located.time).length;
+                sectors[sectorIndex].push(located.corner.name);
+            });
+            return sectors;
+        }
+
+        // Stretches of lap distance the per-corner reports work on: one per corner, split halfway between
+        // apexes, or one per braking zone of the best lap when no corners are known
+        getCornerZones() {
+            const located = this.locateCorners();
+            if (!located.length) {
+                return this.findBrakingZones();
+            }
+
+            const lapData = this.bestLapData;
+            const lapLength = lapData[lapData.length - 1].distance - lapData[0].distance;
+            return located.map((entry, i) => ({
+                index: i,
+                name: entry.corner.name,
+                startDistance: i === 0 ? 0 : (located[i - 1].distance + entry.distance) / 2,
+                endDistance: i === located.length - 1 ? lapLength : (entry.distance + located[i + 1].distance) / 2,
+                brakeDistance: null,
+                apexDistance: entry.distance
+            }));
+        }
+
+        // Brake point, peak deceleration, apex and exit speed of every lap in every corner zone, with the
+        // lap holding the best of each per zone: latest brake point, hardest braking, highest minimum and exit speed
+        getCornerAnalysis() {
+            const zones = this.getCornerZones();
+            const laps = this.lapTimes.map((lapTime, lapIndex) => {
+                const lapData = this.getLapData(lapIndex);
+                return zones.map(zone => this.analyzeCornerZone(lapData, zone));
+            });
+
+            // Only valid laps count, as for the best lap
+            const countedLaps = this.getCountedLaps();
+            const pickBest = (zoneIndex, value) => {
+                let bestLap = -1;
+                let bestValue = -Infinity;
+                for (const lapIndex of countedLaps) {
+                    const result = laps[lapIndex][zoneIndex];
+                    const candidate = result ? value(result) : null;
+                    if (candidate !== null && candidate > bestValue) {
+                        bestValue = candidate;
+                        bestLap = lapIndex;
+                    }
+                }
+                return bestLap;
+            };
+
+            const best = zones.map((zone, i) => ({
+                brakePoint: pickBest(i, result => result.brakePoint ? result.brakePoint.distance : null),
+                peakDeceleration: pickBest(i, result => result.peakDeceleration ? result.peakDeceleration.value : null),
+                apex: pickBest(i, result => result.apex.speed),
+                exit: pickBest(i, result => result.exit ? result.exit.speed : null)
+            }));
+
+            return { zones, laps, best };
+        }
+
+        // One lap through one corner zone; brake point and deceleration are null where the lap doesn't
+        // slow down (flat-out kinks), the whole result is null without data
+        analyzeCornerZone(lapData, zone) {
+            if (lapData.length < 2) return null;
+
+            const startDistance = lapData[0].distance;
+            const points = lapData.filter(point => {
+                const distance = point.distance - startDistance;
+                return distance >= zone.startDistance && distance <= zone.endDistance;
+            });
+            if (points.length < 3) return null;
+
+            let apexIndex = 0;
+            points.forEach((point, i) => {
+                if (point.speed < points[apexIndex].speed) apexIndex = i;
+            });
+
+            // The brake point is the fastest point before the apex (the last one, if the speed held
+            // steady), where the car starts slowing down
+            let brakeIndex = 0;
+            for (let i = 0; i < apexIndex; i++) {
+                if (points[i].speed >= points[brakeIndex].speed) brakeIndex = i;
+            }
+            const braked = brakeIndex < apexIndex;
+
+            let peakIndex = brakeIndex;
+            for (let i = brakeIndex; i <= apexIndex; i++) {
+                if (points[i].lonAcc < points[peakIndex].lonAcc) peakIndex = i;
+            }
+
+            const apex = points[apexIndex];
+            const brake = points[brakeIndex];
+            const exitDistance = apex.distance + CORNER_EXIT_DISTANCE;
+            const exitIndex = lapData.findIndex(point => point.distance >= exitDistance);
+            let exit = null;
+            if (exitIndex > 0) {
+                const before = lapData[exitIndex - 1];
+                const after = lapData[exitIndex];
+                const span = after.distance - before.distance;
+                const ratio = span > 0 ? (exitDistance - before.distance) / span : 0;
+                exit = {
+                    time: before.time + ratio * (after.time - before.time),
+                    distance: exitDistance - startDistance,
+                    speed: before.speed + ratio * (after.speed - before.speed)
+                };
+            }
+
+            return {
+                brakePoint: braked ? { time: brake.time, distance: brake.distance - startDistance, speed: brake.speed } : null,
+                peakDeceleration: braked ? { time: points[peakIndex].time, value: -points[peakIndex].lonAcc } : null,
+                apex: { time: apex.time, distance: apex.distance - startDistance, speed: apex.speed },
+                exit: exit
+            };
+        }
+
+        // Flag laps that shouldn't count towards bests: the out lap at the start of the log, laps
+        // that enter ('in'), leave ('out') or drive through ('pit') the pit lane, and laps well off the median
+        detectLapFlags() {
+            this.lapFlags = this.lapTimes.map(() => []);
+            if (this.lapTimes.length < 2) return;
+
+            const addFlag = (lapIndex, flag) => {
+                if (lapIndex !== -1 && !this.lapFlags[lapIndex].includes(flag)) {
+                    this.lapFlags[lapIndex].push(flag);
+                }
+            };
+            addFlag(0, 'out');
+
+            // Pit lane up to the end of the log makes the lap it starts in (or the last lap) the in lap; a pit
+            // lane visit within one lap is a drive-through, across a lap line a stop between in and out lap
+            const lastLap = this.lapTimes.length - 1;
+            const logEnd = this.telemetryData[this.telemetryData.length - 1].time;
+            this.findPitStretches().forEach(stretch => {
+                const entryLap = this.getLapIndexAt(stretch.startTime);
+                const exitLap = this.getLapIndexAt(stretch.endTime);
+                if (entryLap === -1) {
+                    addFlag(lastLap, 'in');
+                } else if (exitLap === -1 || stretch.endTime >= logEnd) {
+                    addFlag(entryLap, 'in');
+                } else if (entryLap === exitLap) {
+                    addFlag(entryLap, 'pit');
+                } else {
+                    addFlag(entryLap, 'in');
+                    addFlag(exitLap, 'out');
+                }
+            });
+
+            // Slow laps are compared with the laps that aren't flagged already
+            const medianLapTime = median(this.lapTimes.filter((lapTime, i) => !this.lapFlags[i].length));
+            if (medianLapTime) {
+                this.lapTimes.forEach((lapTime, i) => {
+                    if (!this.lapFlags[i].length && lapTime > medianLapTime * SLOW_LAP_FACTOR) {
+                        addFlag(i, 'slow');
+                    }
+                });
+            }
+
+            this.logger.log('Lap flags:', this.lapFlags);
+        }
+
+        // Stretches of at least PIT_MIN_DURATION seconds well below the fastest lap's speed at the same
+        // place and below PIT_LANE_SPEED, { startTime, endTime }
+        findPitStretches() {
+            const expectedSpeed = this.getFastestLapSpeedProfile();
+            const stretches = [];
+            let startTime = null;
+            
+            this.telemetryData.forEach((point, i) => {
+                const isLast = i === this.telemetryData.length - 1;
+                const isSlow = point.speed < PIT_LANE_SPEED && point.speed < expectedSpeed(point) * PIT_SPEED_RATIO;
+                if (isSlow && startTime === null) {
+                    startTime = point.time;
+                }
+                if ((!isSlow || isLast) && startTime !== null) {
+                    if (point.time - startTime >= PIT_MIN_DURATION) {
+                        stretches.push({ startTime, endTime: point.time });
+                    }
+                    startTime = null;
+                }
+            });
+            
+            return stretches;
+        }
+
+        // Speed of the fastest lap (after the out lap) at the lap distance of a point, or at its time into the
+        // lap for logs without distance, as a function of the point
+        getFastestLapSpeedProfile() {
+            let fastestLap = 1;
+            this.lapTimes.forEach((lapTime, i) => {
+                if (i > 0 && lapTime < this.lapTimes[fastestLap]) fastestLap = i;
+            });
+            const lapData = this.getLapData(fastestLap);
+            if (!lapData.length) return () => Infinity;
+            
+            const hasDistance = lapData[lapData.length - 1].lapDistance > 0;
+            const lapStarts = this.lapStartTimes;
+            let lapIndex = 0;
+            const position = point => {
+                if (hasDistance) return point.lapDistance;
+                // Points are passed in time order, so the lap only ever moves forward
+                while (lapIndex < lapStarts.length - 1 && point.time >= lapStarts[lapIndex + 1]) lapIndex++;
+                return point.time - lapStarts[lapIndex];
+            };
+            const positions = lapData.map(position);
+            lapIndex = 0;
+            
+            // Binary search for the last fastest-lap point at or before the position
+            return point => {
+                const target = position(point);
+                let low = 0;
+                let high = positions.length - 1;
+                while (low < high) {
+                    const mid = (low + high + 1) >> 1;
+                    if (positions[mid] <= target) low = mid; else high = mid - 1;
+                }
+                return lapData[low].speed;
+            };
+        }
+
+        // A lap counts towards bests unless it was marked invalid, or is flagged and wasn't marked valid
+        isLapValid(lapIndex) {
+            if (lapIndex in this.lapValidity) {
+                return this.lapValidity[lapIndex];
+            }
+            return !(this.lapFlags[lapIndex] && this.lapFlags[lapIndex].length);
+        }
+
+        // Indices of the laps that count towards bests; every lap when none is valid
+        getCountedLaps() {
+            const laps = this.lapTimes.map((lapTime, i) => i);
+            const valid = laps.filter(i => this.isLapValid(i));
+            return valid.length ? valid : laps;
+        }
+
+        hasValidLaps() {
+            return this.lapTimes.some((lapTime, i) => this.isLapValid(i));
+        }
+
+        // Keep the warning about counting every lap in line with the current validity
+        updateLapValidityWarning() {
+            this.warnings = this.warnings.filter(warning => warning !== NO_VALID_LAPS_WARNING);
+            if (this.lapTimes.length && !this.hasValidLaps()) {
+                this.warnings.push(NO_VALID_LAPS_WARNING);
+            }
+        }
+
+        // Mark a lap valid or invalid by hand, or back to its automatic flags with `valid` null, and
+        // recalculate the best lap, delta and rolling best. The sector borders stay where they are.
+        setLapValid(lapIndex, valid) {
+            if (valid === null) {
+                delete this.lapValidity[lapIndex];
+            } else {
+                this.lapValidity[lapIndex] = valid;
+            }
+
+            this.updateCountedLaps();
+            this.logger.log(`Lap ${lapIndex} ${this.isLapValid(lapIndex) ? 'valid' : 'invalid'}, best lap now ${this.bestLapIndex}`);
+        }
+
+        // Recalculate what depends on which laps count. The delta and the sector border order only
+        // depend on the best lap, so they are only redone when the best lap changed.
+        updateCountedLaps() {
+            this.updateLapValidityWarning();
+
+            if (this.findBestLapIndex() !== this.bestLapIndex) {
+                this.calculateDiffToBestLap();
+                if (this.bestLapEndPoint && this.bestLapData.length) {
+                    this.bestLapEndPoint = this.bestLapData[this.bestLapData.length - 1];
+                }
+                if (this.sectorBorders.length) {
+                    this.setSectorBorders(this.sectorBorders.map(({ time, ...border }) => border));
+                }
+            }
+
+            this.rollingBest = this.findRollingBestLap();
+        }
+
+        findBestLapIndex() {
+            if (!this.lapTimes.length) return -1;
+            
+            this.logger.log('DEBUG: Finding best lap index from lap times:', this.lapTimes);
+            
+            // Find the best lap time among the valid laps
+            const countedLaps = this.getCountedLaps();
+            let bestLapIndex = countedLaps[0];
+            let bestLapTime = this.lapTimes[bestLapIndex];
+            
+            this.logger.log(`DEBUG: Starting with lap ${bestLapIndex} as best (${formatTime(bestLapTime)})`);
+            
+            for (const i of countedLaps.slice(1)) {
+                if (this.lapTimes[i] < bestLapTime) {
+                    this.logger.log(`DEBUG: Found better lap ${i} (${formatTime(this.lapTimes[i])}) vs current best ${formatTime(bestLapTime)}`);
+                    bestLapTime = this.lapTimes[i];
+                    bestLapIndex = i;
+                }
+            }
+            
+            this.logger.log(`DEBUG: Final best lap index: ${bestLapIndex} with time ${formatTime(bestLapTime)}`);
+            return bestLapIndex;
+        }
+
+        calculateDiffToBestLap() {
+            if (!this.lapTimes.length || !this.telemetryData.length) {
+                this.logger.log('Cannot calculate diff to best lap: missing lap times or telemetry data');
+                return;
+            }
+
+            // Find the best lap index
+            this.bestLapIndex = this.findBestLapIndex();
+            if (this.bestLapIndex === -1) {
+                this.logger.log('No best lap found');
+                return;
+            }
+
+            // Get telemetry data for the best lap
+            const bestLapStartTime = this.lapStartTimes[this.bestLapIndex];
+            const bestLapEndTime = this.bestLapIndex < this.lapStartTimes.length - 1 ? 
+                this.lapStartTimes[this.bestLapIndex + 1] : 
+                bestLapStartTime + this.lapTimes[this.bestLapIndex];
+
+            this.bestLapData = this.telemetryData.filter(point => 
+                point.time >= bestLapStartTime && point.time <= bestLapEndTime
+            );
+
+            this.logger.log(`Best lap ${this.bestLapIndex}: ${this.bestLapData.length} datapoints from ${formatTime(bestLapStartTime)} to ${formatTime(bestLapEndTime)}`);
+
+            this.updateReferenceLap();
+
+            // Initialize diff data array
+            this.diffToBestData = new Array(this.telemetryData.length).fill(null);
+
+            // Calculate diff for each lap
+            for (let lapIndex = 0; lapIndex < this.lapTimes.length; lapIndex++) {
+                if (lapIndex === this.bestLapIndex && !this.referenceSource) {
+                    // For the best lap itself, diff is always 0
+                    const lapStartTime = this.lapStartTimes[lapIndex];
+                    const lapEndTime = lapIndex < this.lapStartTimes.length - 1 ? 
+                        this.lapStartTimes[lapIndex + 1] : 
+                        lapStartTime + this.lapTimes[lapIndex];
+
+                    for (let i = 0; i < this.telemetryData.length; i++) {
+                        const point = this.telemetryData[i];
+                        if (point.time >= lapStartTime && point.time <= lapEndTime) {
+                            this.diffToBestData[i] = 0.0;
+                        }
+                    }
+                    continue;
+                }
+
+                // Calculate diff for this lap
+                this.calculateLapDiffToBest(lapIndex);
+            }
+
+            this.logger.log(`Calculated diff to best lap for ${this.diffToBestData.filter(d => d !== null).length} datapoints`);
+        }
+
+        calculateLapDiffToBest(lapIndex) {
+            const { startTime: lapStartTime, endTime: lapEndTime } = this.getLapBounds(lapIndex);
+            const data = this.telemetryData;
+
+            // Walk the lap's points in the telemetry array itself, so each diff goes straight to its index
+            let firstIndex = findClosestIndex(data, lapStartTime);
+            if (firstIndex !== -1 && data[firstIndex].time < lapStartTime) {
+                firstIndex++;
+            }
+
+            if (firstIndex === -1 || firstIndex >= data.length || data[firstIndex].time > lapEndTime || this.referenceLapData.length === 0) {
+                this.logger.log(`No data for lap ${lapIndex} or reference lap`);
+                return;
+            }
+
+            // Reference lap index matched to the previous point, where the next match is looked for first
+            let referenceIndex = -1;
+
+            for (let i = firstIndex; i < data.length && data[i].time <= lapEndTime; i++) {
+                const currentPoint = data[i];
+                const currentLapProgress = currentPoint.time - lapStartTime;
+                
+                // Find the corresponding point in the reference lap, by GPS trajectory intersection or lap distance
+                const correspondingTime = this.deltaBasis === 'distance' ?
+                    this.findReferenceTimeAtDistance(currentPoint.lapDistance) :
+                    this.findCorrespondingTimeInBestLap(currentPoint, currentLapProgress, referenceIndex);
+                
+                if (correspondingTime !== null) {
+                    // Calculate the diff: positive means behind the reference lap, negative means ahead
+                    const referenceLapProgress = correspondingTime - this.referenceLapStartTime;
+                    this.diffToBestData[i] = currentLapProgress - referenceLapProgress;
+                    referenceIndex = findClosestIndex(this.referenceLapData, correspondingTime);
+                }
+            }
+        }
+
+        findClosestGpsPosition(currentPoint, bestLapData) {
+            if (!currentPoint.lat || !currentPoint.lon || !bestLapData.length) {
+                return null;
+            }
+
+            let closestPoint = null;
+            let minDistance = Infinity;
+
+            // Find the point in best lap data with the closest GPS coordinates
+            for (const bestLapPoint of bestLapData) {
+                if (!bestLapPoint.lat || !bestLapPoint.lon) {
+                    continue;
+                }
+
+                // Calculate distance using Haversine formula for accuracy
+                const distance = this.calculateGpsDistance(
+                    currentPoint.lat, currentPoint.lon,
+                    bestLapPoint.lat, bestLapPoint.lon
+                );
+
+                if (distance < minDistance) {
+                    minDistance = distance;
+                    closestPoint = bestLapPoint;
+                }
+            }
+
+            // Only return if we found a reasonably close point (within 50 meters)
+            if (closestPoint && minDistance < 0.05) { // 50 meters in km
+                return closestPoint;
+            }
+
+            return null;
+        }
+
+        calculateGpsDistance(lat1, lon1, lat2, lon2) {
+            return TelemetryImporters.calculateGpsDistance(lat1, lon1, lat2, lon2); // Distance in kilometers
+        }
+
+        // Time at which the reference lap had covered `lapDistance` metres, or null past its end
+        findReferenceTimeAtDistance(lapDistance) {
+            const data = this.referenceLapData;
+            if (!data.length) return null;
+
+            const startDistance = data[0].distance;
+            const target = startDistance + lapDistance;
+            if (target > data[data.length - 1].distance) return null;
+
+            let low = 0;
+            let high = data.length - 1;
+            while (high - low > 1) {
+                const mid = (low + high) >> 1;
+                if (data[mid].distance <= target) {
+                    low = mid;
+                } else {
+                    high = mid;
+                }
+            }
+
+            const span = data[high].distance - data[low].distance;
+            const ratio = span > 0 ? Math.min(1, (target - data[low].distance) / span) : 0;
+            return data[low].time + ratio * (data[high].time - data[low].time);
+        }
+
+        // Match laps to the reference lap by 'position' or 'distance' and recalculate the delta
+        setDeltaBasis(basis) {
+            this.deltaBasis = basis;
+            this.calculateDiffToBestLap();
+        }
+
+        // Works on the reference lap, which is the session's best lap unless setReferenceLap() chose another.
+        // `previousIndex` is the reference lap index matched to the previous point of the lap, or -1; the
+        // search starts there, and looks DELTA_SEARCH_WINDOW seconds ahead before trying the whole lap.
+        findCorrespondingTimeInBestLap(currentPoint, currentLapProgress, previousIndex = -1) {
+            const referenceLapData = this.referenceLapData;
+            if (!currentPoint.lat || !currentPoint.lon || referenceLapData.length === 0) {
+                return null;
+            }
+
+            // Create a perpendicular line through the current point, at the previous match or the same time into the lap
+            const referenceTime = this.referenceLapStartTime + currentLapProgress;
+            let currentPointIndex = previousIndex !== -1 ? previousIndex : findClosestIndex(referenceLapData, referenceTime);
+            if (previousIndex === -1 && Math.abs(referenceLapData[currentPointIndex].time - referenceTime) >= 1.0) {
+                currentPointIndex = -1;
+            }
+            
+            // A reference from another driver can be seconds apart; fall back to the nearest position
+            if (currentPointIndex === -1 && this.referenceSource) {
+                const closestPoint = this.findClosestGpsPosition(currentPoint, referenceLapData);
+                currentPointIndex = closestPoint ? referenceLapData.indexOf(closestPoint) : -1;
+            }
+            
+            if (currentPointIndex === -1) {
+                return null;
+            }
+
+            // Use the same method as sector border crossing to find the intersection
+            const perpendicularLine = this.createPerpendicularLine(currentPoint, referenceLapData, 
+                Math.min(currentPointIndex, referenceLapData.length - 1));
+            
+            // Find where the reference lap trajectory crosses this perpendicular line, close to the previous match if possible
+            if (previousIndex !== -1) {
+                const searchFrom = Math.max(0, previousIndex - 1);
+                const searchTo = findClosestIndex(referenceLapData, referenceLapData[previousIndex].time + DELTA_SEARCH_WINDOW);
+                const nearbyCrossing = this.findBorderIntersection(referenceLapData, perpendicularLine, searchFrom, searchTo);
+                if (nearbyCrossing !== null) {
+                    return nearbyCrossing;
+                }
+            }
+            
+            return this.findBorderCrossing(referenceLapData, perpendicularLine);
+        }
+
+        // Time in the reference lap's log at which the reference lap was at the position this log is
+        // at `time`, interpolated from the diff to the reference. Null where the lap isn't matched to it.
+        getReferenceTimeAt(time) {
+            const data = this.telemetryData;
+            if (!data.length || this.referenceLapTime === null || time < data[0].time || time > data[data.length - 1].time) {
+                return null;
+            }
+
+            const lapIndex = this.getLapIndexAt(time);
+            if (lapIndex === -1) {
+                return null;
+            }
+
+            let low = 0;
+            let high = data.length - 1;
+            while (high - low > 1) {
+                const mid = (low + high) >> 1;
+                if (data[mid].time <= time) {
+                    low = mid;
+                } else {
+                    high = mid;
+                }
+            }
+
+            // Only interpolate between points of the same lap; the diff restarts at every lap start
+            const { startTime, endTime } = this.getLapBounds(lapIndex);
+            const usable = index => data[index].time >= startTime && data[index].time <= endTime && this.diffToBestData[index] !== null;
+            let diff = null;
+            if (usable(low) && usable(high) && data[high].time > data[low].time) {
+                const ratio = (time - data[low].time) / (data[high].time - data[low].time);
+                diff = this.diffToBestData[low] + ratio * (this.diffToBestData[high] - this.diffToBestData[low]);
+            } else if (usable(low)) {
+                diff = this.diffToBestData[low];
+            } else if (usable(high)) {
+                diff = this.diffToBestData[high];
+            }
+
+            if (diff === null) {
+                return null;
+            }
+            return this.referenceLapStartTime + (time - startTime) - diff;
+        }
+
+        // Reference lap point at the same track position as this log at `time`, or null
+        getReferencePointAt(time) {
+            const referenceTime = this.getReferenceTimeAt(time);
+            if (referenceTime === null) {
+                return null;
+            }
+            const index = findClosestIndex(this.referenceLapData, referenceTime);
+            return index !== -1 ? this.referenceLapData[index] : null;
+        }
+    }
+
+    return {
+        TelemetrySession,
+        formatTime,
+        formatSectorTime,
+        formatDiffTime,
+        getLapName,
+        getChannelValue,
+        getGripEnvelope,
+        LAP_FLAG_NAMES,
+        NO_VALID_LAPS_WARNING,
+        silentLogger
+    };
+}));
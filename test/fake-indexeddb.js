@@ -0,0 +1,280 @@
+/**
+ * In-memory IndexedDB for the TileStore tests: object stores with a key path, indexes, cursors,
+ * version upgrades and transactions that commit when their last request is done or roll back
+ * when one fails. Requests complete asynchronously, like in a browser. With `maxRecords` a write
+ * that would store more records aborts its transaction with a QuotaExceededError.
+ */
+
+function compareKeys(a, b) {
+    if (typeof a !== typeof b) return typeof a === 'number' ? -1 : 1;
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function domError(name, message) {
+    return Object.assign(new Error(message), { name });
+}
+
+class FakeRequest {
+    constructor(transaction) {
+        this.transaction = transaction;
+        this.result = undefined;
+        this.error = null;
+        this.onsuccess = null;
+        this.onerror = null;
+    }
+}
+
+class FakeTransaction {
+    constructor(db, mode) {
+        this.db = db;
+        this.mode = mode;
+        this.pending = 0;
+        this.finished = false;
+        this.error = null;
+        this.oncomplete = null;
+        this.onabort = null;
+        this.snapshot = new Map([...db.stores].map(([name, store]) => [name, new Map(store.records)]));
+        this.scheduleFinish();
+    }
+
+    objectStore(name) {
+        if (!this.db.stores.has(name)) throw domError('NotFoundError', `No object store ${name}`);
+        return new FakeObjectStore(this, this.db.stores.get(name));
+    }
+
+    // Run `operation` as a request; it returns the result or throws to fail the request and the transaction
+    request(operation, request = new FakeRequest(this)) {
+        if (this.finished) throw domError('TransactionInactiveError', 'The transaction has finished');
+        this.pending++;
+        setTimeout(() => {
+            this.pending--;
+            if (this.finished) return;
+            try {
+                request.result = operation();
+            } catch (error) {
+                request.error = error;
+                if (request.onerror) request.onerror({ target: request });
+                this.abort(error);
+                return;
+            }
+            if (request.onsuccess) request.onsuccess({ target: request });
+            this.scheduleFinish();
+        });
+        return request;
+    }
+
+    write(store, key, record) {
+        if (this.mode === 'readonly') throw domError('ReadOnlyError', 'The transaction is read-only');
+        const { maxRecords } = this.db.factory;
+        if (record !== undefined && !store.records.has(key) && this.db.recordCount() >= maxRecords) {
+            throw domError('QuotaExceededError', 'The quota has been exceeded');
+        }
+        if (record === undefined) {
+            store.records.delete(key);
+        } else {
+            store.records.set(key, structuredClone(record));
+        }
+    }
+
+    scheduleFinish() {
+        setTimeout(() => {
+            if (this.finished || this.pending) return;
+            this.finished = true;
+            if (this.oncomplete) this.oncomplete();
+        });
+    }
+
+    abort(error) {
+        this.finished = true;
+        this.error = error;
+        this.snapshot.forEach((records, name) => {
+            this.db.stores.get(name).records = records;
+        });
+        if (this.onabort) this.onabort();
+    }
+}
+
+// Cursor over a list of { key, primaryKey } entries taken when it was opened
+class FakeCursor {
+    constructor(transaction, store, request, entries, withValues) {
+        this.transaction = transaction;
+        this.store = store;
+        this.request = request;
+        this.entries = entries;
+        this.position = -1;
+        this.withValues = withValues;
+    }
+
+    advanceTo(position) {
+        this.position = position;
+        const entry = this.entries[position];
+        if (!entry) return null;
+        this.key = entry.key;
+        this.primaryKey = entry.primaryKey;
+        if (this.withValues) this.value = structuredClone(this.store.records.get(entry.primaryKey));
+        return this;
+    }
+
+    continue() {
+        this.transaction.request(() => this.advanceTo(this.position + 1), this.request);
+    }
+
+    update(value) {
+        return this.transaction.request(() => this.transaction.write(this.store, this.primaryKey, value));
+    }
+
+    delete() {
+        return this.transaction.request(() => this.transaction.write(this.store, this.primaryKey, undefined));
+    }
+}
+
+class FakeIndex {
+    constructor(transaction, store, index) {
+        this.transaction = transaction;
+        this.store = store;
+        this.index = index;
+    }
+
+    // Entries of the index in key order; records without the indexed field aren't in it
+    entries(query) {
+        const entries = [];
+        this.store.records.forEach((record, primaryKey) => {
+            const key = record[this.index.keyPath];
+            if (key !== undefined && (query === null || query === undefined || compareKeys(key, query) === 0)) {
+                entries.push({ key, primaryKey });
+            }
+        });
+        return entries.sort((a, b) => compareKeys(a.key, b.key) || compareKeys(a.primaryKey, b.primaryKey));
+    }
+
+    count(query) {
+        return this.transaction.request(() => this.entries(query).length);
+    }
+
+    getAllKeys(query) {
+        return this.transaction.request(() => this.entries(query).map(entry => entry.primaryKey));
+    }
+
+    openCursor(query) {
+        return this.open(query, true);
+    }
+
+    openKeyCursor(query) {
+        return this.open(query, false);
+    }
+
+    open(query, withValues) {
+        const request = new FakeRequest(this.transaction);
+        return this.transaction.request(() => {
+            const cursor = new FakeCursor(this.transaction, this.store, request, this.entries(query), withValues);
+            return cursor.advanceTo(0);
+        }, request);
+    }
+}
+
+class FakeObjectStore {
+    constructor(transaction, store) {
+        this.transaction = transaction;
+        this.store = store;
+    }
+
+    createIndex(name, keyPath) {
+        this.store.indexes.set(name, { name, keyPath });
+        return this.index(name);
+    }
+
+    index(name) {
+        if (!this.store.indexes.has(name)) throw domError('NotFoundError', `No index ${name}`);
+        return new FakeIndex(this.transaction, this.store, this.store.indexes.get(name));
+    }
+
+    get(key) {
+        return this.transaction.request(() => {
+            const record = this.store.records.get(key);
+            return record === undefined ? undefined : structuredClone(record);
+        });
+    }
+
+    put(record) {
+        const key = record[this.store.keyPath];
+        return this.transaction.request(() => {
+            this.transaction.write(this.store, key, record);
+            return key;
+        });
+    }
+
+    delete(key) {
+        return this.transaction.request(() => this.transaction.write(this.store, key, undefined));
+    }
+
+    count(key) {
+        return this.transaction.request(() => key === undefined ? this.store.records.size : Number(this.store.records.has(key)));
+    }
+
+    openCursor(query) {
+        return new FakeIndex(this.transaction, this.store, { keyPath: this.store.keyPath }).openCursor(query);
+    }
+}
+
+class FakeDatabase {
+    constructor(factory, name) {
+        this.factory = factory;
+        this.name = name;
+        this.version = 0;
+        this.stores = new Map();
+        this.upgradeTransaction = null;
+    }
+
+    createObjectStore(name, { keyPath }) {
+        this.stores.set(name, { keyPath, indexes: new Map(), records: new Map() });
+        return this.upgradeTransaction.objectStore(name);
+    }
+
+    transaction(storeName, mode = 'readonly') {
+        return new FakeTransaction(this, mode);
+    }
+
+    recordCount() {
+        return [...this.stores.values()].reduce((count, store) => count + store.records.size, 0);
+    }
+
+    close() {}
+}
+
+class FakeIndexedDB {
+    constructor({ maxRecords = Infinity } = {}) {
+        this.maxRecords = maxRecords;
+        this.databases = new Map();
+    }
+
+    open(name, version = 1) {
+        const request = new FakeRequest(null);
+        request.onupgradeneeded = null;
+        setTimeout(() => {
+            if (!this.databases.has(name)) {
+                this.databases.set(name, new FakeDatabase(this, name));
+            }
+            const db = this.databases.get(name);
+            request.result = db;
+            if (version <= db.version) {
+                if (request.onsuccess) request.onsuccess({ target: request });
+                return;
+            }
+
+            const oldVersion = db.version;
+            const transaction = new FakeTransaction(db, 'versionchange');
+            db.upgradeTransaction = transaction;
+            request.transaction = transaction;
+            transaction.oncomplete = () => {
+                db.version = version;
+                db.upgradeTransaction = null;
+                request.transaction = null;
+                if (request.onsuccess) request.onsuccess({ target: request });
+            };
+            if (request.onupgradeneeded) request.onupgradeneeded({ target: request, oldVersion, newVersion: version });
+        });
+        return request;
+    }
+}
+
+module.exports = { FakeIndexedDB };
@@ -0,0 +1,156 @@
+/**
+ * Tests for the GoPro GPS extraction, on GPMF samples built by the tests. Run with
+ * `node --test test/*.test.js`.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const Mp4Parser = require('../mp4-parser');
+const GpmfParser = require('../gpmf-parser');
+const { buildMp4 } = require('./synthetic-mp4');
+
+const TYPE_WRITERS = {
+    c: (view, offset, value) => view.setUint8(offset, value.charCodeAt(0)),
+    S: (view, offset, value) => view.setUint16(offset, value),
+    l: (view, offset, value) => view.setInt32(offset, value),
+    L: (view, offset, value) => view.setUint32(offset, value)
+};
+const TYPE_SIZES = { c: 1, S: 2, l: 4, L: 4 };
+
+// Values of one type, big-endian
+function pack(type, values) {
+    const view = new DataView(new ArrayBuffer(values.length * TYPE_SIZES[type]));
+    values.forEach((value, i) => TYPE_WRITERS[type](view, i * TYPE_SIZES[type], value));
+    return new Uint8Array(view.buffer);
+}
+
+function concat(parts) {
+    const bytes = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+    parts.reduce((offset, part) => {
+        bytes.set(part, offset);
+        return offset + part.length;
+    }, 0);
+    return bytes;
+}
+
+// KLV entry: key, type ('' for nested entries), struct size, repeat count, data padded to 4 bytes
+function klv(key, type, structSize, data) {
+    const header = new DataView(new ArrayBuffer(8));
+    [...key].forEach((char, i) => header.setUint8(i, char.charCodeAt(0)));
+    header.setUint8(4, type ? type.charCodeAt(0) : 0);
+    header.setUint8(5, structSize);
+    header.setUint16(6, data.length / structSize);
+    return concat([new Uint8Array(header.buffer), data, new Uint8Array((4 - data.length % 4) % 4)]);
+}
+
+function nested(key, ...entries) {
+    return klv(key, '', 1, concat(entries));
+}
+
+// GPS5 stream (HERO5-HERO10): lat, lon, altitude, 2D and 3D speed per point
+function gps5Stream(fix, points) {
+    return nested('STRM',
+        klv('SCAL', 'l', 4, pack('l', [10000000, 10000000, 1000, 1000, 100])),
+        klv('GPSF', 'L', 4, pack('L', [fix])),
+        klv('GPS5', 'l', 20, pack('l', points.flatMap(point => [
+            Math.round(point.lat * 1e7), Math.round(point.lon * 1e7), Math.round(point.altitude * 1000), Math.round(point.speed * 1000), 0
+        ]))));
+}
+
+// GPS9 stream (HERO11 and later): GPS5's values, days, seconds, DOP and a fix per point
+function gps9Stream(points) {
+    return nested('STRM',
+        klv('SCAL', 'l', 4, pack('l', [10000000, 10000000, 1000, 1000, 100, 1, 1000, 100, 1])),
+        klv('TYPE', 'c', 1, pack('c', [...'lllllllSS'])),
+        klv('GPS9', '?', 32, concat(points.map(point => concat([
+            pack('l', [Math.round(point.lat * 1e7), Math.round(point.lon * 1e7), Math.round(point.altitude * 1000), Math.round(point.speed * 1000), 0, 8888, 43200000]),
+            pack('S', [150, point.fix])
+        ])))));
+}
+
+// Accelerometer stream, which isn't GPS
+function accelerometerStream() {
+    return nested('STRM', klv('SCAL', 'l', 4, pack('l', [418])), klv('ACCL', 'l', 12, pack('l', [4180, 0, 418])));
+}
+
+function assertPoints(actual, expected) {
+    assert.strictEqual(actual.length, expected.length, `${actual.length} points, expected ${expected.length}`);
+    expected.forEach((point, i) => {
+        Object.keys(point).forEach(field => {
+            assert.ok(Math.abs(actual[i][field] - point[field]) < 1e-6, `${field} of point ${i}: ${actual[i][field]}, expected ${point[field]}`);
+        });
+    });
+}
+
+function sampleView(bytes) {
+    return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+test('GPS5 points are scaled, with speed in km/h, and streams without a fix are skipped', () => {
+    const sample = concat([
+        nested('DEVC',
+            accelerometerStream(),
+            gps5Stream(3, [
+                { lat: 50.1234567, lon: 8.7654321, altitude: 120.5, speed: 12.345 },
+                { lat: 50.1234667, lon: 8.7654421, altitude: 120.6, speed: 12.5 }
+            ])),
+        nested('DEVC', gps5Stream(0, [{ lat: 50.2, lon: 8.8, altitude: 100, speed: 10 }]))
+    ]);
+
+    assertPoints(GpmfParser.parseGpmfSample(sampleView(sample)), [
+        { lat: 50.1234567, lon: 8.7654321, altitude: 120.5, speed: 12.345 * 3.6 },
+        { lat: 50.1234667, lon: 8.7654421, altitude: 120.6, speed: 45 }
+    ]);
+});
+
+test('GPS9 points are read with their own fix and need the GPS9 type definition', () => {
+    const points = [
+        { lat: -33.8688197, lon: 151.2092955, altitude: 58, speed: 20, fix: 3 },
+        { lat: -33.8688, lon: 151.2093, altitude: 58, speed: 20, fix: 0 },
+        { lat: -33.8687, lon: 151.2094, altitude: 57.5, speed: 21, fix: 2 }
+    ];
+    const sample = nested('DEVC', gps9Stream(points));
+
+    assertPoints(GpmfParser.parseGpmfSample(sampleView(sample)), [
+        { lat: -33.8688197, lon: 151.2092955, altitude: 58, speed: 72 },
+        { lat: -33.8687, lon: 151.2094, altitude: 57.5, speed: 21 * 3.6 }
+    ]);
+
+    // Without TYPE the layout of the GPS9 structs is unknown
+    const untyped = nested('DEVC', nested('STRM',
+        klv('SCAL', 'l', 4, pack('l', [10000000])),
+        klv('GPS9', '?', 32, new Uint8Array(32).fill(1))));
+    assert.deepStrictEqual(GpmfParser.parseGpmfSample(sampleView(untyped)), []);
+});
+
+test('GoPro GPS is timed on the video timeline, spread over each sample', async () => {
+    const point = (lat, speed) => ({ lat, lon: 8, altitude: 100, speed });
+    const gpmd = {
+        id: 3,
+        handlerType: 'meta',
+        codec: 'gpmd',
+        timescale: 1000,
+        samples: [
+            nested('DEVC', gps5Stream(3, [point(50.0001, 10), point(50.0002, 11)])),
+            nested('DEVC', gps5Stream(3, [point(50.0003, 12), point(50.0004, 13), point(50.0005, 14), point(50.0006, 15)]))
+        ],
+        timeToSample: [[2, 1001]],
+        // The metadata starts a fifth of a second into the video
+        editList: [[200, -1], [2002, 0]]
+    };
+    const { bytes, read } = buildMp4({ timescale: 1000, duration: 2202, tracks: [gpmd] });
+    const movie = await Mp4Parser.parseMp4(read, bytes.length);
+
+    assert.strictEqual(GpmfParser.getGpmfTrack(movie).id, 3);
+    const points = await GpmfParser.readGoProGps(read, movie);
+    assertPoints(points, [
+        { time: 0.2, lat: 50.0001, speed: 36 },
+        { time: 0.2 + 1.001 / 2, lat: 50.0002, speed: 39.6 },
+        { time: 1.201, lat: 50.0003, speed: 43.2 },
+        { time: 1.201 + 1.001 / 4, lat: 50.0004, speed: 46.8 },
+        { time: 1.201 + 2 * 1.001 / 4, lat: 50.0005, speed: 50.4 },
+        { time: 1.201 + 3 * 1.001 / 4, lat: 50.0006, speed: 54 }
+    ]);
+
+    const { bytes: withoutGps, read: readWithoutGps } = buildMp4({ timescale: 1000, duration: 0, tracks: [] });
+    assert.deepStrictEqual(await GpmfParser.readGoProGps(readWithoutGps, await Mp4Parser.parseMp4(readWithoutGps, withoutGps.length)), []);
+});
@@ -0,0 +1,125 @@
+/**
+ * Tests for the log importers, with a few rows of each format inline. Run with `node --test test/*.test.js`.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { importTelemetry } = require('../importers');
+
+function assertClose(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual}, expected ${expected}`);
+}
+
+test('AiM CSV: segment times, standard columns and extra channels', () => {
+    const text = [
+        '"Format","AiM CSV File"',
+        '"Segment Times","0:47.250","1:03.608"',
+        '"Time","GPS Speed","GPS LatAcc","GPS LonAcc","Altitude","GPS Latitude","GPS Longitude","GPS Heading","RPM"',
+        '"s","km/h","g","g","m","deg","deg","deg","rpm"',
+        '0.000,67.9,0.10,0.51,100.0,50.000000,8.000000,90.0,4886',
+        '0.050,68.9,0.12,0.50,100.5,50.000000,8.000014,90.5,',
+        '0.100,69.8,0.14,0.49,101.0,50.000001,8.000028,91.0,4939'
+    ].join('\n');
+    const result = importTelemetry(text, 'session.csv');
+
+    assert.strictEqual(result.format, 'aim');
+    assert.deepStrictEqual(result.lapTimes, [47.25, 63.608]);
+    assert.strictEqual(result.telemetryData.length, 3);
+    assert.deepStrictEqual(result.telemetryData[1], {
+        time: 0.05, speed: 68.9, latAcc: 0.12, lonAcc: 0.5, altitude: 100.5,
+        lat: 50, lon: 8.000014, heading: 90.5, channels: { RPM: 4886 }
+    });
+    assert.deepStrictEqual(result.channels, [{ name: 'RPM', unit: 'rpm' }]);
+});
+
+test('VBOX: positions in minutes with west positive, past midnight, and only the missing G derived', () => {
+    const text = [
+        'File created on 01/05/2024 @ 23:59:59',
+        '',
+        '[column names]',
+        'sats time lat long velocity heading height latacc rpm',
+        '',
+        '[data]',
+        '009 235959.90 +03000.00000 -00480.00000 090.000 090.00 +00100.00 0.25 5000',
+        '009 000000.00 +03000.00000 -00480.00150 093.600 090.00 +00100.00 0.30 5100',
+        '009 000000.10 +03000.00000 -00480.00300 097.200 090.00 +00100.00 0.35 5200'
+    ].join('\n');
+    const result = importTelemetry(text, 'run.vbo');
+    const points = result.telemetryData;
+
+    assert.strictEqual(result.format, 'vbox');
+    points.forEach((point, i) => assertClose(point.time, i * 0.1, 1e-6, `time of point ${i}`));
+    assert.strictEqual(points[0].lat, 50);
+    assert.strictEqual(points[0].lon, 8);
+    assert.deepStrictEqual(points.map(point => point.latAcc), [0.25, 0.3, 0.35]);
+    assertClose(points[1].lonAcc, 2 / 0.2 / 9.81, 0.01, 'derived longitudinal g');
+    assert.deepStrictEqual(result.channels, [{ name: 'sats', unit: '' }, { name: 'rpm', unit: '' }]);
+});
+
+test('GPX: speed in m/s, heading and G derived from the track', () => {
+    const point = (lon, second) =>
+        `<trkpt lat="50.0000000" lon="${lon}"><ele>100</ele><time>2024-05-01T12:00:0${second}Z</time>` +
+        `<extensions><gpxtpx:speed>10</gpxtpx:speed></extensions></trkpt>`;
+    const text = `<?xml version="1.0"?>\n<gpx version="1.1"><trk><trkseg>\n` +
+        [point('8.0000000', 0), point('8.0001399', 1), point('8.0002798', 2)].join('\n') +
+        `\n</trkseg></trk></gpx>`;
+    const result = importTelemetry(text, 'phone.gpx');
+    const points = result.telemetryData;
+
+    assert.strictEqual(result.format, 'gpx');
+    assert.deepStrictEqual(points.map(p => p.time), [0, 1, 2]);
+    assert.deepStrictEqual(points.map(p => p.speed), [36, 36, 36]);
+    points.forEach(p => assertClose(p.heading, 90, 0.01, 'heading'));
+    points.forEach(p => assertClose(p.latAcc, 0, 1e-6, 'lateral g'));
+    assert.strictEqual(points[0].altitude, 100);
+});
+
+test('NMEA: RMC positions and speed in knots, GGA altitude, void fixes skipped', () => {
+    const text = [
+        '$GPGGA,120000.00,5000.0000,N,00800.0000,W,1,08,0.9,120.5,M,0,M,,*47',
+        '$GPRMC,120000.00,A,5000.0000,N,00800.0000,W,36.68,270.0,010524,,,A*6C',
+        '$GPRMC,120000.10,V,,,,,,,010524,,,N*6C',
+        '$GPGGA,120000.20,5000.0000,N,00800.0030,W,1,08,0.9,121.0,M,0,M,,*47',
+        '$GPRMC,120000.20,A,5000.0000,N,00800.0030,W,37.19,270.0,010524,,,A*6C'
+    ].join('\n');
+    const result = importTelemetry(text, 'gps.nmea');
+    const points = result.telemetryData;
+
+    assert.strictEqual(result.format, 'nmea');
+    assert.strictEqual(points.length, 2);
+    assertClose(points[1].time, 0.2, 1e-6, 'time');
+    assert.strictEqual(points[0].lat, 50);
+    assert.strictEqual(points[0].lon, -8);
+    assertClose(points[1].lon, -8.00005, 1e-9, 'longitude');
+    assertClose(points[0].speed, 36.68 * 1.852, 1e-9, 'speed');
+    assert.deepStrictEqual(points.map(p => p.altitude), [120.5, 121]);
+    assert.strictEqual(points[0].heading, 270);
+});
+
+test('RaceChrono v3: elapsed time over the timestamp, lap numbers and only the missing G derived', () => {
+    const text = [
+        'This file is created using RaceChrono v8.0.0 ( http://www.racechrono.com/ ).',
+        'Format,3',
+        'Session title,"Test"',
+        '',
+        'Timestamp,Fragment ID,Lap #,Elapsed time,Altitude,Bearing,Latitude,Longitude,Speed,Lateral acceleration,Throttle position',
+        'unix time,,,s,m,deg,deg,deg,m/s,G,%',
+        ',,,,100: gps,100: gps,100: gps,100: gps,100: gps,100: calc,200: obd',
+        '1714600000,0,,0.0,100.0,90.0,50.0000000,8.0000000,10.0,0.20,50',
+        '1714600000,0,,0.5,100.0,90.0,50.0000000,8.0000700,11.0,0.30,',
+        '1714600001,0,1,1.0,100.0,90.0,50.0000000,8.0001400,12.0,0.40,60',
+        '1714600001,0,1,1.5,100.0,90.0,50.0000000,8.0002100,13.0,0.50,70',
+        '1714600002,0,2,2.0,100.0,90.0,50.0000000,8.0002800,14.0,0.60,80',
+        '1714600002,0,2,2.5,100.0,90.0,50.0000000,8.0003500,15.0,0.70,90'
+    ].join('\n');
+    const result = importTelemetry(text, 'racechrono.csv');
+    const points = result.telemetryData;
+
+    assert.strictEqual(result.format, 'racechrono');
+    assert.deepStrictEqual(points.map(p => p.time), [0, 0.5, 1, 1.5, 2, 2.5]);
+    assert.deepStrictEqual(result.lapTimes, [1, 1, 0.5]);
+    assertClose(points[0].speed, 36, 1e-9, 'speed from m/s');
+    assert.deepStrictEqual(points.map(p => p.latAcc), [0.2, 0.3, 0.4, 0.5, 0.6, 0.7]);
+    assertClose(points[2].lonAcc, 2 / 9.81, 1e-9, 'derived longitudinal g');
+    assert.strictEqual(points[1].channels['Throttle position'], 50);
+    assert.deepStrictEqual(result.channels.find(channel => channel.name === 'Throttle position'), { name: 'Throttle position', unit: '%' });
+});
@@ -0,0 +1,163 @@
+/**
+ * Tests for the offline map tiles. Run with `node --test test/*.test.js`.
+ *
+ * The fixtures were written by SQLite with 512-byte pages, so a few rows already need interior
+ * b-tree pages and overflow pages:
+ * - tiles.mbtiles: metadata (name "Test tiles", format png) and a tiles table with 60 tiles at
+ *   zoom 6 (columns 0-9, TMS rows 0-5) whose data is the text "tile 6/<column>/<row>", and two at
+ *   zoom 3 (column 1 and 2, TMS row 2) of 1500 and 3000 bytes, byte i being (i * 7 + column) % 251
+ * - deduplicated.mbtiles: format jpg, a map table pointing tiles 2/0/0 and 2/1/0 at image "a"
+ *   (the text "sea") and 2/2/3 at image "b" (800 bytes, byte i being (i * 7 + 3) % 251), an images
+ *   table and a tiles view joining them
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { TileStore, MBTilesReader } = require('../map-tiles');
+const { FakeIndexedDB } = require('./fake-indexeddb');
+
+function patternBytes(length, seed) {
+    return Uint8Array.from({ length }, (value, i) => (i * 7 + seed) % 251);
+}
+
+// read(offset, length) over a fixture file, recording every read
+function fixtureReader(name) {
+    const bytes = new Uint8Array(fs.readFileSync(path.join(__dirname, 'fixtures', name)));
+    const reads = [];
+    const read = async (offset, length) => {
+        reads.push({ offset, length });
+        return bytes.subarray(offset, offset + length);
+    };
+    return { read, reads };
+}
+
+async function blobBytes(blob) {
+    return new Uint8Array(await blob.arrayBuffer());
+}
+
+test('MBTiles tiles are read across interior b-tree pages and overflow pages', async () => {
+    const { read } = fixtureReader('tiles.mbtiles');
+    const reader = await MBTilesReader.open(read);
+
+    assert.strictEqual(reader.metadata.name, 'Test tiles');
+    assert.strictEqual(reader.mimeType, 'image/png');
+    assert.strictEqual(reader.tileCount, 62);
+
+    // XYZ row 61 at zoom 6 is TMS row 2
+    const tile = await reader.getTile(6, 7, 61);
+    assert.strictEqual(tile.type, 'image/png');
+    assert.strictEqual(Buffer.from(await blobBytes(tile)).toString(), 'tile 6/7/2');
+
+    assert.deepStrictEqual(await blobBytes(await reader.getTile(3, 1, 5)), patternBytes(1500, 1));
+    assert.deepStrictEqual(await blobBytes(await reader.getTile(3, 2, 5)), patternBytes(3000, 2));
+    assert.strictEqual(await reader.getTile(6, 7, 0), null);
+});
+
+test('opening an MBTiles file reads each page at most once', async () => {
+    const { read, reads } = fixtureReader('tiles.mbtiles');
+    const reader = await MBTilesReader.open(read);
+
+    const pageReads = reads.filter(({ length }) => length === reader.sqlite.pageSize).map(({ offset }) => offset);
+    assert.deepStrictEqual(pageReads, [...new Set(pageReads)]);
+});
+
+test('MBTiles files storing each image once are read through their map and images tables', async () => {
+    const { read } = fixtureReader('deduplicated.mbtiles');
+    const reader = await MBTilesReader.open(read);
+
+    assert.strictEqual(reader.tileCount, 3);
+    assert.strictEqual(reader.mimeType, 'image/jpeg');
+    assert.strictEqual(Buffer.from(await blobBytes(await reader.getTile(2, 0, 3))).toString(), 'sea');
+    assert.strictEqual(Buffer.from(await blobBytes(await reader.getTile(2, 1, 3))).toString(), 'sea');
+    assert.deepStrictEqual(await blobBytes(await reader.getTile(2, 2, 0)), patternBytes(800, 3));
+});
+
+test('files that are not SQLite databases are rejected', async () => {
+    const bytes = new Uint8Array(512);
+    await assert.rejects(MBTilesReader.open(async (offset, length) => bytes.subarray(offset, offset + length)), /Not an SQLite database/);
+});
+
+// Wait for the store's background writes (the last-use update in get) to finish
+function settle() {
+    return new Promise(resolve => setTimeout(resolve, 20));
+}
+
+test('the tile store drops the least recently used tiles beyond its limit', async t => {
+    let clock = 1000;
+    t.mock.method(Date, 'now', () => clock);
+    const store = new TileStore({ indexedDB: new FakeIndexedDB(), maxTiles: 3 });
+
+    for (let x = 0; x < 3; x++) {
+        clock += 1000;
+        await store.put('osm', 10, x, 0, Uint8Array.of(x));
+    }
+
+    // Reading a tile a while later makes it the most recently used
+    clock += 2 * 60 * 60 * 1000;
+    assert.deepStrictEqual(await store.get('osm', 10, 0, 0), Uint8Array.of(0));
+    await settle();
+
+    clock += 1000;
+    await store.put('osm', 10, 3, 0, Uint8Array.of(3));
+    assert.strictEqual(await store.count('osm'), 3);
+    assert.ok(await store.has('osm', 10, 0, 0));
+    assert.ok(!(await store.has('osm', 10, 1, 0)));
+    assert.ok(await store.has('osm', 10, 2, 0));
+});
+
+test('evict deletes the oldest tiles of all layers and clear deletes one layer', async t => {
+    let clock = 1000;
+    t.mock.method(Date, 'now', () => clock);
+    const store = new TileStore({ indexedDB: new FakeIndexedDB() });
+    for (const layer of ['osm', 'satellite', 'osm', 'satellite']) {
+        clock += 1000;
+        await store.put(layer, 12, clock, 0, Uint8Array.of(1));
+    }
+
+    assert.strictEqual(await store.evict(2), 2);
+    assert.strictEqual(await store.count('osm'), 1);
+    assert.strictEqual(await store.count('satellite'), 1);
+    assert.ok(await store.has('osm', 12, 4000, 0));
+
+    assert.strictEqual(await store.clear('satellite'), 1);
+    assert.strictEqual(await store.count('satellite'), 0);
+    assert.strictEqual(await store.count('osm'), 1);
+});
+
+test('a full storage quota drops old tiles to make room, once', async () => {
+    const store = new TileStore({ indexedDB: new FakeIndexedDB({ maxRecords: 510 }) });
+    for (let x = 0; x < 510; x++) {
+        await store.put('osm', 14, x, 0, Uint8Array.of(1));
+    }
+
+    await store.put('osm', 14, 999, 0, Uint8Array.of(2));
+    assert.ok(await store.has('osm', 14, 999, 0));
+    assert.strictEqual(await store.count('osm'), 11);
+
+    const full = new TileStore({ indexedDB: new FakeIndexedDB({ maxRecords: 0 }) });
+    await assert.rejects(full.put('osm', 14, 0, 0, Uint8Array.of(1)), { name: 'QuotaExceededError' });
+});
+
+test('tiles stored before last use was tracked are evicted oldest first after the upgrade', async () => {
+    const indexedDB = new FakeIndexedDB();
+
+    // The first version of the store: tiles with a save time but no last use
+    await new Promise((resolve, reject) => {
+        const request = indexedDB.open('videoFrameAnalyzerTiles', 1);
+        request.onupgradeneeded = () => {
+            const tiles = request.result.createObjectStore('tiles', { keyPath: 'key' });
+            tiles.createIndex('layer', 'layer');
+            tiles.put({ key: 'osm/15/1/1', layer: 'osm', blob: Uint8Array.of(1), savedAt: 200 });
+            tiles.put({ key: 'osm/15/2/2', layer: 'osm', blob: Uint8Array.of(2), savedAt: 100 });
+        };
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+
+    const store = new TileStore({ indexedDB, maxTiles: 2 });
+    await store.put('osm', 15, 3, 3, Uint8Array.of(3));
+    assert.ok(await store.has('osm', 15, 1, 1));
+    assert.ok(!(await store.has('osm', 15, 2, 2)));
+    assert.ok(await store.has('osm', 15, 3, 3));
+});
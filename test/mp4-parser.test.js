@@ -0,0 +1,103 @@
+/**
+ * Tests for the MP4 parser's sample timing, on small files built by the tests. Run with
+ * `node --test test/*.test.js`.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const Mp4Parser = require('../mp4-parser');
+const { buildMp4 } = require('./synthetic-mp4');
+
+function assertTimes(actual, expected) {
+    assert.strictEqual(actual.length, expected.length, `${actual.length} times, expected ${expected.length}`);
+    expected.forEach((time, i) => {
+        assert.ok(Math.abs(actual[i] - time) < 1e-9, `time ${i}: ${actual[i]}, expected ${time}`);
+    });
+}
+
+function samples(count, size = 4) {
+    return Array.from({ length: count }, (value, i) => new Uint8Array(size).fill(i + 1));
+}
+
+// 29.97 fps with B-frames: decode order I P B B P B, shown as I B B P B P
+const VIDEO_TRACK = {
+    id: 1,
+    handlerType: 'vide',
+    codec: 'avc1',
+    timescale: 30000,
+    samples: samples(6),
+    timeToSample: [[6, 1001]],
+    compositionOffsets: [[1, 2002], [1, 4004], [2, 1001], [1, 3003], [1, 1001]],
+    // Half a second of nothing (in movie time units), then the media from the first shown frame
+    editList: [[500, -1], [200, 2002]]
+};
+
+test('frame times add the composition offsets and follow the edit list', async () => {
+    const { bytes, read } = buildMp4({ timescale: 1000, duration: 700, tracks: [VIDEO_TRACK] });
+    const movie = await Mp4Parser.parseMp4(read, bytes.length);
+
+    assert.strictEqual(movie.timescale, 1000);
+    assert.strictEqual(movie.duration, 0.7);
+    assert.strictEqual(movie.tracks.length, 1);
+    assert.strictEqual(movie.tracks[0].codec, 'avc1');
+    assert.strictEqual(movie.tracks[0].sampleCount, 6);
+    assert.deepStrictEqual(movie.tracks[0].editList, [{ segmentDuration: 500, mediaTime: -1 }, { segmentDuration: 200, mediaTime: 2002 }]);
+
+    const frameTimes = Mp4Parser.getVideoFrameTimes(movie);
+    assertTimes(frameTimes, [0, 1, 2, 3, 4, 5].map(frame => 0.5 + frame * 1001 / 30000));
+
+    const info = Mp4Parser.getFrameRateInfo(frameTimes);
+    assert.ok(Math.abs(info.fps - 29.97) < 0.001, `fps ${info.fps}`);
+    assert.strictEqual(info.isVariable, false);
+
+    assert.strictEqual(Mp4Parser.findFrameIndex(frameTimes, 0.2), 0);
+    assert.strictEqual(Mp4Parser.findFrameIndex(frameTimes, 0.5 + 2 * 1001 / 30000), 2);
+    assert.strictEqual(Mp4Parser.findFrameIndex(frameTimes, 0.5 + 2.5 * 1001 / 30000), 2);
+    assert.strictEqual(Mp4Parser.findFrameIndex(frameTimes, 10), 5);
+});
+
+test('negative composition offsets and frames before the edit start', async () => {
+    const track = {
+        ...VIDEO_TRACK,
+        timescale: 12800,
+        samples: samples(5),
+        timeToSample: [[5, 512]],
+        compositionOffsets: [[1, 0], [1, 1024], [2, -512], [1, 0]],
+        // The first frame is cut off by the edit
+        editList: [[160, 512]]
+    };
+    const { bytes, read } = buildMp4({ timescale: 1000, duration: 160, tracks: [track] });
+    const movie = await Mp4Parser.parseMp4(read, bytes.length);
+
+    // Shown at 0, 1536, 512, 1024 and 2048 media units
+    assertTimes(Mp4Parser.getVideoFrameTimes(movie), [0, 0.04, 0.08, 0.12]);
+});
+
+test('sample byte ranges and decode times of a metadata track', async () => {
+    const metadata = {
+        id: 2,
+        handlerType: 'meta',
+        codec: 'gpmd',
+        timescale: 1000,
+        samples: [new Uint8Array(10), new Uint8Array(20), new Uint8Array(30)],
+        timeToSample: [[2, 1001], [1, 500]],
+        editList: [[250, -1], [2502, 0]]
+    };
+    const { bytes, read } = buildMp4({ timescale: 1000, duration: 2752, tracks: [VIDEO_TRACK, metadata] });
+    const movie = await Mp4Parser.parseMp4(read, bytes.length);
+
+    assert.strictEqual(Mp4Parser.getVideoTrack(movie).id, 1);
+    const table = Mp4Parser.getSampleTable(movie.tracks[1], movie.timescale);
+    const dataStart = table[0].offset;
+
+    // The metadata follows the video samples in the mdat box
+    assert.strictEqual(dataStart, Mp4Parser.getSampleTable(movie.tracks[0], movie.timescale).at(-1).offset + 4);
+    assert.deepStrictEqual(table.map(sample => [sample.offset - dataStart, sample.size]), [[0, 10], [10, 20], [30, 30]]);
+    assertTimes(table.map(sample => sample.time), [0.25, 1.251, 2.252]);
+    assertTimes(table.map(sample => sample.duration), [1.001, 1.001, 0.5]);
+});
+
+test('files without a movie header are rejected', async () => {
+    const bytes = new Uint8Array(16);
+    bytes.set([0, 0, 0, 16, 0x66, 0x72, 0x65, 0x65]); // A 16-byte free box
+    await assert.rejects(Mp4Parser.parseMp4(async (offset, length) => bytes.subarray(offset, offset + length), bytes.length), /No movie header/);
+});
@@ -0,0 +1,51 @@
+/**
+ * Tests for the saved session store's file fingerprints. Run with `node --test test/*.test.js`.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { fingerprintFile, sessionKey } = require('../session-store');
+
+const MEGABYTE = 1024 * 1024;
+
+// A file of `size` bytes, byte i being i % 251, with `changes` ({ offset: byte }) applied
+function patternFile(size, changes = {}) {
+    const bytes = Uint8Array.from({ length: size }, (value, i) => i % 251);
+    Object.entries(changes).forEach(([offset, byte]) => {
+        bytes[offset] = byte;
+    });
+    return new Blob([bytes]);
+}
+
+async function assertFingerprints(format) {
+    const size = 3 * MEGABYTE;
+    const original = await fingerprintFile(patternFile(size));
+    assert.match(original, format);
+
+    assert.strictEqual(await fingerprintFile(patternFile(size)), original);
+    assert.notStrictEqual(await fingerprintFile(patternFile(size, { 10: 0 })), original, 'different first megabyte');
+    assert.notStrictEqual(await fingerprintFile(patternFile(size, { [size - 10]: 0 })), original, 'different last megabyte');
+    assert.notStrictEqual(await fingerprintFile(patternFile(size + 1)), original, 'different size');
+
+    // Only the ends are hashed, so a change in the middle of a large file goes unnoticed
+    assert.strictEqual(await fingerprintFile(patternFile(size, { [size / 2]: 0 })), original);
+
+    // Files shorter than a megabyte are hashed whole
+    const small = await fingerprintFile(patternFile(1000));
+    assert.notStrictEqual(await fingerprintFile(patternFile(1000, { 999: 0 })), small);
+}
+
+test('fingerprints tell files apart by size, first and last megabyte', async () => {
+    await assertFingerprints(/^[0-9a-f]{64}$/);
+});
+
+test('fingerprints without crypto.subtle fall back to a 64-bit hash', async t => {
+    const descriptor = Object.getOwnPropertyDescriptor(globalThis, 'crypto');
+    Object.defineProperty(globalThis, 'crypto', { value: undefined, configurable: true });
+    t.after(() => Object.defineProperty(globalThis, 'crypto', descriptor));
+
+    await assertFingerprints(/^[0-9a-f]{16}$/);
+});
+
+test('session keys combine the video and log fingerprints', () => {
+    assert.strictEqual(sessionKey('abc', 'def'), 'abc:def');
+});
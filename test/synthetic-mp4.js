@@ -0,0 +1,83 @@
+/**
+ * Synthetic MP4 files for the tests: an ftyp box, the sample data in an mdat box and a movie
+ * header (moov) after it, as cameras write them. Only the boxes the parsers read are written.
+ */
+
+function concat(parts) {
+    const bytes = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        bytes.set(part, offset);
+        offset += part.length;
+    });
+    return bytes;
+}
+
+// Big-endian 32-bit values; negative values are written as two's complement
+function uint32(...values) {
+    const view = new DataView(new ArrayBuffer(values.length * 4));
+    values.forEach((value, i) => view.setUint32(i * 4, value >>> 0));
+    return new Uint8Array(view.buffer);
+}
+
+function ascii(text) {
+    return Uint8Array.from(text, char => char.charCodeAt(0));
+}
+
+function box(type, ...parts) {
+    const payload = concat(parts);
+    return concat([uint32(8 + payload.length), ascii(type), payload]);
+}
+
+// Box starting with a version byte and 24 bits of flags
+function fullBox(type, version, ...parts) {
+    return box(type, uint32(version * 0x1000000), ...parts);
+}
+
+// Table box: entry count followed by the entries, each a list of 32-bit values
+function tableBox(type, version, entries) {
+    return fullBox(type, version, uint32(entries.length), ...entries.map(entry => uint32(...entry)));
+}
+
+// Track of a movie. `samples` are the sample bytes, all stored in one chunk; `timeToSample`,
+// `compositionOffsets` and `editList` are [count, delta], [count, offset] and
+// [segmentDuration, mediaTime] entries.
+function trackBox(track, chunkOffset) {
+    const tables = [
+        box('stsd', uint32(0, 1), uint32(16), ascii(track.codec), uint32(0, 1)),
+        tableBox('stts', 0, track.timeToSample),
+        track.compositionOffsets ? tableBox('ctts', 1, track.compositionOffsets) : new Uint8Array(0),
+        fullBox('stsz', 0, uint32(0, track.samples.length, ...track.samples.map(sample => sample.length))),
+        tableBox('stsc', 0, [[1, track.samples.length, 1]]),
+        tableBox('stco', 0, [[chunkOffset]])
+    ];
+    const duration = track.timeToSample.reduce((sum, [count, delta]) => sum + count * delta, 0);
+
+    return box('trak',
+        fullBox('tkhd', 0, uint32(0, 0, track.id)),
+        track.editList ? box('edts', tableBox('elst', 0, track.editList.map(([segmentDuration, mediaTime]) => [segmentDuration, mediaTime, 0x10000]))) : new Uint8Array(0),
+        box('mdia',
+            fullBox('mdhd', 0, uint32(0, 0, track.timescale, duration)),
+            fullBox('hdlr', 0, uint32(0), ascii(track.handlerType), uint32(0, 0, 0)),
+            box('minf', box('stbl', ...tables))));
+}
+
+// The whole file for { timescale, duration, tracks }, with read(offset, length) over it
+function buildMp4(movie) {
+    const ftyp = box('ftyp', ascii('isom'), uint32(0), ascii('isomavc1'));
+    const mdat = box('mdat', ...movie.tracks.flatMap(track => track.samples));
+
+    let chunkOffset = ftyp.length + 8;
+    const tracks = movie.tracks.map(track => {
+        const trak = trackBox(track, chunkOffset);
+        chunkOffset += track.samples.reduce((length, sample) => length + sample.length, 0);
+        return trak;
+    });
+    const moov = box('moov', fullBox('mvhd', 0, uint32(0, 0, movie.timescale, movie.duration)), ...tracks);
+
+    const bytes = concat([ftyp, mdat, moov]);
+    const read = async (offset, length) => bytes.subarray(offset, offset + length);
+    return { bytes, read };
+}
+
+module.exports = { buildMp4 };
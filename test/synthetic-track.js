@@ -0,0 +1,83 @@
+/**
+ * Synthetic logs for the tests: laps of a stadium-shaped track (two straights joined by
+ * half circles) with the same speed profile every lap, sampled at any rate.
+ */
+
+const ORIGIN = { lat: 50, lon: 8 };
+const METRES_PER_DEGREE = 111320;
+
+// Straight length and corner radius in metres
+function createTrack(straight = 400, radius = 50) {
+    const arc = Math.PI * radius;
+    const length = 2 * straight + 2 * arc;
+
+    // Position (metres east/north of the origin) and heading at distance s into the lap
+    const position = s => {
+        s = ((s % length) + length) % length;
+        if (s < straight) {
+            return { x: s, y: 0, heading: 90 };
+        }
+        if (s < straight + arc) {
+            const angle = (s - straight) / radius;
+            return { x: straight + radius * Math.sin(angle), y: radius - radius * Math.cos(angle), heading: 90 - angle * 180 / Math.PI };
+        }
+        if (s < 2 * straight + arc) {
+            return { x: straight - (s - straight - arc), y: 2 * radius, heading: 270 };
+        }
+        const angle = (s - 2 * straight - arc) / radius;
+        return { x: -radius * Math.sin(angle), y: radius + radius * Math.cos(angle), heading: 270 - angle * 180 / Math.PI };
+    };
+
+    return { length, position };
+}
+
+// Points for `laps` laps at `rate` Hz. `speed(s, lap)` gives km/h at distance s into lap number `lap`
+// (default: the same on every lap, fast on the straights, slow in the corners). Returns the points,
+// the time of each lap and the time of the first one.
+function driveLaps({ laps = 4, rate = 10, track = createTrack(), speed = null } = {}) {
+    const speedAt = speed || (s => 110 - 50 * Math.cos(2 * Math.PI * s / track.length * 2));
+
+    // Integrate finely and record at the sample times, so every lap is the same to well under a millisecond
+    const points = [];
+    const step = 0.0005;
+    const sampleInterval = 1 / rate;
+    let distance = 0;
+    let time = 0;
+    const lapEnds = [];
+    let nextSample = 0;
+    while (distance < laps * track.length) {
+        if (time >= nextSample - step / 2) {
+            const { x, y, heading } = track.position(distance);
+            points.push({
+                time: Math.round(nextSample * 1000) / 1000,
+                speed: speedAt(distance % track.length, Math.floor(distance / track.length)),
+                latAcc: 0,
+                lonAcc: 0,
+                altitude: 100,
+                lat: ORIGIN.lat + y / METRES_PER_DEGREE,
+                lon: ORIGIN.lon + x / (METRES_PER_DEGREE * Math.cos(ORIGIN.lat * Math.PI / 180)),
+                heading: heading
+            });
+            nextSample += sampleInterval;
+        }
+        distance += speedAt(distance % track.length, Math.floor(distance / track.length)) / 3.6 * step;
+        time += step;
+        if (distance >= (lapEnds.length + 1) * track.length) {
+            lapEnds.push(time);
+        }
+    }
+
+    const lapTimes = lapEnds.map((end, i) => end - (i > 0 ? lapEnds[i - 1] : 0));
+    return { points, lapTimes, lapTime: lapTimes[0] };
+}
+
+// GPX text of the points, which has no lap markers
+function toGpx(points) {
+    const start = Date.UTC(2024, 4, 1, 12, 0, 0);
+    const trackPoints = points.map(point =>
+        `<trkpt lat="${point.lat.toFixed(7)}" lon="${point.lon.toFixed(7)}"><ele>${point.altitude}</ele>` +
+        `<time>${new Date(start + point.time * 1000).toISOString()}</time><speed>${(point.speed / 3.6).toFixed(3)}</speed></trkpt>`);
+    return `<?xml version="1.0"?>\n<gpx version="1.1" creator="test"><trk><trkseg>\n${trackPoints.join('\n')}\n</trkseg></trk></gpx>\n`;
+}
+
+module.exports = { createTrack, driveLaps, toGpx };
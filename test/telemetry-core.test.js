@@ -0,0 +1,184 @@
+/**
+ * Tests for the telemetry core. Run with `node --test test/*.test.js`.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { TelemetrySession, formatTime, formatSectorTime, silentLogger } = require('../telemetry-core');
+const { createTrack, driveLaps, toGpx } = require('./synthetic-track');
+
+test('formatTime rounds to milliseconds before splitting minutes and seconds', () => {
+    assert.strictEqual(formatTime(27.9995), '00:28.000');
+    assert.strictEqual(formatTime(59.9999), '01:00.000');
+    assert.strictEqual(formatTime(83.05), '01:23.050');
+    assert.strictEqual(formatTime(NaN), '00:00.000');
+});
+
+test('formatSectorTime carries a rounded millisecond into the seconds', () => {
+    assert.strictEqual(formatSectorTime(27.9995), '28.000');
+    assert.strictEqual(formatSectorTime(9.1), '9.100');
+    assert.strictEqual(formatSectorTime(NaN), '0.000');
+});
+
+test('logs without lap markers are split into laps at GPS crossings', () => {
+    const { points, lapTime } = driveLaps({ laps: 4, rate: 5 });
+    const session = new TelemetrySession({ logger: silentLogger }).loadFile(toGpx(points), 'markerless.gpx');
+
+    assert.strictEqual(session.lapSource, 'gps');
+    assert.ok(session.lapTimes.length >= 4, `expected at least 4 laps, got ${session.lapTimes.length}`);
+    session.lapTimes.slice(1, -1).forEach(time => assert.ok(Math.abs(time - lapTime) < 0.05, `lap of ${time} s, expected ${lapTime} s`));
+});
+
+test('a log without lap markers or a full lap is one lap without sectors', () => {
+    const { points } = driveLaps({ laps: 0.4, rate: 5 });
+    const session = new TelemetrySession({ logger: silentLogger }).loadFile(toGpx(points), 'partial.gpx');
+
+    assert.strictEqual(session.lapTimes.length, 1);
+    assert.strictEqual(session.sectorBorders.length, 0);
+    assert.deepStrictEqual(session.lapSectorTimes, []);
+    assert.ok(session.warnings.some(warning => warning.startsWith('No lap markers')));
+});
+
+// Session from synthetic points with a lap marker at the end of every lap, as loadFile() would build it
+function sessionWithLaps(points, lapTimes) {
+    const session = new TelemetrySession({ logger: silentLogger });
+    session.telemetryData = points;
+    session.lapTimes = lapTimes.slice();
+    session.markerLapTimes = session.lapTimes.slice();
+    session.calculateDistances();
+    session.analyze();
+    return session;
+}
+
+for (const rate of [1, 5, 10]) {
+    test(`rolling best of identical laps equals the lap time at ${rate} Hz`, () => {
+        const { points, lapTimes, lapTime } = driveLaps({ laps: 4, rate });
+        const session = sessionWithLaps(points, lapTimes);
+
+        assert.ok(session.rollingBest, 'no rolling best');
+        assert.ok(Math.abs(session.rollingBest.time - lapTime) < 0.01,
+            `rolling best ${session.rollingBest.time.toFixed(3)} s, lap time ${lapTime.toFixed(3)} s`);
+    });
+}
+
+test('slow corners on a tight track are not taken for the pit lane', () => {
+    // Below 60 km/h for most of every lap, like a kart track
+    const { points, lapTimes } = driveLaps({ laps: 5, rate: 10, speed: s => 40 - 15 * Math.cos(s / 100) });
+    const session = sessionWithLaps(points, lapTimes);
+
+    assert.deepStrictEqual(session.lapFlags, [['out'], [], [], [], []]);
+    assert.ok(session.hasValidLaps());
+    assert.ok(!session.warnings.some(warning => warning.startsWith('No lap is valid')));
+});
+
+test('a lap through the pit lane is flagged and does not count', () => {
+    // Lap 3 drives down the first straight at pit lane speed
+    const { length } = createTrack();
+    const racing = s => 110 - 50 * Math.cos(2 * Math.PI * s / length * 2);
+    const { points, lapTimes } = driveLaps({ laps: 5, rate: 10, speed: (s, lap) => lap === 3 && s < 400 ? 50 : racing(s) });
+    const session = sessionWithLaps(points, lapTimes);
+
+    assert.deepStrictEqual(session.lapFlags[3], ['pit']);
+    assert.ok(!session.isLapValid(3));
+    assert.deepStrictEqual(session.getCountedLaps(), [1, 2, 4]);
+});
+
+test('the ghost of an identical best lap sits on the car', () => {
+    // At 1 Hz the laps start between samples
+    const { points, lapTimes } = driveLaps({ laps: 4, rate: 1 });
+    const session = sessionWithLaps(points, lapTimes);
+    assert.strictEqual(session.bestLapIndex, 2);
+    const { startTime, endTime } = session.getLapBounds(1);
+
+    for (let time = startTime + 2; time < endTime - 2; time += 0.5) {
+        const car = session.getPositionAt(time);
+        const ghost = session.getGhostPositionAt(time);
+        const metres = session.calculateGpsDistance(car.lat, car.lon, ghost.lat, ghost.lon) * 1000;
+        assert.ok(metres < 1, `ghost ${metres.toFixed(1)} m from the car at ${time.toFixed(1)} s`);
+    }
+});
+
+test('all laps count, with a warning, when none is valid', () => {
+    const { points, lapTimes } = driveLaps({ laps: 3, rate: 10 });
+    const session = sessionWithLaps(points, lapTimes);
+    session.setLapValid(1, false);
+    session.setLapValid(2, false);
+
+    assert.deepStrictEqual(session.getCountedLaps(), [0, 1, 2]);
+    assert.ok(session.warnings.some(warning => warning.startsWith('No lap is valid')));
+
+    session.setLapValid(2, null);
+    assert.ok(!session.warnings.some(warning => warning.startsWith('No lap is valid')));
+});
+
+// Laps of the default speed profile, each `paces[lap]` times as fast
+function sessionWithPaces(paces) {
+    const { length } = createTrack();
+    const racing = s => 110 - 50 * Math.cos(2 * Math.PI * s / length * 2);
+    const { points, lapTimes } = driveLaps({ laps: paces.length, rate: 10, speed: (s, lap) => racing(s) * paces[lap] });
+    return sessionWithLaps(points, lapTimes);
+}
+
+test('the position delta of identical laps is zero', () => {
+    const session = sessionWithPaces([1, 1, 1, 1]);
+
+    const lapDiffs = session.diffToBestData.filter((diff, i) => diff !== null && session.getLapIndexAt(session.telemetryData[i].time) === 2);
+    assert.ok(lapDiffs.length > 100, `only ${lapDiffs.length} diffs in lap 2`);
+    lapDiffs.forEach(diff => assert.ok(Math.abs(diff) < 0.01, `diff of ${diff.toFixed(3)} s`));
+});
+
+test('the position delta follows the distance delta through a slower lap', () => {
+    const session = sessionWithPaces([1, 1, 0.9, 1]);
+    const position = session.diffToBestData.slice();
+    session.setDeltaBasis('distance');
+
+    // Lap 2 falls more than four seconds behind, past the end of the reference lap by the time it finishes
+    const { startTime, endTime } = session.getLapBounds(2);
+    session.telemetryData.forEach((point, i) => {
+        if (point.time > startTime + 1 && point.time < endTime - 1) {
+            assert.ok(position[i] !== null && Math.abs(position[i] - session.diffToBestData[i]) < 0.05,
+                `at ${point.time} s: position ${position[i]}, distance ${session.diffToBestData[i]}`);
+        }
+    });
+    assert.ok(position[session.findTelemetryIndex(endTime - 1)] > 4);
+});
+
+test('marking laps valid or invalid matches a full analysis and keeps the sector borders', () => {
+    const session = sessionWithPaces([1, 1.02, 1, 1.01, 1]);
+    const borders = session.sectorBorders.map(({ startLat, startLon, endLat, endLon }) => ({ startLat, startLon, endLat, endLon }));
+    assert.strictEqual(session.bestLapIndex, 1);
+
+    session.setLapValid(1, false);
+    session.setLapValid(4, false);
+
+    const analyzed = sessionWithPaces([1, 1.02, 1, 1.01, 1]);
+    analyzed.lapValidity = { 1: false, 4: false };
+    analyzed.analyze();
+
+    assert.strictEqual(session.bestLapIndex, 3);
+    assert.strictEqual(session.bestLapIndex, analyzed.bestLapIndex);
+    assert.deepStrictEqual(session.diffToBestData, analyzed.diffToBestData);
+    assert.deepStrictEqual(session.rollingBest, analyzed.rollingBest);
+    assert.deepStrictEqual(session.sectorBorders.map(({ startLat, startLon, endLat, endLon }) => ({ startLat, startLon, endLat, endLon })), borders);
+    assert.ok(session.sectorBorders.every(border => border.time >= analyzed.lapStartTimes[3] && border.time <= analyzed.lapStartTimes[4]));
+});
+
+test('video sync finds a known shift between the camera GPS and the log', () => {
+    // The speed of this track repeats every half lap, so positions have to tell the alignments apart
+    const session = sessionWithPaces([1, 0.95, 1.03, 0.98, 1]);
+
+    // Two minutes of 18 Hz camera GPS starting 27.66 s into the log, so video time = data time - 27.66
+    const shift = -27.66;
+    const videoGps = [];
+    for (let time = 0; time <= 120; time += 1 / 18) {
+        const { lat, lon, speed } = session.getPositionAt(time - shift);
+        videoGps.push({ time, lat, lon, speed });
+    }
+
+    const sync = session.estimateVideoSyncOffset(videoGps);
+    assert.ok(Math.abs(sync.offset - shift) <= 0.02, `offset ${sync.offset} s, expected ${shift} s`);
+    assert.ok(sync.positionError < 1, `position error ${sync.positionError} m`);
+    assert.ok(sync.confidence > 0.5, `confidence ${sync.confidence}`);
+
+    // Camera GPS from before the log started doesn't overlap it
+    assert.strictEqual(session.estimateVideoSyncOffset(videoGps.slice(0, 5)), null);
+});
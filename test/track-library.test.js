@@ -0,0 +1,53 @@
+/**
+ * Tests for matching sessions to saved tracks. Run with `node --test test/*.test.js`.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { TelemetrySession, silentLogger } = require('../telemetry-core');
+const { TrackLibrary, boundsOverlap, MATCH_THRESHOLD } = require('../track-library');
+const { createTrack, driveLaps, toGpx } = require('./synthetic-track');
+
+// Two laps of a layout, loaded like a GPX log without lap markers
+function sessionOn(track, name) {
+    const { points } = driveLaps({ laps: 2, rate: 5, track });
+    return new TelemetrySession({ logger: silentLogger }).loadFile(toGpx(points), `${name}.gpx`);
+}
+
+// Layouts sharing the first corner: the full circuit is 500 m wide, the short one 400 m and the club one 220 m
+const FULL = createTrack(400, 50);
+const SHORT = createTrack(300, 50);
+const CLUB = createTrack(120, 50);
+
+test('a session on a saved track matches it, one on an overlapping smaller layout does not', () => {
+    const library = new TrackLibrary({ storage: null });
+    const full = library.saveTrack(sessionOn(FULL, 'full').createTrackDefinition('Full circuit'));
+
+    const again = sessionOn(FULL, 'again');
+    assert.ok(boundsOverlap(again.getGpsBounds(), full.bounds) > 0.99);
+    assert.strictEqual(library.findMatchingTrack(again.getGpsBounds()), full);
+
+    const club = sessionOn(CLUB, 'club').getGpsBounds();
+    const overlap = boundsOverlap(club, full.bounds);
+    assert.ok(overlap > 0 && overlap < MATCH_THRESHOLD, `overlap ${overlap}`);
+    assert.strictEqual(library.findMatchingTrack(club), null);
+    assert.strictEqual(library.findMatchingTrack(null), null);
+});
+
+test('of several overlapping layouts, a session matches the one it was driven on', () => {
+    const library = new TrackLibrary({ storage: null });
+    const full = library.saveTrack(sessionOn(FULL, 'full').createTrackDefinition('Full circuit'));
+    const short = library.saveTrack(sessionOn(SHORT, 'short').createTrackDefinition('Short circuit'));
+
+    // The short layout is close enough to the full one to match it on its own
+    assert.ok(boundsOverlap(short.bounds, full.bounds) >= MATCH_THRESHOLD);
+
+    assert.strictEqual(library.findMatchingTrack(sessionOn(FULL, 'full-again').getGpsBounds()), full);
+    assert.strictEqual(library.findMatchingTrack(sessionOn(SHORT, 'short-again').getGpsBounds()), short);
+});
+
+test('boundsOverlap is the intersection over the union of two boxes', () => {
+    const box = { minLat: 0, maxLat: 2, minLon: 0, maxLon: 2 };
+    assert.strictEqual(boundsOverlap(box, box), 1);
+    assert.strictEqual(boundsOverlap(box, { minLat: 1, maxLat: 3, minLon: 0, maxLon: 2 }), 1 / 3);
+    assert.strictEqual(boundsOverlap(box, { minLat: 2, maxLat: 4, minLon: 0, maxLon: 2 }), 0);
+});
@@ -0,0 +1,148 @@
+/**
+ * Track library.
+ *
+ * Named track definitions (start/finish line, sector borders and corner names)
+ * kept in localStorage, so every session recorded on the same track is split
+ * into the same sectors. Sessions are matched to a track by the overlap of
+ * their GPS bounds. Loaded as a plain <script> it exposes a global
+ * `TelemetryTracks`; under Node it is a CommonJS module (pass `storage` or load a
+ * JSON export with importJson()).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TelemetryTracks = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const STORAGE_KEY = 'videoFrameAnalyzer.tracks';
+
+    // Minimum bounds overlap (intersection over union) for a session to match a track
+    const MATCH_THRESHOLD = 0.5;
+
+    // Intersection over union of two { minLat, maxLat, minLon, maxLon } boxes, 0 when they don't overlap
+    function boundsOverlap(a, b) {
+        const overlapLat = Math.min(a.maxLat, b.maxLat) - Math.max(a.minLat, b.minLat);
+        const overlapLon = Math.min(a.maxLon, b.maxLon) - Math.max(a.minLon, b.minLon);
+        if (overlapLat <= 0 || overlapLon <= 0) {
+            return 0;
+        }
+
+        const intersection = overlapLat * overlapLon;
+        const areaA = (a.maxLat - a.minLat) * (a.maxLon - a.minLon);
+        const areaB = (b.maxLat - b.minLat) * (b.maxLon - b.minLon);
+        return intersection / (areaA + areaB - intersection);
+    }
+
+    function createTrackId() {
+        return `track-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    function isValidTrack(track) {
+        return track && typeof track.name === 'string' && track.bounds &&
+            Array.isArray(track.sectorBorders);
+    }
+
+    class TrackLibrary {
+        constructor(options = {}) {
+            this.storage = options.storage !== undefined ? options.storage :
+                (typeof localStorage !== 'undefined' ? localStorage : null);
+            this.storageKey = options.storageKey || STORAGE_KEY;
+            this.tracks = this.load();
+        }
+
+        load() {
+            if (!this.storage) return [];
+
+            try {
+                const stored = JSON.parse(this.storage.getItem(this.storageKey) || '[]');
+                return Array.isArray(stored) ? stored.filter(isValidTrack) : [];
+            } catch (error) {
+                console.warn('Ignoring unreadable track library:', error);
+                return [];
+            }
+        }
+
+        save() {
+            if (this.storage) {
+                this.storage.setItem(this.storageKey, JSON.stringify(this.tracks));
+            }
+        }
+
+        getTracks() {
+            return [...this.tracks].sort((a, b) => a.name.localeCompare(b.name));
+        }
+
+        getTrack(id) {
+            return this.tracks.find(track => track.id === id) || null;
+        }
+
+        // Insert a new track, or replace the stored one with the same id
+        saveTrack(definition) {
+            const now = new Date().toISOString();
+            const existing = definition.id ? this.getTrack(definition.id) : null;
+            const track = {
+                ...definition,
+                id: definition.id || createTrackId(),
+                createdAt: existing ? existing.createdAt : now,
+                updatedAt: now
+            };
+
+            this.tracks = this.tracks.filter(t => t.id !== track.id);
+            this.tracks.push(track);
+            this.save();
+            return track;
+        }
+
+        deleteTrack(id) {
+            this.tracks = this.tracks.filter(track => track.id !== id);
+            this.save();
+        }
+
+        // Track whose bounds overlap the session's GPS bounds the most, or null if none is close enough
+        findMatchingTrack(bounds) {
+            if (!bounds) return null;
+
+            let bestTrack = null;
+            let bestOverlap = MATCH_THRESHOLD;
+
+            for (const track of this.tracks) {
+                const overlap = boundsOverlap(bounds, track.bounds);
+                if (overlap >= bestOverlap) {
+                    bestOverlap = overlap;
+                    bestTrack = track;
+                }
+            }
+
+            return bestTrack;
+        }
+
+        exportJson() {
+            return JSON.stringify(this.getTracks(), null, 2);
+        }
+
+        // Add tracks from an exportJson() file; tracks with an existing id are replaced
+        importJson(text) {
+            const imported = JSON.parse(text);
+            if (!Array.isArray(imported)) {
+                throw new Error('Track file must contain a list of tracks');
+            }
+
+            const tracks = imported.filter(isValidTrack).map(track => ({ ...track, id: track.id || createTrackId() }));
+            for (const track of tracks) {
+                this.tracks = this.tracks.filter(t => t.id !== track.id);
+                this.tracks.push(track);
+            }
+            this.save();
+            return tracks.length;
+        }
+    }
+
+    return {
+        TrackLibrary,
+        boundsOverlap,
+        MATCH_THRESHOLD
+    };
+}));